@@ -0,0 +1,99 @@
+/**
+ * Who gets to export reactions.  In a server, that's members with Manage
+ * Messages, plus any roles the server's admins have allowed, and only from
+ * channels they can read.
+ */
+
+// https://discord.com/developers/docs/topics/permissions#permissions-bitwise-permission-flags
+export const PERMISSIONS = {
+  ADMINISTRATOR: 1n << 3n,
+  MANAGE_GUILD: 1n << 5n,
+  VIEW_CHANNEL: 1n << 10n,
+  MANAGE_MESSAGES: 1n << 13n,
+  READ_MESSAGE_HISTORY: 1n << 16n,
+};
+
+/**
+ * Whether a member's `permissions` (the string Discord sends with an
+ * interaction) include `permission`.  Administrators have every permission.
+ */
+export function hasPermission(permissions, permission) {
+  const granted = BigInt(permissions ?? 0);
+  return (
+    (granted & PERMISSIONS.ADMINISTRATOR) !== 0n ||
+    (granted & permission) === permission
+  );
+}
+
+// Whether the member's permissions let them export without being allowed.
+export function canAlwaysExport(member) {
+  return hasPermission(member?.permissions, PERMISSIONS.MANAGE_MESSAGES);
+}
+
+/**
+ * Whether the member behind `interaction` may export, going by their
+ * permissions and the `exportRoleIds` in the server's `settings`.  Outside of
+ * a server, only the DM's own messages can be exported (the commands turn
+ * down anything else), so there's nobody to hide reactions from.
+ */
+export function canExport(interaction, settings = {}) {
+  const { guild_id, member } = interaction;
+  if (!guild_id) return true;
+  if (canAlwaysExport(member)) return true;
+  const allowed = settings.exportRoleIds ?? [];
+  return member?.roles?.some((roleId) => allowed.includes(roleId)) ?? false;
+}
+
+/**
+ * `member`'s permissions in a channel with `overwrites`, starting from the
+ * server's `roles` (where the @everyone role has the server's ID).
+ * https://discord.com/developers/docs/topics/permissions#permission-overwrites
+ */
+export function channelPermissions(member, guildId, roles, overwrites = []) {
+  const memberRoles = new Set(member?.roles ?? []);
+  let permissions = 0n;
+  for (const role of roles) {
+    if (role.id === guildId || memberRoles.has(role.id)) {
+      permissions |= BigInt(role.permissions);
+    }
+  }
+  const apply = ({ allow, deny }) => {
+    permissions = (permissions & ~BigInt(deny)) | BigInt(allow);
+  };
+
+  // @everyone first, then the member's roles all together, then the member.
+  const everyone = overwrites.find(({ id }) => id === guildId);
+  if (everyone) apply(everyone);
+  let allow = 0n;
+  let deny = 0n;
+  for (const overwrite of overwrites) {
+    if (overwrite.type === 0 && memberRoles.has(overwrite.id)) {
+      allow |= BigInt(overwrite.allow);
+      deny |= BigInt(overwrite.deny);
+    }
+  }
+  apply({ allow, deny });
+  const own = overwrites.find(
+    ({ id, type }) => type === 1 && id === member?.user?.id,
+  );
+  if (own) apply(own);
+  return permissions;
+}
+
+// Whether `permissions` (as from `channelPermissions`) let a member read a
+// channel's messages, which is all an export shows.
+export function canReadHistory(permissions) {
+  return hasPermission(
+    permissions,
+    PERMISSIONS.VIEW_CHANNEL | PERMISSIONS.READ_MESSAGE_HISTORY,
+  );
+}
+
+/**
+ * Who can export in a server with these `settings`.
+ */
+export function describeAccess(settings = {}) {
+  const roles = (settings.exportRoleIds ?? []).map((id) => `<@&${id}>`);
+  const who = ['members with Manage Messages', ...roles];
+  return `Exports are open to ${who.join(', ')}`;
+}
@@ -3,15 +3,393 @@
  * and registration.
  */
 
+import { DEFAULT_CHANNEL_MESSAGES, MAX_CHANNEL_MESSAGES } from './export.js';
+import { PERMISSIONS } from './access.js';
+import { MAX_WINNERS } from './draw.js';
+import { CSV_DELIMITERS, FORMATS } from './formats.js';
+import { EXPORT_SETTINGS } from './settings.js';
+import { MAX_SNAPSHOT_NAME_LENGTH } from './snapshots.js';
+
 // https://discord.com/developers/docs/interactions/application-commands#application-command-object-application-command-types
+const CHAT_INPUT_COMMAND = 1;
 const MESSAGE_COMMAND = 3;
 
+// https://discord.com/developers/docs/interactions/application-commands#application-command-object-application-command-option-type
+const SUB_COMMAND = 1;
+const STRING_OPTION = 3;
+const INTEGER_OPTION = 4;
+const BOOLEAN_OPTION = 5;
+const CHANNEL_OPTION = 7;
+const ROLE_OPTION = 8;
+
+// Text and announcement channels, and the threads in them: where an export
+// can be posted.
+// https://discord.com/developers/docs/resources/channel#channel-object-channel-types
+const POSTABLE_CHANNEL_TYPES = [0, 5, 10, 11, 12];
+
+// Who sees the export commands until a server's admins say otherwise.  The
+// handler checks too, since that can be changed in the server's settings.
+const EXPORT_PERMISSIONS = String(PERMISSIONS.MANAGE_MESSAGES);
+
 export const REACTION_CSV_COMMAND = {
   name: 'Get reactions as CSV',
   type: MESSAGE_COMMAND,
+  default_member_permissions: EXPORT_PERMISSIONS,
   description: '',
 };
 
+const FORMAT_OPTION = {
+  type: STRING_OPTION,
+  name: 'format',
+  description: 'File format (default CSV)',
+  choices: Object.entries(FORMATS).map(([value, { name }]) => ({
+    name,
+    value,
+  })),
+};
+
+const MESSAGE_OPTION = {
+  type: STRING_OPTION,
+  name: 'message',
+  description: 'Link to the message (or its ID, if it is in this channel)',
+  required: true,
+};
+
+const LAYOUT_OPTION = {
+  type: STRING_OPTION,
+  name: 'layout',
+  description: 'How to lay out the rows (default one per reaction)',
+  choices: [
+    { name: 'One row per reaction', value: 'reactions' },
+    { name: 'One row per user, one column per emoji', value: 'users' },
+    {
+      name: 'One row per server member, to see who has not reacted',
+      value: 'members',
+    },
+  ],
+};
+
+// Options for formatting and filtering, shared by every export command.
+const EXPORT_OPTIONS = [
+  FORMAT_OPTION,
+  {
+    type: STRING_OPTION,
+    name: 'delimiter',
+    description: 'What separates CSV fields (default comma)',
+    choices: Object.keys(CSV_DELIMITERS).map((name) => ({
+      name,
+      value: name,
+    })),
+  },
+  {
+    type: BOOLEAN_OPTION,
+    name: 'quote_all',
+    description: 'Put every CSV field in quotes (default false)',
+  },
+  {
+    type: BOOLEAN_OPTION,
+    name: 'formula_safe',
+    description:
+      'Keep spreadsheets from running fields as formulas (default true)',
+  },
+  {
+    type: STRING_OPTION,
+    name: 'reaction_type',
+    description: 'Only export normal or super reactions (default both)',
+    choices: [
+      { name: 'Normal reactions', value: 'normal' },
+      { name: 'Super reactions', value: 'super' },
+    ],
+  },
+  {
+    type: BOOLEAN_OPTION,
+    name: 'include_bots',
+    description: 'Include reactions from bots (default true)',
+  },
+  {
+    type: BOOLEAN_OPTION,
+    name: 'exclude_author',
+    description: "Leave out the message author's reactions (default false)",
+  },
+  {
+    type: ROLE_OPTION,
+    name: 'role',
+    description:
+      'Only include members with this role (for the members layout, who to check)',
+  },
+  {
+    type: BOOLEAN_OPTION,
+    name: 'dedupe',
+    description:
+      'Only list each user for the first emoji they reacted with (default false)',
+  },
+  {
+    type: STRING_OPTION,
+    name: 'columns',
+    description:
+      'Extra user columns: display_name, nickname, bot, avatar (or all)',
+  },
+  {
+    type: BOOLEAN_OPTION,
+    name: 'emoji_columns',
+    description:
+      'Add shortcode, ASCII name, animated and image URL columns for each emoji (default false)',
+  },
+  {
+    type: BOOLEAN_OPTION,
+    name: 'summary',
+    description:
+      'Add totals per emoji and how many people picked each pair (default false)',
+  },
+  {
+    type: STRING_OPTION,
+    name: 'labels',
+    description:
+      'What each emoji means, like ✅=attending, ❔=maybe (default from the message)',
+  },
+  {
+    type: BOOLEAN_OPTION,
+    name: 'link',
+    description:
+      'Share a download link instead of attaching the file (default only for big files)',
+  },
+];
+
+export const REACTIONS_COMMAND = {
+  name: 'reactions',
+  type: CHAT_INPUT_COMMAND,
+  default_member_permissions: EXPORT_PERMISSIONS,
+  description: 'Export the reactions on a message',
+  options: [
+    MESSAGE_OPTION,
+    LAYOUT_OPTION,
+    {
+      type: STRING_OPTION,
+      name: 'emoji',
+      description: 'Only export this emoji',
+      autocomplete: true,
+    },
+    ...EXPORT_OPTIONS,
+  ],
+};
+
+export const CHANNEL_REACTIONS_COMMAND = {
+  name: 'channel-reactions',
+  type: CHAT_INPUT_COMMAND,
+  default_member_permissions: EXPORT_PERMISSIONS,
+  description:
+    'Export the reactions on the latest messages in a channel, or a whole thread',
+  options: [
+    {
+      type: CHANNEL_OPTION,
+      name: 'channel',
+      description: 'The channel or thread (default this one)',
+    },
+    {
+      type: INTEGER_OPTION,
+      name: 'count',
+      description: `How many of the latest messages to check (default ${DEFAULT_CHANNEL_MESSAGES}, or all of a thread)`,
+      min_value: 1,
+      max_value: MAX_CHANNEL_MESSAGES,
+    },
+    {
+      type: STRING_OPTION,
+      name: 'emoji',
+      description: 'Only export this emoji',
+    },
+    ...EXPORT_OPTIONS,
+  ],
+};
+
+const SNAPSHOT_NAME_OPTION = {
+  type: STRING_OPTION,
+  name: 'name',
+  description: 'Name of the snapshot, like "friday"',
+  required: true,
+  max_length: MAX_SNAPSHOT_NAME_LENGTH,
+};
+
+export const SNAPSHOT_COMMAND = {
+  name: 'snapshot',
+  type: CHAT_INPUT_COMMAND,
+  default_member_permissions: EXPORT_PERMISSIONS,
+  description: 'Save the reactions on a message, to compare with later',
+  options: [MESSAGE_OPTION, SNAPSHOT_NAME_OPTION],
+};
+
+export const SNAPSHOT_DIFF_COMMAND = {
+  name: 'snapshot-diff',
+  type: CHAT_INPUT_COMMAND,
+  default_member_permissions: EXPORT_PERMISSIONS,
+  description: 'Export who added or removed a reaction since a snapshot',
+  options: [MESSAGE_OPTION, SNAPSHOT_NAME_OPTION, FORMAT_OPTION],
+};
+
+export const SCHEDULE_COMMAND = {
+  name: 'schedule',
+  type: CHAT_INPUT_COMMAND,
+  default_member_permissions: EXPORT_PERMISSIONS,
+  description: 'Post an export of a message to a channel later on',
+  dm_permission: false,
+  options: [
+    {
+      type: SUB_COMMAND,
+      name: 'add',
+      description: 'Schedule an export',
+      options: [
+        MESSAGE_OPTION,
+        {
+          type: STRING_OPTION,
+          name: 'when',
+          description:
+            'A timestamp like <t:1700000000>, or 2024-05-17T18:00+02:00',
+          required: true,
+        },
+        {
+          type: CHANNEL_OPTION,
+          name: 'channel',
+          description: 'Where to post the export (default this channel)',
+          channel_types: POSTABLE_CHANNEL_TYPES,
+        },
+        LAYOUT_OPTION,
+        FORMAT_OPTION,
+      ],
+    },
+    {
+      type: SUB_COMMAND,
+      name: 'list',
+      description: 'List the exports waiting to be posted',
+    },
+    {
+      type: SUB_COMMAND,
+      name: 'cancel',
+      description: 'Cancel a scheduled export',
+      options: [
+        {
+          type: STRING_OPTION,
+          name: 'id',
+          description: 'The ID shown by /schedule list',
+          required: true,
+        },
+      ],
+    },
+  ],
+};
+
+export const DRAW_COMMAND = {
+  name: 'draw',
+  type: CHAT_INPUT_COMMAND,
+  default_member_permissions: EXPORT_PERMISSIONS,
+  description: 'Draw random winners from the people who reacted to a message',
+  options: [
+    MESSAGE_OPTION,
+    {
+      type: STRING_OPTION,
+      name: 'emoji',
+      description:
+        'The emoji to enter with, like 🎉 (separate several with spaces)',
+      required: true,
+    },
+    {
+      type: INTEGER_OPTION,
+      name: 'winners',
+      description: 'How many winners to draw (default 1)',
+      min_value: 1,
+      max_value: MAX_WINNERS,
+    },
+    {
+      type: STRING_OPTION,
+      name: 'seed',
+      description:
+        'Seed for the draw, to repeat an earlier one (default random)',
+    },
+    {
+      type: BOOLEAN_OPTION,
+      name: 'include_bots',
+      description: 'Let bots win (default false)',
+    },
+    {
+      type: BOOLEAN_OPTION,
+      name: 'exclude_author',
+      description: 'Leave out the message author (default true)',
+    },
+    {
+      type: ROLE_OPTION,
+      name: 'role',
+      description: 'Only members with this role can win',
+    },
+  ],
+};
+
+export const ACCESS_COMMAND = {
+  name: 'access',
+  type: CHAT_INPUT_COMMAND,
+  description: 'Choose who else can export reactions in this server',
+  default_member_permissions: String(PERMISSIONS.MANAGE_GUILD),
+  dm_permission: false,
+  options: [
+    {
+      type: SUB_COMMAND,
+      name: 'show',
+      description: 'Show who can export',
+    },
+    {
+      type: SUB_COMMAND,
+      name: 'allow',
+      description: 'Let members with a role export',
+      options: [
+        {
+          type: ROLE_OPTION,
+          name: 'role',
+          description: 'The role to allow',
+          required: true,
+        },
+      ],
+    },
+    {
+      type: SUB_COMMAND,
+      name: 'disallow',
+      description: 'Stop allowing a role to export',
+      options: [
+        {
+          type: ROLE_OPTION,
+          name: 'role',
+          description: 'The role to stop allowing',
+          required: true,
+        },
+      ],
+    },
+  ],
+};
+
+export const CSV_SETTINGS_COMMAND = {
+  name: 'csv-settings',
+  type: CHAT_INPUT_COMMAND,
+  description: "Change this server's defaults for exports",
+  default_member_permissions: String(PERMISSIONS.MANAGE_GUILD),
+  dm_permission: false,
+  options: [
+    {
+      type: SUB_COMMAND,
+      name: 'show',
+      description: "Show this server's defaults",
+    },
+    {
+      type: SUB_COMMAND,
+      name: 'set',
+      description: 'Set defaults (the options left out stay as they are)',
+      options: [LAYOUT_OPTION, ...EXPORT_OPTIONS].filter(
+        ({ name }) => name in EXPORT_SETTINGS,
+      ),
+    },
+    {
+      type: SUB_COMMAND,
+      name: 'reset',
+      description: 'Go back to the built-in defaults',
+    },
+  ],
+};
+
 export const INVITE_COMMAND = {
   name: 'invite',
   description: 'Get an invite link to add the bot to your server',
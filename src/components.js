@@ -0,0 +1,339 @@
+/**
+ * Buttons, the emoji select menu and the columns modal that come with an
+ * export, for running it again a little differently.  Everything needed to
+ * do that is packed into each component's `custom_id` (see `fitsInCustomId`),
+ * apart from which emojis are picked, which the select menu itself remembers.
+ * https://discord.com/developers/docs/interactions/message-components
+ */
+
+import {
+  ButtonStyleTypes,
+  MessageComponentTypes,
+  TextStyleTypes,
+} from 'discord-interactions';
+
+import { DEFAULT_LAYOUT, LAYOUTS, USER_COLUMNS } from './export.js';
+import { CSV_DELIMITERS, DEFAULT_FORMAT, FORMATS } from './formats.js';
+
+// Discord's limits.
+const MAX_CUSTOM_ID_LENGTH = 100;
+const MAX_SELECT_OPTIONS = 25;
+
+const FORMAT_NAMES = Object.keys(FORMATS);
+const LAYOUT_NAMES = Object.keys(LAYOUTS);
+const REACTION_TYPE_NAMES = ['', 'normal', 'super'];
+const COLUMN_NAMES = Object.keys(USER_COLUMNS);
+const DELIMITER_NAMES = Object.keys(CSV_DELIMITERS);
+
+// Snowflakes take fewer characters in base 36.
+function packId(id) {
+  return id ? BigInt(id).toString(36) : '';
+}
+
+function unpackId(packed) {
+  if (!packed) return undefined;
+  return [...packed]
+    .reduce((n, digit) => n * 36n + BigInt(parseInt(digit, 36)), 0n)
+    .toString();
+}
+
+// Labels typed into the `labels` option can't hold commas (see
+// `parseLabelOption`), so they're packed as `key=label` pairs joined by them.
+function packLabels(labels) {
+  if (!labels) return '';
+  return [...labels].map(([key, label]) => `${key}=${label}`).join(',');
+}
+
+function unpackLabels(packed) {
+  if (!packed) return undefined;
+  return new Map(
+    packed.split(',').map((pair) => {
+      const split = pair.indexOf('=');
+      return [pair.slice(0, split), pair.slice(split + 1)];
+    }),
+  );
+}
+
+/**
+ * Pack what an export was of (`ref`, from its source) and its `options` into
+ * a string for a `custom_id`.  The `labels` go last, since they can hold
+ * anything but commas.
+ */
+export function packState(ref, options) {
+  const {
+    format = DEFAULT_FORMAT,
+    layout = DEFAULT_LAYOUT,
+    reactionType = '',
+    includeBots = true,
+    excludeAuthor = false,
+    dedupe = false,
+    emojiColumns = false,
+    summary = false,
+    link = false,
+    quoteAll = false,
+    safe = true,
+    delimiter = DELIMITER_NAMES[0],
+    roleId,
+    userColumns = [],
+  } = options;
+  const flags =
+    (includeBots ? 0 : 1) |
+    (excludeAuthor ? 2 : 0) |
+    (dedupe ? 4 : 0) |
+    (emojiColumns ? 8 : 0) |
+    (summary ? 16 : 0) |
+    (link ? 32 : 0) |
+    (quoteAll ? 64 : 0) |
+    (safe ? 0 : 128);
+  const columns = COLUMN_NAMES.reduce(
+    (mask, name, i) => (userColumns.includes(name) ? mask | (1 << i) : mask),
+    0,
+  );
+  const source =
+    ref.type === 'channel'
+      ? ['c', packId(ref.channelId), ref.count.toString(36)]
+      : ['m', packId(ref.channelId), packId(ref.messageId)];
+  return [
+    ...source,
+    FORMAT_NAMES.indexOf(format),
+    LAYOUT_NAMES.indexOf(layout),
+    REACTION_TYPE_NAMES.indexOf(reactionType),
+    flags,
+    columns.toString(36),
+    packId(roleId),
+    DELIMITER_NAMES.indexOf(delimiter),
+    packLabels(options.labels),
+  ].join('.');
+}
+
+/**
+ * The `{ ref, options }` packed by `packState`.
+ */
+export function unpackState(state) {
+  const [
+    type,
+    channel,
+    third,
+    format,
+    layout,
+    reactionType,
+    flags,
+    columns,
+    roleId,
+    delimiter,
+    ...labels
+  ] = state.split('.');
+  const ref =
+    type === 'c'
+      ? {
+          type: 'channel',
+          channelId: unpackId(channel),
+          count: parseInt(third, 36),
+        }
+      : {
+          type: 'message',
+          channelId: unpackId(channel),
+          messageId: unpackId(third),
+        };
+  const flagBits = Number(flags);
+  const columnBits = parseInt(columns, 36);
+  return {
+    ref,
+    options: {
+      format: FORMAT_NAMES[format],
+      layout: LAYOUT_NAMES[layout],
+      reactionType: REACTION_TYPE_NAMES[reactionType] || undefined,
+      includeBots: !(flagBits & 1),
+      excludeAuthor: Boolean(flagBits & 2),
+      dedupe: Boolean(flagBits & 4),
+      emojiColumns: Boolean(flagBits & 8),
+      summary: Boolean(flagBits & 16),
+      link: Boolean(flagBits & 32),
+      quoteAll: Boolean(flagBits & 64),
+      safe: !(flagBits & 128),
+      delimiter: DELIMITER_NAMES[delimiter ?? 0],
+      roleId: unpackId(roleId),
+      userColumns: COLUMN_NAMES.filter((name, i) => columnBits & (1 << i)),
+      labels: unpackLabels(labels.join('.')),
+    },
+  };
+}
+
+// What each component does, by the action at the start of its `custom_id`.
+export const EXPORT_ACTIONS = {
+  format: 'format',
+  nicknames: 'nick',
+  pivot: 'pivot',
+  columns: 'cols',
+  emojis: 'emoji',
+  public: 'public',
+};
+
+// Every export component's `custom_id` starts with this.
+const CUSTOM_ID_PREFIX = 'export';
+
+function customId(action, state) {
+  const id = `${CUSTOM_ID_PREFIX}:${action}:${state}`;
+  if (id.length > MAX_CUSTOM_ID_LENGTH)
+    throw new Error(`custom_id too long: ${id}`);
+  return id;
+}
+
+const LONGEST_ACTION = Object.values(EXPORT_ACTIONS).reduce((a, b) =>
+  b.length > a.length ? b : a,
+);
+
+/**
+ * Whether the components for an export of `ref` made with `options` can
+ * carry everything about it.  Long enough `labels` won't fit.
+ */
+export function fitsInCustomId(ref, options) {
+  const id = `${CUSTOM_ID_PREFIX}:${LONGEST_ACTION}:${packState(ref, options)}`;
+  return id.length <= MAX_CUSTOM_ID_LENGTH;
+}
+
+/**
+ * The action and state in an export component's `custom_id`, or undefined if
+ * it isn't one.
+ */
+export function parseCustomId(id = '') {
+  const [prefix, action, ...rest] = id.split(':');
+  // Labels in the state can hold colons.
+  const state = rest.join(':');
+  if (prefix !== CUSTOM_ID_PREFIX || !state) return undefined;
+  if (!Object.values(EXPORT_ACTIONS).includes(action)) return undefined;
+  return { action, ...unpackState(state) };
+}
+
+function button(label, action, state) {
+  return {
+    type: MessageComponentTypes.BUTTON,
+    style: ButtonStyleTypes.SECONDARY,
+    label,
+    custom_id: customId(action, state),
+  };
+}
+
+/**
+ * Components for an export of `ref` made with `options`: buttons to change
+ * the most common options, and a select menu of `emojis` (as from
+ * `messageEmojis`) with the `selectedKeys` picked.
+ */
+export function exportComponents(ref, options, emojis, selectedKeys) {
+  const state = packState(ref, options);
+  const { format, layout, userColumns = [] } = options;
+  const buttons = [
+    button(
+      format === 'json' ? 'Download as CSV' : 'Download as JSON',
+      EXPORT_ACTIONS.format,
+      state,
+    ),
+    button(
+      userColumns.includes('nickname')
+        ? 'Leave out nicknames'
+        : 'Include nicknames',
+      EXPORT_ACTIONS.nicknames,
+      state,
+    ),
+    button(
+      layout === 'users' ? 'One row per reaction' : 'Pivot by user',
+      EXPORT_ACTIONS.pivot,
+      state,
+    ),
+    button('Columns…', EXPORT_ACTIONS.columns, state),
+    {
+      ...button('Post publicly', EXPORT_ACTIONS.public, state),
+      style: ButtonStyleTypes.PRIMARY,
+    },
+  ];
+  const rows = [
+    { type: MessageComponentTypes.ACTION_ROW, components: buttons },
+  ];
+
+  const choices = emojis.slice(0, MAX_SELECT_OPTIONS);
+  if (choices.length > 1) {
+    rows.push({
+      type: MessageComponentTypes.ACTION_ROW,
+      components: [
+        {
+          type: MessageComponentTypes.STRING_SELECT,
+          custom_id: customId(EXPORT_ACTIONS.emojis, state),
+          placeholder: 'All emojis',
+          min_values: 1,
+          max_values: choices.length,
+          options: choices.map(({ key, emoji }) => ({
+            label: key.slice(0, 100),
+            value: key.slice(0, 100),
+            ...(emoji && { emoji: { id: emoji.id, name: emoji.name } }),
+            ...(selectedKeys?.includes(key) && { default: true }),
+          })),
+        },
+      ],
+    });
+  }
+  return rows;
+}
+
+/**
+ * The emoji keys picked in the select menu on an export `message`, or
+ * undefined if it's showing all of them.
+ */
+export function selectedEmojiKeys(message) {
+  for (const row of message?.components ?? []) {
+    for (const component of row.components ?? []) {
+      if (
+        parseCustomId(component.custom_id)?.action !== EXPORT_ACTIONS.emojis
+      ) {
+        continue;
+      }
+      const picked = component.options
+        .filter((option) => option.default)
+        .map(({ value }) => value);
+      return picked.length ? picked : undefined;
+    }
+  }
+}
+
+// The one text input in the columns modal.
+const COLUMNS_INPUT = 'columns';
+
+/**
+ * A modal asking which extra user columns to include.
+ */
+export function columnsModal(ref, options) {
+  return {
+    custom_id: customId(EXPORT_ACTIONS.columns, packState(ref, options)),
+    title: 'Extra user columns',
+    components: [
+      {
+        type: MessageComponentTypes.ACTION_ROW,
+        components: [
+          {
+            type: MessageComponentTypes.INPUT_TEXT,
+            custom_id: COLUMNS_INPUT,
+            style: TextStyleTypes.SHORT,
+            label: 'Columns',
+            placeholder: `${COLUMN_NAMES.join(', ')}, or all`,
+            // Discord won't take an empty value.
+            ...(options.userColumns?.length && {
+              value: options.userColumns.join(', '),
+            }),
+            required: false,
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * What was typed into the columns modal.
+ */
+export function submittedColumns(data) {
+  for (const row of data.components ?? []) {
+    for (const { custom_id, value } of row.components ?? []) {
+      if (custom_id === COLUMNS_INPUT) return value ?? '';
+    }
+  }
+  return '';
+}
@@ -0,0 +1,190 @@
+/**
+ * A small Discord REST client that plays nicely with Discord's rate limits.
+ * https://discord.com/developers/docs/topics/rate-limits
+ */
+
+export const API_BASE = 'https://discord.com/api/v10';
+
+// Responses that are worth trying again after a pause.
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// A server error doesn't say whether the request went through, so only
+// requests that are harmless to repeat are retried after one.  A 429 means
+// it didn't, so those are always retried.  Discord's PATCH endpoints set the
+// fields they're given, so repeating an edit changes nothing.
+const IDEMPOTENT_METHODS = new Set(['GET', 'PUT', 'PATCH', 'DELETE']);
+
+export const DEFAULT_MAX_RETRIES = 3;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export class DiscordApiError extends Error {
+  constructor(res, body) {
+    super(`HTTP ${res.status} error: ${body}`);
+    this.name = 'DiscordApiError';
+    this.url = res.url;
+    this.status = res.status;
+    this.statusText = res.statusText;
+    this.body = body;
+  }
+}
+
+/**
+ * Discord rate limits each route separately per "major parameter" (channel,
+ * guild or webhook), so those stay in the key while other ids are lumped
+ * together.
+ */
+export function routeKey(method, path) {
+  const route = path
+    .split('?')[0]
+    .replace(/\/reactions\/[^/]+/, '/reactions/:emoji')
+    .replace(/(?<!channels|guilds|webhooks)\/\d{5,}/g, '/:id');
+  return `${method} ${route}`;
+}
+
+function majorParameter(path) {
+  return path.match(/\/(?:channels|guilds|webhooks)\/\d+/)?.[0] ?? '';
+}
+
+// How long to wait (in ms) before retrying a 429, and whether it applies to
+// every request rather than just this route.
+function parseRateLimited(res, text) {
+  let body = {};
+  try {
+    body = JSON.parse(text);
+  } catch {
+    // Not JSON, probably from Cloudflare rather than Discord.
+  }
+  const seconds =
+    body.retry_after ?? (Number(res.headers.get('Retry-After')) || 1);
+  const global =
+    body.global === true || res.headers.get('X-RateLimit-Global') === 'true';
+  return { retryAfter: seconds * 1000, global };
+}
+
+export class DiscordClient {
+  constructor(env, { maxRetries = DEFAULT_MAX_RETRIES, wait = sleep } = {}) {
+    this.token = env.DISCORD_TOKEN;
+    this.maxRetries = maxRetries;
+    this.wait = wait;
+    // route key -> bucket hash from `X-RateLimit-Bucket`
+    this.routeBuckets = new Map();
+    // bucket hash + major parameter -> { remaining, resetAt }
+    this.buckets = new Map();
+    this.globalResetAt = 0;
+  }
+
+  get(path, options) {
+    return this.request('GET', path, options);
+  }
+
+  post(path, options) {
+    return this.request('POST', path, options);
+  }
+
+  put(path, options) {
+    return this.request('PUT', path, options);
+  }
+
+  patch(path, options) {
+    return this.request('PATCH', path, options);
+  }
+
+  delete(path, options) {
+    return this.request('DELETE', path, options);
+  }
+
+  /**
+   * Make a request to the Discord API, waiting out any known rate limit
+   * first, and retrying 429s (and server errors, unless it's a POST that
+   * might have gone through).  `body` may be `FormData`,
+   * otherwise it's sent as JSON.  Set `auth` to false for endpoints that
+   * don't take the bot token, like interaction webhooks.  Resolves to the
+   * parsed response body.
+   */
+  async request(method, path, { query, body, auth = true } = {}) {
+    let url = API_BASE + path;
+    if (query) {
+      const params = Object.entries(query).filter(([, v]) => v !== undefined);
+      if (params.length) url += '?' + new URLSearchParams(params);
+    }
+
+    const init = { method, headers: {} };
+    // User-Agent? Others don't seem to...
+    if (auth) init.headers.Authorization = `Bot ${this.token}`;
+    if (body instanceof FormData) {
+      init.body = body;
+    } else if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+
+    const route = routeKey(method, path);
+    const major = majorParameter(path);
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForRateLimit(route, major);
+
+      const res = await fetch(url, init);
+      if (!res) throw new Error('fetch returned falsy response');
+      this.updateRateLimit(route, major, res);
+
+      if (res.ok) {
+        if (res.status === 204) return null;
+        const type = res.headers.get('Content-Type') ?? '';
+        return type.includes('json') ? await res.json() : await res.text();
+      }
+
+      const text = await res.text();
+      const retryable =
+        res.status === 429 ||
+        (RETRYABLE_STATUSES.has(res.status) && IDEMPOTENT_METHODS.has(method));
+      if (!retryable || attempt >= this.maxRetries) {
+        throw new DiscordApiError(res, text);
+      }
+
+      if (res.status === 429) {
+        const { retryAfter, global } = parseRateLimited(res, text);
+        // A global limit gets waited out before the next attempt.
+        if (global) this.globalResetAt = Date.now() + retryAfter;
+        else await this.wait(retryAfter);
+      } else {
+        await this.wait(1000 * 2 ** attempt);
+      }
+    }
+  }
+
+  async waitForRateLimit(route, major) {
+    const globalWait = this.globalResetAt - Date.now();
+    if (globalWait > 0) await this.wait(globalWait);
+
+    const key = this.routeBuckets.get(route);
+    const bucket = key && this.buckets.get(key + major);
+    if (!bucket) return;
+
+    if (bucket.remaining > 0) {
+      // Count ourselves against the limit now, so concurrent requests to the
+      // same bucket don't all think they're the last one in.
+      bucket.remaining--;
+      return;
+    }
+    const bucketWait = bucket.resetAt - Date.now();
+    if (bucketWait > 0) await this.wait(bucketWait);
+    this.buckets.delete(key + major);
+  }
+
+  updateRateLimit(route, major, res) {
+    const { headers } = res;
+    const key = headers.get('X-RateLimit-Bucket');
+    if (!key) return;
+
+    this.routeBuckets.set(route, key);
+    const remaining = Number(headers.get('X-RateLimit-Remaining'));
+    const resetAfter = Number(headers.get('X-RateLimit-Reset-After'));
+    this.buckets.set(key + major, {
+      remaining: Number.isNaN(remaining) ? 1 : remaining,
+      resetAt: Date.now() + (Number.isNaN(resetAfter) ? 0 : resetAfter * 1000),
+    });
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * Drawing giveaway winners from the people who reacted, in a way anyone can
+ * check: given the seed and the entrants, the draw always comes out the same.
+ */
+
+// How many winners a single draw can have.
+export const MAX_WINNERS = 50;
+
+/**
+ * A fresh seed, for when nobody picked one.
+ */
+export function randomSeed() {
+  return crypto.randomUUID().replaceAll('-', '').slice(0, 16);
+}
+
+// Snowflakes are too big for Numbers, but sort fine as BigInts.
+function byId(a, b) {
+  const diff = BigInt(a.id) - BigInt(b.id);
+  return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+}
+
+/**
+ * Each user once, in ID order.  This is the order the draw works from, so
+ * it mustn't depend on the order Discord happened to return them in.
+ */
+export function entrantList(users) {
+  const byUserId = new Map(users.map((user) => [user.id, user]));
+  return [...byUserId.values()].sort(byId);
+}
+
+// SHA-256 of `text`, as one big number.
+async function sha256(text) {
+  const digest = await crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(text),
+  );
+  const hex = [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+  return BigInt('0x' + hex);
+}
+
+/**
+ * Draw up to `count` winners from `entrants` (as from `entrantList`).  Round
+ * `i` (from 0) takes SHA-256 of "<seed>:<i>" modulo the number of entrants
+ * still in the running, and the entrant at that position wins and drops out.
+ */
+export async function drawWinners(entrants, count, seed) {
+  const remaining = [...entrants];
+  const winners = [];
+  for (let round = 0; round < count && remaining.length; round++) {
+    const hash = await sha256(`${seed}:${round}`);
+    const index = Number(hash % BigInt(remaining.length));
+    winners.push(...remaining.splice(index, 1));
+  }
+  return winners;
+}
+
+export const DRAW_COLUMNS = [
+  'entry',
+  'discordUserId',
+  'discordUserName',
+  'winner',
+];
+
+/**
+ * One row per entrant, in draw order, with the place of each winner.
+ */
+export function drawRows(entrants, winners) {
+  const places = new Map(winners.map(({ id }, i) => [id, i + 1]));
+  return entrants.map((user, i) => ({
+    entry: i + 1,
+    discordUserId: user.id,
+    discordUserName: user.username,
+    winner: places.get(user.id) ?? '',
+  }));
+}
+
+/**
+ * The announcement, with everything needed to check the draw.  A `seedGiven`
+ * by whoever ran the draw is called out, since they could have tried seeds
+ * until one picked the winner they wanted; it's only fair for repeating a
+ * draw that was already posted.
+ */
+export function describeDraw({
+  winners,
+  entrants,
+  seed,
+  seedGiven = false,
+  emojiKeys,
+  link,
+}) {
+  const lines = [
+    `**Winners** of ${link}, drawn from ${entrants.length} people who reacted with ${emojiKeys.join(' ')}:`,
+    ...winners.map((user, i) => `${i + 1}. <@${user.id}>`),
+  ];
+  if (!winners.length) lines.push('nobody could be drawn');
+  lines.push(
+    seedGiven
+      ? `This is a repeat of an earlier draw with seed \`${seed}\`, which was typed in rather than picked at random (the attached entrant list and this seed reproduce the draw)`
+      : `Seed: \`${seed}\`, picked at random (the attached entrant list and this seed reproduce the draw)`,
+  );
+  return lines.join('\n');
+}
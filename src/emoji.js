@@ -0,0 +1,83 @@
+/**
+ * Names for emojis that survive tools which mangle emoji characters: Discord's
+ * `:shortcode:` names for Unicode emojis (from the table in `shortcodes.js`),
+ * plain ASCII names, and image URLs for custom emojis.
+ */
+
+import { SHORTCODES } from './shortcodes.js';
+import { CDN_BASE } from './util.js';
+
+/**
+ * A Unicode emoji without its variation selectors, which only pick text or
+ * emoji style, so the same emoji always looks the same.
+ */
+export function plainEmoji(name) {
+  return name.replace(/\uFE0F/g, '');
+}
+
+// Skin tones come last, and Discord names them `<name>_tone1` to `_tone5`.
+const SKIN_TONES = ['🏻', '🏼', '🏽', '🏾', '🏿'];
+
+// The shortcode name for a Unicode emoji, without the colons.
+function unicodeShortcode(name) {
+  const plain = plainEmoji(name);
+  if (plain in SHORTCODES) return SHORTCODES[plain];
+  const tone = SKIN_TONES.findIndex((skin) => plain.endsWith(skin));
+  if (tone === -1) return undefined;
+  const base = SHORTCODES[plain.slice(0, -SKIN_TONES[tone].length)];
+  return base && `${base}_tone${tone + 1}`;
+}
+
+/**
+ * The `:shortcode:` for an emoji (as in the `emoji` field of a reaction), or
+ * an empty string for a Unicode emoji we don't have a name for.
+ */
+export function emojiShortcode(emoji) {
+  if (!emoji?.name) return '';
+  const name = emoji.id ? emoji.name : unicodeShortcode(emoji.name);
+  return name ? `:${name}:` : '';
+}
+
+/**
+ * A name for an emoji in nothing but ASCII: its shortcode name if it has one,
+ * otherwise its code points (like `u1f9cb`).
+ */
+export function asciiEmojiName(emoji) {
+  if (!emoji?.name) return '';
+  if (emoji.id) return emoji.name;
+  return (
+    unicodeShortcode(emoji.name) ??
+    [...plainEmoji(emoji.name)]
+      .map((char) => 'u' + char.codePointAt(0).toString(16))
+      .join('_')
+  );
+}
+
+/**
+ * Where to find a custom emoji's image, or an empty string for a Unicode one.
+ * https://discord.com/developers/docs/reference#image-formatting
+ */
+export function emojiUrl(emoji) {
+  if (!emoji?.id) return '';
+  return `${CDN_BASE}/emojis/${emoji.id}.${emoji.animated ? 'gif' : 'png'}`;
+}
+
+export const EMOJI_COLUMNS = [
+  'emojiShortcode',
+  'emojiAsciiName',
+  'emojiAnimated',
+  'emojiUrl',
+];
+
+/**
+ * The `EMOJI_COLUMNS` for an emoji.  Poll answers might not have one, which
+ * leaves them empty.
+ */
+export function emojiFields(emoji) {
+  return {
+    emojiShortcode: emojiShortcode(emoji),
+    emojiAsciiName: asciiEmojiName(emoji),
+    emojiAnimated: Boolean(emoji?.animated),
+    emojiUrl: emojiUrl(emoji),
+  };
+}
@@ -0,0 +1,578 @@
+/**
+ * Gathering everything that ends up in an export, independent of how it gets
+ * delivered back to Discord.
+ */
+
+import { EMOJI_COLUMNS, emojiFields } from './emoji.js';
+import {
+  avatarUrl,
+  mapConcurrent,
+  messageLink,
+  readableEmojiKey,
+} from './util.js';
+
+// How many emojis to fetch users for at once.
+export const FETCH_CONCURRENCY = 4;
+
+// How many messages a channel export looks at, unless asked for more (or it's
+// a thread, where it looks at all of them).
+export const DEFAULT_CHANNEL_MESSAGES = 50;
+export const MAX_CHANNEL_MESSAGES = 500;
+
+/**
+ * Whether `emoji` is the one `filter` names, either by its key, its name, or
+ * the way it's written in a message (`<:name:id>`).
+ */
+export function matchesEmoji(emoji, filter) {
+  const wanted = filter.trim();
+  const { name, id, animated } = emoji;
+  return (
+    wanted === readableEmojiKey(emoji) ||
+    wanted === name ||
+    (id && wanted === `<${animated ? 'a' : ''}:${name}:${id}>`)
+  );
+}
+
+/**
+ * Which kinds of reaction there are for `reaction`, going by its
+ * `count_details` (which older messages don't have).
+ */
+function reactionTypes({ count, count_details }) {
+  if (!count_details) return count ? ['normal'] : [];
+  const types = [];
+  if (count_details.normal) types.push('normal');
+  if (count_details.burst) types.push('super');
+  return types;
+}
+
+// How to refer to an emoji in notes, accounting for super reactions and
+// poll answers.
+function reactionLabel({ emojiKey, reactionType }) {
+  if (reactionType === 'super') return `${emojiKey} (super)`;
+  if (reactionType === 'vote') return `"${emojiKey}" (poll)`;
+  return emojiKey;
+}
+
+/**
+ * Fetch the users for every reaction on `message`, most popular emoji first.
+ * Each result keeps a reference to its `message`.
+ * Normal and super reactions are fetched separately, unless `reactionType`
+ * asks for only one kind.  An emoji that can't be fetched doesn't sink the
+ * whole export; it's reported in `skipped` along with the reason instead.  If
+ * `emoji` is given, only that emoji is fetched, and if `emojiKeys` are, only
+ * the emojis with those keys.
+ */
+export async function collectReactions(
+  message,
+  fetcher,
+  { emoji, emojiKeys, reactionType } = {},
+) {
+  let reactions = message.reactions ?? [];
+  if (emoji) reactions = reactions.filter((r) => matchesEmoji(r.emoji, emoji));
+  if (emojiKeys) {
+    reactions = reactions.filter((r) =>
+      emojiKeys.includes(readableEmojiKey(r.emoji)),
+    );
+  }
+  reactions = [...reactions];
+  reactions.sort((a, b) => b.count - a.count); // higher count first
+
+  const wanted = (type) => !reactionType || reactionType === type;
+  const tasks = reactions.flatMap((reaction) =>
+    reactionTypes(reaction)
+      .filter(wanted)
+      .map((type) => ({ emoji: reaction.emoji, reactionType: type })),
+  );
+
+  const settled = await mapConcurrent(
+    tasks,
+    FETCH_CONCURRENCY,
+    async ({ emoji, reactionType }) => {
+      const result = {
+        message,
+        emoji,
+        emojiKey: readableEmojiKey(emoji),
+        reactionType,
+      };
+      try {
+        result.users = await fetcher.fetch(emoji, reactionType);
+      } catch (e) {
+        console.error(e);
+        result.error = e?.message ?? String(e);
+      }
+      return result;
+    },
+  );
+
+  const results = settled.filter(({ error }) => error === undefined);
+  const skipped = settled.filter(({ error }) => error !== undefined);
+  const truncated = results.filter(({ users }) => users.truncated);
+  return { results, skipped, truncated };
+}
+
+/**
+ * How to refer to a poll answer in place of an emoji: its text, or its emoji
+ * if it somehow has no text.
+ */
+function answerKey({ poll_media: { text, emoji } = {} }) {
+  return text || (emoji ? readableEmojiKey(emoji) : '');
+}
+
+/**
+ * Fetch the voters for each answer of `message`'s native poll, in the same
+ * shape as `collectReactions`, with `reactionType` "vote" and the answer text
+ * in place of the emoji key.  `emoji` picks out a single answer, by its text
+ * or its emoji, and `emojiKeys` picks answers by their keys.  Asking for a
+ * `reactionType` means reactions only, so no votes.
+ */
+export async function collectPollVotes(
+  message,
+  fetcher,
+  { emoji, emojiKeys, reactionType } = {},
+) {
+  let answers = reactionType ? [] : (message.poll?.answers ?? []);
+  if (emojiKeys) {
+    answers = answers.filter((answer) => emojiKeys.includes(answerKey(answer)));
+  }
+  if (emoji) {
+    answers = answers.filter((answer) => {
+      const answerEmoji = answer.poll_media?.emoji;
+      return (
+        answerKey(answer) === emoji.trim() ||
+        (answerEmoji && matchesEmoji(answerEmoji, emoji))
+      );
+    });
+  }
+
+  const settled = await mapConcurrent(
+    answers,
+    FETCH_CONCURRENCY,
+    async (answer) => {
+      const result = {
+        message,
+        emoji: answer.poll_media?.emoji,
+        emojiKey: answerKey(answer),
+        reactionType: 'vote',
+      };
+      try {
+        result.users = await fetcher.fetch(answer.answer_id);
+      } catch (e) {
+        console.error(e);
+        result.error = e?.message ?? String(e);
+      }
+      return result;
+    },
+  );
+
+  const results = settled.filter(({ error }) => error === undefined);
+  const skipped = settled.filter(({ error }) => error !== undefined);
+  const truncated = results.filter(({ users }) => users.truncated);
+  return { results, skipped, truncated };
+}
+
+/**
+ * Every emoji (and poll answer) on `messages` that could be exported, once
+ * each, as `{ key, emoji }`.  Answers without an emoji have none.
+ */
+export function messageEmojis(messages) {
+  const emojis = new Map();
+  for (const message of messages) {
+    for (const answer of message.poll?.answers ?? []) {
+      const key = answerKey(answer);
+      if (!emojis.has(key)) {
+        emojis.set(key, { key, emoji: answer.poll_media?.emoji });
+      }
+    }
+    for (const { emoji } of message.reactions ?? []) {
+      const key = readableEmojiKey(emoji);
+      if (!emojis.has(key)) emojis.set(key, { key, emoji });
+    }
+  }
+  return [...emojis.values()];
+}
+
+/**
+ * A predicate for which users the export should include: not bots (unless
+ * `includeBots`), not the users in `excludeUserIds`, and only those `members`
+ * says have the role `roleId`.  With `dedupe`, each user is only kept the
+ * first time they're seen.
+ */
+export function userFilter({
+  includeBots = true,
+  excludeUserIds = [],
+  roleId,
+  members,
+  dedupe = false,
+} = {}) {
+  const seen = new Set();
+  return (user) => {
+    if (!includeBots && user.bot) return false;
+    if (excludeUserIds.includes(user.id)) return false;
+    if (roleId && !members?.get(user.id)?.roles?.includes(roleId)) {
+      return false;
+    }
+    if (dedupe) {
+      if (seen.has(user.id)) return false;
+      seen.add(user.id);
+    }
+    return true;
+  };
+}
+
+/**
+ * Drop users the export shouldn't include, as decided by `userFilter`, and with
+ * `excludeAuthor`, the author of the message each result is from.  Since
+ * results are most popular first, `dedupe` keeps each user for the most
+ * popular emoji they reacted with.
+ */
+export function filterUsers(results, options = {}) {
+  const {
+    includeBots = true,
+    excludeUserIds = [],
+    excludeAuthor,
+    roleId,
+    dedupe,
+  } = options;
+  if (
+    includeBots &&
+    !excludeUserIds.length &&
+    !excludeAuthor &&
+    !roleId &&
+    !dedupe
+  ) {
+    return results;
+  }
+
+  const keep = userFilter(options);
+  return results.map((result) => {
+    const authorId = excludeAuthor && result.message?.author?.id;
+    return {
+      ...result,
+      users: result.users.filter((user) => user.id !== authorId && keep(user)),
+    };
+  });
+}
+
+/**
+ * Spell out which filters were applied, so nobody wonders where rows went.
+ */
+export function describeFilters({
+  includeBots = true,
+  excludeAuthor,
+  roleId,
+  dedupe,
+}) {
+  const filters = [];
+  if (!includeBots) filters.push('excluded bots');
+  if (excludeAuthor) filters.push('excluded the message author');
+  if (roleId) filters.push(`only members with <@&${roleId}>`);
+  if (dedupe) filters.push('each user only listed for their first emoji');
+  return filters.length ? `Filters: ${filters.join(', ')}` : '';
+}
+
+/**
+ * Optional columns about each user, by the name used to ask for them.
+ * `value` is given the user and, if there is one, their guild member.
+ */
+export const USER_COLUMNS = {
+  display_name: {
+    column: 'discordDisplayName',
+    value: (user) => user.global_name ?? '',
+  },
+  nickname: {
+    column: 'discordNickname',
+    value: (user, member) => member?.nick ?? '',
+    needsMembers: true,
+  },
+  bot: {
+    column: 'discordIsBot',
+    value: (user) => Boolean(user.bot),
+  },
+  avatar: {
+    column: 'discordAvatarUrl',
+    value: (user) => avatarUrl(user),
+  },
+};
+
+/**
+ * Turn a list like "nickname, avatar" into `USER_COLUMNS` names.  "all" asks
+ * for every one.  Anything that isn't a column name ends up in `unknown`.
+ */
+export function parseUserColumns(value = '') {
+  const columns = [];
+  const unknown = [];
+  for (const name of value
+    .toLowerCase()
+    .split(/[\s,]+/)
+    .filter(Boolean)) {
+    if (name === 'all') columns.push(...Object.keys(USER_COLUMNS));
+    else if (name in USER_COLUMNS) columns.push(name);
+    else unknown.push(name);
+  }
+  return { columns: [...new Set(columns)], unknown };
+}
+
+function userColumnNames(userColumns = []) {
+  return [
+    'discordUserId',
+    'discordUserName',
+    ...userColumns.map((name) => USER_COLUMNS[name].column),
+  ];
+}
+
+function userFields(user, { userColumns = [], members } = {}) {
+  const fields = {
+    discordUserId: user.id,
+    discordUserName: user.username,
+  };
+  const member = members?.get(user.id);
+  for (const name of userColumns) {
+    const { column, value } = USER_COLUMNS[name];
+    fields[column] = value(user, member);
+  }
+  return fields;
+}
+
+export const MESSAGE_COLUMNS = ['messageId', 'messageLink', 'messageSnippet'];
+
+// How much of each message's content to include in `messageSnippet`.
+const SNIPPET_LENGTH = 50;
+
+function messageFields(message, guildId) {
+  let snippet = (message.content ?? '').replace(/\s+/g, ' ').trim();
+  if (snippet.length > SNIPPET_LENGTH) {
+    snippet = snippet.slice(0, SNIPPET_LENGTH - 1) + '…';
+  }
+  return {
+    messageId: message.id,
+    messageLink: messageLink(guildId, message.channel_id, message.id),
+    messageSnippet: snippet,
+  };
+}
+
+// With `messageColumns`, an export covers several messages, so `text` about
+// an emoji starts with the ID of the message it's on to keep the same emoji
+// on different messages apart.
+function onMessage(result, text, { messageColumns } = {}) {
+  return messageColumns ? `${result.message.id} ${text}` : text;
+}
+
+/**
+ * The key `result`'s emoji is counted under, like `no:3000`, or `1000 no:3000`
+ * with `messageColumns`.
+ */
+export function messageEmojiKey(result, options) {
+  return onMessage(result, result.emojiKey, options);
+}
+
+// Layouts with a column per emoji head it with the emoji's label (see
+// `labelResults`), if it has one.
+function emojiHeader(result, options) {
+  return onMessage(result, result.label ?? result.emojiKey, options);
+}
+
+/**
+ * What to head `result`'s column with when its label or poll answer is already
+ * taken: the label followed by its emoji, like `yes (✅)`, or the answer in
+ * quotes.
+ */
+export function fallbackHeader(result) {
+  if (result.label !== undefined) return `${result.label} (${result.emojiKey})`;
+  return result.reactionType === 'vote'
+    ? reactionLabel(result)
+    : result.emojiKey;
+}
+
+/**
+ * `headers` (as `{ header, fallback }`) made unique: any header that repeats
+ * or is one of the `reserved` columns uses its fallback, and any that is still
+ * taken gets a number after it.
+ */
+export function uniqueHeaders(headers, reserved = []) {
+  const counts = new Map();
+  for (const { header } of headers) {
+    counts.set(header, (counts.get(header) ?? 0) + 1);
+  }
+  const taken = new Set(reserved);
+  return headers.map(({ header, fallback }) => {
+    const name =
+      counts.get(header) > 1 || taken.has(header) ? fallback : header;
+    let unique = name;
+    for (let n = 2; taken.has(unique); n++) unique = `${name} ${n}`;
+    taken.add(unique);
+    return unique;
+  });
+}
+
+// The header for each emoji column in `results`, by `messageEmojiKey`, none
+// of them the same as another or as one of `reserved`.
+function emojiHeaders(results, options, reserved) {
+  const firsts = new Map();
+  for (const result of results) {
+    const key = messageEmojiKey(result, options);
+    if (!firsts.has(key)) firsts.set(key, result);
+  }
+  const headers = uniqueHeaders(
+    [...firsts.values()].map((result) => ({
+      header: emojiHeader(result, options),
+      fallback: onMessage(result, fallbackHeader(result), options),
+    })),
+    reserved,
+  );
+  return new Map([...firsts.keys()].map((key, i) => [key, headers[i]]));
+}
+
+export const REACTION_COLUMNS = [
+  'emoji',
+  'discordUserId',
+  'discordUserName',
+  'reactionType',
+];
+
+/**
+ * One row per (emoji, reaction type, user), keyed by `REACTION_COLUMNS` and
+ * any extra `userColumns`.  `members` maps user IDs to guild members, for the
+ * columns that need them.  With `messageColumns`, each row starts with
+ * `MESSAGE_COLUMNS` about the message it's from, linked to in `guildId`, and
+ * with `emojiColumns` the emoji is followed by its `EMOJI_COLUMNS`.  With
+ * `optionColumn`, the emoji's label goes in an `option` column.
+ */
+export function reactionRows(results, options = {}) {
+  const rows = [];
+  for (const result of results) {
+    const { emojiKey, reactionType = 'normal', users } = result;
+    const message =
+      options.messageColumns && messageFields(result.message, options.guildId);
+    const emoji = options.emojiColumns && emojiFields(result.emoji);
+    const option = options.optionColumn && { option: result.label ?? '' };
+    for (const user of users) {
+      rows.push({
+        ...message,
+        emoji: emojiKey,
+        ...emoji,
+        ...option,
+        ...userFields(user, options),
+        reactionType,
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * One row per user, with an `x` under each emoji they reacted with (normal or
+ * super) and their total number of reactions.  Users are in the order they're
+ * first seen.  With `messageColumns`, there's a column per message and emoji.
+ * Emojis with the same label get a column each (see `uniqueHeaders`).
+ */
+export function pivotRows(results, options = {}) {
+  const userColumns = userColumnNames(options.userColumns);
+  const headers = emojiHeaders(results, options, [
+    ...userColumns,
+    'totalReactions',
+  ]);
+  const header = (result) => headers.get(messageEmojiKey(result, options));
+  const emojiKeys = [...headers.values()];
+  const columns = [...userColumns, ...emojiKeys, 'totalReactions'];
+
+  const byUser = new Map();
+  for (const result of results) {
+    for (const user of result.users) {
+      let row = byUser.get(user.id);
+      if (!row) {
+        row = { ...userFields(user, options), totalReactions: 0 };
+        for (const key of emojiKeys) row[key] = '';
+        byUser.set(user.id, row);
+      }
+      row[header(result)] = 'x';
+      row.totalReactions++;
+    }
+  }
+  return { columns, rows: [...byUser.values()] };
+}
+
+/**
+ * One row per guild member in `roster`, with an `x` under each emoji they
+ * reacted with and whether they `reacted` at all.  This is how to find out who
+ * hasn't responded yet.
+ */
+export function rosterRows(results, options = {}) {
+  const { roster = [] } = options;
+  const userColumns = userColumnNames(options.userColumns);
+  const headers = emojiHeaders(results, options, [...userColumns, 'reacted']);
+  const header = (result) => headers.get(messageEmojiKey(result, options));
+  const emojiKeys = [...headers.values()];
+  const columns = [...userColumns, ...emojiKeys, 'reacted'];
+
+  const byUser = new Map();
+  for (const { user } of roster) {
+    const row = { ...userFields(user, options), reacted: false };
+    for (const key of emojiKeys) row[key] = '';
+    byUser.set(user.id, row);
+  }
+  for (const result of results) {
+    for (const user of result.users) {
+      const row = byUser.get(user.id);
+      if (!row) continue; // not on the roster
+      row[header(result)] = 'x';
+      row.reacted = true;
+    }
+  }
+  return { columns, rows: [...byUser.values()] };
+}
+
+/**
+ * Who on the roster hasn't reacted, as mentions.
+ */
+export function describeNonResponders(rows, { roleId } = {}) {
+  const waiting = rows.filter(({ reacted }) => !reacted);
+  const who = roleId ? `members with <@&${roleId}>` : 'members';
+  if (!waiting.length) return `All ${rows.length} ${who} have reacted`;
+  const mentions = waiting.map(({ discordUserId }) => `<@${discordUserId}>`);
+  return `${waiting.length} of ${rows.length} ${who} haven't reacted: ${mentions.join(' ')}`;
+}
+
+export const LAYOUTS = {
+  // One row per (emoji, reaction type, user).
+  reactions: (results, options = {}) => ({
+    columns: [
+      ...(options.messageColumns ? MESSAGE_COLUMNS : []),
+      'emoji',
+      ...(options.emojiColumns ? EMOJI_COLUMNS : []),
+      ...(options.optionColumn ? ['option'] : []),
+      ...userColumnNames(options.userColumns),
+      'reactionType',
+    ],
+    rows: reactionRows(results, options),
+  }),
+  // One row per user, one column per emoji.
+  users: pivotRows,
+  // One row per guild member, whether they reacted or not.
+  members: rosterRows,
+};
+
+export const DEFAULT_LAYOUT = 'reactions';
+
+export function buildLayout(layout, results, options) {
+  return (LAYOUTS[layout] ?? LAYOUTS[DEFAULT_LAYOUT])(results, options);
+}
+
+/**
+ * Human readable notes about anything missing from an export.
+ */
+export function describeReactions({ skipped, truncated }, fetcher) {
+  const notes = [];
+  if (truncated.length) {
+    const labels = truncated.map(reactionLabel);
+    notes.push(
+      `Only the first ${fetcher.maxUsers} users were included for: ${labels.join(' ')}`,
+    );
+  }
+  if (skipped.length) {
+    notes.push(`Skipped ${skipped.length} emoji that couldn't be fetched:`);
+    for (const result of skipped) {
+      notes.push(`- ${reactionLabel(result)}: ${result.error}`);
+    }
+  }
+  return notes.join('\n');
+}
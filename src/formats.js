@@ -0,0 +1,128 @@
+/**
+ * Output formats for exports.  Each one turns the same row model (a list of
+ * column names, and rows as objects keyed by those names) into file contents.
+ */
+
+import { CSV_DIALECTS, CsvBuilder, neutralizeFormula } from './util.js';
+
+// What the `delimiter` option can split CSV fields with.
+export const CSV_DELIMITERS = { comma: ',', semicolon: ';', tab: '\t' };
+
+// CSV in `dialect` (see `CSV_DIALECTS`), with the export's `delimiter`,
+// `quoteAll` and `safe` options on top.
+function csvBuilder(dialect) {
+  return (columns, rows, { delimiter, quoteAll, safe } = {}) => {
+    const builder = new CsvBuilder(columns, {
+      ...dialect,
+      delimiter: CSV_DELIMITERS[delimiter],
+      quoteAll,
+      safe,
+    });
+    for (const row of rows) {
+      builder.addLine(columns.map((column) => row[column]));
+    }
+    return builder.build();
+  };
+}
+
+// TSV has no quoting, so anything that would break up a cell becomes a space.
+// Spreadsheets open it too, so formulas are neutralized like in CSV, unless
+// `safe` is turned off.
+function tsvCell(val, safe) {
+  return String(safe ? neutralizeFormula(val) : val).replace(/[\t\r\n]+/g, ' ');
+}
+
+function buildTsv(columns, rows, { safe = true } = {}) {
+  const lines = [columns, ...rows.map((row) => columns.map((c) => row[c]))];
+  return lines
+    .map((line) => line.map((val) => tsvCell(val, safe)).join('\t') + '\n')
+    .join('');
+}
+
+// Only keep the requested columns, in order.
+function pick(columns, row) {
+  return Object.fromEntries(columns.map((column) => [column, row[column]]));
+}
+
+function buildJson(columns, rows) {
+  return JSON.stringify(
+    rows.map((row) => pick(columns, row)),
+    null,
+    2,
+  );
+}
+
+function buildNdjson(columns, rows) {
+  return rows.map((row) => JSON.stringify(pick(columns, row)) + '\n').join('');
+}
+
+function markdownCell(val) {
+  return String(val)
+    .replace(/[\\|]/g, '\\$&')
+    .replace(/[\r\n]+/g, ' ');
+}
+
+function buildMarkdown(columns, rows) {
+  const line = (cells) => `| ${cells.map(markdownCell).join(' | ')} |\n`;
+  return (
+    line(columns) +
+    line(columns.map(() => '---')) +
+    rows.map((row) => line(columns.map((c) => row[c]))).join('')
+  );
+}
+
+export const FORMATS = {
+  csv: {
+    name: 'CSV',
+    extension: 'csv',
+    type: 'text/csv',
+    build: csvBuilder(CSV_DIALECTS.default),
+  },
+  tsv: {
+    name: 'TSV',
+    extension: 'tsv',
+    type: 'text/tab-separated-values',
+    build: buildTsv,
+  },
+  json: {
+    name: 'JSON',
+    extension: 'json',
+    type: 'application/json',
+    build: buildJson,
+  },
+  ndjson: {
+    name: 'NDJSON',
+    extension: 'ndjson',
+    type: 'application/x-ndjson',
+    build: buildNdjson,
+  },
+  markdown: {
+    name: 'Markdown',
+    extension: 'md',
+    type: 'text/markdown',
+    build: buildMarkdown,
+  },
+  // Last, so the formats packed into components keep their positions.
+  excel: {
+    name: 'CSV for Excel',
+    extension: 'csv',
+    type: 'text/csv',
+    build: csvBuilder(CSV_DIALECTS.excel),
+  },
+};
+
+export const DEFAULT_FORMAT = 'csv';
+
+/**
+ * Build a file (as taken by `InteractionWebhook`) named `baseName` holding
+ * `rows` in the given format.  The export's `options` can change how CSV is
+ * written (see `csvBuilder`).
+ */
+export function formatFile(format, baseName, columns, rows, options = {}) {
+  const { extension, type, build } = FORMATS[format] ?? FORMATS[DEFAULT_FORMAT];
+  return {
+    name: `${baseName}.${extension}`,
+    type,
+    data: build(columns, rows, options),
+  };
+}
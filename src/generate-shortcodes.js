@@ -0,0 +1,52 @@
+import { readFile, writeFile } from 'node:fs/promises';
+
+/**
+ * This file is meant to be run from the command line, and is not used by the
+ * application server.  It writes `shortcodes.js` from the JoyPixels names in
+ * emojibase-data, which are the ones Discord uses, and only needs to be run
+ * again when a new version of emojibase-data brings new emojis.
+ */
+
+const source = new URL(
+  import.meta.resolve('emojibase-data/en/shortcodes/joypixels.json'),
+);
+const target = new URL('./shortcodes.js', import.meta.url);
+
+// Characters that don't show up on their own, written as escapes instead.
+const INVISIBLE = /\u200D|\u20E3|[\u{E0020}-\u{E007F}]/gu;
+
+function quote(text) {
+  const escaped = text.replace(
+    INVISIBLE,
+    (char) => `\\u{${char.codePointAt(0).toString(16).toUpperCase()}}`,
+  );
+  return `'${escaped}'`;
+}
+
+const joypixels = JSON.parse(await readFile(source, 'utf8'));
+const lines = Object.entries(joypixels).map(([hexcode, names]) => {
+  // Keys are kept without variation selectors, like `plainEmoji` leaves them.
+  const emoji = String.fromCodePoint(
+    ...hexcode
+      .split('-')
+      .map((hex) => parseInt(hex, 16))
+      .filter((codePoint) => codePoint !== 0xfe0f),
+  );
+  const [name] = [names].flat();
+  return `  ${quote(emoji)}: ${quote(name)},`;
+});
+
+await writeFile(
+  target,
+  `/**
+ * Discord's shortcode names for Unicode emojis, by the emoji without its
+ * variation selectors.  Generated by \`npm run shortcodes\` from the JoyPixels
+ * names in emojibase-data, so don't edit it by hand.
+ */
+
+export const SHORTCODES = {
+${lines.join('\n')}
+};
+`,
+);
+console.log(`Wrote ${lines.length} shortcodes to ${target.pathname}`);
@@ -0,0 +1,75 @@
+/**
+ * Labels for emojis, like the "✅ = attending" lines in a sign-up message, so
+ * exports can say what each emoji meant.
+ */
+
+import { plainEmoji } from './emoji.js';
+
+// A custom emoji as written in a message, or a Unicode emoji: a flag, a
+// keycap, or a pictograph with any skin tone and ZWJ joined parts.
+const EMOJI =
+  /<a?:\w+:(\d+)>|\p{RI}\p{RI}|[0-9#*]\uFE0F?\u20E3|\p{Extended_Pictographic}(?:\uFE0F|\p{EMod})?(?:\u200D\p{Extended_Pictographic}(?:\uFE0F|\p{EMod})?)*/u;
+
+// An emoji at the start of a line, then (after an optional separator) its
+// label.  Bullets and the like before the emoji are allowed.
+const LABEL_LINE = new RegExp(
+  String.raw`^[\s\-*•>]*(${EMOJI.source})\s*(?:[=:\-–—]+\s*)?(.+?)\s*$`,
+  'u',
+);
+
+// How labels are keyed: custom emojis by ID, Unicode ones by their text.
+function labelKey({ id, name }) {
+  return id ?? (name && plainEmoji(name));
+}
+
+/**
+ * The labels in `text`, from each line that starts with an emoji, as a map
+ * keyed like `emojiLabel` expects.
+ */
+export function parseLabels(text = '') {
+  const labels = new Map();
+  for (const line of text.split('\n')) {
+    const match = line.match(LABEL_LINE);
+    if (!match) continue;
+    const [, emoji, customId, label] = match;
+    const key = labelKey({ id: customId, name: emoji });
+    if (!labels.has(key)) labels.set(key, label);
+  }
+  return labels;
+}
+
+/**
+ * The labels typed into a command option, separated by commas, semicolons or
+ * new lines (`✅=attending, ❔=maybe`).
+ */
+export function parseLabelOption(value) {
+  return parseLabels(value.replaceAll(/[,;]/g, '\n'));
+}
+
+/**
+ * The label for `emoji` (as in a reaction) in `labels`, if it has one.
+ */
+export function emojiLabel(emoji, labels) {
+  return emoji ? labels.get(labelKey(emoji)) : undefined;
+}
+
+/**
+ * `results` with a `label` for each reaction, from `labels` if given, and
+ * otherwise from the content of the message it's on.  Poll votes already
+ * have their answer's text, so they're left alone.
+ */
+export function labelResults(results, labels) {
+  const parsed = new Map();
+  return results.map((result) => {
+    if (result.reactionType === 'vote') return result;
+    let messageLabels = labels;
+    if (!messageLabels) {
+      const { message = {} } = result;
+      if (!parsed.has(message))
+        parsed.set(message, parseLabels(message.content));
+      messageLabels = parsed.get(message);
+    }
+    const label = emojiLabel(result.emoji, messageLabels);
+    return label === undefined ? result : { ...result, label };
+  });
+}
@@ -1,11 +1,19 @@
 import * as commands from './commands.js';
+import { DiscordApiError, DiscordClient } from './discord.js';
+import {
+  commandsPath,
+  describeCommandDiff,
+  hasChanges,
+  syncCommands,
+} from './registration.js';
 import dotenv from 'dotenv';
 import process from 'node:process';
+import { parseArgs } from 'node:util';
 
 /**
  * This file is meant to be run from the command line, and is not used by the
  * application server.  It's allowed to use node.js primitives, and only needs
- * to be run once.
+ * to be run when the commands change.
  */
 
 dotenv.config({ path: '.dev.vars' });
@@ -23,35 +31,47 @@ if (!applicationId) {
   );
 }
 
-/**
- * Register all commands globally.  This can take o(minutes), so wait until
- * you're sure these are the commands you want.
- */
-const url = `https://discord.com/api/v10/applications/${applicationId}/commands`;
-
-const response = await fetch(url, {
-  headers: {
-    'Content-Type': 'application/json',
-    Authorization: `Bot ${token}`,
+const { values: args } = parseArgs({
+  options: {
+    // Register in one guild, which takes effect straight away.
+    guild: { type: 'string', default: process.env.DISCORD_GUILD_ID },
+    // Only show what would change.
+    'dry-run': { type: 'boolean', default: false },
+    // Remove every command instead.
+    delete: { type: 'boolean', default: false },
   },
-  method: 'PUT',
-  body: JSON.stringify(Object.values(commands)),
 });
 
-if (response.ok) {
-  console.log('Registered all commands');
-  const data = await response.json();
-  console.log(JSON.stringify(data, null, 2));
-} else {
+/**
+ * Register all commands, globally unless given a guild.  Global changes can
+ * take o(minutes), so check the diff (or try it in a guild) first.
+ */
+const client = new DiscordClient({ DISCORD_TOKEN: token });
+const path = commandsPath(applicationId, args.guild);
+const where = args.guild ? `in guild ${args.guild}` : 'globally';
+
+try {
+  const diff = await syncCommands(
+    client,
+    path,
+    args.delete ? [] : Object.values(commands),
+    { dryRun: args['dry-run'] },
+  );
+  console.log(`Commands ${where}:`);
+  console.log(describeCommandDiff(diff));
+  if (diff.applied) console.log('Registered all commands');
+  else if (hasChanges(diff)) console.log('Dry run, so nothing was changed');
+  else console.log('Nothing to change');
+} catch (err) {
   console.error('Error registering commands');
-  let errorText = `Error registering commands\n${response.url}: ${response.status} ${response.statusText}`;
-  try {
-    const error = await response.text();
-    if (error) {
-      errorText += `\n\n${error}`;
+  let errorText = 'Error registering commands';
+  if (err instanceof DiscordApiError) {
+    errorText += `\n${err.url}: ${err.status} ${err.statusText}`;
+    if (err.body) {
+      errorText += `\n\n${err.body}`;
     }
-  } catch (err) {
-    console.error('Error reading body from request:', err);
+  } else {
+    errorText += `\n${err}`;
   }
   console.error(errorText);
 }
@@ -0,0 +1,97 @@
+/**
+ * Comparing the commands Discord has registered with the ones in
+ * `commands.js`, and bringing them in line.  Used by `register.js`.
+ * https://discord.com/developers/docs/interactions/application-commands#registering-a-command
+ */
+
+/**
+ * Where an application's commands live: globally, or in one guild (which
+ * updates straight away, so it's handy for testing).
+ */
+export function commandsPath(applicationId, guildId) {
+  const base = `/applications/${applicationId}`;
+  return guildId ? `${base}/guilds/${guildId}/commands` : `${base}/commands`;
+}
+
+// Names are only unique per command type.
+function commandKey({ name, type = 1 }) {
+  return `${type}:${name}`;
+}
+
+/**
+ * Whether `registered` already says everything `wanted` does.  Discord sends
+ * back plenty we never set (IDs, versions, defaults), so only what's in
+ * `wanted` is compared.
+ */
+function matches(wanted, registered) {
+  if (Array.isArray(wanted)) {
+    return (
+      Array.isArray(registered) &&
+      wanted.length === registered.length &&
+      wanted.every((item, i) => matches(item, registered[i]))
+    );
+  }
+  if (wanted && typeof wanted === 'object') {
+    return (
+      registered !== null &&
+      typeof registered === 'object' &&
+      Object.entries(wanted).every(([key, value]) =>
+        matches(value, registered[key]),
+      )
+    );
+  }
+  return wanted === registered;
+}
+
+/**
+ * Sort the `wanted` commands into ones Discord doesn't have yet (`added`),
+ * has but differently (`changed`), and has already (`unchanged`), plus the
+ * `registered` ones that aren't wanted any more (`removed`).
+ */
+export function diffCommands(registered, wanted) {
+  const byKey = new Map(
+    registered.map((command) => [commandKey(command), command]),
+  );
+  const diff = { added: [], changed: [], unchanged: [], removed: [] };
+  for (const command of wanted) {
+    const key = commandKey(command);
+    const existing = byKey.get(key);
+    byKey.delete(key);
+    if (!existing) diff.added.push(command);
+    else if (matches(command, existing)) diff.unchanged.push(command);
+    else diff.changed.push(command);
+  }
+  diff.removed.push(...byKey.values());
+  return diff;
+}
+
+export function hasChanges({ added, changed, removed }) {
+  return added.length + changed.length + removed.length > 0;
+}
+
+/**
+ * A line per command, marked like a diff.
+ */
+export function describeCommandDiff(diff) {
+  const lines = [
+    ...diff.added.map(({ name }) => `+ ${name}`),
+    ...diff.changed.map(({ name }) => `~ ${name}`),
+    ...diff.removed.map(({ name }) => `- ${name}`),
+    ...diff.unchanged.map(({ name }) => `  ${name}`),
+  ];
+  return lines.length ? lines.join('\n') : '(no commands)';
+}
+
+/**
+ * Make the commands registered at `path` match `commands`, removing any that
+ * aren't in it.  With `dryRun`, only work out what would change.  Resolves to
+ * the diff, and whether anything was `applied`.
+ */
+export async function syncCommands(client, path, commands, { dryRun } = {}) {
+  const registered = await client.get(path);
+  const diff = diffCommands(registered, commands);
+  const applied = !dryRun && hasChanges(diff);
+  // A bulk overwrite also removes whatever isn't in the list.
+  if (applied) await client.put(path, { body: commands });
+  return { ...diff, applied };
+}
@@ -0,0 +1,117 @@
+/**
+ * Exports scheduled for later, kept in the `SCHEDULED_EXPORTS` KV namespace
+ * until the worker's cron trigger finds they're due.  Each job is kept under
+ * two keys: one by server, to list and cancel a server's jobs, and one by
+ * when it's due, so the cron trigger only has to list the jobs that are.
+ * https://developers.cloudflare.com/workers/configuration/cron-triggers/
+ */
+
+import { messageLink } from './util.js';
+
+// Keep any one server from piling up jobs.
+export const MAX_JOBS_PER_GUILD = 25;
+
+function jobPrefix(guildId) {
+  return `export:${guildId}`;
+}
+
+function jobKey({ guildId, id }) {
+  return `${jobPrefix(guildId)}:${id}`;
+}
+
+const DUE_PREFIX = 'due:';
+
+// Keys list in lexicographic order, so the time is padded to sort by it.
+function dueKey({ dueAt, guildId, id }) {
+  return `${DUE_PREFIX}${String(dueAt).padStart(15, '0')}:${guildId}:${id}`;
+}
+
+/**
+ * When a job should run, in ms since the epoch, from a Discord timestamp
+ * (`<t:1700000000:f>`), a bare Unix timestamp in seconds, or a date and time
+ * with an offset (`2024-05-17T18:00+02:00`).  Returns undefined if `value` is
+ * none of those.
+ */
+export function parseWhen(value) {
+  const trimmed = value?.trim() ?? '';
+  const seconds = trimmed.match(/^(?:<t:(-?\d+)(?::\w)?>|(\d+))$/);
+  if (seconds) return Number(seconds[1] ?? seconds[2]) * 1000;
+  // Without an offset, Date.parse would guess at the time zone.
+  if (!/(?:Z|[+-]\d\d:?\d\d)$/i.test(trimmed)) return;
+  const ms = Date.parse(trimmed);
+  return Number.isNaN(ms) ? undefined : ms;
+}
+
+// Every job under `prefix`, following the list cursor until `done` says a
+// page has all that's wanted.
+async function listJobs(kv, prefix, done = () => false) {
+  const jobs = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix, cursor });
+    const found = page.keys.map(({ metadata }) => metadata);
+    jobs.push(...found);
+    cursor = page.list_complete || done(found) ? undefined : page.cursor;
+  } while (cursor);
+  return jobs;
+}
+
+/**
+ * The jobs waiting to run in `guildId`, soonest first.
+ */
+export async function guildJobs(kv, guildId) {
+  const jobs = await listJobs(kv, jobPrefix(guildId) + ':');
+  return jobs.sort((a, b) => a.dueAt - b.dueAt);
+}
+
+/**
+ * Every job (from any server) that's due to run at `now`, soonest first.
+ * Listing stops at the first page with a job that isn't due yet.
+ */
+export async function dueJobs(kv, now) {
+  const isDue = ({ dueAt }) => dueAt <= now;
+  const jobs = await listJobs(kv, DUE_PREFIX, (page) => !page.every(isDue));
+  return jobs.filter(isDue);
+}
+
+/**
+ * Save a new job, giving it a short `id` to cancel it by.  Resolves to the
+ * job.  Jobs are small enough to live in the keys' metadata, so listing them
+ * doesn't need a read per job.
+ */
+export async function addJob(kv, job) {
+  const saved = { ...job, id: crypto.randomUUID().slice(0, 8) };
+  const value = JSON.stringify(saved);
+  await kv.put(jobKey(saved), value, { metadata: saved });
+  await kv.put(dueKey(saved), value, { metadata: saved });
+  return saved;
+}
+
+export async function removeJob(kv, job) {
+  await kv.delete(jobKey(job));
+  await kv.delete(dueKey(job));
+}
+
+/**
+ * Remove the job `id` from `guildId`.  Resolves to whether there was one.
+ */
+export async function cancelJob(kv, guildId, id) {
+  const job = await kv.get(jobKey({ guildId, id: id.trim() }), 'json');
+  if (job === null) return false;
+  await removeJob(kv, job);
+  return true;
+}
+
+/**
+ * A line per job, for listing them in Discord.
+ */
+export function describeJobs(jobs) {
+  if (!jobs.length) return 'no exports are scheduled';
+  return jobs
+    .map(({ id, dueAt, guildId, channelId, target }) => {
+      const when = `<t:${Math.floor(dueAt / 1000)}:f>`;
+      const link = messageLink(guildId, target.channelId, target.messageId);
+      return `\`${id}\` ${when}: ${link} to <#${channelId}>`;
+    })
+    .join('\n');
+}
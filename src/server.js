@@ -7,14 +7,110 @@ import {
   InteractionResponseFlags,
   InteractionResponseType,
   InteractionType,
-  TextStyleTypes,
-  MessageComponentTypes,
   verifyKey,
 } from 'discord-interactions';
 
-import { REACTION_CSV_COMMAND, INVITE_COMMAND } from './commands.js';
 import {
-  CsvBuilder,
+  canAlwaysExport,
+  canExport,
+  canReadHistory,
+  channelPermissions,
+  describeAccess,
+  hasPermission,
+  PERMISSIONS,
+} from './access.js';
+import {
+  REACTION_CSV_COMMAND,
+  REACTIONS_COMMAND,
+  CHANNEL_REACTIONS_COMMAND,
+  SNAPSHOT_COMMAND,
+  SNAPSHOT_DIFF_COMMAND,
+  SCHEDULE_COMMAND,
+  DRAW_COMMAND,
+  ACCESS_COMMAND,
+  CSV_SETTINGS_COMMAND,
+  INVITE_COMMAND,
+} from './commands.js';
+import {
+  columnsModal,
+  EXPORT_ACTIONS,
+  exportComponents,
+  fitsInCustomId,
+  parseCustomId,
+  selectedEmojiKeys,
+  submittedColumns,
+} from './components.js';
+import { DiscordClient } from './discord.js';
+import {
+  describeDraw,
+  DRAW_COLUMNS,
+  drawRows,
+  drawWinners,
+  entrantList,
+  randomSeed,
+} from './draw.js';
+import {
+  buildLayout,
+  collectPollVotes,
+  collectReactions,
+  DEFAULT_CHANNEL_MESSAGES,
+  DEFAULT_LAYOUT,
+  describeFilters,
+  describeNonResponders,
+  describeReactions,
+  filterUsers,
+  matchesEmoji,
+  MAX_CHANNEL_MESSAGES,
+  messageEmojis,
+  parseUserColumns,
+  reactionRows,
+  USER_COLUMNS,
+  userFilter,
+} from './export.js';
+import { DEFAULT_FORMAT, formatFile } from './formats.js';
+import { labelResults, parseLabelOption } from './labels.js';
+import {
+  addJob,
+  cancelJob,
+  describeJobs,
+  dueJobs,
+  guildJobs,
+  MAX_JOBS_PER_GUILD,
+  parseWhen,
+  removeJob,
+} from './schedules.js';
+import {
+  applyDefaults,
+  describeDefaults,
+  EXPORT_SETTINGS,
+  loadGuildSettings,
+  updateGuildSettings,
+} from './settings.js';
+import {
+  describeDiff,
+  describeIncomplete,
+  DIFF_COLUMNS,
+  diffRows,
+  incompleteReactions,
+  loadSnapshot,
+  saveSnapshot,
+} from './snapshots.js';
+import {
+  deleteExpiredExports,
+  loadExport,
+  storeLargeFiles,
+} from './storage.js';
+import { describeSummary, summarize, summaryRows } from './summary.js';
+import {
+  ChannelMessageFetcher,
+  ChannelMessageSender,
+  clipContent,
+  commandOptions,
+  GuildMemberFetcher,
+  InteractionWebhook,
+  messageLink,
+  parseMessageLink,
+  PollVoterFetcher,
   ReactionUserListFetcher,
   readableEmojiKey,
 } from './util.js';
@@ -41,6 +137,934 @@ async function discordMiddleware(req, env) {
   req.interaction = body;
 }
 
+/**
+ * Fetch all the reactions on some messages and send them as a file attached to
+ * the (deferred) response to `interaction`.  This runs after we've already
+ * responded to Discord, so it isn't bound by the 3 second interaction timeout.
+ * `source` says which messages, as made by `messageSource` and friends.  The
+ * export comes with components for running it again differently, unless it's
+ * being posted `publicly` as a follow-up for the whole channel to see.
+ */
+async function sendReactionExport(
+  interaction,
+  env,
+  source,
+  options = {},
+  { publicly = false } = {},
+) {
+  // Share one client so everything respects the same rate limits.
+  const client = new server.DiscordClient(env);
+  const webhook = new server.InteractionWebhook(interaction, env, client);
+  await exportReactions(client, env, source, options, {
+    guildId: interaction.guild_id,
+    reply: (message) =>
+      publicly ? webhook.followUp(message) : webhook.editOriginal(message),
+    controls: !publicly,
+  });
+}
+
+/**
+ * Build an export of the reactions on the messages from `source`, in
+ * `guildId`, and hand it (or whatever went wrong) to `reply`.  With
+ * `controls`, it comes with `exportComponents`.
+ */
+async function exportReactions(
+  client,
+  env,
+  source,
+  options,
+  { guildId, reply, controls = false },
+) {
+  const { format = DEFAULT_FORMAT, layout = DEFAULT_LAYOUT } = options;
+  try {
+    const messages = await loadSource(source, client, env, reply);
+    if (!messages) return;
+
+    const { fetcher, ...collected } = await collectMessages(
+      messages,
+      env,
+      client,
+      options,
+    );
+    if (!collected.results.length && !collected.skipped.length) {
+      await reply({ content: 'no reactions found' });
+      return;
+    }
+
+    const notes = [describeFilters(options)];
+    if (messages.truncated) {
+      notes.push(`Only the latest ${messages.length} messages were checked`);
+    }
+    const files = [];
+    if (collected.results.length) {
+      let members, roster;
+      if (layout === 'members') {
+        const memberFetcher = new server.GuildMemberFetcher(
+          guildId,
+          env,
+          client,
+        );
+        const allMembers = await memberFetcher.fetchAll();
+        if (allMembers.truncated) {
+          notes.push(
+            `Only the first ${memberFetcher.maxMembers} server members were checked`,
+          );
+        }
+        members = new Map(allMembers.map((member) => [member.user.id, member]));
+        const authorIds = messages.map(({ author }) => author?.id);
+        const keep = userFilter({
+          ...options,
+          excludeUserIds: options.excludeAuthor ? authorIds : [],
+          members,
+          dedupe: false,
+        });
+        roster = allMembers.filter(({ user }) => keep(user));
+      } else {
+        members = await fetchMembers(
+          guildId,
+          env,
+          client,
+          collected.results,
+          options,
+        );
+      }
+
+      const results = labelResults(
+        filterUsers(collected.results, { ...options, members }),
+        options.labels,
+      );
+      const { columns, rows } = buildLayout(layout, results, {
+        userColumns: options.userColumns,
+        emojiColumns: options.emojiColumns,
+        optionColumn: results.some(({ label }) => label !== undefined),
+        messageColumns: source.messageColumns,
+        guildId,
+        members,
+        roster,
+      });
+      if (roster) notes.push(describeNonResponders(rows, options));
+      files.push(formatFile(format, source.fileName, columns, rows, options));
+      if (options.summary) {
+        const summary = summarize(results, {
+          messageColumns: source.messageColumns,
+        });
+        notes.push(describeSummary(summary));
+        const table = summaryRows(summary);
+        files.push(
+          formatFile(
+            format,
+            `${source.fileName}-summary`,
+            table.columns,
+            table.rows,
+            options,
+          ),
+        );
+      }
+    }
+
+    notes.push(describeReactions(collected, fetcher));
+    const exported = files.length > 0;
+    const stored = await storeLargeFiles(env, files, options);
+    // Long labels can leave no room for the buttons.
+    const fits = controls && fitsInCustomId(source.ref, options);
+    if (controls && exported && !fits) {
+      notes.push(
+        "The labels are too long to keep on buttons, so there aren't any",
+      );
+    }
+    // Download links go first, so a long list of notes can't clip them off.
+    const message = {
+      content: clipContent([stored.note, ...notes].filter(Boolean).join('\n')),
+      files: stored.files,
+    };
+    if (controls) {
+      // Only mark emojis as picked if some were left out.
+      const filtered = options.emoji || options.emojiKeys;
+      const picked = new Set(collected.results.map(({ emojiKey }) => emojiKey));
+      message.components =
+        exported && fits
+          ? exportComponents(
+              source.ref,
+              options,
+              messageEmojis(messages),
+              filtered ? [...picked] : undefined,
+            )
+          : [];
+    }
+    await reply(message);
+  } catch (e) {
+    console.error(e);
+    await reply({ content: 'something went wrong' }).catch(console.error);
+  }
+}
+
+/**
+ * Load the messages `source` names, telling the user (and resolving to
+ * nothing) if they can't be.
+ */
+async function loadSource(source, client, env, reply) {
+  try {
+    return await source.load(client, env);
+  } catch (e) {
+    console.error(e);
+    await reply({
+      content: clipContent(`couldn't load ${source.what}: ${e.message}`),
+    });
+  }
+}
+
+/**
+ * Fetch the reactions (and any poll votes) on each of `messages`, all
+ * together.  Also resolves to the reaction `fetcher`, for its limits.
+ */
+async function collectMessages(messages, env, client, options) {
+  const collected = { results: [], skipped: [], truncated: [] };
+  const add = ({ results, skipped, truncated }) => {
+    collected.results.push(...results);
+    collected.skipped.push(...skipped);
+    collected.truncated.push(...truncated);
+  };
+  let fetcher;
+  for (const message of messages) {
+    if (message.poll) {
+      const voterFetcher = new server.PollVoterFetcher(message, env, client);
+      add(await collectPollVotes(message, voterFetcher, options));
+    }
+    fetcher = new server.ReactionUserListFetcher(message, env, client);
+    add(await collectReactions(message, fetcher, options));
+  }
+  return { ...collected, fetcher };
+}
+
+/**
+ * Save a snapshot named `name` of the reactions on the `target` message, or
+ * with `diff`, export how they've changed since that snapshot was saved.
+ */
+async function sendSnapshot(interaction, env, target, { name, diff, format }) {
+  const client = new server.DiscordClient(env);
+  const webhook = new server.InteractionWebhook(interaction, env, client);
+  try {
+    const snapshot =
+      diff && (await loadSnapshot(env.SNAPSHOTS, target.messageId, name));
+    if (diff && !snapshot) {
+      await webhook.editOriginal({
+        content: clipContent(
+          `there's no snapshot named "${name}" of that message`,
+        ),
+      });
+      return;
+    }
+
+    const source = messageSource(target);
+    const messages = await loadSource(source, client, env, (message) =>
+      webhook.editOriginal(message),
+    );
+    if (!messages) return;
+    const { fetcher, ...collected } = await collectMessages(
+      messages,
+      env,
+      client,
+      {},
+    );
+
+    const [message] = messages;
+    const notes = [];
+    const files = [];
+    if (diff) {
+      // Neither side can be trusted for an emoji that wasn't all fetched.
+      const incomplete = [
+        ...(snapshot.incomplete ?? []),
+        ...incompleteReactions(collected),
+      ];
+      const rows = diffRows(
+        snapshot.rows,
+        reactionRows(collected.results),
+        incomplete,
+      );
+      notes.push(describeDiff(rows, snapshot, incomplete));
+      if (rows.length) {
+        const fileName = `reactions-diff-${message.id}`;
+        files.push(formatFile(format, fileName, DIFF_COLUMNS, rows));
+      }
+    } else {
+      const saved = await saveSnapshot(env.SNAPSHOTS, message, name, collected);
+      notes.push(
+        `Saved ${saved.rows.length} reactions as "${saved.name}"`,
+        describeIncomplete(saved.incomplete),
+      );
+    }
+
+    notes.push(describeReactions(collected, fetcher));
+    await webhook.editOriginal({
+      content: clipContent(notes.filter(Boolean).join('\n')),
+      files,
+    });
+  } catch (e) {
+    console.error(e);
+    await webhook
+      .editOriginal({ content: 'something went wrong' })
+      .catch(console.error);
+  }
+}
+
+/**
+ * Post the export for a scheduled `job` to the channel it was scheduled for,
+ * with the server's defaults as they are when it runs.
+ */
+async function runScheduledExport(env, job) {
+  const client = new server.DiscordClient(env);
+  const channel = new server.ChannelMessageSender(job.channelId, env, client);
+  const { guildId, target } = job;
+  const link = messageLink(guildId, target.channelId, target.messageId);
+  const { defaults } = await loadGuildSettings(env.GUILD_SETTINGS, guildId);
+  const options = applyDefaults(job.options, defaults);
+  let failure;
+  await exportReactions(client, env, messageSource(target), options, {
+    guildId,
+    reply: async ({ content, ...message }) => {
+      try {
+        await channel.send({
+          ...message,
+          content: clipContent(
+            [`Scheduled export of ${link}`, content].filter(Boolean).join('\n'),
+          ),
+        });
+      } catch (e) {
+        failure ??= e;
+        throw e;
+      }
+    },
+  });
+  if (failure) await reportFailedJob(client, env, job, failure);
+}
+
+/**
+ * Let whoever scheduled `job` know in a DM that it couldn't be posted, since
+ * the job is gone by then and its channel is no use for saying so.
+ */
+async function reportFailedJob(client, env, job, error) {
+  if (!job.userId) return;
+  const { guildId, target } = job;
+  const link = messageLink(guildId, target.channelId, target.messageId);
+  try {
+    const dm = await client.post('/users/@me/channels', {
+      body: { recipient_id: job.userId },
+    });
+    await new server.ChannelMessageSender(dm.id, env, client).send({
+      content: clipContent(
+        `The scheduled export of ${link} couldn't be posted to <#${job.channelId}>: ${error.message}`,
+      ),
+    });
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+/**
+ * Run every scheduled export that's due at `now`.  Each one is removed before
+ * it runs, so a slow export can't get picked up again by the next trigger.
+ */
+async function runDueExports(env, now) {
+  const kv = env.SCHEDULED_EXPORTS;
+  if (!kv) return;
+  for (const job of await dueJobs(kv, now)) {
+    await removeJob(kv, job);
+    await runScheduledExport(env, job);
+  }
+}
+
+// Every command that hands out who reacted, and so needs permission.
+const EXPORT_COMMANDS = [
+  REACTION_CSV_COMMAND,
+  REACTIONS_COMMAND,
+  CHANNEL_REACTIONS_COMMAND,
+  SNAPSHOT_COMMAND,
+  SNAPSHOT_DIFF_COMMAND,
+  SCHEDULE_COMMAND,
+  DRAW_COMMAND,
+].map(({ name }) => name.toLowerCase());
+
+/**
+ * Whether the member behind `interaction` may export.  The server's settings
+ * are only looked up when their permissions don't already settle it.
+ */
+async function mayExport(interaction, env) {
+  if (!interaction.guild_id || canAlwaysExport(interaction.member)) return true;
+  const settings = await loadGuildSettings(
+    env.GUILD_SETTINGS,
+    interaction.guild_id,
+  );
+  return canExport(interaction, settings);
+}
+
+/**
+ * A response turning down a command that changes the server's settings, if
+ * it can't be done.
+ */
+function refuseSettings(interaction, env) {
+  if (!env.GUILD_SETTINGS) {
+    return ephemeral(
+      "settings aren't set up here (there's no GUILD_SETTINGS KV namespace)",
+    );
+  }
+  if (!interaction.guild_id) return ephemeral('settings only work in a server');
+  // The commands are hidden from everyone else by default, but that can be
+  // changed in the server's settings.
+  const { permissions } = interaction.member ?? {};
+  if (!hasPermission(permissions, PERMISSIONS.MANAGE_GUILD)) {
+    return ephemeral('you need Manage Server to change these settings');
+  }
+}
+
+/**
+ * Show, change or reset the server's defaults for exports.
+ */
+async function handleCsvSettings(interaction, env) {
+  const refused = refuseSettings(interaction, env);
+  if (refused) return refused;
+
+  const kv = env.GUILD_SETTINGS;
+  const guildId = interaction.guild_id;
+  const [subcommand] = interaction.data.options;
+  let settings;
+  switch (subcommand.name) {
+    case 'show':
+      settings = await loadGuildSettings(kv, guildId);
+      break;
+    case 'set': {
+      const options = exportOptions(subcommand);
+      if (options.unknownColumns.length) {
+        return unknownColumnsResponse(options);
+      }
+      const given = commandOptions(subcommand.options);
+      const changed = Object.fromEntries(
+        Object.entries(EXPORT_SETTINGS)
+          .filter(([name]) => name in given)
+          .map(([, key]) => [key, options[key]]),
+      );
+      settings = await updateGuildSettings(kv, guildId, (old) => ({
+        ...old,
+        defaults: { ...old.defaults, ...changed },
+      }));
+      break;
+    }
+    case 'reset':
+      settings = await updateGuildSettings(kv, guildId, (old) => ({
+        ...old,
+        defaults: undefined,
+      }));
+      break;
+  }
+  return ephemeral(describeDefaults(settings.defaults));
+}
+
+// The export options for `interaction`, filled in with the server's defaults.
+async function exportOptionsWithDefaults(interaction, env) {
+  const { defaults } = await loadGuildSettings(
+    env.GUILD_SETTINGS,
+    interaction.guild_id,
+  );
+  return applyDefaults(exportOptions(interaction.data), defaults);
+}
+
+/**
+ * Show or change which roles can export in the interaction's server.
+ */
+async function handleAccess(interaction, env) {
+  const refused = refuseSettings(interaction, env);
+  if (refused) return refused;
+
+  const kv = env.GUILD_SETTINGS;
+  const guildId = interaction.guild_id;
+  const [subcommand] = interaction.data.options;
+  const { role } = commandOptions(subcommand.options);
+  const roleIds = (settings) => settings.exportRoleIds ?? [];
+  let settings;
+  switch (subcommand.name) {
+    case 'show':
+      settings = await loadGuildSettings(kv, guildId);
+      break;
+    case 'allow':
+      settings = await updateGuildSettings(kv, guildId, (old) => ({
+        ...old,
+        exportRoleIds: [...new Set([...roleIds(old), role])],
+      }));
+      break;
+    case 'disallow':
+      settings = await updateGuildSettings(kv, guildId, (old) => ({
+        ...old,
+        exportRoleIds: roleIds(old).filter((id) => id !== role),
+      }));
+      break;
+  }
+  return ephemeral(describeAccess(settings));
+}
+
+/**
+ * Add, list or cancel scheduled exports in the interaction's server.
+ */
+async function handleSchedule(interaction, env) {
+  const kv = env.SCHEDULED_EXPORTS;
+  if (!kv) {
+    return ephemeral(
+      "scheduled exports aren't set up here (there's no SCHEDULED_EXPORTS KV namespace)",
+    );
+  }
+  const guildId = interaction.guild_id;
+  if (!guildId) return ephemeral('scheduled exports only work in a server');
+
+  const [subcommand] = interaction.data.options;
+  const { message, when, channel, layout, format, id } = commandOptions(
+    subcommand.options,
+  );
+  switch (subcommand.name) {
+    case 'add': {
+      const target = parseMessageLink(message, interaction.channel_id);
+      if (!target) {
+        return ephemeral(
+          "that doesn't look like a message link or ID from this channel",
+        );
+      }
+      const refused = await refuseTarget(interaction, env, target);
+      if (refused) return refused;
+      const dueAt = parseWhen(when);
+      if (dueAt === undefined) {
+        return ephemeral(
+          "that doesn't look like a time; try a timestamp like <t:1700000000> or 2024-05-17T18:00+02:00",
+        );
+      }
+      if (dueAt <= Date.now()) return ephemeral('that time has already passed');
+      if ((await guildJobs(kv, guildId)).length >= MAX_JOBS_PER_GUILD) {
+        return ephemeral(
+          `there are already ${MAX_JOBS_PER_GUILD} exports scheduled; cancel one first`,
+        );
+      }
+
+      const job = await addJob(kv, {
+        guildId,
+        channelId: channel ?? interaction.channel_id,
+        target,
+        dueAt,
+        options: { layout, format },
+        userId: interaction.member?.user?.id,
+      });
+      return ephemeral(`Scheduled ${describeJobs([job])}`);
+    }
+    case 'list':
+      return ephemeral(clipContent(describeJobs(await guildJobs(kv, guildId))));
+    case 'cancel':
+      return ephemeral(
+        (await cancelJob(kv, guildId, id))
+          ? `canceled \`${id}\``
+          : `there's no scheduled export \`${id}\``,
+      );
+  }
+}
+
+/**
+ * Draw winners from the users who reacted to the `target` message with any of
+ * `emojis`, and announce them in the (deferred, public) response along with
+ * everything needed to check the draw.
+ */
+async function sendDraw(interaction, env, target, options) {
+  const { emojis, count, seed, seedGiven, roleId } = options;
+  const client = new server.DiscordClient(env);
+  const webhook = new server.InteractionWebhook(interaction, env, client);
+  try {
+    const messages = await loadSource(
+      messageSource(target),
+      client,
+      env,
+      (message) => webhook.editOriginal(message),
+    );
+    if (!messages) return;
+
+    const [message] = messages;
+    const entered = {
+      ...message,
+      reactions: (message.reactions ?? []).filter((reaction) =>
+        emojis.some((emoji) => matchesEmoji(reaction.emoji, emoji)),
+      ),
+    };
+    const fetcher = new server.ReactionUserListFetcher(message, env, client);
+    const collected = await collectReactions(entered, fetcher);
+    if (collected.skipped.length || collected.truncated.length) {
+      // A draw that's missing entrants wouldn't be fair.
+      await webhook.editOriginal({
+        content: clipContent(
+          `couldn't fetch everyone who entered, so there's no draw:\n${describeReactions(collected, fetcher)}`,
+        ),
+      });
+      return;
+    }
+
+    const members = await fetchMembers(
+      interaction.guild_id,
+      env,
+      client,
+      collected.results,
+      { roleId },
+    );
+    const results = filterUsers(collected.results, { ...options, members });
+    const entrants = entrantList(results.flatMap(({ users }) => users));
+    const winners = await drawWinners(entrants, count, seed);
+    const rows = drawRows(entrants, winners);
+    await webhook.editOriginal({
+      content: clipContent(
+        describeDraw({
+          winners,
+          entrants,
+          seed,
+          seedGiven,
+          emojiKeys: emojis,
+          link: messageLink(
+            interaction.guild_id,
+            target.channelId,
+            target.messageId,
+          ),
+        }),
+      ),
+      // Let the winners know.
+      allowed_mentions: { users: winners.map(({ id }) => id) },
+      files: [formatFile('csv', `draw-${message.id}`, DRAW_COLUMNS, rows)],
+    });
+  } catch (e) {
+    console.error(e);
+    await webhook
+      .editOriginal({ content: 'something went wrong' })
+      .catch(console.error);
+  }
+}
+
+// The source a `ref` (from `packState`) was made from.
+function refSource(ref) {
+  return ref.type === 'channel'
+    ? channelSource(ref.channelId, ref.count)
+    : messageSource(ref);
+}
+
+/**
+ * Run an export again, as asked for by one of the components that came with
+ * it (or the modal one of them opened).  The export message is updated in
+ * place, unless it's being posted publicly.
+ */
+async function handleExportComponent(interaction, env, ctx) {
+  const { data } = interaction;
+  const parsed = parseCustomId(data.custom_id);
+  if (!parsed) {
+    return json(
+      { error: `Unknown Component: ${data.custom_id}` },
+      { status: 400 },
+    );
+  }
+  if (!(await mayExport(interaction, env))) {
+    return ephemeral("you don't have permission to export reactions here");
+  }
+
+  const { action, ref } = parsed;
+  const options = {
+    ...parsed.options,
+    emojiKeys: selectedEmojiKeys(interaction.message),
+  };
+  const refused = refuseExportOptions(interaction, options);
+  if (refused) return refused;
+  switch (action) {
+    case EXPORT_ACTIONS.format:
+      options.format = options.format === 'json' ? DEFAULT_FORMAT : 'json';
+      break;
+    case EXPORT_ACTIONS.nicknames: {
+      const { userColumns } = options;
+      options.userColumns = userColumns.includes('nickname')
+        ? userColumns.filter((name) => name !== 'nickname')
+        : [...userColumns, 'nickname'];
+      break;
+    }
+    case EXPORT_ACTIONS.pivot:
+      options.layout = options.layout === 'users' ? DEFAULT_LAYOUT : 'users';
+      break;
+    case EXPORT_ACTIONS.emojis:
+      options.emojiKeys = data.values;
+      break;
+    case EXPORT_ACTIONS.columns: {
+      if (interaction.type === InteractionType.MESSAGE_COMPONENT) {
+        return {
+          type: InteractionResponseType.MODAL,
+          data: columnsModal(ref, options),
+        };
+      }
+      const { columns, unknown } = parseUserColumns(submittedColumns(data));
+      if (unknown.length) {
+        return unknownColumnsResponse({ unknownColumns: unknown });
+      }
+      options.userColumns = columns;
+      break;
+    }
+    case EXPORT_ACTIONS.public:
+      ctx.waitUntil(
+        sendReactionExport(interaction, env, refSource(ref), options, {
+          publicly: true,
+        }),
+      );
+      return { type: InteractionResponseType.DEFERRED_UPDATE_MESSAGE };
+  }
+
+  ctx.waitUntil(sendReactionExport(interaction, env, refSource(ref), options));
+  return { type: InteractionResponseType.DEFERRED_UPDATE_MESSAGE };
+}
+
+// Export a message we already have, like the target of a message command.
+function resolvedMessageSource(message) {
+  return {
+    ref: {
+      type: 'message',
+      channelId: message.channel_id,
+      messageId: message.id,
+    },
+    what: 'that message',
+    fileName: `reactions-${message.id}`,
+    load: async () => [message],
+  };
+}
+
+// Export a message we only know the ID of.
+function messageSource({ channelId, messageId }) {
+  return {
+    ref: { type: 'message', channelId, messageId },
+    what: 'that message',
+    fileName: `reactions-${messageId}`,
+    load: async (client) => [await loadMessage(client, channelId, messageId)],
+  };
+}
+
+// Export the latest `count` messages in a channel.
+function channelSource(channelId, count) {
+  return {
+    ref: { type: 'channel', channelId, count },
+    what: 'messages from that channel',
+    fileName: `reactions-channel-${channelId}`,
+    messageColumns: true,
+    load: async (client, env) => {
+      const fetcher = new server.ChannelMessageFetcher(channelId, env, client);
+      return await fetcher.fetch(count);
+    },
+  };
+}
+
+/**
+ * Look up the guild members who reacted, if any of the requested columns or
+ * the role filter need them.  There aren't any members outside of a guild.
+ */
+async function fetchMembers(
+  guildId,
+  env,
+  client,
+  results,
+  { userColumns, roleId },
+) {
+  const needsMembers =
+    roleId || userColumns?.some((name) => USER_COLUMNS[name].needsMembers);
+  if (!needsMembers || !guildId) return;
+
+  const fetcher = new server.GuildMemberFetcher(guildId, env, client);
+  const userIds = results.flatMap(({ users }) => users.map(({ id }) => id));
+  return await fetcher.fetchMany(userIds);
+}
+
+// The options shared by every command that makes an export.
+function exportOptions(data) {
+  const {
+    format,
+    layout,
+    emoji,
+    include_bots,
+    exclude_author,
+    role,
+    dedupe,
+    columns,
+    reaction_type,
+    emoji_columns,
+    summary,
+    labels,
+    link,
+    delimiter,
+    quote_all,
+    formula_safe,
+  } = commandOptions(data?.options);
+  const { columns: userColumns, unknown: unknownColumns } =
+    parseUserColumns(columns);
+  return {
+    format,
+    layout,
+    emoji,
+    reactionType: reaction_type,
+    includeBots: include_bots,
+    excludeAuthor: exclude_author,
+    roleId: role,
+    dedupe,
+    userColumns,
+    unknownColumns,
+    emojiColumns: emoji_columns,
+    summary,
+    labels: labels === undefined ? undefined : parseLabelOption(labels),
+    link,
+    delimiter,
+    quoteAll: quote_all,
+    safe: formula_safe,
+  };
+}
+
+function loadMessage(client, channelId, messageId) {
+  return client.get(`/channels/${channelId}/messages/${messageId}`);
+}
+
+/**
+ * Why the `target` message (from `parseMessageLink`) can't be exported from
+ * where the interaction came from, as the response to send back, if it can't.
+ * It has to be in the interaction's server (or in a DM, the DM itself), and a
+ * link can say it's from any server, so a channel other than the
+ * interaction's is looked up.
+ */
+async function refuseTarget(interaction, env, target) {
+  const { guild_id: guildId, channel_id: channelId } = interaction;
+  const elsewhere = `that message isn't in this ${guildId ? 'server' : 'DM'}`;
+  if (target.guildId && target.guildId !== (guildId ?? '@me')) {
+    return ephemeral(elsewhere);
+  }
+  if (target.channelId === channelId) return;
+  if (!guildId) return ephemeral(elsewhere);
+  return await refuseChannel(interaction, env, target.channelId, elsewhere);
+}
+
+/**
+ * Why channel `channelId` can't be exported from, as the response to send
+ * back, if it can't: it has to be in the interaction's server, and the member
+ * has to be able to read it.  The bot can often read more than they can.
+ */
+async function refuseChannel(
+  interaction,
+  env,
+  channelId,
+  elsewhere = "that channel isn't in this server",
+) {
+  const guildId = interaction.guild_id;
+  let channel, roles;
+  try {
+    const client = new server.DiscordClient(env);
+    channel = await client.get(`/channels/${channelId}`);
+    if (channel.guild_id !== guildId) return ephemeral(elsewhere);
+    // Threads go by their parent channel's permissions.
+    if (THREAD_CHANNEL_TYPES.includes(channel.type)) {
+      channel = await client.get(`/channels/${channel.parent_id}`);
+    }
+    roles = await client.get(`/guilds/${guildId}/roles`);
+  } catch (e) {
+    console.error(e);
+    return ephemeral(elsewhere);
+  }
+  const permissions = channelPermissions(
+    interaction.member,
+    guildId,
+    roles,
+    channel.permission_overwrites,
+  );
+  if (!canReadHistory(permissions)) {
+    return ephemeral("you can't read the messages in that channel");
+  }
+}
+
+// https://discord.com/developers/docs/resources/channel#channel-object-channel-types
+const THREAD_CHANNEL_TYPES = [10, 11, 12];
+
+// Discord won't show more suggestions than this.
+const MAX_AUTOCOMPLETE_CHOICES = 25;
+
+/**
+ * Suggest the emojis on the message named in the `message` option, for
+ * autocompleting the `emoji` option.
+ */
+async function emojiChoices(interaction, env) {
+  const options = commandOptions(interaction.data?.options);
+  const target = parseMessageLink(options.message, interaction.channel_id);
+  if (!target || !(await mayExport(interaction, env))) return [];
+  if (await refuseTarget(interaction, env, target)) return [];
+
+  let message;
+  try {
+    const client = new server.DiscordClient(env);
+    message = await loadMessage(client, target.channelId, target.messageId);
+  } catch (e) {
+    console.error(e);
+    return [];
+  }
+
+  const typed = String(options.emoji ?? '').toLowerCase();
+  return (message.reactions ?? [])
+    .map(({ emoji, count }) => ({
+      name: `${emoji.name} (${count})`,
+      value: readableEmojiKey(emoji),
+    }))
+    .filter(({ name }) => name.toLowerCase().includes(typed))
+    .slice(0, MAX_AUTOCOMPLETE_CHOICES);
+}
+
+// Labels were given, but none could be made out.
+function noLabelsResponse() {
+  return ephemeral(
+    "couldn't find any labels in that (try `✅=attending, ❔=maybe`)",
+  );
+}
+
+function unknownColumnsResponse({ unknownColumns }) {
+  const known = Object.keys(USER_COLUMNS).join(', ');
+  return ephemeral(
+    `unknown columns: ${unknownColumns.join(', ')} (try ${known}, or all)`,
+  );
+}
+
+/**
+ * Why `options` won't do for an export from `interaction`, as the response to
+ * send back, if they won't.  Server members (for the members layout and the
+ * role filter) only exist in a server.
+ */
+function refuseExportOptions(interaction, options) {
+  if (options.unknownColumns?.length) return unknownColumnsResponse(options);
+  if (options.labels?.size === 0) return noLabelsResponse();
+  if (!interaction.guild_id) {
+    if (options.layout === 'members') {
+      return ephemeral('the members layout only works in a server');
+    }
+    if (options.roleId) {
+      return ephemeral('the role filter only works in a server');
+    }
+  }
+}
+
+// For responses everyone in the channel should see.
+function deferred() {
+  return {
+    type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+  };
+}
+
+function deferredEphemeral() {
+  return {
+    type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  };
+}
+
+function ephemeral(content) {
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content,
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  };
+}
+
 const router = AutoRouter({
   catch: (e, req, ...args) => {
     console.error(e);
@@ -55,106 +1079,182 @@ router.get('/', (req, env) => {
   return new Response(`👋 ${env.DISCORD_APPLICATION_ID}`);
 });
 
+/**
+ * Downloads of exports kept in R2, for anyone with an unexpired link.
+ */
+router.get('/exports/:id', async (req, env) => {
+  const object = await loadExport(env, req.params.id, req.query.token);
+  if (!object) {
+    return text('This link has expired or is not valid', { status: 404 });
+  }
+  return new Response(object.body, {
+    headers: {
+      'Content-Type': object.httpMetadata.contentType,
+      'Content-Disposition': object.httpMetadata.contentDisposition,
+      'Cache-Control': 'private, no-store',
+    },
+  });
+});
+
 /**
  * Main route for all requests sent from Discord.  All incoming messages will
  * include a JSON payload described here:
  * https://discord.com/developers/docs/interactions/receiving-and-responding#interaction-object
  */
-router.post('/', discordMiddleware, async (req, env) => {
+router.post('/', discordMiddleware, async (req, env, ctx) => {
   const interaction = req.interaction;
 
   if (interaction?.type === InteractionType.APPLICATION_COMMAND) {
     // Most user commands will come as `APPLICATION_COMMAND`.
     const command = interaction.data.name.toLowerCase();
+    if (
+      EXPORT_COMMANDS.includes(command) &&
+      !(await mayExport(interaction, env))
+    ) {
+      return ephemeral("you don't have permission to export reactions here");
+    }
     switch (command) {
       case REACTION_CSV_COMMAND.name.toLowerCase(): {
         const data = interaction?.data;
         const message = data?.resolved?.messages?.[data?.target_id];
 
-        if (!message?.reactions?.length) {
-          return {
-            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-            data: {
-              content: 'no reactions found',
-              flags: InteractionResponseFlags.EPHEMERAL,
-            },
-          };
+        if (!message?.reactions?.length && !message?.poll) {
+          return ephemeral('no reactions found');
+        }
+
+        const options = await exportOptionsWithDefaults(interaction, env);
+        const refused = refuseExportOptions(interaction, options);
+        if (refused) return refused;
+        ctx.waitUntil(
+          sendReactionExport(
+            interaction,
+            env,
+            resolvedMessageSource(message),
+            options,
+          ),
+        );
+        return deferredEphemeral();
+      }
+      case REACTIONS_COMMAND.name.toLowerCase(): {
+        const options = await exportOptionsWithDefaults(interaction, env);
+        const refused = refuseExportOptions(interaction, options);
+        if (refused) return refused;
+
+        const { message } = commandOptions(interaction.data.options);
+        const target = parseMessageLink(message, interaction.channel_id);
+        if (!target) {
+          return ephemeral(
+            "that doesn't look like a message link or ID from this channel",
+          );
         }
+        const foreign = await refuseTarget(interaction, env, target);
+        if (foreign) return foreign;
 
-        const fetcher = new server.ReactionUserListFetcher(message, env);
-        const { reactions } = message;
-        reactions.sort((a, b) => b.count - a.count); // higher count first
-        if (reactions.length > 30) reactions.length = 30;
-        const promises = reactions.map(async ({ emoji }) => [
-          readableEmojiKey(emoji),
-          await fetcher.fetch(emoji),
-        ]);
-
-        let content;
-        try {
-          const responses = await Promise.all(promises);
-
-          const builder = new CsvBuilder([
-            'emoji',
-            'discordUserId',
-            'discordUserName',
-          ]);
-          for (const [emojiKey, users] of responses) {
-            for (const user of users) {
-              builder.addLine([emojiKey, user.id, user.username]);
-            }
+        ctx.waitUntil(
+          sendReactionExport(interaction, env, messageSource(target), options),
+        );
+        return deferredEphemeral();
+      }
+      case CHANNEL_REACTIONS_COMMAND.name.toLowerCase(): {
+        const options = await exportOptionsWithDefaults(interaction, env);
+        const refused = refuseExportOptions(interaction, options);
+        if (refused) return refused;
+
+        const { data } = interaction;
+        const { channel, count } = commandOptions(data.options);
+        const channelId = channel ?? interaction.channel_id;
+        if (channelId !== interaction.channel_id) {
+          if (!interaction.guild_id) {
+            return ephemeral("that channel isn't in this DM");
           }
-          content = builder.build();
-        } catch (e) {
-          console.error(e);
-          return {
-            type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-            data: {
-              content: 'something went wrong',
-              flags: InteractionResponseFlags.EPHEMERAL,
-            },
-          };
+          const foreign = await refuseChannel(interaction, env, channelId);
+          if (foreign) return foreign;
         }
+        const channelType = channel
+          ? data.resolved?.channels?.[channel]?.type
+          : interaction.channel?.type;
+        const isThread = THREAD_CHANNEL_TYPES.includes(channelType);
+        const limit =
+          count ?? (isThread ? MAX_CHANNEL_MESSAGES : DEFAULT_CHANNEL_MESSAGES);
 
-        // I'd prefer the following, but can't copy it in browser discord
-        // the normal emojis don't get copied:
-        //
-        // return {
-        //   type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        //   data: {
-        //     content,
-        //     flags: InteractionResponseFlags.EPHEMERAL,
-        //   },
-        // }
-
-        const time_str = new Date().toISOString();
-        const modal_id = time_str + '_modal';
-        const input_id = time_str + '_input';
+        ctx.waitUntil(
+          sendReactionExport(
+            interaction,
+            env,
+            channelSource(channelId, limit),
+            options,
+          ),
+        );
+        return deferredEphemeral();
+      }
+      case SNAPSHOT_COMMAND.name.toLowerCase():
+      case SNAPSHOT_DIFF_COMMAND.name.toLowerCase(): {
+        if (!env.SNAPSHOTS) {
+          return ephemeral(
+            "snapshots aren't set up here (there's no SNAPSHOTS KV namespace)",
+          );
+        }
 
-        return {
-          type: InteractionResponseType.MODAL,
-          data: {
-            custom_id: modal_id,
-            title: 'Reaction list in CSV format',
-            components: [
-              {
-                type: MessageComponentTypes.LABEL,
-                label: 'CSV',
-                component: {
-                  type: MessageComponentTypes.INPUT_TEXT,
-                  custom_id: input_id,
-                  style: TextStyleTypes.PARAGRAPH,
-                  value: content,
-                },
-              },
-            ],
-          },
+        const { message, name, format } = commandOptions(
+          interaction.data.options,
+        );
+        const target = parseMessageLink(message, interaction.channel_id);
+        if (!target) {
+          return ephemeral(
+            "that doesn't look like a message link or ID from this channel",
+          );
+        }
+        const refused = await refuseTarget(interaction, env, target);
+        if (refused) return refused;
+
+        const diff = command === SNAPSHOT_DIFF_COMMAND.name.toLowerCase();
+        ctx.waitUntil(
+          sendSnapshot(interaction, env, target, { name, diff, format }),
+        );
+        return deferredEphemeral();
+      }
+      case SCHEDULE_COMMAND.name.toLowerCase():
+        return await handleSchedule(interaction, env);
+      case DRAW_COMMAND.name.toLowerCase(): {
+        const {
+          message,
+          emoji,
+          winners,
+          seed,
+          include_bots,
+          exclude_author,
+          role,
+        } = commandOptions(interaction.data.options);
+        const target = parseMessageLink(message, interaction.channel_id);
+        if (!target) {
+          return ephemeral(
+            "that doesn't look like a message link or ID from this channel",
+          );
+        }
+        const refused = await refuseTarget(interaction, env, target);
+        if (refused) return refused;
+
+        const options = {
+          emojis: emoji.split(/[\s,]+/).filter(Boolean),
+          count: winners ?? 1,
+          seed: seed?.trim() || randomSeed(),
+          seedGiven: Boolean(seed?.trim()),
+          includeBots: include_bots ?? false,
+          excludeAuthor: exclude_author ?? true,
+          roleId: role,
         };
+        ctx.waitUntil(sendDraw(interaction, env, target, options));
+        return deferred();
       }
+      case CSV_SETTINGS_COMMAND.name.toLowerCase():
+        return await handleCsvSettings(interaction, env);
+      case ACCESS_COMMAND.name.toLowerCase():
+        return await handleAccess(interaction, env);
       case INVITE_COMMAND.name.toLowerCase(): {
         const applicationId = env.DISCORD_APPLICATION_ID;
-        // Permissions for "View Channels" and "Read Message History"
-        const INVITE_URL = `https://discord.com/oauth2/authorize?client_id=${applicationId}&permissions=66560&integration_type=0&scope=bot+applications.commands`;
+        // Permissions for "View Channels", "Send Messages", "Attach Files" and
+        // "Read Message History"
+        const INVITE_URL = `https://discord.com/oauth2/authorize?client_id=${applicationId}&permissions=101376&integration_type=0&scope=bot+applications.commands`;
         return {
           type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
           data: {
@@ -168,6 +1268,26 @@ router.post('/', discordMiddleware, async (req, env) => {
     }
   }
 
+  if (interaction?.type === InteractionType.APPLICATION_COMMAND_AUTOCOMPLETE) {
+    const command = interaction.data.name.toLowerCase();
+    switch (command) {
+      case REACTIONS_COMMAND.name.toLowerCase():
+        return {
+          type: InteractionResponseType.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
+          data: { choices: await emojiChoices(interaction, env) },
+        };
+      default:
+        return json({ error: `Unknown Command: ${command}` }, { status: 400 });
+    }
+  }
+
+  if (
+    interaction?.type === InteractionType.MESSAGE_COMPONENT ||
+    interaction?.type === InteractionType.MODAL_SUBMIT
+  ) {
+    return await handleExportComponent(interaction, env, ctx);
+  }
+
   if (globalThis.testExplode) throw new Error(globalThis.testExplode);
 
   const error = `Unknown Interaction Type: ${interaction?.type}`;
@@ -177,8 +1297,23 @@ router.post('/', discordMiddleware, async (req, env) => {
 
 const server = {
   verifyKey,
+  DiscordClient,
   ReactionUserListFetcher,
+  PollVoterFetcher,
+  GuildMemberFetcher,
+  ChannelMessageFetcher,
+  ChannelMessageSender,
+  InteractionWebhook,
   fetch: router.fetch,
+  // Runs on the cron triggers in wrangler.toml.
+  scheduled: (controller, env, ctx) => {
+    const now = controller.scheduledTime;
+    ctx.waitUntil(runDueExports(env, now));
+    // Expired exports can wait, so only look for them once an hour.
+    if (env.EXPORTS && new Date(now).getUTCMinutes() === 0) {
+      ctx.waitUntil(deleteExpiredExports(env.EXPORTS, now));
+    }
+  },
 };
 
 export default server;
@@ -0,0 +1,73 @@
+/**
+ * Per-server settings, kept in the `GUILD_SETTINGS` KV namespace.
+ * https://developers.cloudflare.com/kv/api/
+ */
+
+function settingsKey(guildId) {
+  return `guild:${guildId}`;
+}
+
+/**
+ * The settings saved for `guildId`, or an empty object if there aren't any
+ * (or nowhere to keep them).
+ */
+export async function loadGuildSettings(kv, guildId) {
+  if (!kv || !guildId) return {};
+  return (await kv.get(settingsKey(guildId), 'json')) ?? {};
+}
+
+/**
+ * Apply `update` to the settings for `guildId`, resolving to the result.
+ */
+export async function updateGuildSettings(kv, guildId, update) {
+  const settings = update(await loadGuildSettings(kv, guildId));
+  await kv.put(settingsKey(guildId), JSON.stringify(settings));
+  return settings;
+}
+
+/**
+ * Options a server can set defaults for, by command option name, and the
+ * name they go by in the options the export path takes.
+ */
+export const EXPORT_SETTINGS = {
+  format: 'format',
+  layout: 'layout',
+  columns: 'userColumns',
+  include_bots: 'includeBots',
+  exclude_author: 'excludeAuthor',
+  dedupe: 'dedupe',
+  emoji_columns: 'emojiColumns',
+  summary: 'summary',
+  link: 'link',
+  delimiter: 'delimiter',
+  quote_all: 'quoteAll',
+  formula_safe: 'safe',
+};
+
+/**
+ * Fill in any of `options` that weren't given from the server's `defaults`.
+ */
+export function applyDefaults(options, defaults = {}) {
+  const merged = { ...options };
+  for (const key of Object.values(EXPORT_SETTINGS)) {
+    const given = merged[key];
+    const unset =
+      given === undefined || (Array.isArray(given) && !given.length);
+    if (unset && defaults[key] !== undefined) merged[key] = defaults[key];
+  }
+  return merged;
+}
+
+/**
+ * The server's defaults, as they'd be typed into `/csv-settings set`.
+ */
+export function describeDefaults(defaults = {}) {
+  const set = Object.entries(EXPORT_SETTINGS)
+    .filter(([, key]) => defaults[key] !== undefined)
+    .map(([name, key]) => {
+      const value = defaults[key];
+      return `${name}: ${Array.isArray(value) ? value.join(', ') : value}`;
+    });
+  if (!set.length) return 'No defaults are set for this server';
+  return `Defaults for this server:\n${set.join('\n')}`;
+}
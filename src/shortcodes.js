@@ -0,0 +1,3816 @@
+/**
+ * Discord's shortcode names for Unicode emojis, by the emoji without its
+ * variation selectors.  Generated by `npm run shortcodes` from the JoyPixels
+ * names in emojibase-data, so don't edit it by hand.
+ */
+
+export const SHORTCODES = {
+  '⁉': 'interrobang',
+  '™': 'tm',
+  ℹ: 'information_source',
+  '↔': 'left_right_arrow',
+  '↕': 'arrow_up_down',
+  '↖': 'arrow_upper_left',
+  '↗': 'arrow_upper_right',
+  '↘': 'arrow_lower_right',
+  '↙': 'arrow_lower_left',
+  '⌨': 'keyboard',
+  '☀': 'sunny',
+  '☁': 'cloud',
+  '☂': 'umbrella2',
+  '☃': 'snowman2',
+  '☄': 'comet',
+  '☑': 'ballot_box_with_check',
+  '☔': 'umbrella',
+  '☕': 'coffee',
+  '☘': 'shamrock',
+  '☠': 'skull_crossbones',
+  '☢': 'radioactive',
+  '☣': 'biohazard',
+  '☦': 'orthodox_cross',
+  '☸': 'wheel_of_dharma',
+  '☹': 'frowning2',
+  '♀': 'female_sign',
+  '♂': 'male_sign',
+  '♈': 'aries',
+  '♉': 'taurus',
+  '♐': 'sagittarius',
+  '♑': 'capricorn',
+  '♒': 'aquarius',
+  '♓': 'pisces',
+  '♠': 'spades',
+  '♣': 'clubs',
+  '♥': 'hearts',
+  '♦': 'diamonds',
+  '♨': 'hotsprings',
+  '⚒': 'hammer_pick',
+  '⚓': 'anchor',
+  '⚔': 'crossed_swords',
+  '⚕': 'medical_symbol',
+  '⚖': 'scales',
+  '⚗': 'alembic',
+  '⚙': 'gear',
+  '✂': 'scissors',
+  '✅': 'white_check_mark',
+  '✈': 'airplane',
+  '✉': 'envelope',
+  '✒': 'black_nib',
+  '✔': 'heavy_check_mark',
+  '✖': 'heavy_multiplication_x',
+  '✡': 'star_of_david',
+  '✨': 'sparkles',
+  '✳': 'eight_spoked_asterisk',
+  '✴': 'eight_pointed_black_star',
+  '❄': 'snowflake',
+  '❇': 'sparkle',
+  '❓': 'question',
+  '❔': 'grey_question',
+  '❕': 'grey_exclamation',
+  '❗': 'exclamation',
+  '❣': 'heart_exclamation',
+  '❤': 'heart',
+  '➕': 'heavy_plus_sign',
+  '➖': 'heavy_minus_sign',
+  '➗': 'heavy_division_sign',
+  '⤴': 'arrow_heading_up',
+  '⤵': 'arrow_heading_down',
+  '〰': 'wavy_dash',
+  '㊗': 'congratulations',
+  '㊙': 'secret',
+  '😀': 'grinning',
+  '😃': 'smiley',
+  '😄': 'smile',
+  '😁': 'grin',
+  '😆': 'laughing',
+  '🥹': 'face_holding_back_tears',
+  '😅': 'sweat_smile',
+  '😂': 'joy',
+  '🤣': 'rofl',
+  '🥲': 'smiling_face_with_tear',
+  '☺': 'relaxed',
+  '😊': 'blush',
+  '😇': 'innocent',
+  '🙂': 'slight_smile',
+  '🙃': 'upside_down',
+  '😉': 'wink',
+  '😌': 'relieved',
+  '😍': 'heart_eyes',
+  '🥰': 'smiling_face_with_3_hearts',
+  '😘': 'kissing_heart',
+  '😗': 'kissing',
+  '😙': 'kissing_smiling_eyes',
+  '😚': 'kissing_closed_eyes',
+  '😋': 'yum',
+  '😛': 'stuck_out_tongue',
+  '😝': 'stuck_out_tongue_closed_eyes',
+  '😜': 'stuck_out_tongue_winking_eye',
+  '🤪': 'zany_face',
+  '🤨': 'face_with_raised_eyebrow',
+  '🧐': 'face_with_monocle',
+  '🤓': 'nerd',
+  '😎': 'sunglasses',
+  '🥸': 'disguised_face',
+  '🤩': 'star_struck',
+  '🥳': 'partying_face',
+  '😏': 'smirk',
+  '😒': 'unamused',
+  '😞': 'disappointed',
+  '😔': 'pensive',
+  '😟': 'worried',
+  '😕': 'confused',
+  '🙁': 'slight_frown',
+  '😣': 'persevere',
+  '😖': 'confounded',
+  '😫': 'tired_face',
+  '😩': 'weary',
+  '🥺': 'pleading_face',
+  '😢': 'cry',
+  '😭': 'sob',
+  '😤': 'triumph',
+  '😠': 'angry',
+  '😡': 'rage',
+  '🤬': 'face_with_symbols_over_mouth',
+  '🤯': 'exploding_head',
+  '😳': 'flushed',
+  '🥵': 'hot_face',
+  '🥶': 'cold_face',
+  '😶\u{200D}🌫': 'face_in_clouds',
+  '😱': 'scream',
+  '😨': 'fearful',
+  '😰': 'cold_sweat',
+  '😥': 'disappointed_relieved',
+  '😓': 'sweat',
+  '🤗': 'hugging',
+  '🤔': 'thinking',
+  '🫣': 'face_with_peeking_eye',
+  '🤭': 'face_with_hand_over_mouth',
+  '🫢': 'face_with_open_eyes_and_hand_over_mouth',
+  '🫡': 'saluting_face',
+  '🤫': 'shushing_face',
+  '🫠': 'melting_face',
+  '🤥': 'lying_face',
+  '😶': 'no_mouth',
+  '🫥': 'dotted_line_face',
+  '😐': 'neutral_face',
+  '🫤': 'face_with_diagonal_mouth',
+  '😑': 'expressionless',
+  '🫨': 'shaking_face',
+  '🙂\u{200D}↔': 'head_shaking_horizontally',
+  '🙂\u{200D}↕': 'head_shaking_vertically',
+  '😬': 'grimacing',
+  '🙄': 'rolling_eyes',
+  '😯': 'hushed',
+  '😦': 'frowning',
+  '😧': 'anguished',
+  '😮': 'open_mouth',
+  '😲': 'astonished',
+  '🥱': 'yawning_face',
+  '😴': 'sleeping',
+  '🤤': 'drooling_face',
+  '😪': 'sleepy',
+  '😮\u{200D}💨': 'face_exhaling',
+  '😵': 'dizzy_face',
+  '😵\u{200D}💫': 'face_with_spiral_eyes',
+  '🤐': 'zipper_mouth',
+  '🥴': 'woozy_face',
+  '🤢': 'nauseated_face',
+  '🤮': 'face_vomiting',
+  '🤧': 'sneezing_face',
+  '😷': 'mask',
+  '🤒': 'thermometer_face',
+  '🤕': 'head_bandage',
+  '🤑': 'money_mouth',
+  '🤠': 'cowboy',
+  '😈': 'smiling_imp',
+  '👿': 'imp',
+  '👹': 'japanese_ogre',
+  '👺': 'japanese_goblin',
+  '🤡': 'clown',
+  '💩': 'poop',
+  '👻': 'ghost',
+  '💀': 'skull',
+  '👽': 'alien',
+  '👾': 'space_invader',
+  '🤖': 'robot',
+  '🎃': 'jack_o_lantern',
+  '😺': 'smiley_cat',
+  '😸': 'smile_cat',
+  '😹': 'joy_cat',
+  '😻': 'heart_eyes_cat',
+  '😼': 'smirk_cat',
+  '😽': 'kissing_cat',
+  '🙀': 'scream_cat',
+  '😿': 'crying_cat_face',
+  '😾': 'pouting_cat',
+  '🫶': 'heart_hands',
+  '🫶🏻': 'heart_hands_tone1',
+  '🫶🏼': 'heart_hands_tone2',
+  '🫶🏽': 'heart_hands_tone3',
+  '🫶🏾': 'heart_hands_tone4',
+  '🫶🏿': 'heart_hands_tone5',
+  '🤲': 'palms_up_together',
+  '🤲🏻': 'palms_up_together_tone1',
+  '🤲🏼': 'palms_up_together_tone2',
+  '🤲🏽': 'palms_up_together_tone3',
+  '🤲🏾': 'palms_up_together_tone4',
+  '🤲🏿': 'palms_up_together_tone5',
+  '👐': 'open_hands',
+  '👐🏻': 'open_hands_tone1',
+  '👐🏼': 'open_hands_tone2',
+  '👐🏽': 'open_hands_tone3',
+  '👐🏾': 'open_hands_tone4',
+  '👐🏿': 'open_hands_tone5',
+  '🙌': 'raised_hands',
+  '🙌🏻': 'raised_hands_tone1',
+  '🙌🏼': 'raised_hands_tone2',
+  '🙌🏽': 'raised_hands_tone3',
+  '🙌🏾': 'raised_hands_tone4',
+  '🙌🏿': 'raised_hands_tone5',
+  '👏': 'clap',
+  '👏🏻': 'clap_tone1',
+  '👏🏼': 'clap_tone2',
+  '👏🏽': 'clap_tone3',
+  '👏🏾': 'clap_tone4',
+  '👏🏿': 'clap_tone5',
+  '🤝': 'handshake',
+  '🤝🏻': 'handshake_tone1',
+  '🫱🏻\u{200D}🫲🏼': 'handshake_tone1_tone2',
+  '🫱🏻\u{200D}🫲🏽': 'handshake_tone1_tone3',
+  '🫱🏻\u{200D}🫲🏾': 'handshake_tone1_tone4',
+  '🫱🏻\u{200D}🫲🏿': 'handshake_tone1_tone5',
+  '🫱🏼\u{200D}🫲🏻': 'handshake_tone2_tone1',
+  '🤝🏼': 'handshake_tone2',
+  '🫱🏼\u{200D}🫲🏽': 'handshake_tone2_tone3',
+  '🫱🏼\u{200D}🫲🏾': 'handshake_tone2_tone4',
+  '🫱🏼\u{200D}🫲🏿': 'handshake_tone2_tone5',
+  '🫱🏽\u{200D}🫲🏻': 'handshake_tone3_tone1',
+  '🫱🏽\u{200D}🫲🏼': 'handshake_tone3_tone2',
+  '🤝🏽': 'handshake_tone3',
+  '🫱🏽\u{200D}🫲🏾': 'handshake_tone3_tone4',
+  '🫱🏽\u{200D}🫲🏿': 'handshake_tone3_tone5',
+  '🫱🏾\u{200D}🫲🏻': 'handshake_tone4_tone1',
+  '🫱🏾\u{200D}🫲🏼': 'handshake_tone4_tone2',
+  '🫱🏾\u{200D}🫲🏽': 'handshake_tone4_tone3',
+  '🤝🏾': 'handshake_tone4',
+  '🫱🏾\u{200D}🫲🏿': 'handshake_tone4_tone5',
+  '🫱🏿\u{200D}🫲🏻': 'handshake_tone5_tone1',
+  '🫱🏿\u{200D}🫲🏼': 'handshake_tone5_tone2',
+  '🫱🏿\u{200D}🫲🏽': 'handshake_tone5_tone3',
+  '🫱🏿\u{200D}🫲🏾': 'handshake_tone5_tone4',
+  '🤝🏿': 'handshake_tone5',
+  '👍': 'thumbsup',
+  '👍🏻': 'thumbsup_tone1',
+  '👍🏼': 'thumbsup_tone2',
+  '👍🏽': 'thumbsup_tone3',
+  '👍🏾': 'thumbsup_tone4',
+  '👍🏿': 'thumbsup_tone5',
+  '👎': 'thumbsdown',
+  '👎🏻': 'thumbsdown_tone1',
+  '👎🏼': 'thumbsdown_tone2',
+  '👎🏽': 'thumbsdown_tone3',
+  '👎🏾': 'thumbsdown_tone4',
+  '👎🏿': 'thumbsdown_tone5',
+  '👊': 'punch',
+  '👊🏻': 'punch_tone1',
+  '👊🏼': 'punch_tone2',
+  '👊🏽': 'punch_tone3',
+  '👊🏾': 'punch_tone4',
+  '👊🏿': 'punch_tone5',
+  '✊': 'fist',
+  '✊🏻': 'fist_tone1',
+  '✊🏼': 'fist_tone2',
+  '✊🏽': 'fist_tone3',
+  '✊🏾': 'fist_tone4',
+  '✊🏿': 'fist_tone5',
+  '🤛': 'left_facing_fist',
+  '🤛🏻': 'left_facing_fist_tone1',
+  '🤛🏼': 'left_facing_fist_tone2',
+  '🤛🏽': 'left_facing_fist_tone3',
+  '🤛🏾': 'left_facing_fist_tone4',
+  '🤛🏿': 'left_facing_fist_tone5',
+  '🤜': 'right_facing_fist',
+  '🤜🏻': 'right_facing_fist_tone1',
+  '🤜🏼': 'right_facing_fist_tone2',
+  '🤜🏽': 'right_facing_fist_tone3',
+  '🤜🏾': 'right_facing_fist_tone4',
+  '🤜🏿': 'right_facing_fist_tone5',
+  '🫷': 'leftwards_pushing_hand',
+  '🫷🏻': 'leftwards_pushing_hand_tone1',
+  '🫷🏼': 'leftwards_pushing_hand_tone2',
+  '🫷🏽': 'leftwards_pushing_hand_tone3',
+  '🫷🏾': 'leftwards_pushing_hand_tone4',
+  '🫷🏿': 'leftwards_pushing_hand_tone5',
+  '🫸': 'rightwards_pushing_hand',
+  '🫸🏻': 'rightwards_pushing_hand_tone1',
+  '🫸🏼': 'rightwards_pushing_hand_tone2',
+  '🫸🏽': 'rightwards_pushing_hand_tone3',
+  '🫸🏾': 'rightwards_pushing_hand_tone4',
+  '🫸🏿': 'rightwards_pushing_hand_tone5',
+  '🤞': 'fingers_crossed',
+  '🤞🏻': 'fingers_crossed_tone1',
+  '🤞🏼': 'fingers_crossed_tone2',
+  '🤞🏽': 'fingers_crossed_tone3',
+  '🤞🏾': 'fingers_crossed_tone4',
+  '🤞🏿': 'fingers_crossed_tone5',
+  '✌': 'v',
+  '✌🏻': 'v_tone1',
+  '✌🏼': 'v_tone2',
+  '✌🏽': 'v_tone3',
+  '✌🏾': 'v_tone4',
+  '✌🏿': 'v_tone5',
+  '🫰': 'hand_with_index_finger_and_thumb_crossed',
+  '🫰🏻': 'hand_with_index_finger_and_thumb_crossed_tone1',
+  '🫰🏼': 'hand_with_index_finger_and_thumb_crossed_tone2',
+  '🫰🏽': 'hand_with_index_finger_and_thumb_crossed_tone3',
+  '🫰🏾': 'hand_with_index_finger_and_thumb_crossed_tone4',
+  '🫰🏿': 'hand_with_index_finger_and_thumb_crossed_tone5',
+  '🤟': 'love_you_gesture',
+  '🤟🏻': 'love_you_gesture_tone1',
+  '🤟🏼': 'love_you_gesture_tone2',
+  '🤟🏽': 'love_you_gesture_tone3',
+  '🤟🏾': 'love_you_gesture_tone4',
+  '🤟🏿': 'love_you_gesture_tone5',
+  '🤘': 'metal',
+  '🤘🏻': 'metal_tone1',
+  '🤘🏼': 'metal_tone2',
+  '🤘🏽': 'metal_tone3',
+  '🤘🏾': 'metal_tone4',
+  '🤘🏿': 'metal_tone5',
+  '👌': 'ok_hand',
+  '👌🏻': 'ok_hand_tone1',
+  '👌🏼': 'ok_hand_tone2',
+  '👌🏽': 'ok_hand_tone3',
+  '👌🏾': 'ok_hand_tone4',
+  '👌🏿': 'ok_hand_tone5',
+  '🤌': 'pinched_fingers',
+  '🤌🏼': 'pinched_fingers_tone2',
+  '🤌🏻': 'pinched_fingers_tone1',
+  '🤌🏽': 'pinched_fingers_tone3',
+  '🤌🏾': 'pinched_fingers_tone4',
+  '🤌🏿': 'pinched_fingers_tone5',
+  '🤏': 'pinching_hand',
+  '🤏🏻': 'pinching_hand_tone1',
+  '🤏🏼': 'pinching_hand_tone2',
+  '🤏🏽': 'pinching_hand_tone3',
+  '🤏🏾': 'pinching_hand_tone4',
+  '🤏🏿': 'pinching_hand_tone5',
+  '🫳': 'palm_down_hand',
+  '🫳🏻': 'palm_down_hand_tone1',
+  '🫳🏼': 'palm_down_hand_tone2',
+  '🫳🏽': 'palm_down_hand_tone3',
+  '🫳🏾': 'palm_down_hand_tone4',
+  '🫳🏿': 'palm_down_hand_tone5',
+  '🫴': 'palm_up_hand',
+  '🫴🏻': 'palm_up_hand_tone1',
+  '🫴🏼': 'palm_up_hand_tone2',
+  '🫴🏽': 'palm_up_hand_tone3',
+  '🫴🏾': 'palm_up_hand_tone4',
+  '🫴🏿': 'palm_up_hand_tone5',
+  '👈': 'point_left',
+  '👈🏻': 'point_left_tone1',
+  '👈🏼': 'point_left_tone2',
+  '👈🏽': 'point_left_tone3',
+  '👈🏾': 'point_left_tone4',
+  '👈🏿': 'point_left_tone5',
+  '👉': 'point_right',
+  '👉🏻': 'point_right_tone1',
+  '👉🏼': 'point_right_tone2',
+  '👉🏽': 'point_right_tone3',
+  '👉🏾': 'point_right_tone4',
+  '👉🏿': 'point_right_tone5',
+  '👆': 'point_up_2',
+  '👆🏻': 'point_up_2_tone1',
+  '👆🏼': 'point_up_2_tone2',
+  '👆🏽': 'point_up_2_tone3',
+  '👆🏾': 'point_up_2_tone4',
+  '👆🏿': 'point_up_2_tone5',
+  '👇': 'point_down',
+  '👇🏻': 'point_down_tone1',
+  '👇🏼': 'point_down_tone2',
+  '👇🏽': 'point_down_tone3',
+  '👇🏾': 'point_down_tone4',
+  '👇🏿': 'point_down_tone5',
+  '☝': 'point_up',
+  '☝🏻': 'point_up_tone1',
+  '☝🏼': 'point_up_tone2',
+  '☝🏽': 'point_up_tone3',
+  '☝🏾': 'point_up_tone4',
+  '☝🏿': 'point_up_tone5',
+  '✋': 'raised_hand',
+  '✋🏻': 'raised_hand_tone1',
+  '✋🏼': 'raised_hand_tone2',
+  '✋🏽': 'raised_hand_tone3',
+  '✋🏾': 'raised_hand_tone4',
+  '✋🏿': 'raised_hand_tone5',
+  '🤚': 'raised_back_of_hand',
+  '🤚🏻': 'raised_back_of_hand_tone1',
+  '🤚🏼': 'raised_back_of_hand_tone2',
+  '🤚🏽': 'raised_back_of_hand_tone3',
+  '🤚🏾': 'raised_back_of_hand_tone4',
+  '🤚🏿': 'raised_back_of_hand_tone5',
+  '🖐': 'hand_splayed',
+  '🖐🏻': 'hand_splayed_tone1',
+  '🖐🏼': 'hand_splayed_tone2',
+  '🖐🏽': 'hand_splayed_tone3',
+  '🖐🏾': 'hand_splayed_tone4',
+  '🖐🏿': 'hand_splayed_tone5',
+  '🖖': 'vulcan',
+  '🖖🏻': 'vulcan_tone1',
+  '🖖🏼': 'vulcan_tone2',
+  '🖖🏽': 'vulcan_tone3',
+  '🖖🏾': 'vulcan_tone4',
+  '🖖🏿': 'vulcan_tone5',
+  '👋': 'wave',
+  '👋🏻': 'wave_tone1',
+  '👋🏼': 'wave_tone2',
+  '👋🏽': 'wave_tone3',
+  '👋🏾': 'wave_tone4',
+  '👋🏿': 'wave_tone5',
+  '🤙': 'call_me',
+  '🤙🏻': 'call_me_tone1',
+  '🤙🏼': 'call_me_tone2',
+  '🤙🏽': 'call_me_tone3',
+  '🤙🏾': 'call_me_tone4',
+  '🤙🏿': 'call_me_tone5',
+  '🫲': 'leftwards_hand',
+  '🫲🏻': 'leftwards_hand_tone1',
+  '🫲🏼': 'leftwards_hand_tone2',
+  '🫲🏽': 'leftwards_hand_tone3',
+  '🫲🏾': 'leftwards_hand_tone4',
+  '🫲🏿': 'leftwards_hand_tone5',
+  '🫱': 'rightwards_hand',
+  '🫱🏻': 'rightwards_hand_tone1',
+  '🫱🏼': 'rightwards_hand_tone2',
+  '🫱🏽': 'rightwards_hand_tone3',
+  '🫱🏾': 'rightwards_hand_tone4',
+  '🫱🏿': 'rightwards_hand_tone5',
+  '💪': 'muscle',
+  '💪🏻': 'muscle_tone1',
+  '💪🏼': 'muscle_tone2',
+  '💪🏽': 'muscle_tone3',
+  '💪🏾': 'muscle_tone4',
+  '💪🏿': 'muscle_tone5',
+  '🦾': 'mechanical_arm',
+  '🖕': 'middle_finger',
+  '🖕🏻': 'middle_finger_tone1',
+  '🖕🏼': 'middle_finger_tone2',
+  '🖕🏽': 'middle_finger_tone3',
+  '🖕🏾': 'middle_finger_tone4',
+  '🖕🏿': 'middle_finger_tone5',
+  '✍': 'writing_hand',
+  '✍🏻': 'writing_hand_tone1',
+  '✍🏼': 'writing_hand_tone2',
+  '✍🏽': 'writing_hand_tone3',
+  '✍🏾': 'writing_hand_tone4',
+  '✍🏿': 'writing_hand_tone5',
+  '🙏': 'pray',
+  '🙏🏻': 'pray_tone1',
+  '🙏🏼': 'pray_tone2',
+  '🙏🏽': 'pray_tone3',
+  '🙏🏾': 'pray_tone4',
+  '🙏🏿': 'pray_tone5',
+  '🫵': 'index_pointing_at_the_viewer',
+  '🫵🏻': 'index_pointing_at_the_viewer_tone1',
+  '🫵🏼': 'index_pointing_at_the_viewer_tone2',
+  '🫵🏽': 'index_pointing_at_the_viewer_tone3',
+  '🫵🏾': 'index_pointing_at_the_viewer_tone4',
+  '🫵🏿': 'index_pointing_at_the_viewer_tone5',
+  '🦶': 'foot',
+  '🦶🏻': 'foot_tone1',
+  '🦶🏼': 'foot_tone2',
+  '🦶🏽': 'foot_tone3',
+  '🦶🏾': 'foot_tone4',
+  '🦶🏿': 'foot_tone5',
+  '🦵': 'leg',
+  '🦵🏻': 'leg_tone1',
+  '🦵🏼': 'leg_tone2',
+  '🦵🏽': 'leg_tone3',
+  '🦵🏾': 'leg_tone4',
+  '🦵🏿': 'leg_tone5',
+  '🦿': 'mechanical_leg',
+  '💄': 'lipstick',
+  '💋': 'kiss',
+  '👄': 'lips',
+  '🫦': 'biting_lip',
+  '🦷': 'tooth',
+  '👅': 'tongue',
+  '👂': 'ear',
+  '👂🏻': 'ear_tone1',
+  '👂🏼': 'ear_tone2',
+  '👂🏽': 'ear_tone3',
+  '👂🏾': 'ear_tone4',
+  '👂🏿': 'ear_tone5',
+  '🦻': 'ear_with_hearing_aid',
+  '🦻🏻': 'ear_with_hearing_aid_tone1',
+  '🦻🏼': 'ear_with_hearing_aid_tone2',
+  '🦻🏽': 'ear_with_hearing_aid_tone3',
+  '🦻🏾': 'ear_with_hearing_aid_tone4',
+  '🦻🏿': 'ear_with_hearing_aid_tone5',
+  '👃': 'nose',
+  '👃🏻': 'nose_tone1',
+  '👃🏼': 'nose_tone2',
+  '👃🏽': 'nose_tone3',
+  '👃🏾': 'nose_tone4',
+  '👃🏿': 'nose_tone5',
+  '👣': 'footprints',
+  '👁': 'eye',
+  '👀': 'eyes',
+  '🫀': 'anatomical_heart',
+  '🫁': 'lungs',
+  '🧠': 'brain',
+  '🗣': 'speaking_head',
+  '👤': 'bust_in_silhouette',
+  '👥': 'busts_in_silhouette',
+  '🫂': 'people_hugging',
+  '👶': 'baby',
+  '👶🏻': 'baby_tone1',
+  '👶🏼': 'baby_tone2',
+  '👶🏽': 'baby_tone3',
+  '👶🏾': 'baby_tone4',
+  '👶🏿': 'baby_tone5',
+  '🧒': 'child',
+  '🧒🏻': 'child_tone1',
+  '🧒🏼': 'child_tone2',
+  '🧒🏽': 'child_tone3',
+  '🧒🏾': 'child_tone4',
+  '🧒🏿': 'child_tone5',
+  '👧': 'girl',
+  '👧🏻': 'girl_tone1',
+  '👧🏼': 'girl_tone2',
+  '👧🏽': 'girl_tone3',
+  '👧🏾': 'girl_tone4',
+  '👧🏿': 'girl_tone5',
+  '👦': 'boy',
+  '👦🏻': 'boy_tone1',
+  '👦🏼': 'boy_tone2',
+  '👦🏽': 'boy_tone3',
+  '👦🏾': 'boy_tone4',
+  '👦🏿': 'boy_tone5',
+  '🧑': 'adult',
+  '🧑🏻': 'adult_tone1',
+  '🧑🏼': 'adult_tone2',
+  '🧑🏽': 'adult_tone3',
+  '🧑🏾': 'adult_tone4',
+  '🧑🏿': 'adult_tone5',
+  '👩': 'woman',
+  '👩🏻': 'woman_tone1',
+  '👩🏼': 'woman_tone2',
+  '👩🏽': 'woman_tone3',
+  '👩🏾': 'woman_tone4',
+  '👩🏿': 'woman_tone5',
+  '👨': 'man',
+  '👨🏻': 'man_tone1',
+  '👨🏼': 'man_tone2',
+  '👨🏽': 'man_tone3',
+  '👨🏾': 'man_tone4',
+  '👨🏿': 'man_tone5',
+  '🧑\u{200D}🦱': 'person_curly_hair',
+  '🧑🏻\u{200D}🦱': 'person_tone1_curly_hair',
+  '🧑🏼\u{200D}🦱': 'person_tone2_curly_hair',
+  '🧑🏽\u{200D}🦱': 'person_tone3_curly_hair',
+  '🧑🏾\u{200D}🦱': 'person_tone4_curly_hair',
+  '🧑🏿\u{200D}🦱': 'person_tone5_curly_hair',
+  '👩\u{200D}🦱': 'woman_curly_haired',
+  '👩🏻\u{200D}🦱': 'woman_curly_haired_tone1',
+  '👩🏼\u{200D}🦱': 'woman_curly_haired_tone2',
+  '👩🏽\u{200D}🦱': 'woman_curly_haired_tone3',
+  '👩🏾\u{200D}🦱': 'woman_curly_haired_tone4',
+  '👩🏿\u{200D}🦱': 'woman_curly_haired_tone5',
+  '👨\u{200D}🦱': 'man_curly_haired',
+  '👨🏻\u{200D}🦱': 'man_curly_haired_tone1',
+  '👨🏼\u{200D}🦱': 'man_curly_haired_tone2',
+  '👨🏽\u{200D}🦱': 'man_curly_haired_tone3',
+  '👨🏾\u{200D}🦱': 'man_curly_haired_tone4',
+  '👨🏿\u{200D}🦱': 'man_curly_haired_tone5',
+  '🧑\u{200D}🦰': 'person_red_hair',
+  '🧑🏻\u{200D}🦰': 'person_tone1_red_hair',
+  '🧑🏼\u{200D}🦰': 'person_tone2_red_hair',
+  '🧑🏽\u{200D}🦰': 'person_tone3_red_hair',
+  '🧑🏾\u{200D}🦰': 'person_tone4_red_hair',
+  '🧑🏿\u{200D}🦰': 'person_tone5_red_hair',
+  '👩\u{200D}🦰': 'woman_red_haired',
+  '👩🏻\u{200D}🦰': 'woman_red_haired_tone1',
+  '👩🏼\u{200D}🦰': 'woman_red_haired_tone2',
+  '👩🏽\u{200D}🦰': 'woman_red_haired_tone3',
+  '👩🏾\u{200D}🦰': 'woman_red_haired_tone4',
+  '👩🏿\u{200D}🦰': 'woman_red_haired_tone5',
+  '👨\u{200D}🦰': 'man_red_haired',
+  '👨🏻\u{200D}🦰': 'man_red_haired_tone1',
+  '👨🏼\u{200D}🦰': 'man_red_haired_tone2',
+  '👨🏽\u{200D}🦰': 'man_red_haired_tone3',
+  '👨🏾\u{200D}🦰': 'man_red_haired_tone4',
+  '👨🏿\u{200D}🦰': 'man_red_haired_tone5',
+  '👱': 'blond_haired_person',
+  '👱🏻': 'blond_haired_person_tone1',
+  '👱🏼': 'blond_haired_person_tone2',
+  '👱🏽': 'blond_haired_person_tone3',
+  '👱🏾': 'blond_haired_person_tone4',
+  '👱🏿': 'blond_haired_person_tone5',
+  '👱\u{200D}♀': 'blond-haired_woman',
+  '👱🏻\u{200D}♀': 'blond-haired_woman_tone1',
+  '👱🏼\u{200D}♀': 'blond-haired_woman_tone2',
+  '👱🏽\u{200D}♀': 'blond-haired_woman_tone3',
+  '👱🏾\u{200D}♀': 'blond-haired_woman_tone4',
+  '👱🏿\u{200D}♀': 'blond-haired_woman_tone5',
+  '👱\u{200D}♂': 'blond-haired_man',
+  '👱🏻\u{200D}♂': 'blond-haired_man_tone1',
+  '👱🏼\u{200D}♂': 'blond-haired_man_tone2',
+  '👱🏽\u{200D}♂': 'blond-haired_man_tone3',
+  '👱🏾\u{200D}♂': 'blond-haired_man_tone4',
+  '👱🏿\u{200D}♂': 'blond-haired_man_tone5',
+  '🧑\u{200D}🦳': 'person_white_hair',
+  '🧑🏻\u{200D}🦳': 'person_tone1_white_hair',
+  '🧑🏼\u{200D}🦳': 'person_tone2_white_hair',
+  '🧑🏽\u{200D}🦳': 'person_tone3_white_hair',
+  '🧑🏾\u{200D}🦳': 'person_tone4_white_hair',
+  '🧑🏿\u{200D}🦳': 'person_tone5_white_hair',
+  '👩\u{200D}🦳': 'woman_white_haired',
+  '👩🏻\u{200D}🦳': 'woman_white_haired_tone1',
+  '👩🏼\u{200D}🦳': 'woman_white_haired_tone2',
+  '👩🏽\u{200D}🦳': 'woman_white_haired_tone3',
+  '👩🏾\u{200D}🦳': 'woman_white_haired_tone4',
+  '👩🏿\u{200D}🦳': 'woman_white_haired_tone5',
+  '👨\u{200D}🦳': 'man_white_haired',
+  '👨🏻\u{200D}🦳': 'man_white_haired_tone1',
+  '👨🏼\u{200D}🦳': 'man_white_haired_tone2',
+  '👨🏽\u{200D}🦳': 'man_white_haired_tone3',
+  '👨🏾\u{200D}🦳': 'man_white_haired_tone4',
+  '👨🏿\u{200D}🦳': 'man_white_haired_tone5',
+  '🧑\u{200D}🦲': 'person_bald',
+  '🧑🏻\u{200D}🦲': 'person_tone1_bald',
+  '🧑🏼\u{200D}🦲': 'person_tone2_bald',
+  '🧑🏽\u{200D}🦲': 'person_tone3_bald',
+  '🧑🏾\u{200D}🦲': 'person_tone4_bald',
+  '🧑🏿\u{200D}🦲': 'person_tone5_bald',
+  '👩\u{200D}🦲': 'woman_bald',
+  '👩🏻\u{200D}🦲': 'woman_bald_tone1',
+  '👩🏼\u{200D}🦲': 'woman_bald_tone2',
+  '👩🏽\u{200D}🦲': 'woman_bald_tone3',
+  '👩🏾\u{200D}🦲': 'woman_bald_tone4',
+  '👩🏿\u{200D}🦲': 'woman_bald_tone5',
+  '👨\u{200D}🦲': 'man_bald',
+  '👨🏻\u{200D}🦲': 'man_bald_tone1',
+  '👨🏼\u{200D}🦲': 'man_bald_tone2',
+  '👨🏽\u{200D}🦲': 'man_bald_tone3',
+  '👨🏾\u{200D}🦲': 'man_bald_tone4',
+  '👨🏿\u{200D}🦲': 'man_bald_tone5',
+  '🧔': 'bearded_person',
+  '🧔🏻': 'bearded_person_tone1',
+  '🧔🏼': 'bearded_person_tone2',
+  '🧔🏽': 'bearded_person_tone3',
+  '🧔🏾': 'bearded_person_tone4',
+  '🧔🏿': 'bearded_person_tone5',
+  '🧔\u{200D}♀': 'woman_beard',
+  '🧔🏻\u{200D}♀': 'woman_tone1_beard',
+  '🧔🏼\u{200D}♀': 'woman_tone2_beard',
+  '🧔🏽\u{200D}♀': 'woman_tone3_beard',
+  '🧔🏾\u{200D}♀': 'woman_tone4_beard',
+  '🧔🏿\u{200D}♀': 'woman_tone5_beard',
+  '🧔\u{200D}♂': 'man_beard',
+  '🧔🏻\u{200D}♂': 'man_tone1_beard',
+  '🧔🏼\u{200D}♂': 'man_tone2_beard',
+  '🧔🏽\u{200D}♂': 'man_tone3_beard',
+  '🧔🏾\u{200D}♂': 'man_tone4_beard',
+  '🧔🏿\u{200D}♂': 'man_tone5_beard',
+  '🧓': 'older_adult',
+  '🧓🏻': 'older_adult_tone1',
+  '🧓🏼': 'older_adult_tone2',
+  '🧓🏽': 'older_adult_tone3',
+  '🧓🏾': 'older_adult_tone4',
+  '🧓🏿': 'older_adult_tone5',
+  '👵': 'older_woman',
+  '👵🏻': 'older_woman_tone1',
+  '👵🏼': 'older_woman_tone2',
+  '👵🏽': 'older_woman_tone3',
+  '👵🏾': 'older_woman_tone4',
+  '👵🏿': 'older_woman_tone5',
+  '👴': 'older_man',
+  '👴🏻': 'older_man_tone1',
+  '👴🏼': 'older_man_tone2',
+  '👴🏽': 'older_man_tone3',
+  '👴🏾': 'older_man_tone4',
+  '👴🏿': 'older_man_tone5',
+  '👲': 'man_with_chinese_cap',
+  '👲🏻': 'man_with_chinese_cap_tone1',
+  '👲🏼': 'man_with_chinese_cap_tone2',
+  '👲🏽': 'man_with_chinese_cap_tone3',
+  '👲🏾': 'man_with_chinese_cap_tone4',
+  '👲🏿': 'man_with_chinese_cap_tone5',
+  '👳': 'person_wearing_turban',
+  '👳🏻': 'person_wearing_turban_tone1',
+  '👳🏼': 'person_wearing_turban_tone2',
+  '👳🏽': 'person_wearing_turban_tone3',
+  '👳🏾': 'person_wearing_turban_tone4',
+  '👳🏿': 'person_wearing_turban_tone5',
+  '👳\u{200D}♀': 'woman_wearing_turban',
+  '👳🏻\u{200D}♀': 'woman_wearing_turban_tone1',
+  '👳🏼\u{200D}♀': 'woman_wearing_turban_tone2',
+  '👳🏽\u{200D}♀': 'woman_wearing_turban_tone3',
+  '👳🏾\u{200D}♀': 'woman_wearing_turban_tone4',
+  '👳🏿\u{200D}♀': 'woman_wearing_turban_tone5',
+  '👳\u{200D}♂': 'man_wearing_turban',
+  '👳🏻\u{200D}♂': 'man_wearing_turban_tone1',
+  '👳🏼\u{200D}♂': 'man_wearing_turban_tone2',
+  '👳🏽\u{200D}♂': 'man_wearing_turban_tone3',
+  '👳🏾\u{200D}♂': 'man_wearing_turban_tone4',
+  '👳🏿\u{200D}♂': 'man_wearing_turban_tone5',
+  '🧕': 'woman_with_headscarf',
+  '🧕🏻': 'woman_with_headscarf_tone1',
+  '🧕🏼': 'woman_with_headscarf_tone2',
+  '🧕🏽': 'woman_with_headscarf_tone3',
+  '🧕🏾': 'woman_with_headscarf_tone4',
+  '🧕🏿': 'woman_with_headscarf_tone5',
+  '👮': 'police_officer',
+  '👮🏻': 'police_officer_tone1',
+  '👮🏼': 'police_officer_tone2',
+  '👮🏽': 'police_officer_tone3',
+  '👮🏾': 'police_officer_tone4',
+  '👮🏿': 'police_officer_tone5',
+  '👮\u{200D}♀': 'woman_police_officer',
+  '👮🏻\u{200D}♀': 'woman_police_officer_tone1',
+  '👮🏼\u{200D}♀': 'woman_police_officer_tone2',
+  '👮🏽\u{200D}♀': 'woman_police_officer_tone3',
+  '👮🏾\u{200D}♀': 'woman_police_officer_tone4',
+  '👮🏿\u{200D}♀': 'woman_police_officer_tone5',
+  '👮\u{200D}♂': 'man_police_officer',
+  '👮🏻\u{200D}♂': 'man_police_officer_tone1',
+  '👮🏼\u{200D}♂': 'man_police_officer_tone2',
+  '👮🏽\u{200D}♂': 'man_police_officer_tone3',
+  '👮🏾\u{200D}♂': 'man_police_officer_tone4',
+  '👮🏿\u{200D}♂': 'man_police_officer_tone5',
+  '👷': 'construction_worker',
+  '👷🏻': 'construction_worker_tone1',
+  '👷🏼': 'construction_worker_tone2',
+  '👷🏽': 'construction_worker_tone3',
+  '👷🏾': 'construction_worker_tone4',
+  '👷🏿': 'construction_worker_tone5',
+  '👷\u{200D}♀': 'woman_construction_worker',
+  '👷🏻\u{200D}♀': 'woman_construction_worker_tone1',
+  '👷🏼\u{200D}♀': 'woman_construction_worker_tone2',
+  '👷🏽\u{200D}♀': 'woman_construction_worker_tone3',
+  '👷🏾\u{200D}♀': 'woman_construction_worker_tone4',
+  '👷🏿\u{200D}♀': 'woman_construction_worker_tone5',
+  '👷\u{200D}♂': 'man_construction_worker',
+  '👷🏻\u{200D}♂': 'man_construction_worker_tone1',
+  '👷🏼\u{200D}♂': 'man_construction_worker_tone2',
+  '👷🏽\u{200D}♂': 'man_construction_worker_tone3',
+  '👷🏾\u{200D}♂': 'man_construction_worker_tone4',
+  '👷🏿\u{200D}♂': 'man_construction_worker_tone5',
+  '💂': 'guard',
+  '💂🏻': 'guard_tone1',
+  '💂🏼': 'guard_tone2',
+  '💂🏽': 'guard_tone3',
+  '💂🏾': 'guard_tone4',
+  '💂🏿': 'guard_tone5',
+  '💂\u{200D}♀': 'woman_guard',
+  '💂🏻\u{200D}♀': 'woman_guard_tone1',
+  '💂🏼\u{200D}♀': 'woman_guard_tone2',
+  '💂🏽\u{200D}♀': 'woman_guard_tone3',
+  '💂🏾\u{200D}♀': 'woman_guard_tone4',
+  '💂🏿\u{200D}♀': 'woman_guard_tone5',
+  '💂\u{200D}♂': 'man_guard',
+  '💂🏻\u{200D}♂': 'man_guard_tone1',
+  '💂🏼\u{200D}♂': 'man_guard_tone2',
+  '💂🏽\u{200D}♂': 'man_guard_tone3',
+  '💂🏾\u{200D}♂': 'man_guard_tone4',
+  '💂🏿\u{200D}♂': 'man_guard_tone5',
+  '🕵': 'detective',
+  '🕵🏻': 'detective_tone1',
+  '🕵🏼': 'detective_tone2',
+  '🕵🏽': 'detective_tone3',
+  '🕵🏾': 'detective_tone4',
+  '🕵🏿': 'detective_tone5',
+  '🕵\u{200D}♀': 'woman_detective',
+  '🕵🏻\u{200D}♀': 'woman_detective_tone1',
+  '🕵🏼\u{200D}♀': 'woman_detective_tone2',
+  '🕵🏽\u{200D}♀': 'woman_detective_tone3',
+  '🕵🏾\u{200D}♀': 'woman_detective_tone4',
+  '🕵🏿\u{200D}♀': 'woman_detective_tone5',
+  '🕵\u{200D}♂': 'man_detective',
+  '🕵🏻\u{200D}♂': 'man_detective_tone1',
+  '🕵🏼\u{200D}♂': 'man_detective_tone2',
+  '🕵🏽\u{200D}♂': 'man_detective_tone3',
+  '🕵🏾\u{200D}♂': 'man_detective_tone4',
+  '🕵🏿\u{200D}♂': 'man_detective_tone5',
+  '🧑\u{200D}⚕': 'health_worker',
+  '🧑🏻\u{200D}⚕': 'health_worker_tone1',
+  '🧑🏼\u{200D}⚕': 'health_worker_tone2',
+  '🧑🏽\u{200D}⚕': 'health_worker_tone3',
+  '🧑🏾\u{200D}⚕': 'health_worker_tone4',
+  '🧑🏿\u{200D}⚕': 'health_worker_tone5',
+  '👩\u{200D}⚕': 'woman_health_worker',
+  '👩🏻\u{200D}⚕': 'woman_health_worker_tone1',
+  '👩🏼\u{200D}⚕': 'woman_health_worker_tone2',
+  '👩🏽\u{200D}⚕': 'woman_health_worker_tone3',
+  '👩🏾\u{200D}⚕': 'woman_health_worker_tone4',
+  '👩🏿\u{200D}⚕': 'woman_health_worker_tone5',
+  '👨\u{200D}⚕': 'man_health_worker',
+  '👨🏻\u{200D}⚕': 'man_health_worker_tone1',
+  '👨🏼\u{200D}⚕': 'man_health_worker_tone2',
+  '👨🏽\u{200D}⚕': 'man_health_worker_tone3',
+  '👨🏾\u{200D}⚕': 'man_health_worker_tone4',
+  '👨🏿\u{200D}⚕': 'man_health_worker_tone5',
+  '🧑\u{200D}🌾': 'farmer',
+  '🧑🏻\u{200D}🌾': 'farmer_tone1',
+  '🧑🏼\u{200D}🌾': 'farmer_tone2',
+  '🧑🏽\u{200D}🌾': 'farmer_tone3',
+  '🧑🏾\u{200D}🌾': 'farmer_tone4',
+  '🧑🏿\u{200D}🌾': 'farmer_tone5',
+  '👩\u{200D}🌾': 'woman_farmer',
+  '👩🏻\u{200D}🌾': 'woman_farmer_tone1',
+  '👩🏼\u{200D}🌾': 'woman_farmer_tone2',
+  '👩🏽\u{200D}🌾': 'woman_farmer_tone3',
+  '👩🏾\u{200D}🌾': 'woman_farmer_tone4',
+  '👩🏿\u{200D}🌾': 'woman_farmer_tone5',
+  '👨\u{200D}🌾': 'man_farmer',
+  '👨🏻\u{200D}🌾': 'man_farmer_tone1',
+  '👨🏼\u{200D}🌾': 'man_farmer_tone2',
+  '👨🏽\u{200D}🌾': 'man_farmer_tone3',
+  '👨🏾\u{200D}🌾': 'man_farmer_tone4',
+  '👨🏿\u{200D}🌾': 'man_farmer_tone5',
+  '🧑\u{200D}🍳': 'cook',
+  '🧑🏻\u{200D}🍳': 'cook_tone1',
+  '🧑🏼\u{200D}🍳': 'cook_tone2',
+  '🧑🏽\u{200D}🍳': 'cook_tone3',
+  '🧑🏾\u{200D}🍳': 'cook_tone4',
+  '🧑🏿\u{200D}🍳': 'cook_tone5',
+  '👩\u{200D}🍳': 'woman_cook',
+  '👩🏻\u{200D}🍳': 'woman_cook_tone1',
+  '👩🏼\u{200D}🍳': 'woman_cook_tone2',
+  '👩🏽\u{200D}🍳': 'woman_cook_tone3',
+  '👩🏾\u{200D}🍳': 'woman_cook_tone4',
+  '👩🏿\u{200D}🍳': 'woman_cook_tone5',
+  '👨\u{200D}🍳': 'man_cook',
+  '👨🏻\u{200D}🍳': 'man_cook_tone1',
+  '👨🏼\u{200D}🍳': 'man_cook_tone2',
+  '👨🏽\u{200D}🍳': 'man_cook_tone3',
+  '👨🏾\u{200D}🍳': 'man_cook_tone4',
+  '👨🏿\u{200D}🍳': 'man_cook_tone5',
+  '🧑\u{200D}🎓': 'student',
+  '🧑🏻\u{200D}🎓': 'student_tone1',
+  '🧑🏼\u{200D}🎓': 'student_tone2',
+  '🧑🏽\u{200D}🎓': 'student_tone3',
+  '🧑🏾\u{200D}🎓': 'student_tone4',
+  '🧑🏿\u{200D}🎓': 'student_tone5',
+  '👩\u{200D}🎓': 'woman_student',
+  '👩🏻\u{200D}🎓': 'woman_student_tone1',
+  '👩🏼\u{200D}🎓': 'woman_student_tone2',
+  '👩🏽\u{200D}🎓': 'woman_student_tone3',
+  '👩🏾\u{200D}🎓': 'woman_student_tone4',
+  '👩🏿\u{200D}🎓': 'woman_student_tone5',
+  '👨\u{200D}🎓': 'man_student',
+  '👨🏻\u{200D}🎓': 'man_student_tone1',
+  '👨🏼\u{200D}🎓': 'man_student_tone2',
+  '👨🏽\u{200D}🎓': 'man_student_tone3',
+  '👨🏾\u{200D}🎓': 'man_student_tone4',
+  '👨🏿\u{200D}🎓': 'man_student_tone5',
+  '🧑\u{200D}🎤': 'singer',
+  '🧑🏻\u{200D}🎤': 'singer_tone1',
+  '🧑🏼\u{200D}🎤': 'singer_tone2',
+  '🧑🏽\u{200D}🎤': 'singer_tone3',
+  '🧑🏾\u{200D}🎤': 'singer_tone4',
+  '🧑🏿\u{200D}🎤': 'singer_tone5',
+  '👩\u{200D}🎤': 'woman_singer',
+  '👩🏻\u{200D}🎤': 'woman_singer_tone1',
+  '👩🏼\u{200D}🎤': 'woman_singer_tone2',
+  '👩🏽\u{200D}🎤': 'woman_singer_tone3',
+  '👩🏾\u{200D}🎤': 'woman_singer_tone4',
+  '👩🏿\u{200D}🎤': 'woman_singer_tone5',
+  '👨\u{200D}🎤': 'man_singer',
+  '👨🏻\u{200D}🎤': 'man_singer_tone1',
+  '👨🏼\u{200D}🎤': 'man_singer_tone2',
+  '👨🏽\u{200D}🎤': 'man_singer_tone3',
+  '👨🏾\u{200D}🎤': 'man_singer_tone4',
+  '👨🏿\u{200D}🎤': 'man_singer_tone5',
+  '🧑\u{200D}🏫': 'teacher',
+  '🧑🏻\u{200D}🏫': 'teacher_tone1',
+  '🧑🏼\u{200D}🏫': 'teacher_tone2',
+  '🧑🏽\u{200D}🏫': 'teacher_tone3',
+  '🧑🏾\u{200D}🏫': 'teacher_tone4',
+  '🧑🏿\u{200D}🏫': 'teacher_tone5',
+  '👩\u{200D}🏫': 'woman_teacher',
+  '👩🏻\u{200D}🏫': 'woman_teacher_tone1',
+  '👩🏼\u{200D}🏫': 'woman_teacher_tone2',
+  '👩🏽\u{200D}🏫': 'woman_teacher_tone3',
+  '👩🏾\u{200D}🏫': 'woman_teacher_tone4',
+  '👩🏿\u{200D}🏫': 'woman_teacher_tone5',
+  '👨\u{200D}🏫': 'man_teacher',
+  '👨🏻\u{200D}🏫': 'man_teacher_tone1',
+  '👨🏼\u{200D}🏫': 'man_teacher_tone2',
+  '👨🏽\u{200D}🏫': 'man_teacher_tone3',
+  '👨🏾\u{200D}🏫': 'man_teacher_tone4',
+  '👨🏿\u{200D}🏫': 'man_teacher_tone5',
+  '🧑\u{200D}🏭': 'factory_worker',
+  '🧑🏻\u{200D}🏭': 'factory_worker_tone1',
+  '🧑🏼\u{200D}🏭': 'factory_worker_tone2',
+  '🧑🏽\u{200D}🏭': 'factory_worker_tone3',
+  '🧑🏾\u{200D}🏭': 'factory_worker_tone4',
+  '🧑🏿\u{200D}🏭': 'factory_worker_tone5',
+  '👩\u{200D}🏭': 'woman_factory_worker',
+  '👩🏻\u{200D}🏭': 'woman_factory_worker_tone1',
+  '👩🏼\u{200D}🏭': 'woman_factory_worker_tone2',
+  '👩🏽\u{200D}🏭': 'woman_factory_worker_tone3',
+  '👩🏾\u{200D}🏭': 'woman_factory_worker_tone4',
+  '👩🏿\u{200D}🏭': 'woman_factory_worker_tone5',
+  '👨\u{200D}🏭': 'man_factory_worker',
+  '👨🏻\u{200D}🏭': 'man_factory_worker_tone1',
+  '👨🏼\u{200D}🏭': 'man_factory_worker_tone2',
+  '👨🏽\u{200D}🏭': 'man_factory_worker_tone3',
+  '👨🏾\u{200D}🏭': 'man_factory_worker_tone4',
+  '👨🏿\u{200D}🏭': 'man_factory_worker_tone5',
+  '🧑\u{200D}💻': 'technologist',
+  '🧑🏻\u{200D}💻': 'technologist_tone1',
+  '🧑🏼\u{200D}💻': 'technologist_tone2',
+  '🧑🏽\u{200D}💻': 'technologist_tone3',
+  '🧑🏾\u{200D}💻': 'technologist_tone4',
+  '🧑🏿\u{200D}💻': 'technologist_tone5',
+  '👩\u{200D}💻': 'woman_technologist',
+  '👩🏻\u{200D}💻': 'woman_technologist_tone1',
+  '👩🏼\u{200D}💻': 'woman_technologist_tone2',
+  '👩🏽\u{200D}💻': 'woman_technologist_tone3',
+  '👩🏾\u{200D}💻': 'woman_technologist_tone4',
+  '👩🏿\u{200D}💻': 'woman_technologist_tone5',
+  '👨\u{200D}💻': 'man_technologist',
+  '👨🏻\u{200D}💻': 'man_technologist_tone1',
+  '👨🏼\u{200D}💻': 'man_technologist_tone2',
+  '👨🏽\u{200D}💻': 'man_technologist_tone3',
+  '👨🏾\u{200D}💻': 'man_technologist_tone4',
+  '👨🏿\u{200D}💻': 'man_technologist_tone5',
+  '🧑\u{200D}💼': 'office_worker',
+  '🧑🏻\u{200D}💼': 'office_worker_tone1',
+  '🧑🏼\u{200D}💼': 'office_worker_tone2',
+  '🧑🏽\u{200D}💼': 'office_worker_tone3',
+  '🧑🏾\u{200D}💼': 'office_worker_tone4',
+  '🧑🏿\u{200D}💼': 'office_worker_tone5',
+  '👩\u{200D}💼': 'woman_office_worker',
+  '👩🏻\u{200D}💼': 'woman_office_worker_tone1',
+  '👩🏼\u{200D}💼': 'woman_office_worker_tone2',
+  '👩🏽\u{200D}💼': 'woman_office_worker_tone3',
+  '👩🏾\u{200D}💼': 'woman_office_worker_tone4',
+  '👩🏿\u{200D}💼': 'woman_office_worker_tone5',
+  '👨\u{200D}💼': 'man_office_worker',
+  '👨🏻\u{200D}💼': 'man_office_worker_tone1',
+  '👨🏼\u{200D}💼': 'man_office_worker_tone2',
+  '👨🏽\u{200D}💼': 'man_office_worker_tone3',
+  '👨🏾\u{200D}💼': 'man_office_worker_tone4',
+  '👨🏿\u{200D}💼': 'man_office_worker_tone5',
+  '🧑\u{200D}🔧': 'mechanic',
+  '🧑🏻\u{200D}🔧': 'mechanic_tone1',
+  '🧑🏼\u{200D}🔧': 'mechanic_tone2',
+  '🧑🏽\u{200D}🔧': 'mechanic_tone3',
+  '🧑🏾\u{200D}🔧': 'mechanic_tone4',
+  '🧑🏿\u{200D}🔧': 'mechanic_tone5',
+  '👩\u{200D}🔧': 'woman_mechanic',
+  '👩🏻\u{200D}🔧': 'woman_mechanic_tone1',
+  '👩🏼\u{200D}🔧': 'woman_mechanic_tone2',
+  '👩🏽\u{200D}🔧': 'woman_mechanic_tone3',
+  '👩🏾\u{200D}🔧': 'woman_mechanic_tone4',
+  '👩🏿\u{200D}🔧': 'woman_mechanic_tone5',
+  '👨\u{200D}🔧': 'man_mechanic',
+  '👨🏻\u{200D}🔧': 'man_mechanic_tone1',
+  '👨🏼\u{200D}🔧': 'man_mechanic_tone2',
+  '👨🏽\u{200D}🔧': 'man_mechanic_tone3',
+  '👨🏾\u{200D}🔧': 'man_mechanic_tone4',
+  '👨🏿\u{200D}🔧': 'man_mechanic_tone5',
+  '🧑\u{200D}🔬': 'scientist',
+  '🧑🏻\u{200D}🔬': 'scientist_tone1',
+  '🧑🏼\u{200D}🔬': 'scientist_tone2',
+  '🧑🏽\u{200D}🔬': 'scientist_tone3',
+  '🧑🏾\u{200D}🔬': 'scientist_tone4',
+  '🧑🏿\u{200D}🔬': 'scientist_tone5',
+  '👩\u{200D}🔬': 'woman_scientist',
+  '👩🏻\u{200D}🔬': 'woman_scientist_tone1',
+  '👩🏼\u{200D}🔬': 'woman_scientist_tone2',
+  '👩🏽\u{200D}🔬': 'woman_scientist_tone3',
+  '👩🏾\u{200D}🔬': 'woman_scientist_tone4',
+  '👩🏿\u{200D}🔬': 'woman_scientist_tone5',
+  '👨\u{200D}🔬': 'man_scientist',
+  '👨🏻\u{200D}🔬': 'man_scientist_tone1',
+  '👨🏼\u{200D}🔬': 'man_scientist_tone2',
+  '👨🏽\u{200D}🔬': 'man_scientist_tone3',
+  '👨🏾\u{200D}🔬': 'man_scientist_tone4',
+  '👨🏿\u{200D}🔬': 'man_scientist_tone5',
+  '🧑\u{200D}🎨': 'artist',
+  '🧑🏻\u{200D}🎨': 'artist_tone1',
+  '🧑🏼\u{200D}🎨': 'artist_tone2',
+  '🧑🏽\u{200D}🎨': 'artist_tone3',
+  '🧑🏾\u{200D}🎨': 'artist_tone4',
+  '🧑🏿\u{200D}🎨': 'artist_tone5',
+  '👩\u{200D}🎨': 'woman_artist',
+  '👩🏻\u{200D}🎨': 'woman_artist_tone1',
+  '👩🏼\u{200D}🎨': 'woman_artist_tone2',
+  '👩🏽\u{200D}🎨': 'woman_artist_tone3',
+  '👩🏾\u{200D}🎨': 'woman_artist_tone4',
+  '👩🏿\u{200D}🎨': 'woman_artist_tone5',
+  '👨\u{200D}🎨': 'man_artist',
+  '👨🏻\u{200D}🎨': 'man_artist_tone1',
+  '👨🏼\u{200D}🎨': 'man_artist_tone2',
+  '👨🏽\u{200D}🎨': 'man_artist_tone3',
+  '👨🏾\u{200D}🎨': 'man_artist_tone4',
+  '👨🏿\u{200D}🎨': 'man_artist_tone5',
+  '🧑\u{200D}🚒': 'firefighter',
+  '🧑🏻\u{200D}🚒': 'firefighter_tone1',
+  '🧑🏼\u{200D}🚒': 'firefighter_tone2',
+  '🧑🏽\u{200D}🚒': 'firefighter_tone3',
+  '🧑🏾\u{200D}🚒': 'firefighter_tone4',
+  '🧑🏿\u{200D}🚒': 'firefighter_tone5',
+  '👩\u{200D}🚒': 'woman_firefighter',
+  '👩🏻\u{200D}🚒': 'woman_firefighter_tone1',
+  '👩🏼\u{200D}🚒': 'woman_firefighter_tone2',
+  '👩🏽\u{200D}🚒': 'woman_firefighter_tone3',
+  '👩🏾\u{200D}🚒': 'woman_firefighter_tone4',
+  '👩🏿\u{200D}🚒': 'woman_firefighter_tone5',
+  '👨\u{200D}🚒': 'man_firefighter',
+  '👨🏻\u{200D}🚒': 'man_firefighter_tone1',
+  '👨🏼\u{200D}🚒': 'man_firefighter_tone2',
+  '👨🏽\u{200D}🚒': 'man_firefighter_tone3',
+  '👨🏾\u{200D}🚒': 'man_firefighter_tone4',
+  '👨🏿\u{200D}🚒': 'man_firefighter_tone5',
+  '🧑\u{200D}✈': 'pilot',
+  '🧑🏻\u{200D}✈': 'pilot_tone1',
+  '🧑🏼\u{200D}✈': 'pilot_tone2',
+  '🧑🏽\u{200D}✈': 'pilot_tone3',
+  '🧑🏾\u{200D}✈': 'pilot_tone4',
+  '🧑🏿\u{200D}✈': 'pilot_tone5',
+  '👩\u{200D}✈': 'woman_pilot',
+  '👩🏻\u{200D}✈': 'woman_pilot_tone1',
+  '👩🏼\u{200D}✈': 'woman_pilot_tone2',
+  '👩🏽\u{200D}✈': 'woman_pilot_tone3',
+  '👩🏾\u{200D}✈': 'woman_pilot_tone4',
+  '👩🏿\u{200D}✈': 'woman_pilot_tone5',
+  '👨\u{200D}✈': 'man_pilot',
+  '👨🏻\u{200D}✈': 'man_pilot_tone1',
+  '👨🏼\u{200D}✈': 'man_pilot_tone2',
+  '👨🏽\u{200D}✈': 'man_pilot_tone3',
+  '👨🏾\u{200D}✈': 'man_pilot_tone4',
+  '👨🏿\u{200D}✈': 'man_pilot_tone5',
+  '🧑\u{200D}🚀': 'astronaut',
+  '🧑🏻\u{200D}🚀': 'astronaut_tone1',
+  '🧑🏼\u{200D}🚀': 'astronaut_tone2',
+  '🧑🏽\u{200D}🚀': 'astronaut_tone3',
+  '🧑🏾\u{200D}🚀': 'astronaut_tone4',
+  '🧑🏿\u{200D}🚀': 'astronaut_tone5',
+  '👩\u{200D}🚀': 'woman_astronaut',
+  '👩🏻\u{200D}🚀': 'woman_astronaut_tone1',
+  '👩🏼\u{200D}🚀': 'woman_astronaut_tone2',
+  '👩🏽\u{200D}🚀': 'woman_astronaut_tone3',
+  '👩🏾\u{200D}🚀': 'woman_astronaut_tone4',
+  '👩🏿\u{200D}🚀': 'woman_astronaut_tone5',
+  '👨\u{200D}🚀': 'man_astronaut',
+  '👨🏻\u{200D}🚀': 'man_astronaut_tone1',
+  '👨🏼\u{200D}🚀': 'man_astronaut_tone2',
+  '👨🏽\u{200D}🚀': 'man_astronaut_tone3',
+  '👨🏾\u{200D}🚀': 'man_astronaut_tone4',
+  '👨🏿\u{200D}🚀': 'man_astronaut_tone5',
+  '🧑\u{200D}⚖': 'judge',
+  '🧑🏻\u{200D}⚖': 'judge_tone1',
+  '🧑🏼\u{200D}⚖': 'judge_tone2',
+  '🧑🏽\u{200D}⚖': 'judge_tone3',
+  '🧑🏾\u{200D}⚖': 'judge_tone4',
+  '🧑🏿\u{200D}⚖': 'judge_tone5',
+  '👩\u{200D}⚖': 'woman_judge',
+  '👩🏻\u{200D}⚖': 'woman_judge_tone1',
+  '👩🏼\u{200D}⚖': 'woman_judge_tone2',
+  '👩🏽\u{200D}⚖': 'woman_judge_tone3',
+  '👩🏾\u{200D}⚖': 'woman_judge_tone4',
+  '👩🏿\u{200D}⚖': 'woman_judge_tone5',
+  '👨\u{200D}⚖': 'man_judge',
+  '👨🏻\u{200D}⚖': 'man_judge_tone1',
+  '👨🏼\u{200D}⚖': 'man_judge_tone2',
+  '👨🏽\u{200D}⚖': 'man_judge_tone3',
+  '👨🏾\u{200D}⚖': 'man_judge_tone4',
+  '👨🏿\u{200D}⚖': 'man_judge_tone5',
+  '👰': 'person_with_veil',
+  '👰🏻': 'person_with_veil_tone1',
+  '👰🏼': 'person_with_veil_tone2',
+  '👰🏽': 'person_with_veil_tone3',
+  '👰🏾': 'person_with_veil_tone4',
+  '👰🏿': 'person_with_veil_tone5',
+  '👰\u{200D}♀': 'woman_with_veil',
+  '👰🏻\u{200D}♀': 'woman_with_veil_tone1',
+  '👰🏼\u{200D}♀': 'woman_with_veil_tone2',
+  '👰🏽\u{200D}♀': 'woman_with_veil_tone3',
+  '👰🏾\u{200D}♀': 'woman_with_veil_tone4',
+  '👰🏿\u{200D}♀': 'woman_with_veil_tone5',
+  '👰\u{200D}♂': 'man_with_veil',
+  '👰🏻\u{200D}♂': 'man_with_veil_tone1',
+  '👰🏼\u{200D}♂': 'man_with_veil_tone2',
+  '👰🏽\u{200D}♂': 'man_with_veil_tone3',
+  '👰🏾\u{200D}♂': 'man_with_veil_tone4',
+  '👰🏿\u{200D}♂': 'man_with_veil_tone5',
+  '🤵': 'person_in_tuxedo',
+  '🤵🏻': 'person_in_tuxedo_tone1',
+  '🤵🏼': 'person_in_tuxedo_tone2',
+  '🤵🏽': 'person_in_tuxedo_tone3',
+  '🤵🏾': 'person_in_tuxedo_tone4',
+  '🤵🏿': 'person_in_tuxedo_tone5',
+  '🤵\u{200D}♀': 'woman_in_tuxedo',
+  '🤵🏻\u{200D}♀': 'woman_in_tuxedo_tone1',
+  '🤵🏼\u{200D}♀': 'woman_in_tuxedo_tone2',
+  '🤵🏽\u{200D}♀': 'woman_in_tuxedo_tone3',
+  '🤵🏾\u{200D}♀': 'woman_in_tuxedo_tone4',
+  '🤵🏿\u{200D}♀': 'woman_in_tuxedo_tone5',
+  '🤵\u{200D}♂': 'man_in_tuxedo',
+  '🤵🏻\u{200D}♂': 'man_in_tuxedo_tone1',
+  '🤵🏼\u{200D}♂': 'man_in_tuxedo_tone2',
+  '🤵🏽\u{200D}♂': 'man_in_tuxedo_tone3',
+  '🤵🏾\u{200D}♂': 'man_in_tuxedo_tone4',
+  '🤵🏿\u{200D}♂': 'man_in_tuxedo_tone5',
+  '🫅': 'person_with_crown',
+  '🫅🏻': 'person_with_crown_tone1',
+  '🫅🏼': 'person_with_crown_tone2',
+  '🫅🏽': 'person_with_crown_tone3',
+  '🫅🏾': 'person_with_crown_tone4',
+  '🫅🏿': 'person_with_crown_tone5',
+  '👸': 'princess',
+  '👸🏻': 'princess_tone1',
+  '👸🏼': 'princess_tone2',
+  '👸🏽': 'princess_tone3',
+  '👸🏾': 'princess_tone4',
+  '👸🏿': 'princess_tone5',
+  '🤴': 'prince',
+  '🤴🏻': 'prince_tone1',
+  '🤴🏼': 'prince_tone2',
+  '🤴🏽': 'prince_tone3',
+  '🤴🏾': 'prince_tone4',
+  '🤴🏿': 'prince_tone5',
+  '🦸': 'superhero',
+  '🦸🏻': 'superhero_tone1',
+  '🦸🏼': 'superhero_tone2',
+  '🦸🏽': 'superhero_tone3',
+  '🦸🏾': 'superhero_tone4',
+  '🦸🏿': 'superhero_tone5',
+  '🦸\u{200D}♀': 'woman_superhero',
+  '🦸🏻\u{200D}♀': 'woman_superhero_tone1',
+  '🦸🏼\u{200D}♀': 'woman_superhero_tone2',
+  '🦸🏽\u{200D}♀': 'woman_superhero_tone3',
+  '🦸🏾\u{200D}♀': 'woman_superhero_tone4',
+  '🦸🏿\u{200D}♀': 'woman_superhero_tone5',
+  '🦸\u{200D}♂': 'man_superhero',
+  '🦸🏻\u{200D}♂': 'man_superhero_tone1',
+  '🦸🏼\u{200D}♂': 'man_superhero_tone2',
+  '🦸🏽\u{200D}♂': 'man_superhero_tone3',
+  '🦸🏾\u{200D}♂': 'man_superhero_tone4',
+  '🦸🏿\u{200D}♂': 'man_superhero_tone5',
+  '🦹': 'supervillain',
+  '🦹🏻': 'supervillain_tone1',
+  '🦹🏼': 'supervillain_tone2',
+  '🦹🏽': 'supervillain_tone3',
+  '🦹🏾': 'supervillain_tone4',
+  '🦹🏿': 'supervillain_tone5',
+  '🦹\u{200D}♀': 'woman_supervillain',
+  '🦹🏻\u{200D}♀': 'woman_supervillain_tone1',
+  '🦹🏼\u{200D}♀': 'woman_supervillain_tone2',
+  '🦹🏽\u{200D}♀': 'woman_supervillain_tone3',
+  '🦹🏾\u{200D}♀': 'woman_supervillain_tone4',
+  '🦹🏿\u{200D}♀': 'woman_supervillain_tone5',
+  '🦹\u{200D}♂': 'man_supervillain',
+  '🦹🏻\u{200D}♂': 'man_supervillain_tone1',
+  '🦹🏼\u{200D}♂': 'man_supervillain_tone2',
+  '🦹🏽\u{200D}♂': 'man_supervillain_tone3',
+  '🦹🏾\u{200D}♂': 'man_supervillain_tone4',
+  '🦹🏿\u{200D}♂': 'man_supervillain_tone5',
+  '🥷': 'ninja',
+  '🥷🏻': 'ninja_tone1',
+  '🥷🏼': 'ninja_tone2',
+  '🥷🏽': 'ninja_tone3',
+  '🥷🏾': 'ninja_tone4',
+  '🥷🏿': 'ninja_tone5',
+  '🧑\u{200D}🎄': 'mx_claus',
+  '🧑🏻\u{200D}🎄': 'mx_claus_tone1',
+  '🧑🏼\u{200D}🎄': 'mx_claus_tone2',
+  '🧑🏽\u{200D}🎄': 'mx_claus_tone3',
+  '🧑🏾\u{200D}🎄': 'mx_claus_tone4',
+  '🧑🏿\u{200D}🎄': 'mx_claus_tone5',
+  '🤶': 'mrs_claus',
+  '🤶🏻': 'mrs_claus_tone1',
+  '🤶🏼': 'mrs_claus_tone2',
+  '🤶🏽': 'mrs_claus_tone3',
+  '🤶🏾': 'mrs_claus_tone4',
+  '🤶🏿': 'mrs_claus_tone5',
+  '🎅': 'santa',
+  '🎅🏻': 'santa_tone1',
+  '🎅🏼': 'santa_tone2',
+  '🎅🏽': 'santa_tone3',
+  '🎅🏾': 'santa_tone4',
+  '🎅🏿': 'santa_tone5',
+  '🧙': 'mage',
+  '🧙🏻': 'mage_tone1',
+  '🧙🏼': 'mage_tone2',
+  '🧙🏽': 'mage_tone3',
+  '🧙🏾': 'mage_tone4',
+  '🧙🏿': 'mage_tone5',
+  '🧙\u{200D}♀': 'woman_mage',
+  '🧙🏻\u{200D}♀': 'woman_mage_tone1',
+  '🧙🏼\u{200D}♀': 'woman_mage_tone2',
+  '🧙🏽\u{200D}♀': 'woman_mage_tone3',
+  '🧙🏾\u{200D}♀': 'woman_mage_tone4',
+  '🧙🏿\u{200D}♀': 'woman_mage_tone5',
+  '🧙\u{200D}♂': 'man_mage',
+  '🧙🏻\u{200D}♂': 'man_mage_tone1',
+  '🧙🏼\u{200D}♂': 'man_mage_tone2',
+  '🧙🏽\u{200D}♂': 'man_mage_tone3',
+  '🧙🏾\u{200D}♂': 'man_mage_tone4',
+  '🧙🏿\u{200D}♂': 'man_mage_tone5',
+  '🧝': 'elf',
+  '🧝🏻': 'elf_tone1',
+  '🧝🏼': 'elf_tone2',
+  '🧝🏽': 'elf_tone3',
+  '🧝🏾': 'elf_tone4',
+  '🧝🏿': 'elf_tone5',
+  '🧝\u{200D}♀': 'woman_elf',
+  '🧝🏻\u{200D}♀': 'woman_elf_tone1',
+  '🧝🏼\u{200D}♀': 'woman_elf_tone2',
+  '🧝🏽\u{200D}♀': 'woman_elf_tone3',
+  '🧝🏾\u{200D}♀': 'woman_elf_tone4',
+  '🧝🏿\u{200D}♀': 'woman_elf_tone5',
+  '🧝\u{200D}♂': 'man_elf',
+  '🧝🏻\u{200D}♂': 'man_elf_tone1',
+  '🧝🏼\u{200D}♂': 'man_elf_tone2',
+  '🧝🏽\u{200D}♂': 'man_elf_tone3',
+  '🧝🏾\u{200D}♂': 'man_elf_tone4',
+  '🧝🏿\u{200D}♂': 'man_elf_tone5',
+  '🧌': 'troll',
+  '🧛': 'vampire',
+  '🧛🏻': 'vampire_tone1',
+  '🧛🏼': 'vampire_tone2',
+  '🧛🏽': 'vampire_tone3',
+  '🧛🏾': 'vampire_tone4',
+  '🧛🏿': 'vampire_tone5',
+  '🧛\u{200D}♀': 'woman_vampire',
+  '🧛🏻\u{200D}♀': 'woman_vampire_tone1',
+  '🧛🏼\u{200D}♀': 'woman_vampire_tone2',
+  '🧛🏽\u{200D}♀': 'woman_vampire_tone3',
+  '🧛🏾\u{200D}♀': 'woman_vampire_tone4',
+  '🧛🏿\u{200D}♀': 'woman_vampire_tone5',
+  '🧛\u{200D}♂': 'man_vampire',
+  '🧛🏻\u{200D}♂': 'man_vampire_tone1',
+  '🧛🏼\u{200D}♂': 'man_vampire_tone2',
+  '🧛🏽\u{200D}♂': 'man_vampire_tone3',
+  '🧛🏾\u{200D}♂': 'man_vampire_tone4',
+  '🧛🏿\u{200D}♂': 'man_vampire_tone5',
+  '🧟': 'zombie',
+  '🧟\u{200D}♀': 'woman_zombie',
+  '🧟\u{200D}♂': 'man_zombie',
+  '🧞': 'genie',
+  '🧞\u{200D}♀': 'woman_genie',
+  '🧞\u{200D}♂': 'man_genie',
+  '🧜': 'merperson',
+  '🧜🏻': 'merperson_tone1',
+  '🧜🏼': 'merperson_tone2',
+  '🧜🏽': 'merperson_tone3',
+  '🧜🏾': 'merperson_tone4',
+  '🧜🏿': 'merperson_tone5',
+  '🧜\u{200D}♀': 'mermaid',
+  '🧜🏻\u{200D}♀': 'mermaid_tone1',
+  '🧜🏼\u{200D}♀': 'mermaid_tone2',
+  '🧜🏽\u{200D}♀': 'mermaid_tone3',
+  '🧜🏾\u{200D}♀': 'mermaid_tone4',
+  '🧜🏿\u{200D}♀': 'mermaid_tone5',
+  '🧜\u{200D}♂': 'merman',
+  '🧜🏻\u{200D}♂': 'merman_tone1',
+  '🧜🏼\u{200D}♂': 'merman_tone2',
+  '🧜🏽\u{200D}♂': 'merman_tone3',
+  '🧜🏾\u{200D}♂': 'merman_tone4',
+  '🧜🏿\u{200D}♂': 'merman_tone5',
+  '🧚': 'fairy',
+  '🧚🏻': 'fairy_tone1',
+  '🧚🏼': 'fairy_tone2',
+  '🧚🏽': 'fairy_tone3',
+  '🧚🏾': 'fairy_tone4',
+  '🧚🏿': 'fairy_tone5',
+  '🧚\u{200D}♀': 'woman_fairy',
+  '🧚🏻\u{200D}♀': 'woman_fairy_tone1',
+  '🧚🏼\u{200D}♀': 'woman_fairy_tone2',
+  '🧚🏽\u{200D}♀': 'woman_fairy_tone3',
+  '🧚🏾\u{200D}♀': 'woman_fairy_tone4',
+  '🧚🏿\u{200D}♀': 'woman_fairy_tone5',
+  '🧚\u{200D}♂': 'man_fairy',
+  '🧚🏻\u{200D}♂': 'man_fairy_tone1',
+  '🧚🏼\u{200D}♂': 'man_fairy_tone2',
+  '🧚🏽\u{200D}♂': 'man_fairy_tone3',
+  '🧚🏾\u{200D}♂': 'man_fairy_tone4',
+  '🧚🏿\u{200D}♂': 'man_fairy_tone5',
+  '👼': 'angel',
+  '👼🏻': 'angel_tone1',
+  '👼🏼': 'angel_tone2',
+  '👼🏽': 'angel_tone3',
+  '👼🏾': 'angel_tone4',
+  '👼🏿': 'angel_tone5',
+  '🫄': 'pregnant_person',
+  '🫄🏻': 'pregnant_person_tone1',
+  '🫄🏼': 'pregnant_person_tone2',
+  '🫄🏽': 'pregnant_person_tone3',
+  '🫄🏾': 'pregnant_person_tone4',
+  '🫄🏿': 'pregnant_person_tone5',
+  '🤰': 'pregnant_woman',
+  '🤰🏻': 'pregnant_woman_tone1',
+  '🤰🏼': 'pregnant_woman_tone2',
+  '🤰🏽': 'pregnant_woman_tone3',
+  '🤰🏾': 'pregnant_woman_tone4',
+  '🤰🏿': 'pregnant_woman_tone5',
+  '🫃': 'pregnant_man',
+  '🫃🏻': 'pregnant_man_tone1',
+  '🫃🏼': 'pregnant_man_tone2',
+  '🫃🏽': 'pregnant_man_tone3',
+  '🫃🏾': 'pregnant_man_tone4',
+  '🫃🏿': 'pregnant_man_tone5',
+  '🤱': 'breast_feeding',
+  '🤱🏻': 'breast_feeding_tone1',
+  '🤱🏼': 'breast_feeding_tone2',
+  '🤱🏽': 'breast_feeding_tone3',
+  '🤱🏾': 'breast_feeding_tone4',
+  '🤱🏿': 'breast_feeding_tone5',
+  '🧑\u{200D}🍼': 'person_feeding_baby',
+  '🧑🏻\u{200D}🍼': 'person_feeding_baby_tone1',
+  '🧑🏼\u{200D}🍼': 'person_feeding_baby_tone2',
+  '🧑🏽\u{200D}🍼': 'person_feeding_baby_tone3',
+  '🧑🏾\u{200D}🍼': 'person_feeding_baby_tone4',
+  '🧑🏿\u{200D}🍼': 'person_feeding_baby_tone5',
+  '👩\u{200D}🍼': 'woman_feeding_baby',
+  '👩🏻\u{200D}🍼': 'woman_feeding_baby_tone1',
+  '👩🏼\u{200D}🍼': 'woman_feeding_baby_tone2',
+  '👩🏽\u{200D}🍼': 'woman_feeding_baby_tone3',
+  '👩🏾\u{200D}🍼': 'woman_feeding_baby_tone4',
+  '👩🏿\u{200D}🍼': 'woman_feeding_baby_tone5',
+  '👨\u{200D}🍼': 'man_feeding_baby',
+  '👨🏻\u{200D}🍼': 'man_feeding_baby_tone1',
+  '👨🏼\u{200D}🍼': 'man_feeding_baby_tone2',
+  '👨🏽\u{200D}🍼': 'man_feeding_baby_tone3',
+  '👨🏾\u{200D}🍼': 'man_feeding_baby_tone4',
+  '👨🏿\u{200D}🍼': 'man_feeding_baby_tone5',
+  '🙇': 'person_bowing',
+  '🙇🏻': 'person_bowing_tone1',
+  '🙇🏼': 'person_bowing_tone2',
+  '🙇🏽': 'person_bowing_tone3',
+  '🙇🏾': 'person_bowing_tone4',
+  '🙇🏿': 'person_bowing_tone5',
+  '🙇\u{200D}♀': 'woman_bowing',
+  '🙇🏻\u{200D}♀': 'woman_bowing_tone1',
+  '🙇🏼\u{200D}♀': 'woman_bowing_tone2',
+  '🙇🏽\u{200D}♀': 'woman_bowing_tone3',
+  '🙇🏾\u{200D}♀': 'woman_bowing_tone4',
+  '🙇🏿\u{200D}♀': 'woman_bowing_tone5',
+  '🙇\u{200D}♂': 'man_bowing',
+  '🙇🏻\u{200D}♂': 'man_bowing_tone1',
+  '🙇🏼\u{200D}♂': 'man_bowing_tone2',
+  '🙇🏽\u{200D}♂': 'man_bowing_tone3',
+  '🙇🏾\u{200D}♂': 'man_bowing_tone4',
+  '🙇🏿\u{200D}♂': 'man_bowing_tone5',
+  '💁': 'person_tipping_hand',
+  '💁🏻': 'person_tipping_hand_tone1',
+  '💁🏼': 'person_tipping_hand_tone2',
+  '💁🏽': 'person_tipping_hand_tone3',
+  '💁🏾': 'person_tipping_hand_tone4',
+  '💁🏿': 'person_tipping_hand_tone5',
+  '💁\u{200D}♀': 'woman_tipping_hand',
+  '💁🏻\u{200D}♀': 'woman_tipping_hand_tone1',
+  '💁🏼\u{200D}♀': 'woman_tipping_hand_tone2',
+  '💁🏽\u{200D}♀': 'woman_tipping_hand_tone3',
+  '💁🏾\u{200D}♀': 'woman_tipping_hand_tone4',
+  '💁🏿\u{200D}♀': 'woman_tipping_hand_tone5',
+  '💁\u{200D}♂': 'man_tipping_hand',
+  '💁🏻\u{200D}♂': 'man_tipping_hand_tone1',
+  '💁🏼\u{200D}♂': 'man_tipping_hand_tone2',
+  '💁🏽\u{200D}♂': 'man_tipping_hand_tone3',
+  '💁🏾\u{200D}♂': 'man_tipping_hand_tone4',
+  '💁🏿\u{200D}♂': 'man_tipping_hand_tone5',
+  '🙅': 'person_gesturing_no',
+  '🙅🏻': 'person_gesturing_no_tone1',
+  '🙅🏼': 'person_gesturing_no_tone2',
+  '🙅🏽': 'person_gesturing_no_tone3',
+  '🙅🏾': 'person_gesturing_no_tone4',
+  '🙅🏿': 'person_gesturing_no_tone5',
+  '🙅\u{200D}♀': 'woman_gesturing_no',
+  '🙅🏻\u{200D}♀': 'woman_gesturing_no_tone1',
+  '🙅🏼\u{200D}♀': 'woman_gesturing_no_tone2',
+  '🙅🏽\u{200D}♀': 'woman_gesturing_no_tone3',
+  '🙅🏾\u{200D}♀': 'woman_gesturing_no_tone4',
+  '🙅🏿\u{200D}♀': 'woman_gesturing_no_tone5',
+  '🙅\u{200D}♂': 'man_gesturing_no',
+  '🙅🏻\u{200D}♂': 'man_gesturing_no_tone1',
+  '🙅🏼\u{200D}♂': 'man_gesturing_no_tone2',
+  '🙅🏽\u{200D}♂': 'man_gesturing_no_tone3',
+  '🙅🏾\u{200D}♂': 'man_gesturing_no_tone4',
+  '🙅🏿\u{200D}♂': 'man_gesturing_no_tone5',
+  '🙆': 'person_gesturing_ok',
+  '🙆🏻': 'person_gesturing_ok_tone1',
+  '🙆🏼': 'person_gesturing_ok_tone2',
+  '🙆🏽': 'person_gesturing_ok_tone3',
+  '🙆🏾': 'person_gesturing_ok_tone4',
+  '🙆🏿': 'person_gesturing_ok_tone5',
+  '🙆\u{200D}♀': 'woman_gesturing_ok',
+  '🙆🏻\u{200D}♀': 'woman_gesturing_ok_tone1',
+  '🙆🏼\u{200D}♀': 'woman_gesturing_ok_tone2',
+  '🙆🏽\u{200D}♀': 'woman_gesturing_ok_tone3',
+  '🙆🏾\u{200D}♀': 'woman_gesturing_ok_tone4',
+  '🙆🏿\u{200D}♀': 'woman_gesturing_ok_tone5',
+  '🙆\u{200D}♂': 'man_gesturing_ok',
+  '🙆🏻\u{200D}♂': 'man_gesturing_ok_tone1',
+  '🙆🏼\u{200D}♂': 'man_gesturing_ok_tone2',
+  '🙆🏽\u{200D}♂': 'man_gesturing_ok_tone3',
+  '🙆🏾\u{200D}♂': 'man_gesturing_ok_tone4',
+  '🙆🏿\u{200D}♂': 'man_gesturing_ok_tone5',
+  '🙋': 'person_raising_hand',
+  '🙋🏻': 'person_raising_hand_tone1',
+  '🙋🏼': 'person_raising_hand_tone2',
+  '🙋🏽': 'person_raising_hand_tone3',
+  '🙋🏾': 'person_raising_hand_tone4',
+  '🙋🏿': 'person_raising_hand_tone5',
+  '🙋\u{200D}♀': 'woman_raising_hand',
+  '🙋🏻\u{200D}♀': 'woman_raising_hand_tone1',
+  '🙋🏼\u{200D}♀': 'woman_raising_hand_tone2',
+  '🙋🏽\u{200D}♀': 'woman_raising_hand_tone3',
+  '🙋🏾\u{200D}♀': 'woman_raising_hand_tone4',
+  '🙋🏿\u{200D}♀': 'woman_raising_hand_tone5',
+  '🙋\u{200D}♂': 'man_raising_hand',
+  '🙋🏻\u{200D}♂': 'man_raising_hand_tone1',
+  '🙋🏼\u{200D}♂': 'man_raising_hand_tone2',
+  '🙋🏽\u{200D}♂': 'man_raising_hand_tone3',
+  '🙋🏾\u{200D}♂': 'man_raising_hand_tone4',
+  '🙋🏿\u{200D}♂': 'man_raising_hand_tone5',
+  '🧏': 'deaf_person',
+  '🧏🏻': 'deaf_person_tone1',
+  '🧏🏼': 'deaf_person_tone2',
+  '🧏🏽': 'deaf_person_tone3',
+  '🧏🏾': 'deaf_person_tone4',
+  '🧏🏿': 'deaf_person_tone5',
+  '🧏\u{200D}♀': 'deaf_woman',
+  '🧏🏻\u{200D}♀': 'deaf_woman_tone1',
+  '🧏🏼\u{200D}♀': 'deaf_woman_tone2',
+  '🧏🏽\u{200D}♀': 'deaf_woman_tone3',
+  '🧏🏾\u{200D}♀': 'deaf_woman_tone4',
+  '🧏🏿\u{200D}♀': 'deaf_woman_tone5',
+  '🧏\u{200D}♂': 'deaf_man',
+  '🧏🏻\u{200D}♂': 'deaf_man_tone1',
+  '🧏🏼\u{200D}♂': 'deaf_man_tone2',
+  '🧏🏽\u{200D}♂': 'deaf_man_tone3',
+  '🧏🏾\u{200D}♂': 'deaf_man_tone4',
+  '🧏🏿\u{200D}♂': 'deaf_man_tone5',
+  '🤦': 'person_facepalming',
+  '🤦🏻': 'person_facepalming_tone1',
+  '🤦🏼': 'person_facepalming_tone2',
+  '🤦🏽': 'person_facepalming_tone3',
+  '🤦🏾': 'person_facepalming_tone4',
+  '🤦🏿': 'person_facepalming_tone5',
+  '🤦\u{200D}♀': 'woman_facepalming',
+  '🤦🏻\u{200D}♀': 'woman_facepalming_tone1',
+  '🤦🏼\u{200D}♀': 'woman_facepalming_tone2',
+  '🤦🏽\u{200D}♀': 'woman_facepalming_tone3',
+  '🤦🏾\u{200D}♀': 'woman_facepalming_tone4',
+  '🤦🏿\u{200D}♀': 'woman_facepalming_tone5',
+  '🤦\u{200D}♂': 'man_facepalming',
+  '🤦🏻\u{200D}♂': 'man_facepalming_tone1',
+  '🤦🏼\u{200D}♂': 'man_facepalming_tone2',
+  '🤦🏽\u{200D}♂': 'man_facepalming_tone3',
+  '🤦🏾\u{200D}♂': 'man_facepalming_tone4',
+  '🤦🏿\u{200D}♂': 'man_facepalming_tone5',
+  '🤷': 'person_shrugging',
+  '🤷🏻': 'person_shrugging_tone1',
+  '🤷🏼': 'person_shrugging_tone2',
+  '🤷🏽': 'person_shrugging_tone3',
+  '🤷🏾': 'person_shrugging_tone4',
+  '🤷🏿': 'person_shrugging_tone5',
+  '🤷\u{200D}♀': 'woman_shrugging',
+  '🤷🏻\u{200D}♀': 'woman_shrugging_tone1',
+  '🤷🏼\u{200D}♀': 'woman_shrugging_tone2',
+  '🤷🏽\u{200D}♀': 'woman_shrugging_tone3',
+  '🤷🏾\u{200D}♀': 'woman_shrugging_tone4',
+  '🤷🏿\u{200D}♀': 'woman_shrugging_tone5',
+  '🤷\u{200D}♂': 'man_shrugging',
+  '🤷🏻\u{200D}♂': 'man_shrugging_tone1',
+  '🤷🏼\u{200D}♂': 'man_shrugging_tone2',
+  '🤷🏽\u{200D}♂': 'man_shrugging_tone3',
+  '🤷🏾\u{200D}♂': 'man_shrugging_tone4',
+  '🤷🏿\u{200D}♂': 'man_shrugging_tone5',
+  '🙎': 'person_pouting',
+  '🙎🏻': 'person_pouting_tone1',
+  '🙎🏼': 'person_pouting_tone2',
+  '🙎🏽': 'person_pouting_tone3',
+  '🙎🏾': 'person_pouting_tone4',
+  '🙎🏿': 'person_pouting_tone5',
+  '🙎\u{200D}♀': 'woman_pouting',
+  '🙎🏻\u{200D}♀': 'woman_pouting_tone1',
+  '🙎🏼\u{200D}♀': 'woman_pouting_tone2',
+  '🙎🏽\u{200D}♀': 'woman_pouting_tone3',
+  '🙎🏾\u{200D}♀': 'woman_pouting_tone4',
+  '🙎🏿\u{200D}♀': 'woman_pouting_tone5',
+  '🙎\u{200D}♂': 'man_pouting',
+  '🙎🏻\u{200D}♂': 'man_pouting_tone1',
+  '🙎🏼\u{200D}♂': 'man_pouting_tone2',
+  '🙎🏽\u{200D}♂': 'man_pouting_tone3',
+  '🙎🏾\u{200D}♂': 'man_pouting_tone4',
+  '🙎🏿\u{200D}♂': 'man_pouting_tone5',
+  '🙍': 'person_frowning',
+  '🙍🏻': 'person_frowning_tone1',
+  '🙍🏼': 'person_frowning_tone2',
+  '🙍🏽': 'person_frowning_tone3',
+  '🙍🏾': 'person_frowning_tone4',
+  '🙍🏿': 'person_frowning_tone5',
+  '🙍\u{200D}♀': 'woman_frowning',
+  '🙍🏻\u{200D}♀': 'woman_frowning_tone1',
+  '🙍🏼\u{200D}♀': 'woman_frowning_tone2',
+  '🙍🏽\u{200D}♀': 'woman_frowning_tone3',
+  '🙍🏾\u{200D}♀': 'woman_frowning_tone4',
+  '🙍🏿\u{200D}♀': 'woman_frowning_tone5',
+  '🙍\u{200D}♂': 'man_frowning',
+  '🙍🏻\u{200D}♂': 'man_frowning_tone1',
+  '🙍🏼\u{200D}♂': 'man_frowning_tone2',
+  '🙍🏽\u{200D}♂': 'man_frowning_tone3',
+  '🙍🏾\u{200D}♂': 'man_frowning_tone4',
+  '🙍🏿\u{200D}♂': 'man_frowning_tone5',
+  '💇': 'person_getting_haircut',
+  '💇🏻': 'person_getting_haircut_tone1',
+  '💇🏼': 'person_getting_haircut_tone2',
+  '💇🏽': 'person_getting_haircut_tone3',
+  '💇🏾': 'person_getting_haircut_tone4',
+  '💇🏿': 'person_getting_haircut_tone5',
+  '💇\u{200D}♀': 'woman_getting_haircut',
+  '💇🏻\u{200D}♀': 'woman_getting_haircut_tone1',
+  '💇🏼\u{200D}♀': 'woman_getting_haircut_tone2',
+  '💇🏽\u{200D}♀': 'woman_getting_haircut_tone3',
+  '💇🏾\u{200D}♀': 'woman_getting_haircut_tone4',
+  '💇🏿\u{200D}♀': 'woman_getting_haircut_tone5',
+  '💇\u{200D}♂': 'man_getting_haircut',
+  '💇🏻\u{200D}♂': 'man_getting_haircut_tone1',
+  '💇🏼\u{200D}♂': 'man_getting_haircut_tone2',
+  '💇🏽\u{200D}♂': 'man_getting_haircut_tone3',
+  '💇🏾\u{200D}♂': 'man_getting_haircut_tone4',
+  '💇🏿\u{200D}♂': 'man_getting_haircut_tone5',
+  '💆': 'person_getting_massage',
+  '💆🏻': 'person_getting_massage_tone1',
+  '💆🏼': 'person_getting_massage_tone2',
+  '💆🏽': 'person_getting_massage_tone3',
+  '💆🏾': 'person_getting_massage_tone4',
+  '💆🏿': 'person_getting_massage_tone5',
+  '💆\u{200D}♀': 'woman_getting_face_massage',
+  '💆🏻\u{200D}♀': 'woman_getting_face_massage_tone1',
+  '💆🏼\u{200D}♀': 'woman_getting_face_massage_tone2',
+  '💆🏽\u{200D}♀': 'woman_getting_face_massage_tone3',
+  '💆🏾\u{200D}♀': 'woman_getting_face_massage_tone4',
+  '💆🏿\u{200D}♀': 'woman_getting_face_massage_tone5',
+  '💆\u{200D}♂': 'man_getting_face_massage',
+  '💆🏻\u{200D}♂': 'man_getting_face_massage_tone1',
+  '💆🏼\u{200D}♂': 'man_getting_face_massage_tone2',
+  '💆🏽\u{200D}♂': 'man_getting_face_massage_tone3',
+  '💆🏾\u{200D}♂': 'man_getting_face_massage_tone4',
+  '💆🏿\u{200D}♂': 'man_getting_face_massage_tone5',
+  '🧖': 'person_in_steamy_room',
+  '🧖🏻': 'person_in_steamy_room_tone1',
+  '🧖🏼': 'person_in_steamy_room_tone2',
+  '🧖🏽': 'person_in_steamy_room_tone3',
+  '🧖🏾': 'person_in_steamy_room_tone4',
+  '🧖🏿': 'person_in_steamy_room_tone5',
+  '🧖\u{200D}♀': 'woman_in_steamy_room',
+  '🧖🏻\u{200D}♀': 'woman_in_steamy_room_tone1',
+  '🧖🏼\u{200D}♀': 'woman_in_steamy_room_tone2',
+  '🧖🏽\u{200D}♀': 'woman_in_steamy_room_tone3',
+  '🧖🏾\u{200D}♀': 'woman_in_steamy_room_tone4',
+  '🧖🏿\u{200D}♀': 'woman_in_steamy_room_tone5',
+  '🧖\u{200D}♂': 'man_in_steamy_room',
+  '🧖🏻\u{200D}♂': 'man_in_steamy_room_tone1',
+  '🧖🏼\u{200D}♂': 'man_in_steamy_room_tone2',
+  '🧖🏽\u{200D}♂': 'man_in_steamy_room_tone3',
+  '🧖🏾\u{200D}♂': 'man_in_steamy_room_tone4',
+  '🧖🏿\u{200D}♂': 'man_in_steamy_room_tone5',
+  '💅': 'nail_care',
+  '💅🏻': 'nail_care_tone1',
+  '💅🏼': 'nail_care_tone2',
+  '💅🏽': 'nail_care_tone3',
+  '💅🏾': 'nail_care_tone4',
+  '💅🏿': 'nail_care_tone5',
+  '🤳': 'selfie',
+  '🤳🏻': 'selfie_tone1',
+  '🤳🏼': 'selfie_tone2',
+  '🤳🏽': 'selfie_tone3',
+  '🤳🏾': 'selfie_tone4',
+  '🤳🏿': 'selfie_tone5',
+  '💃': 'dancer',
+  '💃🏻': 'dancer_tone1',
+  '💃🏼': 'dancer_tone2',
+  '💃🏽': 'dancer_tone3',
+  '💃🏾': 'dancer_tone4',
+  '💃🏿': 'dancer_tone5',
+  '🕺': 'man_dancing',
+  '🕺🏻': 'man_dancing_tone1',
+  '🕺🏼': 'man_dancing_tone2',
+  '🕺🏽': 'man_dancing_tone3',
+  '🕺🏿': 'man_dancing_tone5',
+  '🕺🏾': 'man_dancing_tone4',
+  '👯': 'people_with_bunny_ears_partying',
+  '👯\u{200D}♀': 'women_with_bunny_ears_partying',
+  '👯\u{200D}♂': 'men_with_bunny_ears_partying',
+  '🕴': 'levitate',
+  '🕴🏻': 'levitate_tone1',
+  '🕴🏼': 'levitate_tone2',
+  '🕴🏽': 'levitate_tone3',
+  '🕴🏾': 'levitate_tone4',
+  '🕴🏿': 'levitate_tone5',
+  '🧑\u{200D}🦽': 'person_in_manual_wheelchair',
+  '🧑🏻\u{200D}🦽': 'person_in_manual_wheelchair_tone1',
+  '🧑🏼\u{200D}🦽': 'person_in_manual_wheelchair_tone2',
+  '🧑🏽\u{200D}🦽': 'person_in_manual_wheelchair_tone3',
+  '🧑🏾\u{200D}🦽': 'person_in_manual_wheelchair_tone4',
+  '🧑🏿\u{200D}🦽': 'person_in_manual_wheelchair_tone5',
+  '👩\u{200D}🦽': 'woman_in_manual_wheelchair',
+  '👩🏻\u{200D}🦽': 'woman_in_manual_wheelchair_tone1',
+  '👩🏼\u{200D}🦽': 'woman_in_manual_wheelchair_tone2',
+  '👩🏽\u{200D}🦽': 'woman_in_manual_wheelchair_tone3',
+  '👩🏾\u{200D}🦽': 'woman_in_manual_wheelchair_tone4',
+  '👩🏿\u{200D}🦽': 'woman_in_manual_wheelchair_tone5',
+  '👨\u{200D}🦽': 'man_in_manual_wheelchair',
+  '👨🏻\u{200D}🦽': 'man_in_manual_wheelchair_tone1',
+  '👨🏼\u{200D}🦽': 'man_in_manual_wheelchair_tone2',
+  '👨🏽\u{200D}🦽': 'man_in_manual_wheelchair_tone3',
+  '👨🏾\u{200D}🦽': 'man_in_manual_wheelchair_tone4',
+  '👨🏿\u{200D}🦽': 'man_in_manual_wheelchair_tone5',
+  '🧑\u{200D}🦽\u{200D}➡': 'person_in_manual_wheelchair_facing_right',
+  '🧑🏻\u{200D}🦽\u{200D}➡': 'person_in_manual_wheelchair_facing_right_tone1',
+  '🧑🏼\u{200D}🦽\u{200D}➡': 'person_in_manual_wheelchair_facing_right_tone2',
+  '🧑🏽\u{200D}🦽\u{200D}➡': 'person_in_manual_wheelchair_facing_right_tone3',
+  '🧑🏾\u{200D}🦽\u{200D}➡': 'person_in_manual_wheelchair_facing_right_tone4',
+  '🧑🏿\u{200D}🦽\u{200D}➡': 'person_in_manual_wheelchair_facing_right_tone5',
+  '👨\u{200D}🦽\u{200D}➡': 'man_in_manual_wheelchair_facing_right',
+  '👨🏼\u{200D}🦽\u{200D}➡': 'man_in_manual_wheelchair_facing_right_tone2',
+  '👨🏻\u{200D}🦽\u{200D}➡': 'man_in_manual_wheelchair_facing_right_tone1',
+  '👨🏽\u{200D}🦽\u{200D}➡': 'man_in_manual_wheelchair_facing_right_tone3',
+  '👨🏾\u{200D}🦽\u{200D}➡': 'man_in_manual_wheelchair_facing_right_tone4',
+  '👨🏿\u{200D}🦽\u{200D}➡': 'man_in_manual_wheelchair_facing_right_tone5',
+  '👩\u{200D}🦽\u{200D}➡': 'woman_in_manual_wheelchair_facing_right',
+  '👩🏻\u{200D}🦽\u{200D}➡': 'woman_in_manual_wheelchair_facing_right_tone1',
+  '👩🏼\u{200D}🦽\u{200D}➡': 'woman_in_manual_wheelchair_facing_right_tone2',
+  '👩🏽\u{200D}🦽\u{200D}➡': 'woman_in_manual_wheelchair_facing_right_tone3',
+  '👩🏾\u{200D}🦽\u{200D}➡': 'woman_in_manual_wheelchair_facing_right_tone4',
+  '👩🏿\u{200D}🦽\u{200D}➡': 'woman_in_manual_wheelchair_facing_right_tone5',
+  '🧑\u{200D}🦼': 'person_in_motorized_wheelchair',
+  '🧑🏻\u{200D}🦼': 'person_in_motorized_wheelchair_tone1',
+  '🧑🏼\u{200D}🦼': 'person_in_motorized_wheelchair_tone2',
+  '🧑🏽\u{200D}🦼': 'person_in_motorized_wheelchair_tone3',
+  '🧑🏾\u{200D}🦼': 'person_in_motorized_wheelchair_tone4',
+  '🧑🏿\u{200D}🦼': 'person_in_motorized_wheelchair_tone5',
+  '👩\u{200D}🦼': 'woman_in_motorized_wheelchair',
+  '👩🏻\u{200D}🦼': 'woman_in_motorized_wheelchair_tone1',
+  '👩🏼\u{200D}🦼': 'woman_in_motorized_wheelchair_tone2',
+  '👩🏽\u{200D}🦼': 'woman_in_motorized_wheelchair_tone3',
+  '👩🏾\u{200D}🦼': 'woman_in_motorized_wheelchair_tone4',
+  '👩🏿\u{200D}🦼': 'woman_in_motorized_wheelchair_tone5',
+  '👨\u{200D}🦼': 'man_in_motorized_wheelchair',
+  '👨🏻\u{200D}🦼': 'man_in_motorized_wheelchair_tone1',
+  '👨🏼\u{200D}🦼': 'man_in_motorized_wheelchair_tone2',
+  '👨🏽\u{200D}🦼': 'man_in_motorized_wheelchair_tone3',
+  '👨🏾\u{200D}🦼': 'man_in_motorized_wheelchair_tone4',
+  '👨🏿\u{200D}🦼': 'man_in_motorized_wheelchair_tone5',
+  '🧑\u{200D}🦼\u{200D}➡': 'person_in_motorized_wheelchair_facing_right',
+  '🧑🏻\u{200D}🦼\u{200D}➡': 'person_in_motorized_wheelchair_facing_right_tone1',
+  '🧑🏼\u{200D}🦼\u{200D}➡': 'person_in_motorized_wheelchair_facing_right_tone2',
+  '🧑🏽\u{200D}🦼\u{200D}➡': 'person_in_motorized_wheelchair_facing_right_tone3',
+  '🧑🏾\u{200D}🦼\u{200D}➡': 'person_in_motorized_wheelchair_facing_right_tone4',
+  '🧑🏿\u{200D}🦼\u{200D}➡': 'person_in_motorized_wheelchair_facing_right_tone5',
+  '👨\u{200D}🦼\u{200D}➡': 'man_in_motorized_wheelchair_facing_right',
+  '👨🏻\u{200D}🦼\u{200D}➡': 'man_in_motorized_wheelchair_facing_right_tone1',
+  '👨🏼\u{200D}🦼\u{200D}➡': 'man_in_motorized_wheelchair_facing_right_tone2',
+  '👨🏽\u{200D}🦼\u{200D}➡': 'man_in_motorized_wheelchair_facing_right_tone3',
+  '👨🏾\u{200D}🦼\u{200D}➡': 'man_in_motorized_wheelchair_facing_right_tone4',
+  '👨🏿\u{200D}🦼\u{200D}➡': 'man_in_motorized_wheelchair_facing_right_tone5',
+  '👩\u{200D}🦼\u{200D}➡': 'woman_in_motorized_wheelchair_facing_right',
+  '👩🏻\u{200D}🦼\u{200D}➡': 'woman_in_motorized_wheelchair_facing_right_tone1',
+  '👩🏼\u{200D}🦼\u{200D}➡': 'woman_in_motorized_wheelchair_facing_right_tone2',
+  '👩🏽\u{200D}🦼\u{200D}➡': 'woman_in_motorized_wheelchair_facing_right_tone3',
+  '👩🏾\u{200D}🦼\u{200D}➡': 'woman_in_motorized_wheelchair_facing_right_tone4',
+  '👩🏿\u{200D}🦼\u{200D}➡': 'woman_in_motorized_wheelchair_facing_right_tone5',
+  '🚶': 'person_walking',
+  '🚶🏻': 'person_walking_tone1',
+  '🚶🏼': 'person_walking_tone2',
+  '🚶🏽': 'person_walking_tone3',
+  '🚶🏾': 'person_walking_tone4',
+  '🚶🏿': 'person_walking_tone5',
+  '🚶\u{200D}♀': 'woman_walking',
+  '🚶🏻\u{200D}♀': 'woman_walking_tone1',
+  '🚶🏼\u{200D}♀': 'woman_walking_tone2',
+  '🚶🏽\u{200D}♀': 'woman_walking_tone3',
+  '🚶🏾\u{200D}♀': 'woman_walking_tone4',
+  '🚶🏿\u{200D}♀': 'woman_walking_tone5',
+  '🚶\u{200D}♂': 'man_walking',
+  '🚶🏻\u{200D}♂': 'man_walking_tone1',
+  '🚶🏼\u{200D}♂': 'man_walking_tone2',
+  '🚶🏽\u{200D}♂': 'man_walking_tone3',
+  '🚶🏾\u{200D}♂': 'man_walking_tone4',
+  '🚶🏿\u{200D}♂': 'man_walking_tone5',
+  '🚶\u{200D}➡': 'person_walking_facing_right',
+  '🚶🏻\u{200D}➡': 'person_walking_facing_right_tone1',
+  '🚶🏼\u{200D}➡': 'person_walking_facing_right_tone2',
+  '🚶🏽\u{200D}➡': 'person_walking_facing_right_tone3',
+  '🚶🏾\u{200D}➡': 'person_walking_facing_right_tone4',
+  '🚶🏿\u{200D}➡': 'person_walking_facing_right_tone5',
+  '🚶\u{200D}♀\u{200D}➡': 'woman_walking_facing_right',
+  '🚶🏻\u{200D}♀\u{200D}➡': 'woman_walking_facing_right_tone1',
+  '🚶🏼\u{200D}♀\u{200D}➡': 'woman_walking_facing_right_tone2',
+  '🚶🏽\u{200D}♀\u{200D}➡': 'woman_walking_facing_right_tone3',
+  '🚶🏾\u{200D}♀\u{200D}➡': 'woman_walking_facing_right_tone4',
+  '🚶🏿\u{200D}♀\u{200D}➡': 'woman_walking_facing_right_tone5',
+  '🚶\u{200D}♂\u{200D}➡': 'man_walking_facing_right',
+  '🚶🏻\u{200D}♂\u{200D}➡': 'man_walking_facing_right_tone1',
+  '🚶🏼\u{200D}♂\u{200D}➡': 'man_walking_facing_right_tone2',
+  '🚶🏽\u{200D}♂\u{200D}➡': 'man_walking_facing_right_tone3',
+  '🚶🏾\u{200D}♂\u{200D}➡': 'man_walking_facing_right_tone4',
+  '🚶🏿\u{200D}♂\u{200D}➡': 'man_walking_facing_right_tone5',
+  '🧑\u{200D}🦯': 'person_with_probing_cane',
+  '🧑🏻\u{200D}🦯': 'person_with_probing_cane_tone1',
+  '🧑🏼\u{200D}🦯': 'person_with_probing_cane_tone2',
+  '🧑🏽\u{200D}🦯': 'person_with_probing_cane_tone3',
+  '🧑🏾\u{200D}🦯': 'person_with_probing_cane_tone4',
+  '🧑🏿\u{200D}🦯': 'person_with_probing_cane_tone5',
+  '👩\u{200D}🦯': 'woman_with_probing_cane',
+  '👩🏻\u{200D}🦯': 'woman_with_probing_cane_tone1',
+  '👩🏼\u{200D}🦯': 'woman_with_probing_cane_tone2',
+  '👩🏽\u{200D}🦯': 'woman_with_probing_cane_tone3',
+  '👩🏾\u{200D}🦯': 'woman_with_probing_cane_tone4',
+  '👩🏿\u{200D}🦯': 'woman_with_probing_cane_tone5',
+  '👨\u{200D}🦯': 'man_with_probing_cane',
+  '👨🏻\u{200D}🦯': 'man_with_probing_cane_tone1',
+  '👨🏼\u{200D}🦯': 'man_with_probing_cane_tone2',
+  '👨🏽\u{200D}🦯': 'man_with_probing_cane_tone3',
+  '👨🏾\u{200D}🦯': 'man_with_probing_cane_tone4',
+  '👨🏿\u{200D}🦯': 'man_with_probing_cane_tone5',
+  '🧑\u{200D}🦯\u{200D}➡': 'person_with_white_cane_facing_right',
+  '🧑🏻\u{200D}🦯\u{200D}➡': 'person_with_white_cane_facing_right_tone1',
+  '🧑🏼\u{200D}🦯\u{200D}➡': 'person_with_white_cane_facing_right_tone2',
+  '🧑🏽\u{200D}🦯\u{200D}➡': 'person_with_white_cane_facing_right_tone3',
+  '🧑🏾\u{200D}🦯\u{200D}➡': 'person_with_white_cane_facing_right_tone4',
+  '🧑🏿\u{200D}🦯\u{200D}➡': 'person_with_white_cane_facing_right_tone5',
+  '👨\u{200D}🦯\u{200D}➡': 'man_with_white_cane_facing_right',
+  '👨🏻\u{200D}🦯\u{200D}➡': 'man_with_white_cane_facing_right_tone1',
+  '👨🏼\u{200D}🦯\u{200D}➡': 'man_with_white_cane_facing_right_tone2',
+  '👨🏽\u{200D}🦯\u{200D}➡': 'man_with_white_cane_facing_right_tone3',
+  '👨🏾\u{200D}🦯\u{200D}➡': 'man_with_white_cane_facing_right_tone4',
+  '👨🏿\u{200D}🦯\u{200D}➡': 'man_with_white_cane_facing_right_tone5',
+  '👩\u{200D}🦯\u{200D}➡': 'woman_with_white_cane_facing_right',
+  '👩🏻\u{200D}🦯\u{200D}➡': 'woman_with_white_cane_facing_right_tone1',
+  '👩🏼\u{200D}🦯\u{200D}➡': 'woman_with_white_cane_facing_right_tone2',
+  '👩🏽\u{200D}🦯\u{200D}➡': 'woman_with_white_cane_facing_right_tone3',
+  '👩🏾\u{200D}🦯\u{200D}➡': 'woman_with_white_cane_facing_right_tone4',
+  '👩🏿\u{200D}🦯\u{200D}➡': 'woman_with_white_cane_facing_right_tone5',
+  '🧎': 'person_kneeling',
+  '🧎🏻': 'person_kneeling_tone1',
+  '🧎🏼': 'person_kneeling_tone2',
+  '🧎🏽': 'person_kneeling_tone3',
+  '🧎🏾': 'person_kneeling_tone4',
+  '🧎🏿': 'person_kneeling_tone5',
+  '🧎\u{200D}♀': 'woman_kneeling',
+  '🧎🏻\u{200D}♀': 'woman_kneeling_tone1',
+  '🧎🏼\u{200D}♀': 'woman_kneeling_tone2',
+  '🧎🏽\u{200D}♀': 'woman_kneeling_tone3',
+  '🧎🏾\u{200D}♀': 'woman_kneeling_tone4',
+  '🧎🏿\u{200D}♀': 'woman_kneeling_tone5',
+  '🧎\u{200D}♂': 'man_kneeling',
+  '🧎🏻\u{200D}♂': 'man_kneeling_tone1',
+  '🧎🏼\u{200D}♂': 'man_kneeling_tone2',
+  '🧎🏽\u{200D}♂': 'man_kneeling_tone3',
+  '🧎🏾\u{200D}♂': 'man_kneeling_tone4',
+  '🧎🏿\u{200D}♂': 'man_kneeling_tone5',
+  '🧎\u{200D}➡': 'person_kneeling_facing_right',
+  '🧎🏻\u{200D}➡': 'person_kneeling_facing_right_tone1',
+  '🧎🏼\u{200D}➡': 'person_kneeling_facing_right_tone2',
+  '🧎🏽\u{200D}➡': 'person_kneeling_facing_right_tone3',
+  '🧎🏾\u{200D}➡': 'person_kneeling_facing_right_tone4',
+  '🧎🏿\u{200D}➡': 'person_kneeling_facing_right_tone5',
+  '🧎\u{200D}♀\u{200D}➡': 'woman_kneeling_facing_right',
+  '🧎🏻\u{200D}♀\u{200D}➡': 'woman_kneeling_facing_right_tone1',
+  '🧎🏼\u{200D}♀\u{200D}➡': 'woman_kneeling_facing_right_tone2',
+  '🧎🏽\u{200D}♀\u{200D}➡': 'woman_kneeling_facing_right_tone3',
+  '🧎🏾\u{200D}♀\u{200D}➡': 'woman_kneeling_facing_right_tone4',
+  '🧎🏿\u{200D}♀\u{200D}➡': 'woman_kneeling_facing_right_tone5',
+  '🧎\u{200D}♂\u{200D}➡': 'man_kneeling_facing_right',
+  '🧎🏻\u{200D}♂\u{200D}➡': 'man_kneeling_facing_right_tone1',
+  '🧎🏼\u{200D}♂\u{200D}➡': 'man_kneeling_facing_right_tone2',
+  '🧎🏽\u{200D}♂\u{200D}➡': 'man_kneeling_facing_right_tone3',
+  '🧎🏾\u{200D}♂\u{200D}➡': 'man_kneeling_facing_right_tone4',
+  '🧎🏿\u{200D}♂\u{200D}➡': 'man_kneeling_facing_right_tone5',
+  '🏃': 'person_running',
+  '🏃🏻': 'person_running_tone1',
+  '🏃🏼': 'person_running_tone2',
+  '🏃🏽': 'person_running_tone3',
+  '🏃🏾': 'person_running_tone4',
+  '🏃🏿': 'person_running_tone5',
+  '🏃\u{200D}♀': 'woman_running',
+  '🏃🏻\u{200D}♀': 'woman_running_tone1',
+  '🏃🏼\u{200D}♀': 'woman_running_tone2',
+  '🏃🏽\u{200D}♀': 'woman_running_tone3',
+  '🏃🏾\u{200D}♀': 'woman_running_tone4',
+  '🏃🏿\u{200D}♀': 'woman_running_tone5',
+  '🏃\u{200D}♂': 'man_running',
+  '🏃🏻\u{200D}♂': 'man_running_tone1',
+  '🏃🏼\u{200D}♂': 'man_running_tone2',
+  '🏃🏽\u{200D}♂': 'man_running_tone3',
+  '🏃🏾\u{200D}♂': 'man_running_tone4',
+  '🏃🏿\u{200D}♂': 'man_running_tone5',
+  '🏃\u{200D}➡': 'person_running_facing_right',
+  '🏃🏻\u{200D}➡': 'person_running_facing_right_tone1',
+  '🏃🏼\u{200D}➡': 'person_running_facing_right_tone2',
+  '🏃🏽\u{200D}➡': 'person_running_facing_right_tone3',
+  '🏃🏾\u{200D}➡': 'person_running_facing_right_tone4',
+  '🏃🏿\u{200D}➡': 'person_running_facing_right_tone5',
+  '🏃\u{200D}♀\u{200D}➡': 'woman_running_facing_right',
+  '🏃🏻\u{200D}♀\u{200D}➡': 'woman_running_facing_right_tone1',
+  '🏃🏼\u{200D}♀\u{200D}➡': 'woman_running_facing_right_tone2',
+  '🏃🏽\u{200D}♀\u{200D}➡': 'woman_running_facing_right_tone3',
+  '🏃🏾\u{200D}♀\u{200D}➡': 'woman_running_facing_right_tone4',
+  '🏃🏿\u{200D}♀\u{200D}➡': 'woman_running_facing_right_tone5',
+  '🏃\u{200D}♂\u{200D}➡': 'man_running_facing_right',
+  '🏃🏻\u{200D}♂\u{200D}➡': 'man_running_facing_right_tone1',
+  '🏃🏼\u{200D}♂\u{200D}➡': 'man_running_facing_right_tone2',
+  '🏃🏽\u{200D}♂\u{200D}➡': 'man_running_facing_right_tone3',
+  '🏃🏾\u{200D}♂\u{200D}➡': 'man_running_facing_right_tone4',
+  '🏃🏿\u{200D}♂\u{200D}➡': 'man_running_facing_right_tone5',
+  '🧍': 'person_standing',
+  '🧍🏻': 'person_standing_tone1',
+  '🧍🏼': 'person_standing_tone2',
+  '🧍🏽': 'person_standing_tone3',
+  '🧍🏾': 'person_standing_tone4',
+  '🧍🏿': 'person_standing_tone5',
+  '🧍\u{200D}♀': 'woman_standing',
+  '🧍🏻\u{200D}♀': 'woman_standing_tone1',
+  '🧍🏼\u{200D}♀': 'woman_standing_tone2',
+  '🧍🏽\u{200D}♀': 'woman_standing_tone3',
+  '🧍🏾\u{200D}♀': 'woman_standing_tone4',
+  '🧍🏿\u{200D}♀': 'woman_standing_tone5',
+  '🧍\u{200D}♂': 'man_standing',
+  '🧍🏻\u{200D}♂': 'man_standing_tone1',
+  '🧍🏼\u{200D}♂': 'man_standing_tone2',
+  '🧍🏽\u{200D}♂': 'man_standing_tone3',
+  '🧍🏾\u{200D}♂': 'man_standing_tone4',
+  '🧍🏿\u{200D}♂': 'man_standing_tone5',
+  '🧑\u{200D}🤝\u{200D}🧑': 'people_holding_hands',
+  '🧑🏻\u{200D}🤝\u{200D}🧑🏻': 'people_holding_hands_tone1',
+  '🧑🏻\u{200D}🤝\u{200D}🧑🏼': 'people_holding_hands_tone1_tone2',
+  '🧑🏻\u{200D}🤝\u{200D}🧑🏽': 'people_holding_hands_tone1_tone3',
+  '🧑🏻\u{200D}🤝\u{200D}🧑🏾': 'people_holding_hands_tone1_tone4',
+  '🧑🏻\u{200D}🤝\u{200D}🧑🏿': 'people_holding_hands_tone1_tone5',
+  '🧑🏼\u{200D}🤝\u{200D}🧑🏻': 'people_holding_hands_tone2_tone1',
+  '🧑🏼\u{200D}🤝\u{200D}🧑🏼': 'people_holding_hands_tone2',
+  '🧑🏼\u{200D}🤝\u{200D}🧑🏽': 'people_holding_hands_tone2_tone3',
+  '🧑🏼\u{200D}🤝\u{200D}🧑🏾': 'people_holding_hands_tone2_tone4',
+  '🧑🏼\u{200D}🤝\u{200D}🧑🏿': 'people_holding_hands_tone2_tone5',
+  '🧑🏽\u{200D}🤝\u{200D}🧑🏻': 'people_holding_hands_tone3_tone1',
+  '🧑🏽\u{200D}🤝\u{200D}🧑🏼': 'people_holding_hands_tone3_tone2',
+  '🧑🏽\u{200D}🤝\u{200D}🧑🏽': 'people_holding_hands_tone3',
+  '🧑🏽\u{200D}🤝\u{200D}🧑🏾': 'people_holding_hands_tone3_tone4',
+  '🧑🏽\u{200D}🤝\u{200D}🧑🏿': 'people_holding_hands_tone3_tone5',
+  '🧑🏾\u{200D}🤝\u{200D}🧑🏻': 'people_holding_hands_tone4_tone1',
+  '🧑🏾\u{200D}🤝\u{200D}🧑🏼': 'people_holding_hands_tone4_tone2',
+  '🧑🏾\u{200D}🤝\u{200D}🧑🏽': 'people_holding_hands_tone4_tone3',
+  '🧑🏾\u{200D}🤝\u{200D}🧑🏾': 'people_holding_hands_tone4',
+  '🧑🏾\u{200D}🤝\u{200D}🧑🏿': 'people_holding_hands_tone4_tone5',
+  '🧑🏿\u{200D}🤝\u{200D}🧑🏻': 'people_holding_hands_tone5_tone1',
+  '🧑🏿\u{200D}🤝\u{200D}🧑🏼': 'people_holding_hands_tone5_tone2',
+  '🧑🏿\u{200D}🤝\u{200D}🧑🏽': 'people_holding_hands_tone5_tone3',
+  '🧑🏿\u{200D}🤝\u{200D}🧑🏾': 'people_holding_hands_tone5_tone4',
+  '🧑🏿\u{200D}🤝\u{200D}🧑🏿': 'people_holding_hands_tone5',
+  '👫': 'couple',
+  '👫🏻': 'woman_and_man_holding_hands_tone1',
+  '👩🏻\u{200D}🤝\u{200D}👨🏼': 'woman_and_man_holding_hands_tone1_tone2',
+  '👩🏻\u{200D}🤝\u{200D}👨🏽': 'woman_and_man_holding_hands_tone1_tone3',
+  '👩🏻\u{200D}🤝\u{200D}👨🏾': 'woman_and_man_holding_hands_tone1_tone4',
+  '👩🏻\u{200D}🤝\u{200D}👨🏿': 'woman_and_man_holding_hands_tone1_tone5',
+  '👩🏼\u{200D}🤝\u{200D}👨🏻': 'woman_and_man_holding_hands_tone2_tone1',
+  '👫🏼': 'woman_and_man_holding_hands_tone2',
+  '👩🏼\u{200D}🤝\u{200D}👨🏽': 'woman_and_man_holding_hands_tone2_tone3',
+  '👩🏼\u{200D}🤝\u{200D}👨🏾': 'woman_and_man_holding_hands_tone2_tone4',
+  '👩🏼\u{200D}🤝\u{200D}👨🏿': 'woman_and_man_holding_hands_tone2_tone5',
+  '👩🏽\u{200D}🤝\u{200D}👨🏻': 'woman_and_man_holding_hands_tone3_tone1',
+  '👩🏽\u{200D}🤝\u{200D}👨🏼': 'woman_and_man_holding_hands_tone3_tone2',
+  '👫🏽': 'woman_and_man_holding_hands_tone3',
+  '👩🏽\u{200D}🤝\u{200D}👨🏾': 'woman_and_man_holding_hands_tone3_tone4',
+  '👩🏽\u{200D}🤝\u{200D}👨🏿': 'woman_and_man_holding_hands_tone3_tone5',
+  '👩🏾\u{200D}🤝\u{200D}👨🏻': 'woman_and_man_holding_hands_tone4_tone1',
+  '👩🏾\u{200D}🤝\u{200D}👨🏼': 'woman_and_man_holding_hands_tone4_tone2',
+  '👩🏾\u{200D}🤝\u{200D}👨🏽': 'woman_and_man_holding_hands_tone4_tone3',
+  '👫🏾': 'woman_and_man_holding_hands_tone4',
+  '👩🏾\u{200D}🤝\u{200D}👨🏿': 'woman_and_man_holding_hands_tone4_tone5',
+  '👩🏿\u{200D}🤝\u{200D}👨🏻': 'woman_and_man_holding_hands_tone5_tone1',
+  '👩🏿\u{200D}🤝\u{200D}👨🏼': 'woman_and_man_holding_hands_tone5_tone2',
+  '👩🏿\u{200D}🤝\u{200D}👨🏽': 'woman_and_man_holding_hands_tone5_tone3',
+  '👩🏿\u{200D}🤝\u{200D}👨🏾': 'woman_and_man_holding_hands_tone5_tone4',
+  '👫🏿': 'woman_and_man_holding_hands_tone5',
+  '👭': 'two_women_holding_hands',
+  '👭🏻': 'women_holding_hands_tone1',
+  '👩🏻\u{200D}🤝\u{200D}👩🏼': 'women_holding_hands_tone1_tone2',
+  '👩🏻\u{200D}🤝\u{200D}👩🏽': 'women_holding_hands_tone1_tone3',
+  '👩🏻\u{200D}🤝\u{200D}👩🏾': 'women_holding_hands_tone1_tone4',
+  '👩🏻\u{200D}🤝\u{200D}👩🏿': 'women_holding_hands_tone1_tone5',
+  '👩🏼\u{200D}🤝\u{200D}👩🏻': 'women_holding_hands_tone2_tone1',
+  '👭🏼': 'women_holding_hands_tone2',
+  '👩🏼\u{200D}🤝\u{200D}👩🏽': 'women_holding_hands_tone2_tone3',
+  '👩🏼\u{200D}🤝\u{200D}👩🏾': 'women_holding_hands_tone2_tone4',
+  '👩🏼\u{200D}🤝\u{200D}👩🏿': 'women_holding_hands_tone2_tone5',
+  '👩🏽\u{200D}🤝\u{200D}👩🏻': 'women_holding_hands_tone3_tone1',
+  '👩🏽\u{200D}🤝\u{200D}👩🏼': 'women_holding_hands_tone3_tone2',
+  '👭🏽': 'women_holding_hands_tone3',
+  '👩🏽\u{200D}🤝\u{200D}👩🏾': 'women_holding_hands_tone3_tone4',
+  '👩🏽\u{200D}🤝\u{200D}👩🏿': 'women_holding_hands_tone3_tone5',
+  '👩🏾\u{200D}🤝\u{200D}👩🏻': 'women_holding_hands_tone4_tone1',
+  '👩🏾\u{200D}🤝\u{200D}👩🏼': 'women_holding_hands_tone4_tone2',
+  '👩🏾\u{200D}🤝\u{200D}👩🏽': 'women_holding_hands_tone4_tone3',
+  '👭🏾': 'women_holding_hands_tone4',
+  '👩🏾\u{200D}🤝\u{200D}👩🏿': 'women_holding_hands_tone4_tone5',
+  '👩🏿\u{200D}🤝\u{200D}👩🏻': 'women_holding_hands_tone5_tone1',
+  '👩🏿\u{200D}🤝\u{200D}👩🏼': 'women_holding_hands_tone5_tone2',
+  '👩🏿\u{200D}🤝\u{200D}👩🏽': 'women_holding_hands_tone5_tone3',
+  '👩🏿\u{200D}🤝\u{200D}👩🏾': 'women_holding_hands_tone5_tone4',
+  '👭🏿': 'women_holding_hands_tone5',
+  '👬': 'two_men_holding_hands',
+  '👬🏻': 'men_holding_hands_tone1',
+  '👨🏻\u{200D}🤝\u{200D}👨🏼': 'men_holding_hands_tone1_tone2',
+  '👨🏻\u{200D}🤝\u{200D}👨🏽': 'men_holding_hands_tone1_tone3',
+  '👨🏻\u{200D}🤝\u{200D}👨🏾': 'men_holding_hands_tone1_tone4',
+  '👨🏻\u{200D}🤝\u{200D}👨🏿': 'men_holding_hands_tone1_tone5',
+  '👨🏼\u{200D}🤝\u{200D}👨🏻': 'men_holding_hands_tone2_tone1',
+  '👬🏼': 'men_holding_hands_tone2',
+  '👨🏼\u{200D}🤝\u{200D}👨🏽': 'men_holding_hands_tone2_tone3',
+  '👨🏼\u{200D}🤝\u{200D}👨🏾': 'men_holding_hands_tone2_tone4',
+  '👨🏼\u{200D}🤝\u{200D}👨🏿': 'men_holding_hands_tone2_tone5',
+  '👨🏽\u{200D}🤝\u{200D}👨🏻': 'men_holding_hands_tone3_tone1',
+  '👨🏽\u{200D}🤝\u{200D}👨🏼': 'men_holding_hands_tone3_tone2',
+  '👬🏽': 'men_holding_hands_tone3',
+  '👨🏽\u{200D}🤝\u{200D}👨🏾': 'men_holding_hands_tone3_tone4',
+  '👨🏽\u{200D}🤝\u{200D}👨🏿': 'men_holding_hands_tone3_tone5',
+  '👨🏾\u{200D}🤝\u{200D}👨🏻': 'men_holding_hands_tone4_tone1',
+  '👨🏾\u{200D}🤝\u{200D}👨🏼': 'men_holding_hands_tone4_tone2',
+  '👨🏾\u{200D}🤝\u{200D}👨🏽': 'men_holding_hands_tone4_tone3',
+  '👬🏾': 'men_holding_hands_tone4',
+  '👨🏾\u{200D}🤝\u{200D}👨🏿': 'men_holding_hands_tone4_tone5',
+  '👨🏿\u{200D}🤝\u{200D}👨🏻': 'men_holding_hands_tone5_tone1',
+  '👨🏿\u{200D}🤝\u{200D}👨🏼': 'men_holding_hands_tone5_tone2',
+  '👨🏿\u{200D}🤝\u{200D}👨🏽': 'men_holding_hands_tone5_tone3',
+  '👨🏿\u{200D}🤝\u{200D}👨🏾': 'men_holding_hands_tone5_tone4',
+  '👬🏿': 'men_holding_hands_tone5',
+  '💑': 'couple_with_heart',
+  '💑🏻': 'couple_with_heart_tone1',
+  '🧑🏻\u{200D}❤\u{200D}🧑🏼': 'couple_with_heart_person_person_tone1_tone2',
+  '🧑🏻\u{200D}❤\u{200D}🧑🏽': 'couple_with_heart_person_person_tone1_tone3',
+  '🧑🏻\u{200D}❤\u{200D}🧑🏾': 'couple_with_heart_person_person_tone1_tone4',
+  '🧑🏻\u{200D}❤\u{200D}🧑🏿': 'couple_with_heart_person_person_tone1_tone5',
+  '🧑🏼\u{200D}❤\u{200D}🧑🏻': 'couple_with_heart_person_person_tone2_tone1',
+  '💑🏼': 'couple_with_heart_tone2',
+  '🧑🏼\u{200D}❤\u{200D}🧑🏽': 'couple_with_heart_person_person_tone2_tone3',
+  '🧑🏼\u{200D}❤\u{200D}🧑🏾': 'couple_with_heart_person_person_tone2_tone4',
+  '🧑🏼\u{200D}❤\u{200D}🧑🏿': 'couple_with_heart_person_person_tone2_tone5',
+  '🧑🏽\u{200D}❤\u{200D}🧑🏻': 'couple_with_heart_person_person_tone3_tone1',
+  '🧑🏽\u{200D}❤\u{200D}🧑🏼': 'couple_with_heart_person_person_tone3_tone2',
+  '💑🏽': 'couple_with_heart_tone3',
+  '🧑🏽\u{200D}❤\u{200D}🧑🏾': 'couple_with_heart_person_person_tone3_tone4',
+  '🧑🏽\u{200D}❤\u{200D}🧑🏿': 'couple_with_heart_person_person_tone3_tone5',
+  '🧑🏾\u{200D}❤\u{200D}🧑🏻': 'couple_with_heart_person_person_tone4_tone1',
+  '🧑🏾\u{200D}❤\u{200D}🧑🏼': 'couple_with_heart_person_person_tone4_tone2',
+  '🧑🏾\u{200D}❤\u{200D}🧑🏽': 'couple_with_heart_person_person_tone4_tone3',
+  '💑🏾': 'couple_with_heart_tone4',
+  '🧑🏾\u{200D}❤\u{200D}🧑🏿': 'couple_with_heart_person_person_tone4_tone5',
+  '🧑🏿\u{200D}❤\u{200D}🧑🏻': 'couple_with_heart_person_person_tone5_tone1',
+  '🧑🏿\u{200D}❤\u{200D}🧑🏼': 'couple_with_heart_person_person_tone5_tone2',
+  '🧑🏿\u{200D}❤\u{200D}🧑🏽': 'couple_with_heart_person_person_tone5_tone3',
+  '🧑🏿\u{200D}❤\u{200D}🧑🏾': 'couple_with_heart_person_person_tone5_tone4',
+  '💑🏿': 'couple_with_heart_tone5',
+  '👩\u{200D}❤\u{200D}👨': 'couple_with_heart_woman_man',
+  '👩🏻\u{200D}❤\u{200D}👨🏻': 'couple_with_heart_woman_man_tone1',
+  '👩🏻\u{200D}❤\u{200D}👨🏼': 'couple_with_heart_woman_man_tone1_tone2',
+  '👩🏻\u{200D}❤\u{200D}👨🏽': 'couple_with_heart_woman_man_tone1_tone3',
+  '👩🏻\u{200D}❤\u{200D}👨🏾': 'couple_with_heart_woman_man_tone1_tone4',
+  '👩🏻\u{200D}❤\u{200D}👨🏿': 'couple_with_heart_woman_man_tone1_tone5',
+  '👩🏼\u{200D}❤\u{200D}👨🏻': 'couple_with_heart_woman_man_tone2_tone1',
+  '👩🏼\u{200D}❤\u{200D}👨🏼': 'couple_with_heart_woman_man_tone2',
+  '👩🏼\u{200D}❤\u{200D}👨🏽': 'couple_with_heart_woman_man_tone2_tone3',
+  '👩🏼\u{200D}❤\u{200D}👨🏾': 'couple_with_heart_woman_man_tone2_tone4',
+  '👩🏼\u{200D}❤\u{200D}👨🏿': 'couple_with_heart_woman_man_tone2_tone5',
+  '👩🏽\u{200D}❤\u{200D}👨🏻': 'couple_with_heart_woman_man_tone3_tone1',
+  '👩🏽\u{200D}❤\u{200D}👨🏼': 'couple_with_heart_woman_man_tone3_tone2',
+  '👩🏽\u{200D}❤\u{200D}👨🏽': 'couple_with_heart_woman_man_tone3',
+  '👩🏽\u{200D}❤\u{200D}👨🏾': 'couple_with_heart_woman_man_tone3_tone4',
+  '👩🏽\u{200D}❤\u{200D}👨🏿': 'couple_with_heart_woman_man_tone3_tone5',
+  '👩🏾\u{200D}❤\u{200D}👨🏻': 'couple_with_heart_woman_man_tone4_tone1',
+  '👩🏾\u{200D}❤\u{200D}👨🏼': 'couple_with_heart_woman_man_tone4_tone2',
+  '👩🏾\u{200D}❤\u{200D}👨🏽': 'couple_with_heart_woman_man_tone4_tone3',
+  '👩🏾\u{200D}❤\u{200D}👨🏾': 'couple_with_heart_woman_man_tone4',
+  '👩🏾\u{200D}❤\u{200D}👨🏿': 'couple_with_heart_woman_man_tone4_tone5',
+  '👩🏿\u{200D}❤\u{200D}👨🏻': 'couple_with_heart_woman_man_tone5_tone1',
+  '👩🏿\u{200D}❤\u{200D}👨🏼': 'couple_with_heart_woman_man_tone5_tone2',
+  '👩🏿\u{200D}❤\u{200D}👨🏽': 'couple_with_heart_woman_man_tone5_tone3',
+  '👩🏿\u{200D}❤\u{200D}👨🏾': 'couple_with_heart_woman_man_tone5_tone4',
+  '👩🏿\u{200D}❤\u{200D}👨🏿': 'couple_with_heart_woman_man_tone5',
+  '👩\u{200D}❤\u{200D}👩': 'couple_ww',
+  '👩🏻\u{200D}❤\u{200D}👩🏻': 'couple_with_heart_woman_woman_tone1',
+  '👩🏻\u{200D}❤\u{200D}👩🏼': 'couple_with_heart_woman_woman_tone1_tone2',
+  '👩🏻\u{200D}❤\u{200D}👩🏽': 'couple_with_heart_woman_woman_tone1_tone3',
+  '👩🏻\u{200D}❤\u{200D}👩🏾': 'couple_with_heart_woman_woman_tone1_tone4',
+  '👩🏻\u{200D}❤\u{200D}👩🏿': 'couple_with_heart_woman_woman_tone1_tone5',
+  '👩🏼\u{200D}❤\u{200D}👩🏻': 'couple_with_heart_woman_woman_tone2_tone1',
+  '👩🏼\u{200D}❤\u{200D}👩🏼': 'couple_with_heart_woman_woman_tone2',
+  '👩🏼\u{200D}❤\u{200D}👩🏽': 'couple_with_heart_woman_woman_tone2_tone3',
+  '👩🏼\u{200D}❤\u{200D}👩🏾': 'couple_with_heart_woman_woman_tone2_tone4',
+  '👩🏼\u{200D}❤\u{200D}👩🏿': 'couple_with_heart_woman_woman_tone2_tone5',
+  '👩🏽\u{200D}❤\u{200D}👩🏻': 'couple_with_heart_woman_woman_tone3_tone1',
+  '👩🏽\u{200D}❤\u{200D}👩🏼': 'couple_with_heart_woman_woman_tone3_tone2',
+  '👩🏽\u{200D}❤\u{200D}👩🏽': 'couple_with_heart_woman_woman_tone3',
+  '👩🏽\u{200D}❤\u{200D}👩🏾': 'couple_with_heart_woman_woman_tone3_tone4',
+  '👩🏽\u{200D}❤\u{200D}👩🏿': 'couple_with_heart_woman_woman_tone3_tone5',
+  '👩🏾\u{200D}❤\u{200D}👩🏻': 'couple_with_heart_woman_woman_tone4_tone1',
+  '👩🏾\u{200D}❤\u{200D}👩🏼': 'couple_with_heart_woman_woman_tone4_tone2',
+  '👩🏾\u{200D}❤\u{200D}👩🏽': 'couple_with_heart_woman_woman_tone4_tone3',
+  '👩🏾\u{200D}❤\u{200D}👩🏾': 'couple_with_heart_woman_woman_tone4',
+  '👩🏾\u{200D}❤\u{200D}👩🏿': 'couple_with_heart_woman_woman_tone4_tone5',
+  '👩🏿\u{200D}❤\u{200D}👩🏻': 'couple_with_heart_woman_woman_tone5_tone1',
+  '👩🏿\u{200D}❤\u{200D}👩🏼': 'couple_with_heart_woman_woman_tone5_tone2',
+  '👩🏿\u{200D}❤\u{200D}👩🏽': 'couple_with_heart_woman_woman_tone5_tone3',
+  '👩🏿\u{200D}❤\u{200D}👩🏾': 'couple_with_heart_woman_woman_tone5_tone4',
+  '👩🏿\u{200D}❤\u{200D}👩🏿': 'couple_with_heart_woman_woman_tone5',
+  '👨\u{200D}❤\u{200D}👨': 'couple_mm',
+  '👨🏻\u{200D}❤\u{200D}👨🏻': 'couple_with_heart_man_man_tone1',
+  '👨🏻\u{200D}❤\u{200D}👨🏼': 'couple_with_heart_man_man_tone1_tone2',
+  '👨🏻\u{200D}❤\u{200D}👨🏽': 'couple_with_heart_man_man_tone1_tone3',
+  '👨🏻\u{200D}❤\u{200D}👨🏾': 'couple_with_heart_man_man_tone1_tone4',
+  '👨🏻\u{200D}❤\u{200D}👨🏿': 'couple_with_heart_man_man_tone1_tone5',
+  '👨🏼\u{200D}❤\u{200D}👨🏻': 'couple_with_heart_man_man_tone2_tone1',
+  '👨🏼\u{200D}❤\u{200D}👨🏼': 'couple_with_heart_man_man_tone2',
+  '👨🏼\u{200D}❤\u{200D}👨🏽': 'couple_with_heart_man_man_tone2_tone3',
+  '👨🏼\u{200D}❤\u{200D}👨🏾': 'couple_with_heart_man_man_tone2_tone4',
+  '👨🏼\u{200D}❤\u{200D}👨🏿': 'couple_with_heart_man_man_tone2_tone5',
+  '👨🏽\u{200D}❤\u{200D}👨🏻': 'couple_with_heart_man_man_tone3_tone1',
+  '👨🏽\u{200D}❤\u{200D}👨🏼': 'couple_with_heart_man_man_tone3_tone2',
+  '👨🏽\u{200D}❤\u{200D}👨🏽': 'couple_with_heart_man_man_tone3',
+  '👨🏽\u{200D}❤\u{200D}👨🏾': 'couple_with_heart_man_man_tone3_tone4',
+  '👨🏽\u{200D}❤\u{200D}👨🏿': 'couple_with_heart_man_man_tone3_tone5',
+  '👨🏾\u{200D}❤\u{200D}👨🏻': 'couple_with_heart_man_man_tone4_tone1',
+  '👨🏾\u{200D}❤\u{200D}👨🏼': 'couple_with_heart_man_man_tone4_tone2',
+  '👨🏾\u{200D}❤\u{200D}👨🏽': 'couple_with_heart_man_man_tone4_tone3',
+  '👨🏾\u{200D}❤\u{200D}👨🏾': 'couple_with_heart_man_man_tone4',
+  '👨🏾\u{200D}❤\u{200D}👨🏿': 'couple_with_heart_man_man_tone4_tone5',
+  '👨🏿\u{200D}❤\u{200D}👨🏻': 'couple_with_heart_man_man_tone5_tone1',
+  '👨🏿\u{200D}❤\u{200D}👨🏼': 'couple_with_heart_man_man_tone5_tone2',
+  '👨🏿\u{200D}❤\u{200D}👨🏽': 'couple_with_heart_man_man_tone5_tone3',
+  '👨🏿\u{200D}❤\u{200D}👨🏾': 'couple_with_heart_man_man_tone5_tone4',
+  '👨🏿\u{200D}❤\u{200D}👨🏿': 'couple_with_heart_man_man_tone5',
+  '💏': 'couplekiss',
+  '💏🏻': 'kiss_tone1',
+  '🧑🏻\u{200D}❤\u{200D}💋\u{200D}🧑🏼': 'kiss_person_person_tone1_tone2',
+  '🧑🏻\u{200D}❤\u{200D}💋\u{200D}🧑🏽': 'kiss_person_person_tone1_tone3',
+  '🧑🏻\u{200D}❤\u{200D}💋\u{200D}🧑🏾': 'kiss_person_person_tone1_tone4',
+  '🧑🏻\u{200D}❤\u{200D}💋\u{200D}🧑🏿': 'kiss_person_person_tone1_tone5',
+  '🧑🏼\u{200D}❤\u{200D}💋\u{200D}🧑🏻': 'kiss_person_person_tone2_tone1',
+  '💏🏼': 'kiss_tone2',
+  '🧑🏼\u{200D}❤\u{200D}💋\u{200D}🧑🏽': 'kiss_person_person_tone2_tone3',
+  '🧑🏼\u{200D}❤\u{200D}💋\u{200D}🧑🏾': 'kiss_person_person_tone2_tone4',
+  '🧑🏼\u{200D}❤\u{200D}💋\u{200D}🧑🏿': 'kiss_person_person_tone2_tone5',
+  '🧑🏽\u{200D}❤\u{200D}💋\u{200D}🧑🏻': 'kiss_person_person_tone3_tone1',
+  '🧑🏽\u{200D}❤\u{200D}💋\u{200D}🧑🏼': 'kiss_person_person_tone3_tone2',
+  '💏🏽': 'kiss_tone3',
+  '🧑🏽\u{200D}❤\u{200D}💋\u{200D}🧑🏾': 'kiss_person_person_tone3_tone4',
+  '🧑🏽\u{200D}❤\u{200D}💋\u{200D}🧑🏿': 'kiss_person_person_tone3_tone5',
+  '🧑🏾\u{200D}❤\u{200D}💋\u{200D}🧑🏻': 'kiss_person_person_tone4_tone1',
+  '🧑🏾\u{200D}❤\u{200D}💋\u{200D}🧑🏼': 'kiss_person_person_tone4_tone2',
+  '🧑🏾\u{200D}❤\u{200D}💋\u{200D}🧑🏽': 'kiss_person_person_tone4_tone3',
+  '💏🏾': 'kiss_tone4',
+  '🧑🏾\u{200D}❤\u{200D}💋\u{200D}🧑🏿': 'kiss_person_person_tone4_tone5',
+  '🧑🏿\u{200D}❤\u{200D}💋\u{200D}🧑🏻': 'kiss_person_person_tone5_tone1',
+  '🧑🏿\u{200D}❤\u{200D}💋\u{200D}🧑🏼': 'kiss_person_person_tone5_tone2',
+  '🧑🏿\u{200D}❤\u{200D}💋\u{200D}🧑🏽': 'kiss_person_person_tone5_tone3',
+  '🧑🏿\u{200D}❤\u{200D}💋\u{200D}🧑🏾': 'kiss_person_person_tone5_tone4',
+  '💏🏿': 'kiss_tone5',
+  '👩\u{200D}❤\u{200D}💋\u{200D}👨': 'kiss_woman_man',
+  '👩🏻\u{200D}❤\u{200D}💋\u{200D}👨🏻': 'kiss_woman_man_tone1',
+  '👩🏻\u{200D}❤\u{200D}💋\u{200D}👨🏼': 'kiss_woman_man_tone1_tone2',
+  '👩🏻\u{200D}❤\u{200D}💋\u{200D}👨🏽': 'kiss_woman_man_tone1_tone3',
+  '👩🏻\u{200D}❤\u{200D}💋\u{200D}👨🏾': 'kiss_woman_man_tone1_tone4',
+  '👩🏻\u{200D}❤\u{200D}💋\u{200D}👨🏿': 'kiss_woman_man_tone1_tone5',
+  '👩🏼\u{200D}❤\u{200D}💋\u{200D}👨🏻': 'kiss_woman_man_tone2_tone1',
+  '👩🏼\u{200D}❤\u{200D}💋\u{200D}👨🏼': 'kiss_woman_man_tone2',
+  '👩🏼\u{200D}❤\u{200D}💋\u{200D}👨🏽': 'kiss_woman_man_tone2_tone3',
+  '👩🏼\u{200D}❤\u{200D}💋\u{200D}👨🏾': 'kiss_woman_man_tone2_tone4',
+  '👩🏼\u{200D}❤\u{200D}💋\u{200D}👨🏿': 'kiss_woman_man_tone2_tone5',
+  '👩🏽\u{200D}❤\u{200D}💋\u{200D}👨🏻': 'kiss_woman_man_tone3_tone1',
+  '👩🏽\u{200D}❤\u{200D}💋\u{200D}👨🏼': 'kiss_woman_man_tone3_tone2',
+  '👩🏽\u{200D}❤\u{200D}💋\u{200D}👨🏽': 'kiss_woman_man_tone3',
+  '👩🏽\u{200D}❤\u{200D}💋\u{200D}👨🏾': 'kiss_woman_man_tone3_tone4',
+  '👩🏽\u{200D}❤\u{200D}💋\u{200D}👨🏿': 'kiss_woman_man_tone3_tone5',
+  '👩🏾\u{200D}❤\u{200D}💋\u{200D}👨🏻': 'kiss_woman_man_tone4_tone1',
+  '👩🏾\u{200D}❤\u{200D}💋\u{200D}👨🏼': 'kiss_woman_man_tone4_tone2',
+  '👩🏾\u{200D}❤\u{200D}💋\u{200D}👨🏽': 'kiss_woman_man_tone4_tone3',
+  '👩🏾\u{200D}❤\u{200D}💋\u{200D}👨🏾': 'kiss_woman_man_tone4',
+  '👩🏾\u{200D}❤\u{200D}💋\u{200D}👨🏿': 'kiss_woman_man_tone4_tone5',
+  '👩🏿\u{200D}❤\u{200D}💋\u{200D}👨🏻': 'kiss_woman_man_tone5_tone1',
+  '👩🏿\u{200D}❤\u{200D}💋\u{200D}👨🏼': 'kiss_woman_man_tone5_tone2',
+  '👩🏿\u{200D}❤\u{200D}💋\u{200D}👨🏽': 'kiss_woman_man_tone5_tone3',
+  '👩🏿\u{200D}❤\u{200D}💋\u{200D}👨🏾': 'kiss_woman_man_tone5_tone4',
+  '👩🏿\u{200D}❤\u{200D}💋\u{200D}👨🏿': 'kiss_woman_man_tone5',
+  '👩\u{200D}❤\u{200D}💋\u{200D}👩': 'kiss_ww',
+  '👩🏻\u{200D}❤\u{200D}💋\u{200D}👩🏻': 'kiss_woman_woman_tone1',
+  '👩🏻\u{200D}❤\u{200D}💋\u{200D}👩🏼': 'kiss_woman_woman_tone1_tone2',
+  '👩🏻\u{200D}❤\u{200D}💋\u{200D}👩🏽': 'kiss_woman_woman_tone1_tone3',
+  '👩🏻\u{200D}❤\u{200D}💋\u{200D}👩🏾': 'kiss_woman_woman_tone1_tone4',
+  '👩🏻\u{200D}❤\u{200D}💋\u{200D}👩🏿': 'kiss_woman_woman_tone1_tone5',
+  '👩🏼\u{200D}❤\u{200D}💋\u{200D}👩🏻': 'kiss_woman_woman_tone2_tone1',
+  '👩🏼\u{200D}❤\u{200D}💋\u{200D}👩🏼': 'kiss_woman_woman_tone2',
+  '👩🏼\u{200D}❤\u{200D}💋\u{200D}👩🏽': 'kiss_woman_woman_tone2_tone3',
+  '👩🏼\u{200D}❤\u{200D}💋\u{200D}👩🏾': 'kiss_woman_woman_tone2_tone4',
+  '👩🏼\u{200D}❤\u{200D}💋\u{200D}👩🏿': 'kiss_woman_woman_tone2_tone5',
+  '👩🏽\u{200D}❤\u{200D}💋\u{200D}👩🏻': 'kiss_woman_woman_tone3_tone1',
+  '👩🏽\u{200D}❤\u{200D}💋\u{200D}👩🏼': 'kiss_woman_woman_tone3_tone2',
+  '👩🏽\u{200D}❤\u{200D}💋\u{200D}👩🏽': 'kiss_woman_woman_tone3',
+  '👩🏽\u{200D}❤\u{200D}💋\u{200D}👩🏾': 'kiss_woman_woman_tone3_tone4',
+  '👩🏽\u{200D}❤\u{200D}💋\u{200D}👩🏿': 'kiss_woman_woman_tone3_tone5',
+  '👩🏾\u{200D}❤\u{200D}💋\u{200D}👩🏻': 'kiss_woman_woman_tone4_tone1',
+  '👩🏾\u{200D}❤\u{200D}💋\u{200D}👩🏼': 'kiss_woman_woman_tone4_tone2',
+  '👩🏾\u{200D}❤\u{200D}💋\u{200D}👩🏽': 'kiss_woman_woman_tone4_tone3',
+  '👩🏾\u{200D}❤\u{200D}💋\u{200D}👩🏾': 'kiss_woman_woman_tone4',
+  '👩🏾\u{200D}❤\u{200D}💋\u{200D}👩🏿': 'kiss_woman_woman_tone4_tone5',
+  '👩🏿\u{200D}❤\u{200D}💋\u{200D}👩🏻': 'kiss_woman_woman_tone5_tone1',
+  '👩🏿\u{200D}❤\u{200D}💋\u{200D}👩🏼': 'kiss_woman_woman_tone5_tone2',
+  '👩🏿\u{200D}❤\u{200D}💋\u{200D}👩🏽': 'kiss_woman_woman_tone5_tone3',
+  '👩🏿\u{200D}❤\u{200D}💋\u{200D}👩🏾': 'kiss_woman_woman_tone5_tone4',
+  '👩🏿\u{200D}❤\u{200D}💋\u{200D}👩🏿': 'kiss_woman_woman_tone5',
+  '👨\u{200D}❤\u{200D}💋\u{200D}👨': 'kiss_mm',
+  '👨🏻\u{200D}❤\u{200D}💋\u{200D}👨🏻': 'kiss_man_man_tone1',
+  '👨🏻\u{200D}❤\u{200D}💋\u{200D}👨🏼': 'kiss_man_man_tone1_tone2',
+  '👨🏻\u{200D}❤\u{200D}💋\u{200D}👨🏽': 'kiss_man_man_tone1_tone3',
+  '👨🏻\u{200D}❤\u{200D}💋\u{200D}👨🏾': 'kiss_man_man_tone1_tone4',
+  '👨🏻\u{200D}❤\u{200D}💋\u{200D}👨🏿': 'kiss_man_man_tone1_tone5',
+  '👨🏼\u{200D}❤\u{200D}💋\u{200D}👨🏻': 'kiss_man_man_tone2_tone1',
+  '👨🏼\u{200D}❤\u{200D}💋\u{200D}👨🏼': 'kiss_man_man_tone2',
+  '👨🏼\u{200D}❤\u{200D}💋\u{200D}👨🏽': 'kiss_man_man_tone2_tone3',
+  '👨🏼\u{200D}❤\u{200D}💋\u{200D}👨🏾': 'kiss_man_man_tone2_tone4',
+  '👨🏼\u{200D}❤\u{200D}💋\u{200D}👨🏿': 'kiss_man_man_tone2_tone5',
+  '👨🏽\u{200D}❤\u{200D}💋\u{200D}👨🏻': 'kiss_man_man_tone3_tone1',
+  '👨🏽\u{200D}❤\u{200D}💋\u{200D}👨🏼': 'kiss_man_man_tone3_tone2',
+  '👨🏽\u{200D}❤\u{200D}💋\u{200D}👨🏽': 'kiss_man_man_tone3',
+  '👨🏽\u{200D}❤\u{200D}💋\u{200D}👨🏾': 'kiss_man_man_tone3_tone4',
+  '👨🏽\u{200D}❤\u{200D}💋\u{200D}👨🏿': 'kiss_man_man_tone3_tone5',
+  '👨🏾\u{200D}❤\u{200D}💋\u{200D}👨🏻': 'kiss_man_man_tone4_tone1',
+  '👨🏾\u{200D}❤\u{200D}💋\u{200D}👨🏼': 'kiss_man_man_tone4_tone2',
+  '👨🏾\u{200D}❤\u{200D}💋\u{200D}👨🏽': 'kiss_man_man_tone4_tone3',
+  '👨🏾\u{200D}❤\u{200D}💋\u{200D}👨🏾': 'kiss_man_man_tone4',
+  '👨🏾\u{200D}❤\u{200D}💋\u{200D}👨🏿': 'kiss_man_man_tone4_tone5',
+  '👨🏿\u{200D}❤\u{200D}💋\u{200D}👨🏻': 'kiss_man_man_tone5_tone1',
+  '👨🏿\u{200D}❤\u{200D}💋\u{200D}👨🏼': 'kiss_man_man_tone5_tone2',
+  '👨🏿\u{200D}❤\u{200D}💋\u{200D}👨🏽': 'kiss_man_man_tone5_tone3',
+  '👨🏿\u{200D}❤\u{200D}💋\u{200D}👨🏾': 'kiss_man_man_tone5_tone4',
+  '👨🏿\u{200D}❤\u{200D}💋\u{200D}👨🏿': 'kiss_man_man_tone5',
+  '🧑\u{200D}🧑\u{200D}🧒\u{200D}🧒': 'family_adult_adult_child_child',
+  '🧑\u{200D}🧑\u{200D}🧒': 'family_adult_adult_child',
+  '🧑\u{200D}🧒\u{200D}🧒': 'family_adult_child_child',
+  '🧑\u{200D}🧒': 'family_adult_child',
+  '👪': 'family',
+  '👨\u{200D}👩\u{200D}👦': 'family_man_woman_boy',
+  '👨\u{200D}👩\u{200D}👧': 'family_mwg',
+  '👨\u{200D}👩\u{200D}👧\u{200D}👦': 'family_mwgb',
+  '👨\u{200D}👩\u{200D}👦\u{200D}👦': 'family_mwbb',
+  '👨\u{200D}👩\u{200D}👧\u{200D}👧': 'family_mwgg',
+  '👩\u{200D}👩\u{200D}👦': 'family_wwb',
+  '👩\u{200D}👩\u{200D}👧': 'family_wwg',
+  '👩\u{200D}👩\u{200D}👧\u{200D}👦': 'family_wwgb',
+  '👩\u{200D}👩\u{200D}👦\u{200D}👦': 'family_wwbb',
+  '👩\u{200D}👩\u{200D}👧\u{200D}👧': 'family_wwgg',
+  '👨\u{200D}👨\u{200D}👦': 'family_mmb',
+  '👨\u{200D}👨\u{200D}👧': 'family_mmg',
+  '👨\u{200D}👨\u{200D}👧\u{200D}👦': 'family_mmgb',
+  '👨\u{200D}👨\u{200D}👦\u{200D}👦': 'family_mmbb',
+  '👨\u{200D}👨\u{200D}👧\u{200D}👧': 'family_mmgg',
+  '👩\u{200D}👦': 'family_woman_boy',
+  '👩\u{200D}👧': 'family_woman_girl',
+  '👩\u{200D}👧\u{200D}👦': 'family_woman_girl_boy',
+  '👩\u{200D}👦\u{200D}👦': 'family_woman_boy_boy',
+  '👩\u{200D}👧\u{200D}👧': 'family_woman_girl_girl',
+  '👨\u{200D}👦': 'family_man_boy',
+  '👨\u{200D}👧': 'family_man_girl',
+  '👨\u{200D}👧\u{200D}👦': 'family_man_girl_boy',
+  '👨\u{200D}👦\u{200D}👦': 'family_man_boy_boy',
+  '👨\u{200D}👧\u{200D}👧': 'family_man_girl_girl',
+  '🪢': 'knot',
+  '🧶': 'yarn',
+  '🧵': 'thread',
+  '🪡': 'sewing_needle',
+  '🧥': 'coat',
+  '🥼': 'lab_coat',
+  '🦺': 'safety_vest',
+  '👚': 'womans_clothes',
+  '👕': 'shirt',
+  '👖': 'jeans',
+  '🩲': 'briefs',
+  '🩳': 'shorts',
+  '👔': 'necktie',
+  '👗': 'dress',
+  '👙': 'bikini',
+  '🩱': 'one_piece_swimsuit',
+  '👘': 'kimono',
+  '🥻': 'sari',
+  '🩴': 'thong_sandal',
+  '🥿': 'womans_flat_shoe',
+  '👠': 'high_heel',
+  '👡': 'sandal',
+  '👢': 'boot',
+  '👞': 'mans_shoe',
+  '👟': 'athletic_shoe',
+  '🥾': 'hiking_boot',
+  '🧦': 'socks',
+  '🧤': 'gloves',
+  '🧣': 'scarf',
+  '🎩': 'tophat',
+  '🧢': 'billed_cap',
+  '👒': 'womans_hat',
+  '🎓': 'mortar_board',
+  '⛑': 'helmet_with_cross',
+  '🪖': 'military_helmet',
+  '👑': 'crown',
+  '💍': 'ring',
+  '👝': 'pouch',
+  '👛': 'purse',
+  '👜': 'handbag',
+  '💼': 'briefcase',
+  '🎒': 'school_satchel',
+  '🧳': 'luggage',
+  '👓': 'eyeglasses',
+  '🕶': 'dark_sunglasses',
+  '🥽': 'goggles',
+  '🌂': 'closed_umbrella',
+  '🦱': 'curly_haired',
+  '🦰': 'red_haired',
+  '🦳': 'white_haired',
+  '🦲': 'bald',
+  '🐶': 'dog',
+  '🐱': 'cat',
+  '🐭': 'mouse',
+  '🐹': 'hamster',
+  '🐰': 'rabbit',
+  '🦊': 'fox',
+  '🐻': 'bear',
+  '🐼': 'panda_face',
+  '🐻\u{200D}❄': 'polar_bear',
+  '🐨': 'koala',
+  '🐯': 'tiger',
+  '🦁': 'lion_face',
+  '🐮': 'cow',
+  '🐷': 'pig',
+  '🐽': 'pig_nose',
+  '🐸': 'frog',
+  '🐵': 'monkey_face',
+  '🙈': 'see_no_evil',
+  '🙉': 'hear_no_evil',
+  '🙊': 'speak_no_evil',
+  '🐒': 'monkey',
+  '🐔': 'chicken',
+  '🐧': 'penguin',
+  '🐦': 'bird',
+  '🐤': 'baby_chick',
+  '🐣': 'hatching_chick',
+  '🐥': 'hatched_chick',
+  '🪿': 'goose',
+  '🦆': 'duck',
+  '🐦\u{200D}⬛': 'black_bird',
+  '🦅': 'eagle',
+  '🦉': 'owl',
+  '🦇': 'bat',
+  '🐺': 'wolf',
+  '🐗': 'boar',
+  '🐴': 'horse',
+  '🦄': 'unicorn',
+  '🫎': 'moose',
+  '🐝': 'bee',
+  '🪱': 'worm',
+  '🐛': 'bug',
+  '🦋': 'butterfly',
+  '🐌': 'snail',
+  '🐞': 'lady_beetle',
+  '🐜': 'ant',
+  '🪰': 'fly',
+  '🪲': 'beetle',
+  '🪳': 'cockroach',
+  '🦟': 'mosquito',
+  '🦗': 'cricket',
+  '🕷': 'spider',
+  '🕸': 'spider_web',
+  '🦂': 'scorpion',
+  '🐢': 'turtle',
+  '🐍': 'snake',
+  '🦎': 'lizard',
+  '🦖': 't_rex',
+  '🦕': 'sauropod',
+  '🐙': 'octopus',
+  '🦑': 'squid',
+  '🪼': 'jellyfish',
+  '🦐': 'shrimp',
+  '🦞': 'lobster',
+  '🦀': 'crab',
+  '🐡': 'blowfish',
+  '🐠': 'tropical_fish',
+  '🐟': 'fish',
+  '🐬': 'dolphin',
+  '🐳': 'whale',
+  '🐋': 'whale2',
+  '🦈': 'shark',
+  '🦭': 'seal',
+  '🐊': 'crocodile',
+  '🐅': 'tiger2',
+  '🐆': 'leopard',
+  '🦓': 'zebra',
+  '🦍': 'gorilla',
+  '🦧': 'orangutan',
+  '🦣': 'mammoth',
+  '🐘': 'elephant',
+  '🦛': 'hippopotamus',
+  '🦏': 'rhino',
+  '🐪': 'dromedary_camel',
+  '🐫': 'camel',
+  '🦒': 'giraffe',
+  '🦘': 'kangaroo',
+  '🦬': 'bison',
+  '🐃': 'water_buffalo',
+  '🐂': 'ox',
+  '🐄': 'cow2',
+  '🫏': 'donkey',
+  '🐎': 'racehorse',
+  '🐖': 'pig2',
+  '🐏': 'ram',
+  '🐑': 'sheep',
+  '🦙': 'llama',
+  '🐐': 'goat',
+  '🦌': 'deer',
+  '🐕': 'dog2',
+  '🐩': 'poodle',
+  '🦮': 'guide_dog',
+  '🐕\u{200D}🦺': 'service_dog',
+  '🐈': 'cat2',
+  '🐈\u{200D}⬛': 'black_cat',
+  '🪶': 'feather',
+  '🪽': 'wing',
+  '🐓': 'rooster',
+  '🦃': 'turkey',
+  '🦤': 'dodo',
+  '🦚': 'peacock',
+  '🦜': 'parrot',
+  '🦢': 'swan',
+  '🦩': 'flamingo',
+  '🕊': 'dove',
+  '🐇': 'rabbit2',
+  '🦝': 'raccoon',
+  '🦨': 'skunk',
+  '🦡': 'badger',
+  '🦫': 'beaver',
+  '🦦': 'otter',
+  '🦥': 'sloth',
+  '🐁': 'mouse2',
+  '🐀': 'rat',
+  '🐿': 'chipmunk',
+  '🦔': 'hedgehog',
+  '🐾': 'feet',
+  '🐉': 'dragon',
+  '🐲': 'dragon_face',
+  '🐦\u{200D}🔥': 'phoenix',
+  '🌵': 'cactus',
+  '🎄': 'christmas_tree',
+  '🌲': 'evergreen_tree',
+  '🌳': 'deciduous_tree',
+  '🌴': 'palm_tree',
+  '🪵': 'wood',
+  '🌱': 'seedling',
+  '🌿': 'herb',
+  '🍀': 'four_leaf_clover',
+  '🎍': 'bamboo',
+  '🪴': 'potted_plant',
+  '🎋': 'tanabata_tree',
+  '🍃': 'leaves',
+  '🍂': 'fallen_leaf',
+  '🍁': 'maple_leaf',
+  '🪺': 'nest_with_eggs',
+  '🪹': 'empty_nest',
+  '🍄': 'mushroom',
+  '🍄\u{200D}🟫': 'brown_mushroom',
+  '🐚': 'shell',
+  '🪸': 'coral',
+  '🪨': 'rock',
+  '🌾': 'ear_of_rice',
+  '💐': 'bouquet',
+  '🌷': 'tulip',
+  '🌹': 'rose',
+  '🥀': 'wilted_rose',
+  '🪻': 'hyacinth',
+  '🪷': 'lotus',
+  '🌺': 'hibiscus',
+  '🌸': 'cherry_blossom',
+  '🌼': 'blossom',
+  '🌻': 'sunflower',
+  '🌞': 'sun_with_face',
+  '🌝': 'full_moon_with_face',
+  '🌛': 'first_quarter_moon_with_face',
+  '🌜': 'last_quarter_moon_with_face',
+  '🌚': 'new_moon_with_face',
+  '🌕': 'full_moon',
+  '🌖': 'waning_gibbous_moon',
+  '🌗': 'last_quarter_moon',
+  '🌘': 'waning_crescent_moon',
+  '🌑': 'new_moon',
+  '🌒': 'waxing_crescent_moon',
+  '🌓': 'first_quarter_moon',
+  '🌔': 'waxing_gibbous_moon',
+  '🌙': 'crescent_moon',
+  '🌎': 'earth_americas',
+  '🌍': 'earth_africa',
+  '🌏': 'earth_asia',
+  '🪐': 'ringed_planet',
+  '💫': 'dizzy',
+  '⭐': 'star',
+  '🌟': 'star2',
+  '⚡': 'zap',
+  '💥': 'boom',
+  '🔥': 'fire',
+  '🌪': 'cloud_tornado',
+  '🌈': 'rainbow',
+  '🌤': 'white_sun_small_cloud',
+  '⛅': 'partly_sunny',
+  '🌥': 'white_sun_cloud',
+  '🌦': 'white_sun_rain_cloud',
+  '🌧': 'cloud_rain',
+  '⛈': 'thunder_cloud_rain',
+  '🌩': 'cloud_lightning',
+  '🌨': 'cloud_snow',
+  '⛄': 'snowman',
+  '🌬': 'wind_blowing_face',
+  '💨': 'dash',
+  '💧': 'droplet',
+  '💦': 'sweat_drops',
+  '🫧': 'bubbles',
+  '🌊': 'ocean',
+  '🌫': 'fog',
+  '🍏': 'green_apple',
+  '🍎': 'apple',
+  '🍐': 'pear',
+  '🍊': 'tangerine',
+  '🍋': 'lemon',
+  '🍋\u{200D}🟩': 'lime',
+  '🍌': 'banana',
+  '🍉': 'watermelon',
+  '🍇': 'grapes',
+  '🍓': 'strawberry',
+  '🫐': 'blueberries',
+  '🍈': 'melon',
+  '🍒': 'cherries',
+  '🍑': 'peach',
+  '🥭': 'mango',
+  '🍍': 'pineapple',
+  '🥥': 'coconut',
+  '🥝': 'kiwi',
+  '🍅': 'tomato',
+  '🍆': 'eggplant',
+  '🥑': 'avocado',
+  '🫛': 'pea_pod',
+  '🥦': 'broccoli',
+  '🥬': 'leafy_green',
+  '🥒': 'cucumber',
+  '🌶': 'hot_pepper',
+  '🫑': 'bell_pepper',
+  '🌽': 'corn',
+  '🥕': 'carrot',
+  '🫒': 'olive',
+  '🧄': 'garlic',
+  '🧅': 'onion',
+  '🥔': 'potato',
+  '🍠': 'sweet_potato',
+  '🫚': 'ginger_root',
+  '🥐': 'croissant',
+  '🥯': 'bagel',
+  '🍞': 'bread',
+  '🥖': 'french_bread',
+  '🥨': 'pretzel',
+  '🧀': 'cheese',
+  '🥚': 'egg',
+  '🍳': 'cooking',
+  '🧈': 'butter',
+  '🥞': 'pancakes',
+  '🧇': 'waffle',
+  '🥓': 'bacon',
+  '🥩': 'cut_of_meat',
+  '🍗': 'poultry_leg',
+  '🍖': 'meat_on_bone',
+  '🦴': 'bone',
+  '🌭': 'hotdog',
+  '🍔': 'hamburger',
+  '🍟': 'fries',
+  '🍕': 'pizza',
+  '🫓': 'flatbread',
+  '🥪': 'sandwich',
+  '🥙': 'stuffed_flatbread',
+  '🧆': 'falafel',
+  '🌮': 'taco',
+  '🌯': 'burrito',
+  '🫔': 'tamale',
+  '🥗': 'salad',
+  '🥘': 'shallow_pan_of_food',
+  '🫕': 'fondue',
+  '🥫': 'canned_food',
+  '🫙': 'jar',
+  '🍝': 'spaghetti',
+  '🍜': 'ramen',
+  '🍲': 'stew',
+  '🍛': 'curry',
+  '🍣': 'sushi',
+  '🍱': 'bento',
+  '🥟': 'dumpling',
+  '🦪': 'oyster',
+  '🍤': 'fried_shrimp',
+  '🍙': 'rice_ball',
+  '🍚': 'rice',
+  '🍘': 'rice_cracker',
+  '🍥': 'fish_cake',
+  '🥠': 'fortune_cookie',
+  '🥮': 'moon_cake',
+  '🍢': 'oden',
+  '🍡': 'dango',
+  '🍧': 'shaved_ice',
+  '🍨': 'ice_cream',
+  '🍦': 'icecream',
+  '🥧': 'pie',
+  '🧁': 'cupcake',
+  '🍰': 'cake',
+  '🎂': 'birthday',
+  '🍮': 'custard',
+  '🍭': 'lollipop',
+  '🍬': 'candy',
+  '🍫': 'chocolate_bar',
+  '🍿': 'popcorn',
+  '🍩': 'doughnut',
+  '🍪': 'cookie',
+  '🌰': 'chestnut',
+  '🥜': 'peanuts',
+  '🫘': 'beans',
+  '🍯': 'honey_pot',
+  '🥛': 'milk',
+  '🫗': 'pouring_liquid',
+  '🍼': 'baby_bottle',
+  '🫖': 'teapot',
+  '🍵': 'tea',
+  '🧉': 'mate',
+  '🧃': 'beverage_box',
+  '🥤': 'cup_with_straw',
+  '🧋': 'bubble_tea',
+  '🍶': 'sake',
+  '🍺': 'beer',
+  '🍻': 'beers',
+  '🥂': 'champagne_glass',
+  '🍷': 'wine_glass',
+  '🥃': 'tumbler_glass',
+  '🍸': 'cocktail',
+  '🍹': 'tropical_drink',
+  '🍾': 'champagne',
+  '🧊': 'ice_cube',
+  '🥄': 'spoon',
+  '🍴': 'fork_and_knife',
+  '🍽': 'fork_knife_plate',
+  '🥣': 'bowl_with_spoon',
+  '🥡': 'takeout_box',
+  '🥢': 'chopsticks',
+  '🧂': 'salt',
+  '⚽': 'soccer',
+  '🏀': 'basketball',
+  '🏈': 'football',
+  '⚾': 'baseball',
+  '🥎': 'softball',
+  '🎾': 'tennis',
+  '🏐': 'volleyball',
+  '🏉': 'rugby_football',
+  '🥏': 'flying_disc',
+  '🎱': '8ball',
+  '🪀': 'yo_yo',
+  '🏓': 'ping_pong',
+  '🏸': 'badminton',
+  '🏒': 'hockey',
+  '🏑': 'field_hockey',
+  '🥍': 'lacrosse',
+  '🏏': 'cricket_game',
+  '🪃': 'boomerang',
+  '🥅': 'goal',
+  '⛳': 'golf',
+  '🪁': 'kite',
+  '🛝': 'playground_slide',
+  '🏹': 'bow_and_arrow',
+  '🎣': 'fishing_pole_and_fish',
+  '🤿': 'diving_mask',
+  '🥊': 'boxing_glove',
+  '🥋': 'martial_arts_uniform',
+  '🎽': 'running_shirt_with_sash',
+  '🛹': 'skateboard',
+  '🛼': 'roller_skate',
+  '🛷': 'sled',
+  '⛸': 'ice_skate',
+  '🥌': 'curling_stone',
+  '🎿': 'ski',
+  '⛷': 'skier',
+  '🏂': 'snowboarder',
+  '🏂🏻': 'snowboarder_tone1',
+  '🏂🏼': 'snowboarder_tone2',
+  '🏂🏽': 'snowboarder_tone3',
+  '🏂🏾': 'snowboarder_tone4',
+  '🏂🏿': 'snowboarder_tone5',
+  '🪂': 'parachute',
+  '🏋': 'person_lifting_weights',
+  '🏋🏻': 'person_lifting_weights_tone1',
+  '🏋🏼': 'person_lifting_weights_tone2',
+  '🏋🏽': 'person_lifting_weights_tone3',
+  '🏋🏾': 'person_lifting_weights_tone4',
+  '🏋🏿': 'person_lifting_weights_tone5',
+  '🏋\u{200D}♀': 'woman_lifting_weights',
+  '🏋🏻\u{200D}♀': 'woman_lifting_weights_tone1',
+  '🏋🏼\u{200D}♀': 'woman_lifting_weights_tone2',
+  '🏋🏽\u{200D}♀': 'woman_lifting_weights_tone3',
+  '🏋🏾\u{200D}♀': 'woman_lifting_weights_tone4',
+  '🏋🏿\u{200D}♀': 'woman_lifting_weights_tone5',
+  '🏋\u{200D}♂': 'man_lifting_weights',
+  '🏋🏻\u{200D}♂': 'man_lifting_weights_tone1',
+  '🏋🏼\u{200D}♂': 'man_lifting_weights_tone2',
+  '🏋🏽\u{200D}♂': 'man_lifting_weights_tone3',
+  '🏋🏾\u{200D}♂': 'man_lifting_weights_tone4',
+  '🏋🏿\u{200D}♂': 'man_lifting_weights_tone5',
+  '🤼': 'people_wrestling',
+  '🤼\u{200D}♀': 'women_wrestling',
+  '🤼\u{200D}♂': 'men_wrestling',
+  '🤸': 'person_doing_cartwheel',
+  '🤸🏻': 'person_doing_cartwheel_tone1',
+  '🤸🏼': 'person_doing_cartwheel_tone2',
+  '🤸🏽': 'person_doing_cartwheel_tone3',
+  '🤸🏾': 'person_doing_cartwheel_tone4',
+  '🤸🏿': 'person_doing_cartwheel_tone5',
+  '🤸\u{200D}♀': 'woman_cartwheeling',
+  '🤸🏻\u{200D}♀': 'woman_cartwheeling_tone1',
+  '🤸🏼\u{200D}♀': 'woman_cartwheeling_tone2',
+  '🤸🏽\u{200D}♀': 'woman_cartwheeling_tone3',
+  '🤸🏾\u{200D}♀': 'woman_cartwheeling_tone4',
+  '🤸🏿\u{200D}♀': 'woman_cartwheeling_tone5',
+  '🤸\u{200D}♂': 'man_cartwheeling',
+  '🤸🏻\u{200D}♂': 'man_cartwheeling_tone1',
+  '🤸🏼\u{200D}♂': 'man_cartwheeling_tone2',
+  '🤸🏽\u{200D}♂': 'man_cartwheeling_tone3',
+  '🤸🏾\u{200D}♂': 'man_cartwheeling_tone4',
+  '🤸🏿\u{200D}♂': 'man_cartwheeling_tone5',
+  '⛹': 'person_bouncing_ball',
+  '⛹🏻': 'person_bouncing_ball_tone1',
+  '⛹🏼': 'person_bouncing_ball_tone2',
+  '⛹🏽': 'person_bouncing_ball_tone3',
+  '⛹🏾': 'person_bouncing_ball_tone4',
+  '⛹🏿': 'person_bouncing_ball_tone5',
+  '⛹\u{200D}♀': 'woman_bouncing_ball',
+  '⛹🏻\u{200D}♀': 'woman_bouncing_ball_tone1',
+  '⛹🏼\u{200D}♀': 'woman_bouncing_ball_tone2',
+  '⛹🏽\u{200D}♀': 'woman_bouncing_ball_tone3',
+  '⛹🏾\u{200D}♀': 'woman_bouncing_ball_tone4',
+  '⛹🏿\u{200D}♀': 'woman_bouncing_ball_tone5',
+  '⛹\u{200D}♂': 'man_bouncing_ball',
+  '⛹🏻\u{200D}♂': 'man_bouncing_ball_tone1',
+  '⛹🏼\u{200D}♂': 'man_bouncing_ball_tone2',
+  '⛹🏽\u{200D}♂': 'man_bouncing_ball_tone3',
+  '⛹🏾\u{200D}♂': 'man_bouncing_ball_tone4',
+  '⛹🏿\u{200D}♂': 'man_bouncing_ball_tone5',
+  '🤺': 'person_fencing',
+  '🤾': 'person_playing_handball',
+  '🤾🏻': 'person_playing_handball_tone1',
+  '🤾🏼': 'person_playing_handball_tone2',
+  '🤾🏽': 'person_playing_handball_tone3',
+  '🤾🏾': 'person_playing_handball_tone4',
+  '🤾🏿': 'person_playing_handball_tone5',
+  '🤾\u{200D}♀': 'woman_playing_handball',
+  '🤾🏻\u{200D}♀': 'woman_playing_handball_tone1',
+  '🤾🏼\u{200D}♀': 'woman_playing_handball_tone2',
+  '🤾🏽\u{200D}♀': 'woman_playing_handball_tone3',
+  '🤾🏾\u{200D}♀': 'woman_playing_handball_tone4',
+  '🤾🏿\u{200D}♀': 'woman_playing_handball_tone5',
+  '🤾\u{200D}♂': 'man_playing_handball',
+  '🤾🏻\u{200D}♂': 'man_playing_handball_tone1',
+  '🤾🏼\u{200D}♂': 'man_playing_handball_tone2',
+  '🤾🏽\u{200D}♂': 'man_playing_handball_tone3',
+  '🤾🏾\u{200D}♂': 'man_playing_handball_tone4',
+  '🤾🏿\u{200D}♂': 'man_playing_handball_tone5',
+  '🏌': 'person_golfing',
+  '🏌🏻': 'person_golfing_tone1',
+  '🏌🏼': 'person_golfing_tone2',
+  '🏌🏽': 'person_golfing_tone3',
+  '🏌🏾': 'person_golfing_tone4',
+  '🏌🏿': 'person_golfing_tone5',
+  '🏌\u{200D}♀': 'woman_golfing',
+  '🏌🏻\u{200D}♀': 'woman_golfing_tone1',
+  '🏌🏼\u{200D}♀': 'woman_golfing_tone2',
+  '🏌🏽\u{200D}♀': 'woman_golfing_tone3',
+  '🏌🏾\u{200D}♀': 'woman_golfing_tone4',
+  '🏌🏿\u{200D}♀': 'woman_golfing_tone5',
+  '🏌\u{200D}♂': 'man_golfing',
+  '🏌🏻\u{200D}♂': 'man_golfing_tone1',
+  '🏌🏼\u{200D}♂': 'man_golfing_tone2',
+  '🏌🏽\u{200D}♂': 'man_golfing_tone3',
+  '🏌🏾\u{200D}♂': 'man_golfing_tone4',
+  '🏌🏿\u{200D}♂': 'man_golfing_tone5',
+  '🏇': 'horse_racing',
+  '🏇🏻': 'horse_racing_tone1',
+  '🏇🏼': 'horse_racing_tone2',
+  '🏇🏽': 'horse_racing_tone3',
+  '🏇🏾': 'horse_racing_tone4',
+  '🏇🏿': 'horse_racing_tone5',
+  '🧘': 'person_in_lotus_position',
+  '🧘🏻': 'person_in_lotus_position_tone1',
+  '🧘🏼': 'person_in_lotus_position_tone2',
+  '🧘🏽': 'person_in_lotus_position_tone3',
+  '🧘🏾': 'person_in_lotus_position_tone4',
+  '🧘🏿': 'person_in_lotus_position_tone5',
+  '🧘\u{200D}♀': 'woman_in_lotus_position',
+  '🧘🏻\u{200D}♀': 'woman_in_lotus_position_tone1',
+  '🧘🏼\u{200D}♀': 'woman_in_lotus_position_tone2',
+  '🧘🏽\u{200D}♀': 'woman_in_lotus_position_tone3',
+  '🧘🏾\u{200D}♀': 'woman_in_lotus_position_tone4',
+  '🧘🏿\u{200D}♀': 'woman_in_lotus_position_tone5',
+  '🧘\u{200D}♂': 'man_in_lotus_position',
+  '🧘🏻\u{200D}♂': 'man_in_lotus_position_tone1',
+  '🧘🏼\u{200D}♂': 'man_in_lotus_position_tone2',
+  '🧘🏽\u{200D}♂': 'man_in_lotus_position_tone3',
+  '🧘🏾\u{200D}♂': 'man_in_lotus_position_tone4',
+  '🧘🏿\u{200D}♂': 'man_in_lotus_position_tone5',
+  '🏄': 'person_surfing',
+  '🏄🏻': 'person_surfing_tone1',
+  '🏄🏼': 'person_surfing_tone2',
+  '🏄🏽': 'person_surfing_tone3',
+  '🏄🏾': 'person_surfing_tone4',
+  '🏄🏿': 'person_surfing_tone5',
+  '🏄\u{200D}♀': 'woman_surfing',
+  '🏄🏻\u{200D}♀': 'woman_surfing_tone1',
+  '🏄🏼\u{200D}♀': 'woman_surfing_tone2',
+  '🏄🏽\u{200D}♀': 'woman_surfing_tone3',
+  '🏄🏾\u{200D}♀': 'woman_surfing_tone4',
+  '🏄🏿\u{200D}♀': 'woman_surfing_tone5',
+  '🏄\u{200D}♂': 'man_surfing',
+  '🏄🏻\u{200D}♂': 'man_surfing_tone1',
+  '🏄🏼\u{200D}♂': 'man_surfing_tone2',
+  '🏄🏽\u{200D}♂': 'man_surfing_tone3',
+  '🏄🏾\u{200D}♂': 'man_surfing_tone4',
+  '🏄🏿\u{200D}♂': 'man_surfing_tone5',
+  '🏊': 'person_swimming',
+  '🏊🏻': 'person_swimming_tone1',
+  '🏊🏼': 'person_swimming_tone2',
+  '🏊🏽': 'person_swimming_tone3',
+  '🏊🏾': 'person_swimming_tone4',
+  '🏊🏿': 'person_swimming_tone5',
+  '🏊\u{200D}♀': 'woman_swimming',
+  '🏊🏻\u{200D}♀': 'woman_swimming_tone1',
+  '🏊🏼\u{200D}♀': 'woman_swimming_tone2',
+  '🏊🏽\u{200D}♀': 'woman_swimming_tone3',
+  '🏊🏾\u{200D}♀': 'woman_swimming_tone4',
+  '🏊🏿\u{200D}♀': 'woman_swimming_tone5',
+  '🏊\u{200D}♂': 'man_swimming',
+  '🏊🏻\u{200D}♂': 'man_swimming_tone1',
+  '🏊🏼\u{200D}♂': 'man_swimming_tone2',
+  '🏊🏽\u{200D}♂': 'man_swimming_tone3',
+  '🏊🏾\u{200D}♂': 'man_swimming_tone4',
+  '🏊🏿\u{200D}♂': 'man_swimming_tone5',
+  '🤽': 'person_playing_water_polo',
+  '🤽🏻': 'person_playing_water_polo_tone1',
+  '🤽🏼': 'person_playing_water_polo_tone2',
+  '🤽🏽': 'person_playing_water_polo_tone3',
+  '🤽🏾': 'person_playing_water_polo_tone4',
+  '🤽🏿': 'person_playing_water_polo_tone5',
+  '🤽\u{200D}♀': 'woman_playing_water_polo',
+  '🤽🏻\u{200D}♀': 'woman_playing_water_polo_tone1',
+  '🤽🏼\u{200D}♀': 'woman_playing_water_polo_tone2',
+  '🤽🏽\u{200D}♀': 'woman_playing_water_polo_tone3',
+  '🤽🏾\u{200D}♀': 'woman_playing_water_polo_tone4',
+  '🤽🏿\u{200D}♀': 'woman_playing_water_polo_tone5',
+  '🤽\u{200D}♂': 'man_playing_water_polo',
+  '🤽🏻\u{200D}♂': 'man_playing_water_polo_tone1',
+  '🤽🏼\u{200D}♂': 'man_playing_water_polo_tone2',
+  '🤽🏽\u{200D}♂': 'man_playing_water_polo_tone3',
+  '🤽🏾\u{200D}♂': 'man_playing_water_polo_tone4',
+  '🤽🏿\u{200D}♂': 'man_playing_water_polo_tone5',
+  '🚣': 'person_rowing_boat',
+  '🚣🏻': 'person_rowing_boat_tone1',
+  '🚣🏼': 'person_rowing_boat_tone2',
+  '🚣🏽': 'person_rowing_boat_tone3',
+  '🚣🏾': 'person_rowing_boat_tone4',
+  '🚣🏿': 'person_rowing_boat_tone5',
+  '🚣\u{200D}♀': 'woman_rowing_boat',
+  '🚣🏻\u{200D}♀': 'woman_rowing_boat_tone1',
+  '🚣🏼\u{200D}♀': 'woman_rowing_boat_tone2',
+  '🚣🏽\u{200D}♀': 'woman_rowing_boat_tone3',
+  '🚣🏾\u{200D}♀': 'woman_rowing_boat_tone4',
+  '🚣🏿\u{200D}♀': 'woman_rowing_boat_tone5',
+  '🚣\u{200D}♂': 'man_rowing_boat',
+  '🚣🏻\u{200D}♂': 'man_rowing_boat_tone1',
+  '🚣🏼\u{200D}♂': 'man_rowing_boat_tone2',
+  '🚣🏽\u{200D}♂': 'man_rowing_boat_tone3',
+  '🚣🏾\u{200D}♂': 'man_rowing_boat_tone4',
+  '🚣🏿\u{200D}♂': 'man_rowing_boat_tone5',
+  '🧗': 'person_climbing',
+  '🧗🏻': 'person_climbing_tone1',
+  '🧗🏼': 'person_climbing_tone2',
+  '🧗🏽': 'person_climbing_tone3',
+  '🧗🏾': 'person_climbing_tone4',
+  '🧗🏿': 'person_climbing_tone5',
+  '🧗\u{200D}♀': 'woman_climbing',
+  '🧗🏻\u{200D}♀': 'woman_climbing_tone1',
+  '🧗🏼\u{200D}♀': 'woman_climbing_tone2',
+  '🧗🏽\u{200D}♀': 'woman_climbing_tone3',
+  '🧗🏾\u{200D}♀': 'woman_climbing_tone4',
+  '🧗🏿\u{200D}♀': 'woman_climbing_tone5',
+  '🧗\u{200D}♂': 'man_climbing',
+  '🧗🏻\u{200D}♂': 'man_climbing_tone1',
+  '🧗🏼\u{200D}♂': 'man_climbing_tone2',
+  '🧗🏽\u{200D}♂': 'man_climbing_tone3',
+  '🧗🏾\u{200D}♂': 'man_climbing_tone4',
+  '🧗🏿\u{200D}♂': 'man_climbing_tone5',
+  '🚵': 'person_mountain_biking',
+  '🚵🏻': 'person_mountain_biking_tone1',
+  '🚵🏼': 'person_mountain_biking_tone2',
+  '🚵🏽': 'person_mountain_biking_tone3',
+  '🚵🏾': 'person_mountain_biking_tone4',
+  '🚵🏿': 'person_mountain_biking_tone5',
+  '🚵\u{200D}♀': 'woman_mountain_biking',
+  '🚵🏻\u{200D}♀': 'woman_mountain_biking_tone1',
+  '🚵🏼\u{200D}♀': 'woman_mountain_biking_tone2',
+  '🚵🏽\u{200D}♀': 'woman_mountain_biking_tone3',
+  '🚵🏾\u{200D}♀': 'woman_mountain_biking_tone4',
+  '🚵🏿\u{200D}♀': 'woman_mountain_biking_tone5',
+  '🚵\u{200D}♂': 'man_mountain_biking',
+  '🚵🏻\u{200D}♂': 'man_mountain_biking_tone1',
+  '🚵🏼\u{200D}♂': 'man_mountain_biking_tone2',
+  '🚵🏽\u{200D}♂': 'man_mountain_biking_tone3',
+  '🚵🏾\u{200D}♂': 'man_mountain_biking_tone4',
+  '🚵🏿\u{200D}♂': 'man_mountain_biking_tone5',
+  '🚴': 'person_biking',
+  '🚴🏻': 'person_biking_tone1',
+  '🚴🏼': 'person_biking_tone2',
+  '🚴🏽': 'person_biking_tone3',
+  '🚴🏾': 'person_biking_tone4',
+  '🚴🏿': 'person_biking_tone5',
+  '🚴\u{200D}♀': 'woman_biking',
+  '🚴🏻\u{200D}♀': 'woman_biking_tone1',
+  '🚴🏼\u{200D}♀': 'woman_biking_tone2',
+  '🚴🏽\u{200D}♀': 'woman_biking_tone3',
+  '🚴🏾\u{200D}♀': 'woman_biking_tone4',
+  '🚴🏿\u{200D}♀': 'woman_biking_tone5',
+  '🚴\u{200D}♂': 'man_biking',
+  '🚴🏻\u{200D}♂': 'man_biking_tone1',
+  '🚴🏼\u{200D}♂': 'man_biking_tone2',
+  '🚴🏽\u{200D}♂': 'man_biking_tone3',
+  '🚴🏾\u{200D}♂': 'man_biking_tone4',
+  '🚴🏿\u{200D}♂': 'man_biking_tone5',
+  '🏆': 'trophy',
+  '🥇': 'first_place',
+  '🥈': 'second_place',
+  '🥉': 'third_place',
+  '🏅': 'medal',
+  '🎖': 'military_medal',
+  '🏵': 'rosette',
+  '🎗': 'reminder_ribbon',
+  '🎫': 'ticket',
+  '🎟': 'tickets',
+  '🎪': 'circus_tent',
+  '🤹': 'person_juggling',
+  '🤹🏻': 'person_juggling_tone1',
+  '🤹🏼': 'person_juggling_tone2',
+  '🤹🏽': 'person_juggling_tone3',
+  '🤹🏾': 'person_juggling_tone4',
+  '🤹🏿': 'person_juggling_tone5',
+  '🤹\u{200D}♀': 'woman_juggling',
+  '🤹🏻\u{200D}♀': 'woman_juggling_tone1',
+  '🤹🏼\u{200D}♀': 'woman_juggling_tone2',
+  '🤹🏽\u{200D}♀': 'woman_juggling_tone3',
+  '🤹🏾\u{200D}♀': 'woman_juggling_tone4',
+  '🤹🏿\u{200D}♀': 'woman_juggling_tone5',
+  '🤹\u{200D}♂': 'man_juggling',
+  '🤹🏻\u{200D}♂': 'man_juggling_tone1',
+  '🤹🏼\u{200D}♂': 'man_juggling_tone2',
+  '🤹🏽\u{200D}♂': 'man_juggling_tone3',
+  '🤹🏾\u{200D}♂': 'man_juggling_tone4',
+  '🤹🏿\u{200D}♂': 'man_juggling_tone5',
+  '🎭': 'performing_arts',
+  '🩰': 'ballet_shoes',
+  '🎨': 'art',
+  '🎬': 'clapper',
+  '🎤': 'microphone',
+  '🎧': 'headphones',
+  '🎼': 'musical_score',
+  '🎹': 'musical_keyboard',
+  '🪇': 'maracas',
+  '🥁': 'drum',
+  '🪘': 'long_drum',
+  '🎷': 'saxophone',
+  '🎺': 'trumpet',
+  '🪗': 'accordion',
+  '🎸': 'guitar',
+  '🪕': 'banjo',
+  '🎻': 'violin',
+  '🪈': 'flute',
+  '🎲': 'game_die',
+  '♟': 'chess_pawn',
+  '🎯': 'dart',
+  '🎳': 'bowling',
+  '🎮': 'video_game',
+  '🎰': 'slot_machine',
+  '🧩': 'jigsaw',
+  '🚗': 'red_car',
+  '🚕': 'taxi',
+  '🚙': 'blue_car',
+  '🛻': 'pickup_truck',
+  '🚐': 'minibus',
+  '🚌': 'bus',
+  '🚎': 'trolleybus',
+  '🏎': 'race_car',
+  '🚓': 'police_car',
+  '🚑': 'ambulance',
+  '🚒': 'fire_engine',
+  '🚚': 'truck',
+  '🚛': 'articulated_lorry',
+  '🚜': 'tractor',
+  '🦯': 'probing_cane',
+  '🦽': 'manual_wheelchair',
+  '🦼': 'motorized_wheelchair',
+  '🩼': 'crutch',
+  '🛴': 'scooter',
+  '🚲': 'bike',
+  '🛵': 'motor_scooter',
+  '🏍': 'motorcycle',
+  '🛺': 'auto_rickshaw',
+  '🛞': 'wheel',
+  '🚨': 'rotating_light',
+  '🚔': 'oncoming_police_car',
+  '🚍': 'oncoming_bus',
+  '🚘': 'oncoming_automobile',
+  '🚖': 'oncoming_taxi',
+  '🚡': 'aerial_tramway',
+  '🚠': 'mountain_cableway',
+  '🚟': 'suspension_railway',
+  '🚃': 'railway_car',
+  '🚋': 'train',
+  '🚞': 'mountain_railway',
+  '🚝': 'monorail',
+  '🚄': 'bullettrain_side',
+  '🚅': 'bullettrain_front',
+  '🚈': 'light_rail',
+  '🚂': 'steam_locomotive',
+  '🚆': 'train2',
+  '🚇': 'metro',
+  '🚊': 'tram',
+  '🚉': 'station',
+  '🛫': 'airplane_departure',
+  '🛬': 'airplane_arriving',
+  '🛩': 'airplane_small',
+  '💺': 'seat',
+  '🛰': 'satellite_orbital',
+  '🚀': 'rocket',
+  '🛸': 'flying_saucer',
+  '🚁': 'helicopter',
+  '🛶': 'canoe',
+  '⛵': 'sailboat',
+  '🚤': 'speedboat',
+  '🛥': 'motorboat',
+  '🛳': 'cruise_ship',
+  '⛴': 'ferry',
+  '🚢': 'ship',
+  '🛟': 'ring_buoy',
+  '🪝': 'hook',
+  '⛽': 'fuelpump',
+  '🚧': 'construction',
+  '🚦': 'vertical_traffic_light',
+  '🚥': 'traffic_light',
+  '🚏': 'busstop',
+  '🗺': 'map',
+  '🗿': 'moyai',
+  '🗽': 'statue_of_liberty',
+  '🗼': 'tokyo_tower',
+  '🏰': 'european_castle',
+  '🏯': 'japanese_castle',
+  '🏟': 'stadium',
+  '🎡': 'ferris_wheel',
+  '🎢': 'roller_coaster',
+  '🎠': 'carousel_horse',
+  '⛲': 'fountain',
+  '⛱': 'beach_umbrella',
+  '🏖': 'beach',
+  '🏝': 'island',
+  '🏜': 'desert',
+  '🌋': 'volcano',
+  '⛰': 'mountain',
+  '🏔': 'mountain_snow',
+  '🗻': 'mount_fuji',
+  '🏕': 'camping',
+  '⛺': 'tent',
+  '🏠': 'house',
+  '🏡': 'house_with_garden',
+  '🏘': 'homes',
+  '🏚': 'house_abandoned',
+  '🛖': 'hut',
+  '🏗': 'construction_site',
+  '🏭': 'factory',
+  '🏢': 'office',
+  '🏬': 'department_store',
+  '🏣': 'post_office',
+  '🏤': 'european_post_office',
+  '🏥': 'hospital',
+  '🏦': 'bank',
+  '🏨': 'hotel',
+  '🏪': 'convenience_store',
+  '🏫': 'school',
+  '🏩': 'love_hotel',
+  '💒': 'wedding',
+  '🏛': 'classical_building',
+  '⛪': 'church',
+  '🕌': 'mosque',
+  '🕍': 'synagogue',
+  '🛕': 'hindu_temple',
+  '🕋': 'kaaba',
+  '⛩': 'shinto_shrine',
+  '🛤': 'railway_track',
+  '🛣': 'motorway',
+  '🗾': 'japan',
+  '🎑': 'rice_scene',
+  '🏞': 'park',
+  '🌅': 'sunrise',
+  '🌄': 'sunrise_over_mountains',
+  '🌠': 'stars',
+  '🎇': 'sparkler',
+  '🎆': 'fireworks',
+  '🌇': 'city_sunset',
+  '🌆': 'city_dusk',
+  '🏙': 'cityscape',
+  '🌃': 'night_with_stars',
+  '🌌': 'milky_way',
+  '🌉': 'bridge_at_night',
+  '🌁': 'foggy',
+  '⌚': 'watch',
+  '📱': 'mobile_phone',
+  '📲': 'calling',
+  '💻': 'computer',
+  '🖥': 'desktop',
+  '🖨': 'printer',
+  '🖱': 'mouse_three_button',
+  '🖲': 'trackball',
+  '🕹': 'joystick',
+  '🗜': 'compression',
+  '💽': 'minidisc',
+  '💾': 'floppy_disk',
+  '💿': 'cd',
+  '📀': 'dvd',
+  '📼': 'vhs',
+  '📷': 'camera',
+  '📸': 'camera_with_flash',
+  '📹': 'video_camera',
+  '🎥': 'movie_camera',
+  '📽': 'projector',
+  '🎞': 'film_frames',
+  '📞': 'telephone_receiver',
+  '☎': 'telephone',
+  '📟': 'pager',
+  '📠': 'fax',
+  '📺': 'tv',
+  '📻': 'radio',
+  '🎙': 'microphone2',
+  '🎚': 'level_slider',
+  '🎛': 'control_knobs',
+  '🧭': 'compass',
+  '⏱': 'stopwatch',
+  '⏲': 'timer',
+  '⏰': 'alarm_clock',
+  '🕰': 'clock',
+  '⌛': 'hourglass',
+  '⏳': 'hourglass_flowing_sand',
+  '📡': 'satellite',
+  '🔋': 'battery',
+  '🪫': 'low_battery',
+  '🔌': 'electric_plug',
+  '💡': 'bulb',
+  '🔦': 'flashlight',
+  '🕯': 'candle',
+  '🪔': 'diya_lamp',
+  '🧯': 'fire_extinguisher',
+  '🛢': 'oil',
+  '💸': 'money_with_wings',
+  '💵': 'dollar',
+  '💴': 'yen',
+  '💶': 'euro',
+  '💷': 'pound',
+  '🪙': 'coin',
+  '💰': 'moneybag',
+  '💳': 'credit_card',
+  '🪪': 'identification_card',
+  '💎': 'gem',
+  '🪜': 'ladder',
+  '🧰': 'toolbox',
+  '🪛': 'screwdriver',
+  '🔧': 'wrench',
+  '🔨': 'hammer',
+  '🛠': 'tools',
+  '⛏': 'pick',
+  '🪚': 'carpentry_saw',
+  '🔩': 'nut_and_bolt',
+  '🪤': 'mouse_trap',
+  '🧱': 'bricks',
+  '⛓': 'chains',
+  '🔗': 'link',
+  '⛓\u{200D}💥': 'broken_chain',
+  '🧲': 'magnet',
+  '🔫': 'gun',
+  '💣': 'bomb',
+  '🧨': 'firecracker',
+  '🪓': 'axe',
+  '🔪': 'knife',
+  '🗡': 'dagger',
+  '🛡': 'shield',
+  '🚬': 'smoking',
+  '⚰': 'coffin',
+  '🪦': 'headstone',
+  '⚱': 'urn',
+  '🏺': 'amphora',
+  '🔮': 'crystal_ball',
+  '📿': 'prayer_beads',
+  '🧿': 'nazar_amulet',
+  '🪬': 'hamsa',
+  '💈': 'barber',
+  '🔭': 'telescope',
+  '🔬': 'microscope',
+  '🕳': 'hole',
+  '🩻': 'x_ray',
+  '🩹': 'adhesive_bandage',
+  '🩺': 'stethoscope',
+  '💊': 'pill',
+  '💉': 'syringe',
+  '🩸': 'drop_of_blood',
+  '🧬': 'dna',
+  '🦠': 'microbe',
+  '🧫': 'petri_dish',
+  '🧪': 'test_tube',
+  '🌡': 'thermometer',
+  '🧹': 'broom',
+  '🪠': 'plunger',
+  '🧺': 'basket',
+  '🧻': 'roll_of_paper',
+  '🚽': 'toilet',
+  '🚰': 'potable_water',
+  '🚿': 'shower',
+  '🛁': 'bathtub',
+  '🛀': 'bath',
+  '🛀🏻': 'bath_tone1',
+  '🛀🏼': 'bath_tone2',
+  '🛀🏽': 'bath_tone3',
+  '🛀🏾': 'bath_tone4',
+  '🛀🏿': 'bath_tone5',
+  '🧼': 'soap',
+  '🪥': 'toothbrush',
+  '🪒': 'razor',
+  '🪮': 'hair_pick',
+  '🧽': 'sponge',
+  '🪣': 'bucket',
+  '🧴': 'squeeze_bottle',
+  '🛎': 'bellhop',
+  '🔑': 'key',
+  '🗝': 'key2',
+  '🚪': 'door',
+  '🪑': 'chair',
+  '🛋': 'couch',
+  '🛏': 'bed',
+  '🛌': 'sleeping_accommodation',
+  '🛌🏻': 'person_in_bed_tone1',
+  '🛌🏼': 'person_in_bed_tone2',
+  '🛌🏽': 'person_in_bed_tone3',
+  '🛌🏾': 'person_in_bed_tone4',
+  '🛌🏿': 'person_in_bed_tone5',
+  '🧸': 'teddy_bear',
+  '🪆': 'nesting_dolls',
+  '🖼': 'frame_photo',
+  '🪞': 'mirror',
+  '🪟': 'window',
+  '🛍': 'shopping_bags',
+  '🛒': 'shopping_cart',
+  '🎁': 'gift',
+  '🎈': 'balloon',
+  '🎏': 'flags',
+  '🎀': 'ribbon',
+  '🪄': 'magic_wand',
+  '🪅': 'pinata',
+  '🎊': 'confetti_ball',
+  '🎉': 'tada',
+  '🎎': 'dolls',
+  '🪭': 'folding_hand_fan',
+  '🏮': 'izakaya_lantern',
+  '🎐': 'wind_chime',
+  '🪩': 'mirror_ball',
+  '🧧': 'red_envelope',
+  '📩': 'envelope_with_arrow',
+  '📨': 'incoming_envelope',
+  '📧': 'e-mail',
+  '💌': 'love_letter',
+  '📥': 'inbox_tray',
+  '📤': 'outbox_tray',
+  '📦': 'package',
+  '🏷': 'label',
+  '🪧': 'placard',
+  '📪': 'mailbox_closed',
+  '📫': 'mailbox',
+  '📬': 'mailbox_with_mail',
+  '📭': 'mailbox_with_no_mail',
+  '📮': 'postbox',
+  '📯': 'postal_horn',
+  '📜': 'scroll',
+  '📃': 'page_with_curl',
+  '📄': 'page_facing_up',
+  '📑': 'bookmark_tabs',
+  '🧾': 'receipt',
+  '📊': 'bar_chart',
+  '📈': 'chart_with_upwards_trend',
+  '📉': 'chart_with_downwards_trend',
+  '🗒': 'notepad_spiral',
+  '🗓': 'calendar_spiral',
+  '📆': 'calendar',
+  '📅': 'date',
+  '🗑': 'wastebasket',
+  '📇': 'card_index',
+  '🗃': 'card_box',
+  '🗳': 'ballot_box',
+  '🗄': 'file_cabinet',
+  '📋': 'clipboard',
+  '📁': 'file_folder',
+  '📂': 'open_file_folder',
+  '🗂': 'dividers',
+  '🗞': 'newspaper2',
+  '📰': 'newspaper',
+  '📓': 'notebook',
+  '📔': 'notebook_with_decorative_cover',
+  '📒': 'ledger',
+  '📕': 'closed_book',
+  '📗': 'green_book',
+  '📘': 'blue_book',
+  '📙': 'orange_book',
+  '📚': 'books',
+  '📖': 'book',
+  '🔖': 'bookmark',
+  '🧷': 'safety_pin',
+  '📎': 'paperclip',
+  '🖇': 'paperclips',
+  '📐': 'triangular_ruler',
+  '📏': 'straight_ruler',
+  '🧮': 'abacus',
+  '📌': 'pushpin',
+  '📍': 'round_pushpin',
+  '🖊': 'pen_ballpoint',
+  '🖋': 'pen_fountain',
+  '🖌': 'paintbrush',
+  '🖍': 'crayon',
+  '📝': 'pencil',
+  '✏': 'pencil2',
+  '🔍': 'mag',
+  '🔎': 'mag_right',
+  '🔏': 'lock_with_ink_pen',
+  '🔐': 'closed_lock_with_key',
+  '🔒': 'lock',
+  '🔓': 'unlock',
+  '🩷': 'pink_heart',
+  '🧡': 'orange_heart',
+  '💛': 'yellow_heart',
+  '💚': 'green_heart',
+  '🩵': 'light_blue_heart',
+  '💙': 'blue_heart',
+  '💜': 'purple_heart',
+  '🖤': 'black_heart',
+  '🩶': 'grey_heart',
+  '🤍': 'white_heart',
+  '🤎': 'brown_heart',
+  '💔': 'broken_heart',
+  '💕': 'two_hearts',
+  '💞': 'revolving_hearts',
+  '💓': 'heartbeat',
+  '💗': 'heartpulse',
+  '💖': 'sparkling_heart',
+  '💘': 'cupid',
+  '💝': 'gift_heart',
+  '❤\u{200D}🩹': 'mending_heart',
+  '❤\u{200D}🔥': 'heart_on_fire',
+  '💟': 'heart_decoration',
+  '☮': 'peace',
+  '✝': 'cross',
+  '☪': 'star_and_crescent',
+  '🕉': 'om_symbol',
+  '🪯': 'khanda',
+  '🔯': 'six_pointed_star',
+  '🕎': 'menorah',
+  '☯': 'yin_yang',
+  '🛐': 'place_of_worship',
+  '⛎': 'ophiuchus',
+  '♊': 'gemini',
+  '♋': 'cancer',
+  '♌': 'leo',
+  '♍': 'virgo',
+  '♎': 'libra',
+  '♏': 'scorpius',
+  '🆔': 'id',
+  '⚛': 'atom',
+  '🉑': 'accept',
+  '📴': 'mobile_phone_off',
+  '📳': 'vibration_mode',
+  '🈶': 'u6709',
+  '🈚': 'u7121',
+  '🈸': 'u7533',
+  '🈺': 'u55b6',
+  '🈷': 'u6708',
+  '🆚': 'vs',
+  '💮': 'white_flower',
+  '🉐': 'ideograph_advantage',
+  '🈴': 'u5408',
+  '🈵': 'u6e80',
+  '🈹': 'u5272',
+  '🈲': 'u7981',
+  '🅰': 'a',
+  '🅱': 'b',
+  '🆎': 'ab',
+  '🆑': 'cl',
+  '🅾': 'o2',
+  '🆘': 'sos',
+  '❌': 'x',
+  '⭕': 'o',
+  '🛑': 'octagonal_sign',
+  '⛔': 'no_entry',
+  '📛': 'name_badge',
+  '🚫': 'no_entry_sign',
+  '💯': '100',
+  '💢': 'anger',
+  '🚷': 'no_pedestrians',
+  '🚯': 'do_not_litter',
+  '🚳': 'no_bicycles',
+  '🚱': 'non-potable_water',
+  '🔞': 'underage',
+  '📵': 'no_mobile_phones',
+  '🚭': 'no_smoking',
+  '‼': 'bangbang',
+  '🔅': 'low_brightness',
+  '🔆': 'high_brightness',
+  '〽': 'part_alternation_mark',
+  '⚠': 'warning',
+  '🚸': 'children_crossing',
+  '🔱': 'trident',
+  '⚜': 'fleur-de-lis',
+  '🔰': 'beginner',
+  '♻': 'recycle',
+  '🈯': 'u6307',
+  '💹': 'chart',
+  '❎': 'negative_squared_cross_mark',
+  '🌐': 'globe_with_meridians',
+  '💠': 'diamond_shape_with_a_dot_inside',
+  'Ⓜ': 'm',
+  '🌀': 'cyclone',
+  '💤': 'zzz',
+  '🏧': 'atm',
+  '🚾': 'wc',
+  '♿': 'wheelchair',
+  '🅿': 'parking',
+  '🛗': 'elevator',
+  '🈳': 'u7a7a',
+  '🈂': 'sa',
+  '🛂': 'passport_control',
+  '🛃': 'customs',
+  '🛄': 'baggage_claim',
+  '🛅': 'left_luggage',
+  '🛜': 'wireless',
+  '🚹': 'mens',
+  '🚺': 'womens',
+  '🚼': 'baby_symbol',
+  '🚻': 'restroom',
+  '🚮': 'put_litter_in_its_place',
+  '🎦': 'cinema',
+  '📶': 'signal_strength',
+  '🈁': 'koko',
+  '🔣': 'symbols',
+  '🔤': 'abc',
+  '🔡': 'abcd',
+  '🔠': 'capital_abcd',
+  '🆖': 'ng',
+  '🆗': 'ok',
+  '🆙': 'up',
+  '🆒': 'cool',
+  '🆕': 'new',
+  '🆓': 'free',
+  '0\u{20E3}': 'zero',
+  '1\u{20E3}': 'one',
+  '2\u{20E3}': 'two',
+  '3\u{20E3}': 'three',
+  '4\u{20E3}': 'four',
+  '5\u{20E3}': 'five',
+  '6\u{20E3}': 'six',
+  '7\u{20E3}': 'seven',
+  '8\u{20E3}': 'eight',
+  '9\u{20E3}': 'nine',
+  '🔟': 'keycap_ten',
+  '🔢': '1234',
+  '#\u{20E3}': 'hash',
+  '*\u{20E3}': 'asterisk',
+  '⏏': 'eject',
+  '▶': 'arrow_forward',
+  '⏸': 'pause_button',
+  '⏯': 'play_pause',
+  '⏹': 'stop_button',
+  '⏺': 'record_button',
+  '⏭': 'track_next',
+  '⏮': 'track_previous',
+  '⏩': 'fast_forward',
+  '⏪': 'rewind',
+  '⏫': 'arrow_double_up',
+  '⏬': 'arrow_double_down',
+  '◀': 'arrow_backward',
+  '🔼': 'arrow_up_small',
+  '🔽': 'arrow_down_small',
+  '➡': 'arrow_right',
+  '⬅': 'arrow_left',
+  '⬆': 'arrow_up',
+  '⬇': 'arrow_down',
+  '↪': 'arrow_right_hook',
+  '↩': 'leftwards_arrow_with_hook',
+  '🔀': 'twisted_rightwards_arrows',
+  '🔁': 'repeat',
+  '🔂': 'repeat_one',
+  '🔄': 'arrows_counterclockwise',
+  '🔃': 'arrows_clockwise',
+  '🎵': 'musical_note',
+  '🎶': 'notes',
+  '🟰': 'heavy_equals_sign',
+  '♾': 'infinity',
+  '💲': 'heavy_dollar_sign',
+  '💱': 'currency_exchange',
+  '©': 'copyright',
+  '®': 'registered',
+  '➰': 'curly_loop',
+  '➿': 'loop',
+  '🔚': 'end',
+  '🔙': 'back',
+  '🔛': 'on',
+  '🔝': 'top',
+  '🔜': 'soon',
+  '🔘': 'radio_button',
+  '⚪': 'white_circle',
+  '⚫': 'black_circle',
+  '🔴': 'red_circle',
+  '🔵': 'blue_circle',
+  '🟤': 'brown_circle',
+  '🟣': 'purple_circle',
+  '🟢': 'green_circle',
+  '🟡': 'yellow_circle',
+  '🟠': 'orange_circle',
+  '🔺': 'small_red_triangle',
+  '🔻': 'small_red_triangle_down',
+  '🔸': 'small_orange_diamond',
+  '🔹': 'small_blue_diamond',
+  '🔶': 'large_orange_diamond',
+  '🔷': 'large_blue_diamond',
+  '🔳': 'white_square_button',
+  '🔲': 'black_square_button',
+  '▪': 'black_small_square',
+  '▫': 'white_small_square',
+  '◾': 'black_medium_small_square',
+  '◽': 'white_medium_small_square',
+  '◼': 'black_medium_square',
+  '◻': 'white_medium_square',
+  '⬛': 'black_large_square',
+  '⬜': 'white_large_square',
+  '🟧': 'orange_square',
+  '🟦': 'blue_square',
+  '🟥': 'red_square',
+  '🟫': 'brown_square',
+  '🟪': 'purple_square',
+  '🟩': 'green_square',
+  '🟨': 'yellow_square',
+  '🔈': 'speaker',
+  '🔇': 'mute',
+  '🔉': 'sound',
+  '🔊': 'loud_sound',
+  '🔔': 'bell',
+  '🔕': 'no_bell',
+  '📣': 'mega',
+  '📢': 'loudspeaker',
+  '🗨': 'speech_left',
+  '👁\u{200D}🗨': 'eye_in_speech_bubble',
+  '💬': 'speech_balloon',
+  '💭': 'thought_balloon',
+  '🗯': 'anger_right',
+  '🃏': 'black_joker',
+  '🎴': 'flower_playing_cards',
+  '🀄': 'mahjong',
+  '🕐': 'clock1',
+  '🕑': 'clock2',
+  '🕒': 'clock3',
+  '🕓': 'clock4',
+  '🕔': 'clock5',
+  '🕕': 'clock6',
+  '🕖': 'clock7',
+  '🕗': 'clock8',
+  '🕘': 'clock9',
+  '🕙': 'clock10',
+  '🕚': 'clock11',
+  '🕛': 'clock12',
+  '🕜': 'clock130',
+  '🕝': 'clock230',
+  '🕞': 'clock330',
+  '🕟': 'clock430',
+  '🕠': 'clock530',
+  '🕡': 'clock630',
+  '🕢': 'clock730',
+  '🕣': 'clock830',
+  '🕤': 'clock930',
+  '🕥': 'clock1030',
+  '🕦': 'clock1130',
+  '🕧': 'clock1230',
+  '⚧': 'transgender_symbol',
+  '🏳': 'flag_white',
+  '🏴': 'flag_black',
+  '🏴\u{200D}☠': 'pirate_flag',
+  '🏁': 'checkered_flag',
+  '🚩': 'triangular_flag_on_post',
+  '🏳\u{200D}🌈': 'rainbow_flag',
+  '🏳\u{200D}⚧': 'transgender_flag',
+  '🇺🇳': 'united_nations',
+  '🇦🇫': 'flag_af',
+  '🇦🇽': 'flag_ax',
+  '🇦🇱': 'flag_al',
+  '🇩🇿': 'flag_dz',
+  '🇦🇸': 'flag_as',
+  '🇦🇩': 'flag_ad',
+  '🇦🇴': 'flag_ao',
+  '🇦🇮': 'flag_ai',
+  '🇦🇶': 'flag_aq',
+  '🇦🇬': 'flag_ag',
+  '🇦🇷': 'flag_ar',
+  '🇦🇲': 'flag_am',
+  '🇦🇼': 'flag_aw',
+  '🇦🇺': 'flag_au',
+  '🇦🇹': 'flag_at',
+  '🇦🇿': 'flag_az',
+  '🇧🇸': 'flag_bs',
+  '🇧🇭': 'flag_bh',
+  '🇧🇩': 'flag_bd',
+  '🇧🇧': 'flag_bb',
+  '🇧🇾': 'flag_by',
+  '🇧🇪': 'flag_be',
+  '🇧🇿': 'flag_bz',
+  '🇧🇯': 'flag_bj',
+  '🇧🇲': 'flag_bm',
+  '🇧🇹': 'flag_bt',
+  '🇧🇴': 'flag_bo',
+  '🇧🇦': 'flag_ba',
+  '🇧🇼': 'flag_bw',
+  '🇧🇷': 'flag_br',
+  '🇮🇴': 'flag_io',
+  '🇻🇬': 'flag_vg',
+  '🇧🇳': 'flag_bn',
+  '🇧🇬': 'flag_bg',
+  '🇧🇫': 'flag_bf',
+  '🇧🇮': 'flag_bi',
+  '🇰🇭': 'flag_kh',
+  '🇨🇲': 'flag_cm',
+  '🇨🇦': 'flag_ca',
+  '🇮🇨': 'flag_ic',
+  '🇨🇻': 'flag_cv',
+  '🇧🇶': 'flag_bq',
+  '🇰🇾': 'flag_ky',
+  '🇨🇫': 'flag_cf',
+  '🇹🇩': 'flag_td',
+  '🇨🇱': 'flag_cl',
+  '🇨🇳': 'flag_cn',
+  '🇨🇽': 'flag_cx',
+  '🇨🇨': 'flag_cc',
+  '🇨🇴': 'flag_co',
+  '🇰🇲': 'flag_km',
+  '🇨🇬': 'flag_cg',
+  '🇨🇩': 'flag_cd',
+  '🇨🇰': 'flag_ck',
+  '🇨🇷': 'flag_cr',
+  '🇨🇮': 'flag_ci',
+  '🇭🇷': 'flag_hr',
+  '🇨🇺': 'flag_cu',
+  '🇨🇼': 'flag_cw',
+  '🇨🇾': 'flag_cy',
+  '🇨🇿': 'flag_cz',
+  '🇩🇰': 'flag_dk',
+  '🇩🇯': 'flag_dj',
+  '🇩🇲': 'flag_dm',
+  '🇩🇴': 'flag_do',
+  '🇪🇨': 'flag_ec',
+  '🇪🇬': 'flag_eg',
+  '🇸🇻': 'flag_sv',
+  '🇬🇶': 'flag_gq',
+  '🇪🇷': 'flag_er',
+  '🇪🇪': 'flag_ee',
+  '🇪🇹': 'flag_et',
+  '🇪🇺': 'flag_eu',
+  '🇫🇰': 'flag_fk',
+  '🇫🇴': 'flag_fo',
+  '🇫🇯': 'flag_fj',
+  '🇫🇮': 'flag_fi',
+  '🇫🇷': 'flag_fr',
+  '🇬🇫': 'flag_gf',
+  '🇵🇫': 'flag_pf',
+  '🇹🇫': 'flag_tf',
+  '🇬🇦': 'flag_ga',
+  '🇬🇲': 'flag_gm',
+  '🇬🇪': 'flag_ge',
+  '🇩🇪': 'flag_de',
+  '🇬🇭': 'flag_gh',
+  '🇬🇮': 'flag_gi',
+  '🇬🇷': 'flag_gr',
+  '🇬🇱': 'flag_gl',
+  '🇬🇩': 'flag_gd',
+  '🇬🇵': 'flag_gp',
+  '🇬🇺': 'flag_gu',
+  '🇬🇹': 'flag_gt',
+  '🇬🇬': 'flag_gg',
+  '🇬🇳': 'flag_gn',
+  '🇬🇼': 'flag_gw',
+  '🇬🇾': 'flag_gy',
+  '🇭🇹': 'flag_ht',
+  '🇭🇳': 'flag_hn',
+  '🇭🇰': 'flag_hk',
+  '🇭🇺': 'flag_hu',
+  '🇮🇸': 'flag_is',
+  '🇮🇳': 'flag_in',
+  '🇮🇩': 'flag_id',
+  '🇮🇷': 'flag_ir',
+  '🇮🇶': 'flag_iq',
+  '🇮🇪': 'flag_ie',
+  '🇮🇲': 'flag_im',
+  '🇮🇱': 'flag_il',
+  '🇮🇹': 'flag_it',
+  '🇯🇲': 'flag_jm',
+  '🇯🇵': 'flag_jp',
+  '🎌': 'crossed_flags',
+  '🇯🇪': 'flag_je',
+  '🇯🇴': 'flag_jo',
+  '🇰🇿': 'flag_kz',
+  '🇰🇪': 'flag_ke',
+  '🇰🇮': 'flag_ki',
+  '🇽🇰': 'flag_xk',
+  '🇰🇼': 'flag_kw',
+  '🇰🇬': 'flag_kg',
+  '🇱🇦': 'flag_la',
+  '🇱🇻': 'flag_lv',
+  '🇱🇧': 'flag_lb',
+  '🇱🇸': 'flag_ls',
+  '🇱🇷': 'flag_lr',
+  '🇱🇾': 'flag_ly',
+  '🇱🇮': 'flag_li',
+  '🇱🇹': 'flag_lt',
+  '🇱🇺': 'flag_lu',
+  '🇲🇴': 'flag_mo',
+  '🇲🇰': 'flag_mk',
+  '🇲🇬': 'flag_mg',
+  '🇲🇼': 'flag_mw',
+  '🇲🇾': 'flag_my',
+  '🇲🇻': 'flag_mv',
+  '🇲🇱': 'flag_ml',
+  '🇲🇹': 'flag_mt',
+  '🇲🇭': 'flag_mh',
+  '🇲🇶': 'flag_mq',
+  '🇲🇷': 'flag_mr',
+  '🇲🇺': 'flag_mu',
+  '🇾🇹': 'flag_yt',
+  '🇲🇽': 'flag_mx',
+  '🇫🇲': 'flag_fm',
+  '🇲🇩': 'flag_md',
+  '🇲🇨': 'flag_mc',
+  '🇲🇳': 'flag_mn',
+  '🇲🇪': 'flag_me',
+  '🇲🇸': 'flag_ms',
+  '🇲🇦': 'flag_ma',
+  '🇲🇿': 'flag_mz',
+  '🇲🇲': 'flag_mm',
+  '🇳🇦': 'flag_na',
+  '🇳🇷': 'flag_nr',
+  '🇳🇵': 'flag_np',
+  '🇳🇱': 'flag_nl',
+  '🇳🇨': 'flag_nc',
+  '🇳🇿': 'flag_nz',
+  '🇳🇮': 'flag_ni',
+  '🇳🇪': 'flag_ne',
+  '🇳🇬': 'flag_ng',
+  '🇳🇺': 'flag_nu',
+  '🇳🇫': 'flag_nf',
+  '🇰🇵': 'flag_kp',
+  '🇲🇵': 'flag_mp',
+  '🇳🇴': 'flag_no',
+  '🇴🇲': 'flag_om',
+  '🇵🇰': 'flag_pk',
+  '🇵🇼': 'flag_pw',
+  '🇵🇸': 'flag_ps',
+  '🇵🇦': 'flag_pa',
+  '🇵🇬': 'flag_pg',
+  '🇵🇾': 'flag_py',
+  '🇵🇪': 'flag_pe',
+  '🇵🇭': 'flag_ph',
+  '🇵🇳': 'flag_pn',
+  '🇵🇱': 'flag_pl',
+  '🇵🇹': 'flag_pt',
+  '🇵🇷': 'flag_pr',
+  '🇶🇦': 'flag_qa',
+  '🇷🇪': 'flag_re',
+  '🇷🇴': 'flag_ro',
+  '🇷🇺': 'flag_ru',
+  '🇷🇼': 'flag_rw',
+  '🇼🇸': 'flag_ws',
+  '🇸🇲': 'flag_sm',
+  '🇸🇹': 'flag_st',
+  '🇸🇦': 'flag_sa',
+  '🇸🇳': 'flag_sn',
+  '🇷🇸': 'flag_rs',
+  '🇸🇨': 'flag_sc',
+  '🇸🇱': 'flag_sl',
+  '🇸🇬': 'flag_sg',
+  '🇸🇽': 'flag_sx',
+  '🇸🇰': 'flag_sk',
+  '🇸🇮': 'flag_si',
+  '🇬🇸': 'flag_gs',
+  '🇸🇧': 'flag_sb',
+  '🇸🇴': 'flag_so',
+  '🇿🇦': 'flag_za',
+  '🇰🇷': 'flag_kr',
+  '🇸🇸': 'flag_ss',
+  '🇪🇸': 'flag_es',
+  '🇱🇰': 'flag_lk',
+  '🇧🇱': 'flag_bl',
+  '🇸🇭': 'flag_sh',
+  '🇰🇳': 'flag_kn',
+  '🇱🇨': 'flag_lc',
+  '🇵🇲': 'flag_pm',
+  '🇻🇨': 'flag_vc',
+  '🇸🇩': 'flag_sd',
+  '🇸🇷': 'flag_sr',
+  '🇸🇿': 'flag_sz',
+  '🇸🇪': 'flag_se',
+  '🇨🇭': 'flag_ch',
+  '🇸🇾': 'flag_sy',
+  '🇹🇼': 'flag_tw',
+  '🇹🇯': 'flag_tj',
+  '🇹🇿': 'flag_tz',
+  '🇹🇭': 'flag_th',
+  '🇹🇱': 'flag_tl',
+  '🇹🇬': 'flag_tg',
+  '🇹🇰': 'flag_tk',
+  '🇹🇴': 'flag_to',
+  '🇹🇹': 'flag_tt',
+  '🇹🇳': 'flag_tn',
+  '🇹🇷': 'flag_tr',
+  '🇹🇲': 'flag_tm',
+  '🇹🇨': 'flag_tc',
+  '🇻🇮': 'flag_vi',
+  '🇹🇻': 'flag_tv',
+  '🇺🇬': 'flag_ug',
+  '🇺🇦': 'flag_ua',
+  '🇦🇪': 'flag_ae',
+  '🇬🇧': 'flag_gb',
+  '🏴\u{E0067}\u{E0062}\u{E0065}\u{E006E}\u{E0067}\u{E007F}': 'england',
+  '🏴\u{E0067}\u{E0062}\u{E0073}\u{E0063}\u{E0074}\u{E007F}': 'scotland',
+  '🏴\u{E0067}\u{E0062}\u{E0077}\u{E006C}\u{E0073}\u{E007F}': 'wales',
+  '🇺🇸': 'flag_us',
+  '🇺🇾': 'flag_uy',
+  '🇺🇿': 'flag_uz',
+  '🇻🇺': 'flag_vu',
+  '🇻🇦': 'flag_va',
+  '🇻🇪': 'flag_ve',
+  '🇻🇳': 'flag_vn',
+  '🇼🇫': 'flag_wf',
+  '🇪🇭': 'flag_eh',
+  '🇾🇪': 'flag_ye',
+  '🇿🇲': 'flag_zm',
+  '🇿🇼': 'flag_zw',
+  '🇦🇨': 'flag_ac',
+  '🇧🇻': 'flag_bv',
+  '🇨🇵': 'flag_cp',
+  '🇪🇦': 'flag_ea',
+  '🇩🇬': 'flag_dg',
+  '🇭🇲': 'flag_hm',
+  '🇲🇫': 'flag_mf',
+  '🇸🇯': 'flag_sj',
+  '🇹🇦': 'flag_ta',
+  '🇺🇲': 'flag_um',
+  '🏻': 'tone1',
+  '🏼': 'tone2',
+  '🏽': 'tone3',
+  '🏾': 'tone4',
+  '🏿': 'tone5',
+  '🇿': 'regional_indicator_z',
+  '🇾': 'regional_indicator_y',
+  '🇽': 'regional_indicator_x',
+  '🇼': 'regional_indicator_w',
+  '🇻': 'regional_indicator_v',
+  '🇺': 'regional_indicator_u',
+  '🇹': 'regional_indicator_t',
+  '🇸': 'regional_indicator_s',
+  '🇷': 'regional_indicator_r',
+  '🇶': 'regional_indicator_q',
+  '🇵': 'regional_indicator_p',
+  '🇴': 'regional_indicator_o',
+  '🇳': 'regional_indicator_n',
+  '🇲': 'regional_indicator_m',
+  '🇱': 'regional_indicator_l',
+  '🇰': 'regional_indicator_k',
+  '🇯': 'regional_indicator_j',
+  '🇮': 'regional_indicator_i',
+  '🇭': 'regional_indicator_h',
+  '🇬': 'regional_indicator_g',
+  '🇫': 'regional_indicator_f',
+  '🇪': 'regional_indicator_e',
+  '🇩': 'regional_indicator_d',
+  '🇨': 'regional_indicator_c',
+  '🇧': 'regional_indicator_b',
+  '🇦': 'regional_indicator_a',
+};
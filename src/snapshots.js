@@ -0,0 +1,114 @@
+/**
+ * Saved snapshots of a message's reactions, kept in the `SNAPSHOTS` KV
+ * namespace, so they can be compared with how things stand later.
+ * https://developers.cloudflare.com/kv/api/
+ */
+
+import { REACTION_COLUMNS, reactionRows } from './export.js';
+
+// Long enough for a name like "friday-raid", short enough to keep keys tidy.
+export const MAX_SNAPSHOT_NAME_LENGTH = 50;
+
+export function snapshotKey(messageId, name) {
+  return `snapshot:${messageId}:${name.trim().toLowerCase()}`;
+}
+
+/**
+ * The emojis (and kinds of reaction) in `collected` (from `collectReactions`)
+ * that couldn't all be fetched, which a diff can't say anything about.
+ */
+export function incompleteReactions({ skipped = [], truncated = [] }) {
+  return [...skipped, ...truncated].map(({ emojiKey, reactionType }) => ({
+    emoji: emojiKey,
+    reactionType,
+  }));
+}
+
+/**
+ * Save the reactions in `collected` (from `collectReactions`) under `name`.
+ * Emojis that couldn't all be fetched are left out, and listed as
+ * `incomplete`.  Resolves to what was saved.
+ */
+export async function saveSnapshot(kv, message, name, collected) {
+  const incomplete = incompleteReactions(collected);
+  const snapshot = {
+    name: name.trim(),
+    messageId: message.id,
+    channelId: message.channel_id,
+    savedAt: Date.now(),
+    rows: leaveOut(reactionRows(collected.results), incomplete),
+    incomplete,
+  };
+  await kv.put(snapshotKey(message.id, name), JSON.stringify(snapshot));
+  return snapshot;
+}
+
+/**
+ * The snapshot saved as `name` for the message, or null if there isn't one.
+ */
+export async function loadSnapshot(kv, messageId, name) {
+  return await kv.get(snapshotKey(messageId, name), 'json');
+}
+
+export const DIFF_COLUMNS = ['change', ...REACTION_COLUMNS];
+
+function reactionKey({ emoji, reactionType }) {
+  return `${emoji}\n${reactionType}`;
+}
+
+// Rows are the same reaction if they're the same user reacting the same way.
+function rowKey(row) {
+  return `${reactionKey(row)}\n${row.discordUserId}`;
+}
+
+// `rows` without those for the `incomplete` reactions.
+function leaveOut(rows, incomplete) {
+  const keys = new Set(incomplete.map(reactionKey));
+  return rows.filter((row) => !keys.has(reactionKey(row)));
+}
+
+/**
+ * Who added or removed a reaction between the `before` and `after` rows (as
+ * from `reactionRows`).  Each row gets a `change` of "added" or "removed";
+ * added rows come first, each in their original order.  Rows for the
+ * `incomplete` reactions (from `incompleteReactions`) are left out of both.
+ */
+export function diffRows(before, after, incomplete = []) {
+  before = leaveOut(before, incomplete);
+  after = leaveOut(after, incomplete);
+  const beforeKeys = new Set(before.map(rowKey));
+  const afterKeys = new Set(after.map(rowKey));
+  return [
+    ...after
+      .filter((row) => !beforeKeys.has(rowKey(row)))
+      .map((row) => ({ change: 'added', ...row })),
+    ...before
+      .filter((row) => !afterKeys.has(rowKey(row)))
+      .map((row) => ({ change: 'removed', ...row })),
+  ];
+}
+
+/**
+ * A note about the `incomplete` reactions left out of a snapshot or diff, if
+ * there are any.
+ */
+export function describeIncomplete(incomplete) {
+  if (!incomplete.length) return '';
+  const emojis = [...new Set(incomplete.map(({ emoji }) => emoji))];
+  return `Left out ${emojis.join(' ')}, since not everyone who reacted with them could be fetched`;
+}
+
+/**
+ * A summary of a diff against `snapshot`, with Discord's relative timestamp.
+ */
+export function describeDiff(rows, snapshot, incomplete = []) {
+  const added = rows.filter(({ change }) => change === 'added').length;
+  const removed = rows.length - added;
+  const when = `<t:${Math.floor(snapshot.savedAt / 1000)}:R>`;
+  return [
+    `${added} added and ${removed} removed since "${snapshot.name}" was saved ${when}`,
+    describeIncomplete(incomplete),
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
@@ -0,0 +1,163 @@
+/**
+ * Exports too big to attach (or asked for as a link) kept in an R2 bucket,
+ * and served by the worker behind links that stop working after a while.
+ * Each link carries a token: when it expires, and an HMAC of that and the
+ * export's ID, so links can't be made up or extended.
+ * https://developers.cloudflare.com/r2/api/workers/workers-api-reference/
+ */
+
+// Discord won't take uploads over 10 MiB, so stay well under.
+export const DEFAULT_MAX_ATTACHMENT_BYTES = 8 * 1024 * 1024;
+
+// How long a download link works for.
+export const LINK_LIFETIME_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Whether there's somewhere to keep exports, a secret to sign their links
+ * with, and a URL for the links to point at.
+ */
+export function canStoreExports(env) {
+  return Boolean(env.EXPORTS && env.EXPORT_LINK_SECRET && env.PUBLIC_URL);
+}
+
+function fileSize({ data }) {
+  return new TextEncoder().encode(data).length;
+}
+
+function base64url(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replaceAll('+', '-')
+    .replaceAll('/', '_')
+    .replace(/=+$/, '');
+}
+
+function fromBase64url(text) {
+  const binary = atob(text.replaceAll('-', '+').replaceAll('_', '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+function hmacKey(secret) {
+  return crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify'],
+  );
+}
+
+/**
+ * A token for downloading export `id` until `expiresAt` (ms since the epoch).
+ */
+export async function signToken(secret, id, expiresAt) {
+  const signature = await crypto.subtle.sign(
+    'HMAC',
+    await hmacKey(secret),
+    new TextEncoder().encode(`${id}.${expiresAt}`),
+  );
+  return `${expiresAt}.${base64url(signature)}`;
+}
+
+/**
+ * Whether `token` (from `signToken`) lets export `id` be downloaded at `now`.
+ * A query string can repeat `token`, so anything but a string is turned down.
+ */
+export async function verifyToken(secret, id, token, now) {
+  if (typeof token !== 'string') return false;
+  const [expiresAt, signature] = token.split('.');
+  if (!/^\d+$/.test(expiresAt) || Number(expiresAt) <= now) return false;
+  let bytes;
+  try {
+    bytes = fromBase64url(signature ?? '');
+  } catch {
+    return false;
+  }
+  // `verify` compares in constant time.
+  return await crypto.subtle.verify(
+    'HMAC',
+    await hmacKey(secret),
+    bytes,
+    new TextEncoder().encode(`${id}.${expiresAt}`),
+  );
+}
+
+/**
+ * Keep `file` (as taken by `InteractionWebhook`) in the bucket.  Resolves to
+ * a link to download it from, and when that stops working.
+ */
+export async function storeExport(env, file, now = Date.now()) {
+  const id = crypto.randomUUID();
+  const expiresAt = now + LINK_LIFETIME_MS;
+  await env.EXPORTS.put(id, file.data, {
+    httpMetadata: {
+      contentType: file.type,
+      contentDisposition: `attachment; filename="${file.name}"`,
+    },
+    customMetadata: { expiresAt: String(expiresAt) },
+  });
+  const token = await signToken(env.EXPORT_LINK_SECRET, id, expiresAt);
+  const url = new URL(`/exports/${id}`, env.PUBLIC_URL);
+  url.searchParams.set('token', token);
+  return { url: url.href, expiresAt };
+}
+
+/**
+ * The stored export `id`, if `token` still lets it be downloaded, or null.
+ */
+export async function loadExport(env, id, token, now = Date.now()) {
+  if (!canStoreExports(env)) return null;
+  if (!(await verifyToken(env.EXPORT_LINK_SECRET, id, token, now))) {
+    return null;
+  }
+  return await env.EXPORTS.get(id);
+}
+
+/**
+ * Store the `files` that are too big to attach (or all of them, with `link`),
+ * leaving the rest to be attached.  Resolves to those, and a note with a link
+ * for each stored one.
+ */
+export async function storeLargeFiles(env, files, { link } = {}) {
+  if (!canStoreExports(env)) {
+    const note =
+      link && files.length
+        ? "download links aren't set up here, so the file is attached"
+        : '';
+    return { files, note };
+  }
+  const maxBytes =
+    Number(env.MAX_ATTACHMENT_BYTES) || DEFAULT_MAX_ATTACHMENT_BYTES;
+  const attached = [];
+  const links = [];
+  for (const file of files) {
+    if (!link && fileSize(file) <= maxBytes) {
+      attached.push(file);
+      continue;
+    }
+    const { url, expiresAt } = await storeExport(env, file);
+    const expires = `<t:${Math.floor(expiresAt / 1000)}:R>`;
+    links.push(
+      `Download [${file.name}](<${url}>) (the link expires ${expires})`,
+    );
+  }
+  return { files: attached, note: links.join('\n') };
+}
+
+/**
+ * Delete every stored export whose link has expired by `now`.  Resolves to
+ * how many were deleted.
+ */
+export async function deleteExpiredExports(bucket, now) {
+  let deleted = 0;
+  let cursor;
+  do {
+    const page = await bucket.list({ cursor, include: ['customMetadata'] });
+    const expired = page.objects
+      .filter(({ customMetadata }) => Number(customMetadata?.expiresAt) <= now)
+      .map(({ key }) => key);
+    if (expired.length) await bucket.delete(expired);
+    deleted += expired.length;
+    cursor = page.truncated ? page.cursor : undefined;
+  } while (cursor);
+  return deleted;
+}
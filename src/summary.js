@@ -0,0 +1,123 @@
+/**
+ * Totals for an export: how many reactions and people each emoji got, who
+ * reacted with more than one, and how many people picked each pair of emojis.
+ */
+
+import { fallbackHeader, messageEmojiKey, uniqueHeaders } from './export.js';
+
+/**
+ * Sum up `results` (as from `collectReactions`, after any filters).  Normal
+ * and super reactions with the same emoji count together.  With
+ * `messageColumns`, the same emoji on different messages is counted apart.
+ */
+export function summarize(results, options = {}) {
+  const emojis = new Map();
+  const userEmojis = new Map();
+  for (const result of results) {
+    const { users, reactionType } = result;
+    const emojiKey = messageEmojiKey(result, options);
+    let emoji = emojis.get(emojiKey);
+    if (!emoji) {
+      emoji = { emojiKey, reactionType, reactions: 0, userIds: new Set() };
+      emojis.set(emojiKey, emoji);
+    }
+    for (const { id } of users) {
+      emoji.reactions++;
+      emoji.userIds.add(id);
+      if (!userEmojis.has(id)) userEmojis.set(id, new Set());
+      userEmojis.get(id).add(emojiKey);
+    }
+  }
+
+  // overlap.get(a).get(b) is how many people reacted with both a and b.
+  const keys = [...emojis.keys()];
+  const overlap = new Map(
+    keys.map((key) => [key, new Map(keys.map((other) => [other, 0]))]),
+  );
+  for (const picked of userEmojis.values()) {
+    for (const a of picked) {
+      for (const b of picked) overlap.get(a).set(b, overlap.get(a).get(b) + 1);
+    }
+  }
+
+  return {
+    emojis: [...emojis.values()],
+    people: userEmojis.size,
+    multiEmojiPeople: [...userEmojis.values()].filter(({ size }) => size > 1)
+      .length,
+    overlap,
+  };
+}
+
+const SUMMARY_COLUMNS = ['emoji', 'reactions', 'people'];
+
+/**
+ * One row per emoji with its totals, followed by a column per emoji counting
+ * the people who picked both (so the diagonal is everyone who picked it).  A
+ * poll answer named like one of the totals gets its column in quotes.
+ */
+export function summaryRows({ emojis, overlap }) {
+  const headers = uniqueHeaders(
+    emojis.map((emoji) => ({
+      header: emoji.emojiKey,
+      fallback: fallbackHeader(emoji),
+    })),
+    SUMMARY_COLUMNS,
+  );
+  const headerOf = new Map(
+    emojis.map(({ emojiKey }, i) => [emojiKey, headers[i]]),
+  );
+  const columns = [...SUMMARY_COLUMNS, ...headers];
+  const rows = emojis.map(({ emojiKey, reactions, userIds }) => ({
+    emoji: emojiKey,
+    reactions,
+    people: userIds.size,
+    ...Object.fromEntries(
+      [...overlap.get(emojiKey)].map(([key, both]) => [
+        headerOf.get(key),
+        both,
+      ]),
+    ),
+  }));
+  return { columns, rows };
+}
+
+// The two different emojis the most people picked together, if any were.
+function topPair({ emojis, overlap }) {
+  let top;
+  emojis.forEach(({ emojiKey: a }, i) => {
+    for (const { emojiKey: b } of emojis.slice(i + 1)) {
+      const both = overlap.get(a).get(b);
+      if (both > (top?.both ?? 0)) top = { a, b, both };
+    }
+  });
+  return top;
+}
+
+function countPeople(count) {
+  return count === 1 ? '1 person' : `${count} people`;
+}
+
+/**
+ * A few lines summing up `summary`, for the message that comes with the
+ * export.
+ */
+export function describeSummary(summary) {
+  const { emojis, people, multiEmojiPeople } = summary;
+  const lines = [
+    `**Summary:** ${countPeople(people)} reacted, ${multiEmojiPeople} with more than one emoji`,
+    emojis
+      .map(
+        ({ emojiKey, reactions, userIds }) =>
+          `${emojiKey} ${reactions} (${countPeople(userIds.size)})`,
+      )
+      .join(', '),
+  ];
+  const pair = topPair(summary);
+  if (pair) {
+    lines.push(
+      `Most picked together: ${pair.a} + ${pair.b} (${countPeople(pair.both)})`,
+    );
+  }
+  return lines.join('\n');
+}
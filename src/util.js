@@ -1,3 +1,5 @@
+import { DiscordClient } from './discord.js';
+
 export function encodedEmojiKey(emojiObj) {
   const { name, id, animated } = emojiObj;
   // based on https://github.com/discordjs/discord.js/blob/main/packages/discord.js/src/structures/Emoji.js
@@ -11,46 +13,443 @@ export function readableEmojiKey(emojiObj) {
   return id ? encodedEmojiKey(emojiObj) : name;
 }
 
+/**
+ * Like `Promise.all(items.map(fn))`, but with at most `limit` calls to `fn`
+ * in flight at once.
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+// Discord's limit on the length of a message's content.
+export const MAX_CONTENT_LENGTH = 2000;
+
+// Shorten `content` so it fits in a Discord message.
+export function clipContent(content) {
+  if (content.length <= MAX_CONTENT_LENGTH) return content;
+  return content.slice(0, MAX_CONTENT_LENGTH - 1) + '…';
+}
+
+export const CDN_BASE = 'https://cdn.discordapp.com';
+
+/**
+ * Where to find a user's avatar, falling back to the default avatar Discord
+ * shows for users that haven't set one.
+ * https://discord.com/developers/docs/reference#image-formatting
+ */
+export function avatarUrl(user) {
+  const { id, avatar, discriminator } = user;
+  if (avatar) {
+    const ext = avatar.startsWith('a_') ? 'gif' : 'png';
+    return `${CDN_BASE}/avatars/${id}/${avatar}.${ext}`;
+  }
+  const index =
+    !discriminator || discriminator === '0'
+      ? Number((BigInt(id) >> 22n) % 6n)
+      : Number(discriminator) % 5;
+  return `${CDN_BASE}/embed/avatars/${index}.png`;
+}
+
+/**
+ * Flatten a command's `options` into an object of name -> value.
+ */
+export function commandOptions(options = []) {
+  return Object.fromEntries(options.map(({ name, value }) => [name, value]));
+}
+
+// A link that jumps to a message.  DMs don't have a guild.
+export function messageLink(guildId, channelId, messageId) {
+  return `https://discord.com/channels/${guildId ?? '@me'}/${channelId}/${messageId}`;
+}
+
+/**
+ * Find the message a link like
+ * https://discord.com/channels/<guild>/<channel>/<message> points to, and the
+ * server the link says it's in (`@me` for DMs).  A bare message ID is taken
+ * to be in `channelId`.  Returns undefined if `value` is neither.
+ */
+export function parseMessageLink(value, channelId) {
+  const trimmed = value?.trim() ?? '';
+  const link = trimmed.match(
+    /^<?https:\/\/(?:\w+\.)?discord(?:app)?\.com\/channels\/(\d+|@me)\/(\d+)\/(\d+)>?$/,
+  );
+  if (link) {
+    return { guildId: link[1], channelId: link[2], messageId: link[3] };
+  }
+  if (/^\d+$/.test(trimmed) && channelId) {
+    return { channelId, messageId: trimmed };
+  }
+}
+
+// Discord won't return more than this many users per request.
+const REACTION_PAGE_SIZE = 100;
+
+export const DEFAULT_MAX_USERS_PER_EMOJI = 1000;
+
+// Discord's values for the `type` of reaction, normal or super (AKA burst).
+// https://discord.com/developers/docs/resources/message#get-reactions-reaction-types
+export const REACTION_TYPES = { normal: 0, super: 1 };
+
 export class ReactionUserListFetcher {
-  constructor(message, env) {
-    this.baseUrl = `https://discord.com/api/v10/channels/${message.channel_id}/messages/${message.id}/reactions`;
-    this.headers = {
-      // User-Agent? Others don't seem to...
-      // "Content-Type": "application/json", // There's no request body.
-      Authorization: `Bot ${env.DISCORD_TOKEN}`,
-    };
+  constructor(message, env, client = new DiscordClient(env)) {
+    this.client = client;
+    this.path = `/channels/${message.channel_id}/messages/${message.id}/reactions`;
+    this.maxUsers =
+      Number(env.MAX_USERS_PER_EMOJI) || DEFAULT_MAX_USERS_PER_EMOJI;
+  }
+
+  /**
+   * Fetch every user that reacted with the emoji, walking the `after` cursor
+   * a page at a time.  Stops once `maxUsers` have been collected, and marks
+   * the returned list as `truncated` if there were more users than that.
+   * `reactionType` is one of `REACTION_TYPES`, normal reactions by default.
+   */
+  async fetch(emojiObj, reactionType = 'normal') {
+    const { maxUsers } = this;
+    const users = [];
+    let after;
+    while (users.length < maxUsers) {
+      const limit = Math.min(REACTION_PAGE_SIZE, maxUsers - users.length);
+      const page = await this.fetchPage(emojiObj, reactionType, limit, after);
+      users.push(...page);
+      if (page.length < limit) return users;
+      after = page[page.length - 1].id;
+    }
+
+    // We stopped on a full page, so peek to see if anyone got left out.
+    const rest = await this.fetchPage(emojiObj, reactionType, 1, after);
+    if (rest.length) users.truncated = true;
+    return users;
   }
 
-  async fetch(emojiObj) {
-    const { baseUrl, headers } = this;
-    const url = `${baseUrl}/${encodedEmojiKey(emojiObj)}?limit=100`;
-    const res = await fetch(url, { headers });
-    if (!res) throw new Error('fetch returned falsy response');
-    if (!res.ok)
-      throw new Error(`HTTP ${res.status} error: ` + (await res.text()));
-    return await res.json();
+  async fetchPage(emojiObj, reactionType, limit, after) {
+    const { client, path } = this;
+    // Leave out the default type, to keep the URL tidy.
+    const type = REACTION_TYPES[reactionType] || undefined;
+    return await client.get(`${path}/${encodedEmojiKey(emojiObj)}`, {
+      query: { limit, after, type },
+    });
   }
 }
 
-export function csvQuote(val) {
+/**
+ * Fetches who voted for each answer of a message's native poll.
+ * https://discord.com/developers/docs/resources/poll#get-answer-voters
+ */
+export class PollVoterFetcher {
+  constructor(message, env, client = new DiscordClient(env)) {
+    this.client = client;
+    this.path = `/channels/${message.channel_id}/polls/${message.id}/answers`;
+    // Votes count against the same limit as reactions.
+    this.maxUsers =
+      Number(env.MAX_USERS_PER_EMOJI) || DEFAULT_MAX_USERS_PER_EMOJI;
+  }
+
+  /**
+   * Fetch every user that voted for the answer, the same way as
+   * `ReactionUserListFetcher.fetch`.
+   */
+  async fetch(answerId) {
+    const { maxUsers } = this;
+    const users = [];
+    let after;
+    while (users.length < maxUsers) {
+      const limit = Math.min(REACTION_PAGE_SIZE, maxUsers - users.length);
+      const page = await this.fetchPage(answerId, limit, after);
+      users.push(...page);
+      if (page.length < limit) return users;
+      after = page[page.length - 1].id;
+    }
+
+    const rest = await this.fetchPage(answerId, 1, after);
+    if (rest.length) users.truncated = true;
+    return users;
+  }
+
+  async fetchPage(answerId, limit, after) {
+    const { client, path } = this;
+    const { users } = await client.get(`${path}/${answerId}`, {
+      query: { limit, after },
+    });
+    return users;
+  }
+}
+
+// Discord won't return more messages than this per request.
+const MESSAGE_PAGE_SIZE = 100;
+
+export class ChannelMessageFetcher {
+  constructor(channelId, env, client = new DiscordClient(env)) {
+    this.client = client;
+    this.path = `/channels/${channelId}/messages`;
+  }
+
+  /**
+   * Fetch up to `maxMessages` of the latest messages, walking backwards with
+   * the `before` cursor.  Resolves to the messages oldest first, marked as
+   * `truncated` if there were older ones left over.
+   */
+  async fetch(maxMessages) {
+    const { client, path } = this;
+    const messages = [];
+    let before;
+    while (messages.length < maxMessages) {
+      const limit = Math.min(MESSAGE_PAGE_SIZE, maxMessages - messages.length);
+      const page = await client.get(path, { query: { limit, before } });
+      messages.push(...page);
+      if (page.length < limit) return messages.reverse();
+      before = page[page.length - 1].id;
+    }
+
+    const rest = await client.get(path, { query: { limit: 1, before } });
+    messages.reverse();
+    if (rest.length) messages.truncated = true;
+    return messages;
+  }
+}
+
+// How many guild members to look up at once.
+const MEMBER_FETCH_CONCURRENCY = 4;
+
+// Discord won't list more members than this per request.
+const MEMBER_PAGE_SIZE = 1000;
+
+// Past this many users, listing the guild's members takes fewer requests than
+// looking each one up, and Workers can only make so many subrequests.
+const MEMBER_LOOKUP_LIMIT = 20;
+
+export const DEFAULT_MAX_GUILD_MEMBERS = 10000;
+
+export class GuildMemberFetcher {
+  constructor(guildId, env, client = new DiscordClient(env)) {
+    this.client = client;
+    this.path = `/guilds/${guildId}/members`;
+    this.maxMembers =
+      Number(env.MAX_GUILD_MEMBERS) || DEFAULT_MAX_GUILD_MEMBERS;
+  }
+
+  /**
+   * List every member of the guild, a page at a time.  Like
+   * `ReactionUserListFetcher.fetch`, stops at `maxMembers` and marks the list
+   * as `truncated` if there were more.  This needs the bot to have the Server
+   * Members privileged intent.
+   */
+  async fetchAll() {
+    const { client, path, maxMembers } = this;
+    const members = [];
+    let after;
+    while (members.length < maxMembers) {
+      const limit = Math.min(MEMBER_PAGE_SIZE, maxMembers - members.length);
+      const page = await client.get(path, { query: { limit, after } });
+      members.push(...page);
+      if (page.length < limit) return members;
+      after = page[page.length - 1].user.id;
+    }
+
+    const rest = await client.get(path, { query: { limit: 1, after } });
+    if (rest.length) members.truncated = true;
+    return members;
+  }
+
+  /**
+   * Look up the guild members for `userIds`, resolving to a map of user ID to
+   * member.  Each user is only looked up once, and users that aren't in the
+   * guild (anymore) are left out.  For more than a few users, the guild's
+   * members are listed with `fetchAll` instead, if the bot's allowed to, and
+   * only those past `maxMembers` are looked up one by one.
+   */
+  async fetchMany(userIds) {
+    const ids = [...new Set(userIds)];
+    if (ids.length <= MEMBER_LOOKUP_LIMIT) return await this.lookUp(ids);
+
+    let listed;
+    try {
+      listed = await this.fetchAll();
+    } catch (e) {
+      // Without the Server Members intent, the members can't be listed.
+      if (e.status === 403) return await this.lookUp(ids);
+      throw e;
+    }
+    const wanted = new Set(ids);
+    const found = new Map(
+      listed
+        .filter(({ user }) => wanted.has(user.id))
+        .map((member) => [member.user.id, member]),
+    );
+    if (!listed.truncated) return found;
+    const rest = await this.lookUp(ids.filter((id) => !found.has(id)));
+    return new Map([...found, ...rest]);
+  }
+
+  // Look up each of `ids` on its own.
+  async lookUp(ids) {
+    const { client, path } = this;
+    const members = await mapConcurrent(
+      ids,
+      MEMBER_FETCH_CONCURRENCY,
+      async (id) => {
+        try {
+          return await client.get(`${path}/${id}`);
+        } catch (e) {
+          if (e.status === 404) return;
+          throw e;
+        }
+      },
+    );
+    return new Map(
+      members.filter(Boolean).map((member) => [member.user.id, member]),
+    );
+  }
+}
+
+/**
+ * Sends messages through the webhook Discord creates for each interaction.
+ * This is how we respond once we've deferred the initial response.
+ * https://discord.com/developers/docs/interactions/receiving-and-responding#followup-messages
+ */
+export class InteractionWebhook {
+  constructor(interaction, env, client = new DiscordClient(env)) {
+    this.client = client;
+    this.path = `/webhooks/${env.DISCORD_APPLICATION_ID}/${interaction.token}`;
+  }
+
+  /**
+   * Replace the original (deferred) response.  `files` is a list of
+   * `{ name, type, data }` to upload as attachments.
+   */
+  async editOriginal(message) {
+    return await this.send('PATCH', '/messages/@original', message);
+  }
+
+  /**
+   * Send another message in response to the interaction, taking the same
+   * `message` as `editOriginal`.
+   */
+  async followUp(message) {
+    return await this.send('POST', '', message);
+  }
+
+  async send(method, path, message) {
+    // The interaction token is all the auth these need.
+    return await this.client.request(method, this.path + path, {
+      body: messageFormData(message),
+      auth: false,
+    });
+  }
+}
+
+/**
+ * Posts messages to a channel as the bot, for when there's no interaction to
+ * respond to.
+ */
+export class ChannelMessageSender {
+  constructor(channelId, env, client = new DiscordClient(env)) {
+    this.client = client;
+    this.path = `/channels/${channelId}/messages`;
+  }
+
+  /**
+   * Post a message, with `files` like `InteractionWebhook.editOriginal`.
+   */
+  async send(message) {
+    return await this.client.post(this.path, {
+      body: messageFormData(message),
+    });
+  }
+}
+
+// A message and its `files` (`{ name, type, data }`) as a multipart body.
+function messageFormData({ files = [], ...payload }) {
+  const body = new FormData();
+  // Notes can mention roles, and nobody wants to be pinged by an export.
+  payload.allowed_mentions ??= { parse: [] };
+  payload.attachments = files.map(({ name }, id) => ({ id, filename: name }));
+  body.append('payload_json', JSON.stringify(payload));
+  files.forEach(({ name, type, data }, id) => {
+    body.append(`files[${id}]`, new Blob([data], { type }), name);
+  });
+  return body;
+}
+
+// Spreadsheets run a cell starting with one of these as a formula.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * `val` made safe to open in a spreadsheet: text that would start a formula
+ * gets a leading `'`, so it shows as typed instead of being run.  Numbers are
+ * left alone, so negative ones stay numbers.
+ * https://owasp.org/www-community/attacks/CSV_Injection
+ */
+export function neutralizeFormula(val) {
+  return typeof val === 'string' && FORMULA_START.test(val) ? `'${val}` : val;
+}
+
+/**
+ * `val` as a CSV field, quoted (per RFC 4180) if it has to be or `quoteAll`
+ * says so.  Fields with leading or trailing spaces are quoted too, since some
+ * parsers trim them otherwise.
+ */
+export function csvQuote(val, { delimiter = ',', quoteAll = false } = {}) {
   const strVal = val.toString();
-  if (/[",\n]/.test(strVal)) {
+  if (
+    quoteAll ||
+    /["\r\n]|^\s|\s$/.test(strVal) ||
+    strVal.includes(delimiter)
+  ) {
     return '"' + strVal.replaceAll('"', '""') + '"';
   }
   return strVal;
 }
 
+/**
+ * Ways of writing CSV.  The default suits most tools, and `excel` uses the
+ * RFC's CRLF line endings plus the byte order mark Excel needs to read the
+ * file as UTF-8.
+ */
+export const CSV_DIALECTS = {
+  default: {},
+  excel: { lineEnding: '\r\n', bom: true },
+};
+
+/**
+ * Builds a CSV file a line at a time.  The `dialect` (see `CSV_DIALECTS`) can
+ * change the `delimiter` and `lineEnding`, add a UTF-8 `bom`, and `quoteAll`
+ * fields.  Unless `safe` is turned off, fields that a spreadsheet would take
+ * for formulas are neutralized.
+ */
 export class CsvBuilder {
-  constructor(header) {
+  constructor(header, dialect = {}) {
+    const {
+      delimiter = ',',
+      lineEnding = '\n',
+      bom = false,
+      quoteAll = false,
+      safe = true,
+    } = dialect;
+    this.dialect = { delimiter, lineEnding, bom, quoteAll, safe };
     this.csv = '';
     if (header) this.addLine(header);
   }
 
   addLine(line) {
-    this.csv += line.map(csvQuote).join(',') + '\n';
+    const { delimiter, lineEnding, quoteAll, safe } = this.dialect;
+    const fields = line.map((val) =>
+      csvQuote(safe ? neutralizeFormula(val) : val, { delimiter, quoteAll }),
+    );
+    this.csv += fields.join(delimiter) + lineEnding;
   }
 
   build() {
-    return this.csv;
+    return (this.dialect.bom ? '\uFEFF' : '') + this.csv;
   }
 }
@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+
+import {
+  canExport,
+  canReadHistory,
+  channelPermissions,
+  describeAccess,
+  hasPermission,
+  PERMISSIONS,
+} from '../src/access.js';
+
+describe('Access', () => {
+  describe('hasPermission', () => {
+    it('should check the permission bits', (t) => {
+      const { MANAGE_GUILD, MANAGE_MESSAGES } = PERMISSIONS;
+      t.assert.strictEqual(hasPermission('8192', MANAGE_MESSAGES), true);
+      t.assert.strictEqual(hasPermission('8192', MANAGE_GUILD), false);
+      t.assert.strictEqual(hasPermission('0', MANAGE_MESSAGES), false);
+      t.assert.strictEqual(hasPermission(undefined, MANAGE_MESSAGES), false);
+      // Bigger than a Number can hold exactly.
+      t.assert.strictEqual(
+        hasPermission('2251799813693440', MANAGE_MESSAGES),
+        true,
+      );
+    });
+
+    it('should give administrators everything', (t) => {
+      t.assert.strictEqual(hasPermission('8', PERMISSIONS.MANAGE_GUILD), true);
+    });
+  });
+
+  describe('canExport', () => {
+    const member = { roles: ['10', '20'], permissions: '0' };
+
+    it('should let anyone export outside of a server', (t) => {
+      t.assert.strictEqual(canExport({ user: { id: '1' } }), true);
+    });
+
+    it('should let members with Manage Messages export', (t) => {
+      const interaction = {
+        guild_id: '5',
+        member: { ...member, permissions: '8192' },
+      };
+      t.assert.strictEqual(canExport(interaction), true);
+    });
+
+    it('should let members with an allowed role export', (t) => {
+      const interaction = { guild_id: '5', member };
+      t.assert.strictEqual(canExport(interaction), false);
+      t.assert.strictEqual(
+        canExport(interaction, { exportRoleIds: ['30'] }),
+        false,
+      );
+      t.assert.strictEqual(
+        canExport(interaction, { exportRoleIds: ['30', '20'] }),
+        true,
+      );
+    });
+  });
+
+  describe('channelPermissions', () => {
+    const { VIEW_CHANNEL, READ_MESSAGE_HISTORY } = PERMISSIONS;
+    const read = String(VIEW_CHANNEL | READ_MESSAGE_HISTORY);
+    const roles = [
+      { id: '5', permissions: read },
+      { id: '10', permissions: '0' },
+      { id: '40', permissions: '8' }, // Administrator
+    ];
+    const member = { user: { id: '1' }, roles: ['10'] };
+    const hidden = [
+      { id: '5', type: 0, allow: '0', deny: String(VIEW_CHANNEL) },
+    ];
+    const canRead = (member, overwrites) =>
+      canReadHistory(channelPermissions(member, '5', roles, overwrites));
+
+    it('should start from the server roles', (t) => {
+      t.assert.strictEqual(canRead(member), true);
+      t.assert.strictEqual(canRead(member, hidden), false);
+    });
+
+    it('should let role overwrites beat @everyone', (t) => {
+      const overwrites = [
+        ...hidden,
+        { id: '10', type: 0, allow: String(VIEW_CHANNEL), deny: '0' },
+      ];
+      t.assert.strictEqual(canRead(member, overwrites), true);
+      t.assert.strictEqual(
+        canRead({ ...member, roles: [] }, overwrites),
+        false,
+      );
+    });
+
+    it('should let member overwrites beat roles', (t) => {
+      const overwrites = [
+        { id: '10', type: 0, allow: String(VIEW_CHANNEL), deny: '0' },
+        { id: '1', type: 1, allow: '0', deny: String(READ_MESSAGE_HISTORY) },
+      ];
+      t.assert.strictEqual(canRead(member, overwrites), false);
+    });
+
+    it('should let administrators read anything', (t) => {
+      t.assert.strictEqual(canRead({ ...member, roles: ['40'] }, hidden), true);
+    });
+  });
+
+  it('should describe who can export', (t) => {
+    t.assert.strictEqual(
+      describeAccess({}),
+      'Exports are open to members with Manage Messages',
+    );
+    t.assert.strictEqual(
+      describeAccess({ exportRoleIds: ['10', '20'] }),
+      'Exports are open to members with Manage Messages, <@&10>, <@&20>',
+    );
+  });
+});
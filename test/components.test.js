@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+
+import {
+  columnsModal,
+  exportComponents,
+  fitsInCustomId,
+  packState,
+  parseCustomId,
+  selectedEmojiKeys,
+  submittedColumns,
+  unpackState,
+} from '../src/components.js';
+
+const ref = {
+  type: 'message',
+  channelId: '1234567890123456789',
+  messageId: '9876543210987654321',
+};
+
+const options = {
+  format: 'json',
+  layout: 'users',
+  reactionType: 'super',
+  includeBots: false,
+  excludeAuthor: true,
+  dedupe: false,
+  emojiColumns: true,
+  summary: false,
+  link: true,
+  quoteAll: true,
+  safe: false,
+  delimiter: 'semicolon',
+  roleId: '1111111111111111111',
+  userColumns: ['nickname', 'bot'],
+  labels: new Map([
+    ['\u2705', 'in: 1.5h'],
+    ['3000', 'a=b'],
+  ]),
+};
+
+describe('Components', () => {
+  it('should pack and unpack the export state', (t) => {
+    t.assert.deepEqual(unpackState(packState(ref, options)), { ref, options });
+
+    const channel = { type: 'channel', channelId: '5', count: 200 };
+    t.assert.deepEqual(unpackState(packState(channel, {})).ref, channel);
+  });
+
+  it('should keep custom IDs within the limit', (t) => {
+    for (const row of exportComponents(ref, options, [
+      { key: 'a' },
+      { key: 'b' },
+    ])) {
+      for (const { custom_id } of row.components) {
+        t.assert.ok(custom_id.length <= 100, custom_id);
+      }
+    }
+  });
+
+  it('should only fit labels that are short enough', (t) => {
+    t.assert.ok(fitsInCustomId(ref, options));
+    const labels = new Map([['\u2705', 'attending'.repeat(5)]]);
+    t.assert.ok(!fitsInCustomId(ref, { ...options, labels }));
+  });
+
+  it('should only parse its own custom IDs', (t) => {
+    const [row] = exportComponents(ref, options, []);
+    t.assert.deepEqual(parseCustomId(row.components[0].custom_id), {
+      action: 'format',
+      ref,
+      options,
+    });
+    t.assert.strictEqual(parseCustomId('export:nope:m.1.2'), undefined);
+    t.assert.strictEqual(parseCustomId('other'), undefined);
+    t.assert.strictEqual(parseCustomId(), undefined);
+  });
+
+  it('should only offer an emoji menu for more than one emoji', (t) => {
+    t.assert.strictEqual(exportComponents(ref, {}, [{ key: 'a' }]).length, 1);
+    const components = exportComponents(
+      ref,
+      {},
+      [{ key: 'a' }, { key: 'b:2', emoji: { id: '2', name: 'b' } }],
+      ['b:2'],
+    );
+    t.assert.deepEqual(components[1].components[0].options, [
+      { label: 'a', value: 'a' },
+      {
+        label: 'b:2',
+        value: 'b:2',
+        emoji: { id: '2', name: 'b' },
+        default: true,
+      },
+    ]);
+    t.assert.deepEqual(selectedEmojiKeys({ components }), ['b:2']);
+    t.assert.strictEqual(
+      selectedEmojiKeys({ components: exportComponents(ref, {}, []) }),
+      undefined,
+    );
+  });
+
+  it('should ask for the current columns', (t) => {
+    const modal = columnsModal(ref, options);
+    t.assert.deepEqual(parseCustomId(modal.custom_id).options, options);
+    t.assert.strictEqual(
+      modal.components[0].components[0].value,
+      'nickname, bot',
+    );
+    t.assert.strictEqual(
+      submittedColumns({
+        components: [
+          { components: [{ custom_id: 'columns', value: 'avatar' }] },
+        ],
+      }),
+      'avatar',
+    );
+  });
+});
@@ -0,0 +1,192 @@
+import { beforeEach, describe, it } from 'node:test';
+
+import {
+  API_BASE,
+  DiscordApiError,
+  DiscordClient,
+  routeKey,
+} from '../src/discord.js';
+
+function jsonResponse(obj, { status = 200, headers = {} } = {}) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+  });
+}
+
+describe('Discord', () => {
+  describe('routeKey', () => {
+    it('should keep major parameters and lump other ids together', (t) => {
+      t.assert.strictEqual(
+        routeKey(
+          'GET',
+          '/channels/123456789/messages/987654321/reactions/a:b:1234567?limit=1',
+        ),
+        'GET /channels/123456789/messages/:id/reactions/:emoji',
+      );
+      t.assert.strictEqual(
+        routeKey('PUT', '/applications/123456789/commands'),
+        'PUT /applications/:id/commands',
+      );
+      t.assert.strictEqual(
+        routeKey('PATCH', '/webhooks/123456789/tok/messages/@original'),
+        'PATCH /webhooks/123456789/tok/messages/@original',
+      );
+    });
+  });
+
+  describe('DiscordClient', () => {
+    let waits;
+    let client;
+
+    beforeEach((t) => {
+      waits = [];
+      client = new DiscordClient(
+        { DISCORD_TOKEN: 'sekrit' },
+        { wait: async (ms) => waits.push(ms) },
+      );
+      t.mock.method(globalThis, 'fetch', async () => jsonResponse({}));
+    });
+
+    it('should send authorized JSON requests', async (t) => {
+      fetch.mock.mockImplementation(async () => jsonResponse([1, 2]));
+
+      const result = await client.put('/applications/1/commands', {
+        body: [{ name: 'x' }],
+        query: { with_localizations: true, skipped: undefined },
+      });
+      t.assert.deepEqual(result, [1, 2]);
+
+      const [url, init] = fetch.mock.calls[0].arguments;
+      t.assert.strictEqual(
+        url,
+        `${API_BASE}/applications/1/commands?with_localizations=true`,
+      );
+      t.assert.strictEqual(init.method, 'PUT');
+      t.assert.strictEqual(init.headers.Authorization, 'Bot sekrit');
+      t.assert.strictEqual(init.headers['Content-Type'], 'application/json');
+      t.assert.strictEqual(init.body, '[{"name":"x"}]');
+    });
+
+    it('should send FormData as is and skip auth when asked', async (t) => {
+      const body = new FormData();
+      await client.patch('/webhooks/1/tok', { body, auth: false });
+
+      const [, init] = fetch.mock.calls[0].arguments;
+      t.assert.strictEqual(init.body, body);
+      t.assert.deepEqual(init.headers, {});
+    });
+
+    it('should handle empty and non-JSON responses', async (t) => {
+      fetch.mock.mockImplementation(
+        async () => new Response(null, { status: 204 }),
+      );
+      t.assert.strictEqual(await client.delete('/x'), null);
+
+      fetch.mock.mockImplementation(async () => new Response('hi'));
+      t.assert.strictEqual(await client.get('/x'), 'hi');
+    });
+
+    it('should throw on errors it cannot retry', async (t) => {
+      fetch.mock.mockImplementation(async () => false);
+      await t.assert.rejects(client.get('/x'), /falsy/);
+
+      fetch.mock.mockImplementation(
+        async () =>
+          new Response('Missing Access', {
+            status: 403,
+            statusText: 'Forbidden',
+          }),
+      );
+      await t.assert.rejects(client.get('/x'), (err) => {
+        t.assert.ok(err instanceof DiscordApiError);
+        t.assert.strictEqual(err.message, 'HTTP 403 error: Missing Access');
+        t.assert.strictEqual(err.status, 403);
+        t.assert.strictEqual(err.statusText, 'Forbidden');
+        t.assert.strictEqual(err.body, 'Missing Access');
+        return true;
+      });
+      t.assert.strictEqual(fetch.mock.callCount(), 2);
+      t.assert.deepEqual(waits, []);
+    });
+
+    it('should retry a 429 after the time Discord asks for', async (t) => {
+      const responses = [
+        jsonResponse({ retry_after: 1.5, global: false }, { status: 429 }),
+        new Response('', { status: 429, headers: { 'Retry-After': '2' } }),
+        jsonResponse({ ok: true }),
+      ];
+      fetch.mock.mockImplementation(async () => responses.shift());
+
+      t.assert.deepEqual(await client.get('/x'), { ok: true });
+      t.assert.deepEqual(waits, [1500, 2000]);
+    });
+
+    it('should hold every request during a global rate limit', async (t) => {
+      const responses = [
+        jsonResponse({ retry_after: 5, global: true }, { status: 429 }),
+        jsonResponse({}),
+      ];
+      fetch.mock.mockImplementation(async () => responses.shift());
+
+      await client.get('/x');
+      t.assert.strictEqual(waits.length, 1);
+      t.assert.ok(waits[0] > 4900 && waits[0] <= 5000);
+    });
+
+    it('should back off and retry server errors', async (t) => {
+      fetch.mock.mockImplementation(
+        async () => new Response('oops', { status: 502 }),
+      );
+
+      await t.assert.rejects(client.get('/x'), /HTTP 502 error: oops/);
+      t.assert.strictEqual(fetch.mock.callCount(), 4);
+      t.assert.deepEqual(waits, [1000, 2000, 4000]);
+    });
+
+    it('should not repeat a POST after a server error', async (t) => {
+      fetch.mock.mockImplementation(
+        async () => new Response('oops', { status: 500 }),
+      );
+      await t.assert.rejects(client.post('/x'), /HTTP 500 error: oops/);
+      t.assert.strictEqual(fetch.mock.callCount(), 1);
+      t.assert.deepEqual(waits, []);
+
+      const responses = [
+        new Response('', { status: 429, headers: { 'Retry-After': '1' } }),
+        jsonResponse({ ok: true }),
+      ];
+      fetch.mock.mockImplementation(async () => responses.shift());
+      t.assert.deepEqual(await client.post('/x'), { ok: true });
+      t.assert.deepEqual(waits, [1000]);
+    });
+
+    it('should wait for an exhausted bucket to reset', async (t) => {
+      let remaining = 2;
+      fetch.mock.mockImplementation(async () =>
+        jsonResponse([], {
+          headers: {
+            'X-RateLimit-Bucket': 'abc',
+            'X-RateLimit-Remaining': String(--remaining),
+            'X-RateLimit-Reset-After': '3',
+          },
+        }),
+      );
+
+      const path = '/channels/123456789/messages/1234567/reactions/';
+      // The first response tells us about the bucket, with one request left.
+      await client.get(path + 'a');
+      await client.get(path + 'b');
+      t.assert.deepEqual(waits, []);
+
+      // That used it up, so this one has to wait.
+      await client.get(path + 'c');
+      t.assert.strictEqual(waits.length, 1);
+      t.assert.ok(waits[0] > 2900 && waits[0] <= 3000);
+
+      // A different channel has its own limit.
+      await client.get('/channels/987654321/messages/1234567/reactions/a');
+      t.assert.strictEqual(waits.length, 1);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+
+import {
+  describeDraw,
+  drawRows,
+  drawWinners,
+  entrantList,
+  randomSeed,
+} from '../src/draw.js';
+
+function users(...ids) {
+  return ids.map((id) => ({ id, username: `user${id}` }));
+}
+
+describe('Draw', () => {
+  it('should list each entrant once, by ID', (t) => {
+    t.assert.deepEqual(
+      entrantList(users('30', '4', '100000000000000000001', '4')),
+      users('4', '30', '100000000000000000001'),
+    );
+  });
+
+  it('should draw the same winners from the same seed', async (t) => {
+    const entrants = entrantList(users('1', '2', '3', '4', '5'));
+    const winners = await drawWinners(entrants, 3, 'giveaway');
+    // SHA-256 of "giveaway:0", "giveaway:1" and "giveaway:2", modulo 5, 4
+    // and 3, pick these.
+    t.assert.deepEqual(winners, users('2', '4', '3'));
+    t.assert.deepEqual(await drawWinners(entrants, 3, 'giveaway'), winners);
+    t.assert.deepEqual(entrants, users('1', '2', '3', '4', '5'));
+  });
+
+  it('should not draw more winners than entrants', async (t) => {
+    const entrants = users('1', '2');
+    const winners = await drawWinners(entrants, 5, randomSeed());
+    t.assert.deepEqual(winners.map(({ id }) => id).sort(), ['1', '2']);
+    t.assert.deepEqual(await drawWinners([], 1, 'x'), []);
+  });
+
+  it('should make a fresh seed each time', (t) => {
+    t.assert.match(randomSeed(), /^[0-9a-f]{16}$/);
+    t.assert.notStrictEqual(randomSeed(), randomSeed());
+  });
+
+  it('should list every entrant and where the winners placed', (t) => {
+    t.assert.deepEqual(drawRows(users('1', '2', '3'), users('3', '1')), [
+      { entry: 1, discordUserId: '1', discordUserName: 'user1', winner: 2 },
+      { entry: 2, discordUserId: '2', discordUserName: 'user2', winner: '' },
+      { entry: 3, discordUserId: '3', discordUserName: 'user3', winner: 1 },
+    ]);
+  });
+
+  it('should announce the winners and the seed', (t) => {
+    const announcement = describeDraw({
+      winners: users('3', '1'),
+      entrants: users('1', '2', '3'),
+      seed: 'abc',
+      emojiKeys: ['🎉'],
+      link: 'https://discord.com/channels/5/1/1000',
+    });
+    t.assert.strictEqual(
+      announcement,
+      '**Winners** of https://discord.com/channels/5/1/1000, drawn from 3 people who reacted with 🎉:\n' +
+        '1. <@3>\n' +
+        '2. <@1>\n' +
+        'Seed: `abc`, picked at random (the attached entrant list and this seed reproduce the draw)',
+    );
+  });
+
+  it('should say when the seed was typed in', (t) => {
+    const announcement = describeDraw({
+      winners: users('1'),
+      entrants: users('1'),
+      seed: 'abc',
+      seedGiven: true,
+      emojiKeys: ['🎉'],
+      link: 'https://discord.com/channels/5/1/1000',
+    });
+    t.assert.match(
+      announcement,
+      /\nThis is a repeat of an earlier draw with seed `abc`, which was typed in rather than picked at random /,
+    );
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+
+import {
+  asciiEmojiName,
+  emojiFields,
+  emojiShortcode,
+  emojiUrl,
+} from '../src/emoji.js';
+
+describe('Emoji', () => {
+  it('should name Unicode emojis by their shortcodes', (t) => {
+    t.assert.strictEqual(emojiShortcode({ name: '👍' }), ':thumbsup:');
+    t.assert.strictEqual(emojiShortcode({ name: '👍🏽' }), ':thumbsup_tone3:');
+    // With and without the variation selector.
+    t.assert.strictEqual(emojiShortcode({ name: '❤️' }), ':heart:');
+    t.assert.strictEqual(emojiShortcode({ name: '❤' }), ':heart:');
+    t.assert.strictEqual(emojiShortcode({ name: '1️⃣' }), ':one:');
+    t.assert.strictEqual(emojiShortcode({ name: '🏳️‍🌈' }), ':rainbow_flag:');
+  });
+
+  it('should have a shortcode for every Unicode emoji', (t) => {
+    t.assert.strictEqual(emojiShortcode({ name: '🧋' }), ':bubble_tea:');
+    t.assert.strictEqual(emojiShortcode({ name: '🫠' }), ':melting_face:');
+    t.assert.strictEqual(emojiShortcode({ name: '🧋🧋' }), '');
+  });
+
+  it('should name custom emojis by their names', (t) => {
+    const emoji = { name: 'party', id: '42' };
+    t.assert.strictEqual(emojiShortcode(emoji), ':party:');
+    t.assert.strictEqual(asciiEmojiName(emoji), 'party');
+  });
+
+  it('should always have an ASCII name', (t) => {
+    t.assert.strictEqual(asciiEmojiName({ name: '🎉' }), 'tada');
+    t.assert.strictEqual(asciiEmojiName({ name: '🧋🧋' }), 'u1f9cb_u1f9cb');
+  });
+
+  it('should link to custom emoji images', (t) => {
+    t.assert.strictEqual(
+      emojiUrl({ name: 'party', id: '42' }),
+      'https://cdn.discordapp.com/emojis/42.png',
+    );
+    t.assert.strictEqual(
+      emojiUrl({ name: 'party', id: '42', animated: true }),
+      'https://cdn.discordapp.com/emojis/42.gif',
+    );
+    t.assert.strictEqual(emojiUrl({ name: '🎉' }), '');
+  });
+
+  it('should leave the columns empty without an emoji', (t) => {
+    t.assert.deepEqual(emojiFields(undefined), {
+      emojiShortcode: '',
+      emojiAsciiName: '',
+      emojiAnimated: false,
+      emojiUrl: '',
+    });
+  });
+});
@@ -0,0 +1,928 @@
+import { describe, it } from 'node:test';
+
+import {
+  buildLayout,
+  collectPollVotes,
+  collectReactions,
+  pivotRows,
+  REACTION_COLUMNS,
+  describeFilters,
+  describeNonResponders,
+  describeReactions,
+  FETCH_CONCURRENCY,
+  filterUsers,
+  matchesEmoji,
+  messageEmojis,
+  parseUserColumns,
+  reactionRows,
+  rosterRows,
+  userFilter,
+} from '../src/export.js';
+
+function makeMessage(counts) {
+  return {
+    id: '1000',
+    channel_id: '1',
+    reactions: Object.entries(counts).map(([name, count]) => ({
+      count,
+      emoji: { name },
+    })),
+  };
+}
+
+describe('Export', () => {
+  describe('collectReactions', () => {
+    it('should fetch every emoji, most popular first', async (t) => {
+      const counts = {};
+      for (let i = 1; i <= 40; i++) counts['e' + i] = i;
+      const message = makeMessage(counts);
+
+      const fetcher = {
+        async fetch({ name }) {
+          return [{ id: name }];
+        },
+      };
+      const { results, skipped, truncated } = await collectReactions(
+        message,
+        fetcher,
+      );
+
+      t.assert.strictEqual(results.length, 40);
+      t.assert.strictEqual(results[0].emojiKey, 'e40');
+      t.assert.deepEqual(results[0].emoji, { name: 'e40' });
+      t.assert.deepEqual(results[0].users, [{ id: 'e40' }]);
+      t.assert.strictEqual(results[39].emojiKey, 'e1');
+      t.assert.deepEqual(skipped, []);
+      t.assert.deepEqual(truncated, []);
+      // Leave the original message alone.
+      t.assert.strictEqual(message.reactions[0].emoji.name, 'e1');
+    });
+
+    it('should only fetch the requested emoji', async (t) => {
+      const fetcher = {
+        async fetch({ name }) {
+          return [{ id: name }];
+        },
+      };
+      const { results } = await collectReactions(
+        makeMessage({ a: 1, b: 2 }),
+        fetcher,
+        { emoji: 'a' },
+      );
+      t.assert.deepEqual(
+        results.map(({ emojiKey }) => emojiKey),
+        ['a'],
+      );
+    });
+
+    it('should only fetch the picked emojis', async (t) => {
+      const fetcher = { fetch: async ({ name }) => [{ id: name }] };
+      const { results } = await collectReactions(
+        makeMessage({ a: 1, b: 2, c: 3 }),
+        fetcher,
+        { emojiKeys: ['a', 'c'] },
+      );
+      t.assert.deepEqual(
+        results.map(({ emojiKey }) => emojiKey),
+        ['c', 'a'],
+      );
+    });
+
+    it('should fetch normal and super reactions separately', async (t) => {
+      const message = {
+        reactions: [
+          {
+            count: 1,
+            count_details: { normal: 1, burst: 0 },
+            emoji: { name: 'a' },
+          },
+          {
+            count: 3,
+            count_details: { normal: 1, burst: 2 },
+            emoji: { name: 'b' },
+          },
+          {
+            count: 2,
+            count_details: { normal: 0, burst: 2 },
+            emoji: { name: 'c' },
+          },
+        ],
+      };
+      const fetcher = {
+        async fetch({ name }, reactionType) {
+          return [{ id: `${name}-${reactionType}` }];
+        },
+      };
+
+      const summarize = ({ results }) =>
+        results.map(({ emojiKey, reactionType, users }) => [
+          emojiKey,
+          reactionType,
+          users[0].id,
+        ]);
+      t.assert.deepEqual(summarize(await collectReactions(message, fetcher)), [
+        ['b', 'normal', 'b-normal'],
+        ['b', 'super', 'b-super'],
+        ['c', 'super', 'c-super'],
+        ['a', 'normal', 'a-normal'],
+      ]);
+      t.assert.deepEqual(
+        summarize(
+          await collectReactions(message, fetcher, { reactionType: 'super' }),
+        ),
+        [
+          ['b', 'super', 'b-super'],
+          ['c', 'super', 'c-super'],
+        ],
+      );
+      t.assert.deepEqual(
+        summarize(
+          await collectReactions(message, fetcher, { reactionType: 'normal' }),
+        ),
+        [
+          ['b', 'normal', 'b-normal'],
+          ['a', 'normal', 'a-normal'],
+        ],
+      );
+    });
+
+    it('should label super reactions in notes', (t) => {
+      t.assert.strictEqual(
+        describeReactions(
+          {
+            truncated: [{ emojiKey: 'a', reactionType: 'super' }],
+            skipped: [{ emojiKey: 'b', reactionType: 'super', error: 'no' }],
+          },
+          { maxUsers: 5 },
+        ),
+        'Only the first 5 users were included for: a (super)\n' +
+          "Skipped 1 emoji that couldn't be fetched:\n" +
+          '- b (super): no',
+      );
+    });
+
+    it('should limit how many fetches run at once', async (t) => {
+      const counts = {};
+      for (let i = 1; i <= 20; i++) counts['e' + i] = i;
+
+      let running = 0;
+      let maxRunning = 0;
+      const fetcher = {
+        async fetch() {
+          maxRunning = Math.max(maxRunning, ++running);
+          await new Promise((resolve) => setTimeout(resolve, 1));
+          running--;
+          return [];
+        },
+      };
+      await collectReactions(makeMessage(counts), fetcher);
+
+      t.assert.strictEqual(maxRunning, FETCH_CONCURRENCY);
+    });
+
+    it('should skip emojis that fail to fetch', async (t) => {
+      const fetcher = {
+        async fetch({ name }) {
+          if (name === 'bad') throw new Error('HTTP 404 error: gone');
+          if (name === 'worse') throw 'nope';
+          const users = [{ id: '1' }];
+          if (name === 'big') users.truncated = true;
+          return users;
+        },
+      };
+
+      const err = t.mock.method(globalThis.console, 'error', () => {});
+      const collected = await collectReactions(
+        makeMessage({ big: 3, bad: 2, worse: 1, ok: 1 }),
+        fetcher,
+      );
+      err.mock.restore();
+
+      t.assert.deepEqual(
+        collected.results.map(({ emojiKey }) => emojiKey),
+        ['big', 'ok'],
+      );
+      t.assert.deepEqual(
+        collected.skipped.map(({ emojiKey, error }) => [emojiKey, error]),
+        [
+          ['bad', 'HTTP 404 error: gone'],
+          ['worse', 'nope'],
+        ],
+      );
+      t.assert.deepEqual(
+        collected.truncated.map(({ emojiKey }) => emojiKey),
+        ['big'],
+      );
+
+      t.assert.strictEqual(
+        describeReactions(collected, { maxUsers: 1 }),
+        'Only the first 1 users were included for: big\n' +
+          "Skipped 2 emoji that couldn't be fetched:\n" +
+          '- bad: HTTP 404 error: gone\n' +
+          '- worse: nope',
+      );
+    });
+
+    it('should have nothing to say about a complete export', (t) => {
+      t.assert.strictEqual(
+        describeReactions({ skipped: [], truncated: [] }, {}),
+        '',
+      );
+    });
+  });
+
+  describe('collectPollVotes', () => {
+    const message = {
+      poll: {
+        question: { text: 'Lunch?' },
+        answers: [
+          {
+            answer_id: 1,
+            poll_media: { text: 'Pizza', emoji: { name: '🍕' } },
+          },
+          { answer_id: 2, poll_media: { text: 'Salad' } },
+        ],
+      },
+    };
+
+    it('should fetch the voters for each answer', async (t) => {
+      const fetcher = {
+        async fetch(answerId) {
+          if (answerId === 2) throw new Error('HTTP 403 error: nope');
+          return [{ id: String(answerId) }];
+        },
+      };
+      const err = t.mock.method(globalThis.console, 'error', () => {});
+      const { results, skipped } = await collectPollVotes(message, fetcher);
+      err.mock.restore();
+
+      t.assert.deepEqual(results, [
+        {
+          message,
+          emoji: { name: '🍕' },
+          emojiKey: 'Pizza',
+          reactionType: 'vote',
+          users: [{ id: '1' }],
+        },
+      ]);
+      t.assert.deepEqual(
+        skipped.map(({ emojiKey, error }) => [emojiKey, error]),
+        [['Salad', 'HTTP 403 error: nope']],
+      );
+    });
+
+    it('should pick out an answer by its text or emoji', async (t) => {
+      const fetcher = { fetch: async (answerId) => [{ id: String(answerId) }] };
+      for (const emoji of ['Pizza', '🍕']) {
+        const { results } = await collectPollVotes(message, fetcher, { emoji });
+        t.assert.deepEqual(
+          results.map(({ emojiKey }) => emojiKey),
+          ['Pizza'],
+        );
+      }
+    });
+
+    it('should skip votes when only asked for reactions', async (t) => {
+      const fetcher = { fetch: async () => t.assert.fail('fetched votes') };
+      const { results } = await collectPollVotes(message, fetcher, {
+        reactionType: 'normal',
+      });
+      t.assert.deepEqual(results, []);
+    });
+
+    it('should only fetch the picked answers', async (t) => {
+      const fetcher = { fetch: async (answerId) => [{ id: String(answerId) }] };
+      const { results } = await collectPollVotes(message, fetcher, {
+        emojiKeys: ['Salad'],
+      });
+      t.assert.deepEqual(
+        results.map(({ emojiKey }) => emojiKey),
+        ['Salad'],
+      );
+    });
+
+    it('should have nothing for a message without a poll', async (t) => {
+      const { results } = await collectPollVotes({}, {});
+      t.assert.deepEqual(results, []);
+    });
+  });
+
+  describe('messageEmojis', () => {
+    it('should list each answer and emoji once', (t) => {
+      const poll = { answers: [{ poll_media: { text: 'Pizza' } }] };
+      t.assert.deepEqual(
+        messageEmojis([
+          makeMessage({ a: 1, b: 1 }),
+          { ...makeMessage({ b: 1 }), poll },
+        ]).map(({ key }) => key),
+        ['a', 'b', 'Pizza'],
+      );
+    });
+  });
+
+  describe('reactionRows', () => {
+    it('should add columns about each emoji', (t) => {
+      const results = [
+        {
+          emojiKey: 'a:party:42',
+          emoji: { name: 'party', id: '42', animated: true },
+          users: [{ id: '1', username: 'one' }],
+        },
+      ];
+      const { columns, rows } = buildLayout('reactions', results, {
+        emojiColumns: true,
+      });
+      t.assert.deepEqual(columns, [
+        'emoji',
+        'emojiShortcode',
+        'emojiAsciiName',
+        'emojiAnimated',
+        'emojiUrl',
+        'discordUserId',
+        'discordUserName',
+        'reactionType',
+      ]);
+      t.assert.deepEqual(rows[0], {
+        emoji: 'a:party:42',
+        emojiShortcode: ':party:',
+        emojiAsciiName: 'party',
+        emojiAnimated: true,
+        emojiUrl: 'https://cdn.discordapp.com/emojis/42.gif',
+        discordUserId: '1',
+        discordUserName: 'one',
+        reactionType: 'normal',
+      });
+    });
+
+    it('should add an option column for labels', (t) => {
+      const user = { id: '1', username: 'one' };
+      const { columns, rows } = buildLayout(
+        'reactions',
+        [
+          { emojiKey: 'a', label: 'attending', users: [user] },
+          { emojiKey: 'b', users: [user] },
+        ],
+        { optionColumn: true },
+      );
+      t.assert.deepEqual(columns, [
+        'emoji',
+        'option',
+        'discordUserId',
+        'discordUserName',
+        'reactionType',
+      ]);
+      t.assert.deepEqual(
+        rows.map(({ option }) => option),
+        ['attending', ''],
+      );
+    });
+
+    it('should make a row per emoji and user', (t) => {
+      const rows = reactionRows([
+        { emojiKey: 'a', users: [{ id: '1', username: 'one' }] },
+        {
+          emojiKey: 'b',
+          reactionType: 'super',
+          users: [
+            { id: '1', username: 'one' },
+            { id: '2', username: 'two' },
+          ],
+        },
+      ]);
+      t.assert.deepEqual(rows, [
+        {
+          emoji: 'a',
+          discordUserId: '1',
+          discordUserName: 'one',
+          reactionType: 'normal',
+        },
+        {
+          emoji: 'b',
+          discordUserId: '1',
+          discordUserName: 'one',
+          reactionType: 'super',
+        },
+        {
+          emoji: 'b',
+          discordUserId: '2',
+          discordUserName: 'two',
+          reactionType: 'super',
+        },
+      ]);
+    });
+
+    it('should start with the message when asked', (t) => {
+      const message = {
+        id: '30',
+        channel_id: '20',
+        content:
+          'Which day works best for everyone?\nPick one below, or suggest another',
+      };
+      const rows = reactionRows(
+        [{ message, emojiKey: 'a', users: [{ id: '1', username: 'one' }] }],
+        { messageColumns: true, guildId: '10' },
+      );
+      t.assert.deepEqual(rows, [
+        {
+          messageId: '30',
+          messageLink: 'https://discord.com/channels/10/20/30',
+          messageSnippet: 'Which day works best for everyone? Pick one below…',
+          emoji: 'a',
+          discordUserId: '1',
+          discordUserName: 'one',
+          reactionType: 'normal',
+        },
+      ]);
+    });
+  });
+
+  describe('pivotRows', () => {
+    it('should head columns with labels', (t) => {
+      const user = { id: '1', username: 'one' };
+      const { columns, rows } = pivotRows([
+        { emojiKey: 'a', label: 'attending', users: [user] },
+        { emojiKey: 'b', users: [user] },
+      ]);
+      t.assert.deepEqual(columns, [
+        'discordUserId',
+        'discordUserName',
+        'attending',
+        'b',
+        'totalReactions',
+      ]);
+      t.assert.deepEqual(rows, [
+        {
+          discordUserId: '1',
+          discordUserName: 'one',
+          attending: 'x',
+          b: 'x',
+          totalReactions: 2,
+        },
+      ]);
+    });
+
+    const results = [
+      {
+        emojiKey: 'yes',
+        users: [
+          { id: '1', username: 'one' },
+          { id: '2', username: 'two' },
+        ],
+      },
+      { emojiKey: 'no', users: [{ id: '3', username: 'three' }] },
+      {
+        emojiKey: 'maybe',
+        users: [
+          { id: '3', username: 'three' },
+          { id: '1', username: 'one' },
+        ],
+      },
+    ];
+
+    it('should make a row per user and a column per emoji', (t) => {
+      const { columns, rows } = pivotRows(results);
+      t.assert.deepEqual(columns, [
+        'discordUserId',
+        'discordUserName',
+        'yes',
+        'no',
+        'maybe',
+        'totalReactions',
+      ]);
+      t.assert.deepEqual(rows, [
+        {
+          discordUserId: '1',
+          discordUserName: 'one',
+          yes: 'x',
+          no: '',
+          maybe: 'x',
+          totalReactions: 2,
+        },
+        {
+          discordUserId: '2',
+          discordUserName: 'two',
+          yes: 'x',
+          no: '',
+          maybe: '',
+          totalReactions: 1,
+        },
+        {
+          discordUserId: '3',
+          discordUserName: 'three',
+          yes: '',
+          no: 'x',
+          maybe: 'x',
+          totalReactions: 2,
+        },
+      ]);
+    });
+
+    it('should combine normal and super reactions', (t) => {
+      const { columns, rows } = pivotRows([
+        { emojiKey: 'a', reactionType: 'normal', users: [{ id: '1' }] },
+        { emojiKey: 'a', reactionType: 'super', users: [{ id: '2' }] },
+      ]);
+      t.assert.deepEqual(columns, [
+        'discordUserId',
+        'discordUserName',
+        'a',
+        'totalReactions',
+      ]);
+      t.assert.deepEqual(
+        rows.map((row) => [row.discordUserId, row.a]),
+        [
+          ['1', 'x'],
+          ['2', 'x'],
+        ],
+      );
+    });
+
+    it('should keep the same emoji on different messages apart', (t) => {
+      const user = { id: '1', username: 'one' };
+      const { columns, rows } = pivotRows(
+        [
+          { message: { id: '1000' }, emojiKey: 'a', users: [user] },
+          {
+            message: { id: '1001' },
+            emojiKey: 'a',
+            label: 'in',
+            users: [user],
+          },
+        ],
+        { messageColumns: true },
+      );
+      t.assert.deepEqual(columns, [
+        'discordUserId',
+        'discordUserName',
+        '1000 a',
+        '1001 in',
+        'totalReactions',
+      ]);
+      t.assert.deepEqual(rows[0], {
+        discordUserId: '1',
+        discordUserName: 'one',
+        '1000 a': 'x',
+        '1001 in': 'x',
+        totalReactions: 2,
+      });
+    });
+
+    it('should keep emojis with the same label apart', (t) => {
+      const user = { id: '1', username: 'one' };
+      const { columns, rows } = pivotRows([
+        { emojiKey: '✅', label: 'yes', users: [user] },
+        { emojiKey: '❌', label: 'yes', users: [] },
+        { emojiKey: '🚗', label: 'discordUserId', users: [user] },
+        { emojiKey: 'totalReactions', reactionType: 'vote', users: [] },
+      ]);
+      t.assert.deepEqual(columns, [
+        'discordUserId',
+        'discordUserName',
+        'yes (✅)',
+        'yes (❌)',
+        'discordUserId (🚗)',
+        '"totalReactions" (poll)',
+        'totalReactions',
+      ]);
+      t.assert.deepEqual(rows, [
+        {
+          discordUserId: '1',
+          discordUserName: 'one',
+          'yes (✅)': 'x',
+          'yes (❌)': '',
+          'discordUserId (🚗)': 'x',
+          '"totalReactions" (poll)': '',
+          totalReactions: 2,
+        },
+      ]);
+    });
+
+    it('should be picked by buildLayout', (t) => {
+      t.assert.deepEqual(buildLayout('users', results), pivotRows(results));
+      const { columns, rows } = buildLayout('reactions', results);
+      t.assert.deepEqual(columns, REACTION_COLUMNS);
+      t.assert.strictEqual(rows.length, 5);
+      t.assert.deepEqual(buildLayout('nope', results), { columns, rows });
+    });
+  });
+
+  describe('matchesEmoji', () => {
+    it('should match an emoji by key, name, or message syntax', (t) => {
+      const custom = { name: 'blob', id: '941597088247083018' };
+      const animated = { ...custom, animated: true };
+      t.assert.ok(matchesEmoji(custom, 'blob:941597088247083018'));
+      t.assert.ok(matchesEmoji(custom, ' blob '));
+      t.assert.ok(matchesEmoji(custom, '<:blob:941597088247083018>'));
+      t.assert.ok(matchesEmoji(animated, '<a:blob:941597088247083018>'));
+      t.assert.ok(matchesEmoji({ name: '\u{1F60A}' }, '\u{1F60A}'));
+      t.assert.ok(!matchesEmoji(custom, 'blo'));
+      t.assert.ok(!matchesEmoji({ name: 'x' }, '<:x:>'));
+    });
+  });
+
+  describe('filterUsers', () => {
+    const results = [
+      {
+        emojiKey: 'a',
+        users: [{ id: '1' }, { id: '2', bot: true }],
+      },
+    ];
+
+    it('should include bots by default', (t) => {
+      t.assert.strictEqual(filterUsers(results), results);
+      t.assert.strictEqual(
+        filterUsers(results, { includeBots: true }),
+        results,
+      );
+    });
+
+    it('should drop bots when asked', (t) => {
+      t.assert.deepEqual(filterUsers(results, { includeBots: false }), [
+        { emojiKey: 'a', users: [{ id: '1' }] },
+      ]);
+    });
+
+    it('should drop excluded users', (t) => {
+      t.assert.deepEqual(filterUsers(results, { excludeUserIds: ['1'] }), [
+        { emojiKey: 'a', users: [{ id: '2', bot: true }] },
+      ]);
+    });
+
+    it('should only keep members with the role', (t) => {
+      const members = new Map([
+        ['1', { roles: ['10', '20'] }],
+        ['2', { roles: ['10'] }],
+      ]);
+      t.assert.deepEqual(filterUsers(results, { roleId: '20', members }), [
+        { emojiKey: 'a', users: [{ id: '1' }] },
+      ]);
+      t.assert.deepEqual(filterUsers(results, { roleId: '30', members }), [
+        { emojiKey: 'a', users: [] },
+      ]);
+      t.assert.deepEqual(filterUsers(results, { roleId: '10' }), [
+        { emojiKey: 'a', users: [] },
+      ]);
+    });
+
+    it('should only keep the first reaction from each user', (t) => {
+      t.assert.deepEqual(
+        filterUsers(
+          [
+            { emojiKey: 'a', users: [{ id: '1' }, { id: '2' }] },
+            { emojiKey: 'b', users: [{ id: '3' }, { id: '1' }] },
+          ],
+          { dedupe: true },
+        ),
+        [
+          { emojiKey: 'a', users: [{ id: '1' }, { id: '2' }] },
+          { emojiKey: 'b', users: [{ id: '3' }] },
+        ],
+      );
+    });
+
+    it("should drop each message's own author", (t) => {
+      const first = { author: { id: '1' } };
+      const second = { author: { id: '2' } };
+      t.assert.deepEqual(
+        filterUsers(
+          [
+            {
+              message: first,
+              emojiKey: 'a',
+              users: [{ id: '1' }, { id: '2' }],
+            },
+            {
+              message: second,
+              emojiKey: 'a',
+              users: [{ id: '1' }, { id: '2' }],
+            },
+          ],
+          { excludeAuthor: true },
+        ),
+        [
+          { message: first, emojiKey: 'a', users: [{ id: '2' }] },
+          { message: second, emojiKey: 'a', users: [{ id: '1' }] },
+        ],
+      );
+    });
+  });
+
+  describe('describeFilters', () => {
+    it('should list the filters that were applied', (t) => {
+      t.assert.strictEqual(describeFilters({}), '');
+      t.assert.strictEqual(describeFilters({ includeBots: true }), '');
+      t.assert.strictEqual(
+        describeFilters({
+          includeBots: false,
+          excludeAuthor: true,
+          roleId: '20',
+          dedupe: true,
+        }),
+        'Filters: excluded bots, excluded the message author, ' +
+          'only members with <@&20>, each user only listed for their first emoji',
+      );
+    });
+  });
+
+  describe('user columns', () => {
+    const results = [
+      {
+        emojiKey: 'a',
+        users: [
+          { id: '1', username: 'one', global_name: 'One', avatar: 'abc' },
+          { id: '2', username: 'robot', bot: true, global_name: null },
+        ],
+      },
+    ];
+    const members = new Map([['1', { nick: 'Uno', user: { id: '1' } }]]);
+
+    it('should parse the requested columns', (t) => {
+      t.assert.deepEqual(parseUserColumns(), { columns: [], unknown: [] });
+      t.assert.deepEqual(parseUserColumns('Nickname, bot avatar,bot'), {
+        columns: ['nickname', 'bot', 'avatar'],
+        unknown: [],
+      });
+      t.assert.deepEqual(parseUserColumns('all,email'), {
+        columns: ['display_name', 'nickname', 'bot', 'avatar'],
+        unknown: ['email'],
+      });
+    });
+
+    it('should add the columns to each layout', (t) => {
+      const options = {
+        userColumns: ['display_name', 'nickname', 'bot', 'avatar'],
+        members,
+      };
+      const extraColumns = [
+        'discordDisplayName',
+        'discordNickname',
+        'discordIsBot',
+        'discordAvatarUrl',
+      ];
+      const one = {
+        discordUserId: '1',
+        discordUserName: 'one',
+        discordDisplayName: 'One',
+        discordNickname: 'Uno',
+        discordIsBot: false,
+        discordAvatarUrl: 'https://cdn.discordapp.com/avatars/1/abc.png',
+      };
+      const robot = {
+        discordUserId: '2',
+        discordUserName: 'robot',
+        discordDisplayName: '',
+        discordNickname: '',
+        discordIsBot: true,
+        discordAvatarUrl: 'https://cdn.discordapp.com/embed/avatars/0.png',
+      };
+
+      t.assert.deepEqual(buildLayout('reactions', results, options), {
+        columns: [
+          'emoji',
+          'discordUserId',
+          'discordUserName',
+          ...extraColumns,
+          'reactionType',
+        ],
+        rows: [
+          { emoji: 'a', ...one, reactionType: 'normal' },
+          { emoji: 'a', ...robot, reactionType: 'normal' },
+        ],
+      });
+      t.assert.deepEqual(buildLayout('users', results, options), {
+        columns: [
+          'discordUserId',
+          'discordUserName',
+          ...extraColumns,
+          'a',
+          'totalReactions',
+        ],
+        rows: [
+          { ...one, a: 'x', totalReactions: 1 },
+          { ...robot, a: 'x', totalReactions: 1 },
+        ],
+      });
+    });
+  });
+
+  describe('userFilter', () => {
+    it('should decide user by user', (t) => {
+      const keep = userFilter({ includeBots: false, dedupe: true });
+      t.assert.strictEqual(keep({ id: '1' }), true);
+      t.assert.strictEqual(keep({ id: '1' }), false);
+      t.assert.strictEqual(keep({ id: '2', bot: true }), false);
+      t.assert.strictEqual(userFilter()({ id: '2', bot: true }), true);
+    });
+  });
+
+  describe('rosterRows', () => {
+    const roster = [
+      { user: { id: '1', username: 'one' } },
+      { user: { id: '2', username: 'two' } },
+      { user: { id: '3', username: 'three' } },
+    ];
+    const results = [
+      {
+        emojiKey: 'yes',
+        users: [
+          { id: '1', username: 'one' },
+          { id: '9', username: 'outsider' },
+        ],
+      },
+      { emojiKey: 'no', users: [{ id: '3', username: 'three' }] },
+    ];
+
+    it('should make a row per member, reacted or not', (t) => {
+      t.assert.deepEqual(buildLayout('members', results, { roster }), {
+        columns: ['discordUserId', 'discordUserName', 'yes', 'no', 'reacted'],
+        rows: [
+          {
+            discordUserId: '1',
+            discordUserName: 'one',
+            yes: 'x',
+            no: '',
+            reacted: true,
+          },
+          {
+            discordUserId: '2',
+            discordUserName: 'two',
+            yes: '',
+            no: '',
+            reacted: false,
+          },
+          {
+            discordUserId: '3',
+            discordUserName: 'three',
+            yes: '',
+            no: 'x',
+            reacted: true,
+          },
+        ],
+      });
+      t.assert.deepEqual(rosterRows(results).rows, []);
+    });
+
+    it('should keep the same emoji on different messages apart', (t) => {
+      const { columns, rows } = rosterRows(
+        [
+          { message: { id: '1000' }, emojiKey: 'yes', users: [roster[0].user] },
+          { message: { id: '1001' }, emojiKey: 'yes', users: [roster[1].user] },
+        ],
+        { roster, messageColumns: true },
+      );
+      t.assert.deepEqual(columns, [
+        'discordUserId',
+        'discordUserName',
+        '1000 yes',
+        '1001 yes',
+        'reacted',
+      ]);
+      t.assert.deepEqual(
+        rows.map((row) => [row['1000 yes'], row['1001 yes']]),
+        [
+          ['x', ''],
+          ['', 'x'],
+          ['', ''],
+        ],
+      );
+    });
+
+    it('should not let labels take over fixed columns', (t) => {
+      const { columns, rows } = rosterRows(
+        [
+          { emojiKey: '✅', label: 'reacted', users: [roster[0].user] },
+          { emojiKey: '❌', label: 'discordUserName', users: [] },
+        ],
+        { roster: roster.slice(0, 1) },
+      );
+      t.assert.deepEqual(columns, [
+        'discordUserId',
+        'discordUserName',
+        'reacted (✅)',
+        'discordUserName (❌)',
+        'reacted',
+      ]);
+      t.assert.deepEqual(rows, [
+        {
+          discordUserId: '1',
+          discordUserName: 'one',
+          'reacted (✅)': 'x',
+          'discordUserName (❌)': '',
+          reacted: true,
+        },
+      ]);
+    });
+
+    it('should list who has not reacted', (t) => {
+      const { rows } = rosterRows(results, { roster });
+      t.assert.strictEqual(
+        describeNonResponders(rows),
+        "1 of 3 members haven't reacted: <@2>",
+      );
+      t.assert.strictEqual(
+        describeNonResponders(rows.slice(0, 1), { roleId: '20' }),
+        'All 1 members with <@&20> have reacted',
+      );
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test';
+
+import { DEFAULT_FORMAT, FORMATS, formatFile } from '../src/formats.js';
+
+const columns = ['emoji', 'discordUserId', 'discordUserName'];
+const rows = [
+  { emoji: '\u{1F60A}', discordUserId: '1000', discordUserName: 'my|name' },
+  { emoji: 'lol:3000', discordUserId: '2000', discordUserName: 'a, "b"\tc' },
+];
+
+describe('Formats', () => {
+  it('should build CSV', (t) => {
+    t.assert.strictEqual(
+      FORMATS.csv.build(columns, rows),
+      'emoji,discordUserId,discordUserName\n' +
+        '\u{1F60A},1000,my|name\n' +
+        'lol:3000,2000,"a, ""b""\tc"\n',
+    );
+  });
+
+  it('should build CSV for Excel', (t) => {
+    t.assert.strictEqual(
+      FORMATS.excel.build(columns, rows.slice(0, 1)),
+      '\uFEFFemoji,discordUserId,discordUserName\r\n' +
+        '\u{1F60A},1000,my|name\r\n',
+    );
+  });
+
+  it('should keep formulas out of spreadsheets', (t) => {
+    const formula = [
+      { emoji: 'x', discordUserId: '1', discordUserName: '=1+1' },
+    ];
+    t.assert.strictEqual(
+      FORMATS.csv.build(columns, formula).split('\n')[1],
+      "x,1,'=1+1",
+    );
+    t.assert.strictEqual(
+      FORMATS.tsv.build(columns, formula).split('\n')[1],
+      "x\t1\t'=1+1",
+    );
+  });
+
+  it('should write CSV the way the export asks', (t) => {
+    const formula = [
+      { emoji: 'x', discordUserId: '1', discordUserName: '=1+1' },
+    ];
+    t.assert.strictEqual(
+      FORMATS.csv.build(columns, formula, {
+        delimiter: 'semicolon',
+        quoteAll: true,
+        safe: false,
+      }),
+      '"emoji";"discordUserId";"discordUserName"\n"x";"1";"=1+1"\n',
+    );
+    t.assert.strictEqual(
+      FORMATS.excel.build(columns, formula, { delimiter: 'tab' }),
+      "\uFEFFemoji\tdiscordUserId\tdiscordUserName\r\nx\t1\t'=1+1\r\n",
+    );
+    t.assert.strictEqual(
+      FORMATS.tsv.build(columns, formula, { safe: false }).split('\n')[1],
+      'x\t1\t=1+1',
+    );
+  });
+
+  it('should build TSV', (t) => {
+    t.assert.strictEqual(
+      FORMATS.tsv.build(columns, rows),
+      'emoji\tdiscordUserId\tdiscordUserName\n' +
+        '\u{1F60A}\t1000\tmy|name\n' +
+        'lol:3000\t2000\ta, "b" c\n',
+    );
+  });
+
+  it('should build JSON', (t) => {
+    const data = FORMATS.json.build(columns, rows);
+    t.assert.deepEqual(JSON.parse(data), rows);
+    t.assert.ok(data.includes('\n  {'));
+  });
+
+  it('should build NDJSON', (t) => {
+    const lines = FORMATS.ndjson.build(columns, rows).split('\n');
+    t.assert.strictEqual(lines.length, 3);
+    t.assert.deepEqual(JSON.parse(lines[0]), rows[0]);
+    t.assert.deepEqual(JSON.parse(lines[1]), rows[1]);
+    t.assert.strictEqual(lines[2], '');
+  });
+
+  it('should build a Markdown table', (t) => {
+    t.assert.strictEqual(
+      FORMATS.markdown.build(columns, [
+        ...rows,
+        { emoji: 'x', discordUserId: '3', discordUserName: 'back\\slash\nnl' },
+      ]),
+      '| emoji | discordUserId | discordUserName |\n' +
+        '| --- | --- | --- |\n' +
+        '| \u{1F60A} | 1000 | my\\|name |\n' +
+        '| lol:3000 | 2000 | a, "b"\tc |\n' +
+        '| x | 3 | back\\\\slash nl |\n',
+    );
+  });
+
+  it('should only include the requested columns', (t) => {
+    const picked = ['discordUserName', 'emoji'];
+    t.assert.strictEqual(
+      FORMATS.csv.build(picked, rows.slice(0, 1)),
+      'discordUserName,emoji\nmy|name,\u{1F60A}\n',
+    );
+    t.assert.deepEqual(
+      JSON.parse(FORMATS.ndjson.build(picked, rows.slice(0, 1))),
+      {
+        discordUserName: 'my|name',
+        emoji: '\u{1F60A}',
+      },
+    );
+  });
+
+  describe('formatFile', () => {
+    it('should name and type the file for its format', (t) => {
+      for (const [format, { extension, type }] of Object.entries(FORMATS)) {
+        const file = formatFile(format, 'reactions-1', columns, rows);
+        t.assert.strictEqual(file.name, `reactions-1.${extension}`);
+        t.assert.strictEqual(file.type, type);
+        t.assert.strictEqual(typeof file.data, 'string');
+      }
+    });
+
+    it('should fall back to the default format', (t) => {
+      const file = formatFile('nope', 'reactions-1', columns, rows);
+      t.assert.strictEqual(
+        file.name,
+        `reactions-1.${FORMATS[DEFAULT_FORMAT].extension}`,
+      );
+    });
+  });
+});
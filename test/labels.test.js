@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+
+import {
+  emojiLabel,
+  labelResults,
+  parseLabelOption,
+  parseLabels,
+} from '../src/labels.js';
+
+describe('Labels', () => {
+  it('should find labels on lines starting with an emoji', (t) => {
+    const labels = parseLabels(
+      'Raid on Friday!\n' +
+        '✅ = attending\n' +
+        '❔: maybe\n' +
+        '- 🚗 can drive\n' +
+        '<:tank:123> tanking\n' +
+        '1️⃣ first\n' +
+        'not ✅ a label',
+    );
+    t.assert.deepEqual(
+      [...labels],
+      [
+        ['✅', 'attending'],
+        ['❔', 'maybe'],
+        ['🚗', 'can drive'],
+        ['123', 'tanking'],
+        ['1⃣', 'first'],
+      ],
+    );
+  });
+
+  it('should take labels separated by commas from an option', (t) => {
+    t.assert.deepEqual(
+      [...parseLabelOption('✅=attending, ❔=maybe; 🚗 = can drive')],
+      [
+        ['✅', 'attending'],
+        ['❔', 'maybe'],
+        ['🚗', 'can drive'],
+      ],
+    );
+    t.assert.strictEqual(parseLabelOption('attending').size, 0);
+  });
+
+  it('should match emojis with or without variation selectors', (t) => {
+    const labels = parseLabels('❤️ love\n<a:dance:7> dancing');
+    t.assert.strictEqual(emojiLabel({ name: '❤' }, labels), 'love');
+    t.assert.strictEqual(emojiLabel({ name: '❤️' }, labels), 'love');
+    t.assert.strictEqual(
+      emojiLabel({ name: 'dance', id: '7' }, labels),
+      'dancing',
+    );
+    t.assert.strictEqual(emojiLabel({ name: '👍' }, labels), undefined);
+    t.assert.strictEqual(emojiLabel(undefined, labels), undefined);
+  });
+
+  it("should label from the option or else each result's message", (t) => {
+    const message = { content: '✅ yes\n❌ no' };
+    const results = [
+      { message, emoji: { name: '✅' } },
+      { message, emoji: { name: '❌' } },
+      { message, emoji: { name: '👍' } },
+      { message, emoji: { name: '✅' }, reactionType: 'vote' },
+    ];
+    t.assert.deepEqual(
+      labelResults(results).map(({ label }) => label),
+      ['yes', 'no', undefined, undefined],
+    );
+    t.assert.deepEqual(
+      labelResults(results, parseLabelOption('👍=ok')).map(
+        ({ label }) => label,
+      ),
+      [undefined, undefined, 'ok', undefined],
+    );
+  });
+});
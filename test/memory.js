@@ -0,0 +1,85 @@
+/**
+ * Just enough of a KV namespace and an R2 bucket to test against, kept in
+ * memory.  Lists come in pages of `pageSize`, to exercise the cursors.
+ * https://developers.cloudflare.com/kv/api/
+ * https://developers.cloudflare.com/r2/api/workers/workers-api-reference/
+ */
+
+export class MemoryKV {
+  /**
+   * `values` are stored up front, as JSON, by key.
+   */
+  constructor(values = {}, { pageSize = 1000 } = {}) {
+    this.entries = new Map();
+    this.pageSize = pageSize;
+    for (const [key, value] of Object.entries(values)) {
+      this.entries.set(key, { value: JSON.stringify(value) });
+    }
+  }
+
+  // Like KV, values come back as text unless asked for as JSON.
+  async get(key, type = 'text') {
+    const value = this.entries.get(key)?.value ?? null;
+    if (value === null) return null;
+    if (type === 'json') return JSON.parse(value);
+    if (type === 'text') return value;
+    throw new TypeError(`MemoryKV doesn't do ${type}`);
+  }
+
+  async put(key, value, { metadata } = {}) {
+    if (typeof value !== 'string') {
+      throw new TypeError(`KV put() of a ${typeof value}; stringify it first`);
+    }
+    this.entries.set(key, { value, metadata });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async list({ prefix = '', cursor = '0' } = {}) {
+    const keys = [...this.entries.keys()]
+      .filter((name) => name.startsWith(prefix))
+      .sort()
+      .map((name) => ({ name, metadata: this.entries.get(name).metadata }));
+    const start = Number(cursor);
+    const end = start + this.pageSize;
+    return {
+      keys: keys.slice(start, end),
+      list_complete: end >= keys.length,
+      cursor: String(end),
+    };
+  }
+}
+
+export class MemoryBucket {
+  constructor({ pageSize = 1000 } = {}) {
+    this.objects = new Map();
+    this.pageSize = pageSize;
+  }
+
+  async put(key, body, { httpMetadata, customMetadata } = {}) {
+    this.objects.set(key, { key, body, httpMetadata, customMetadata });
+  }
+
+  async get(key) {
+    return this.objects.get(key) ?? null;
+  }
+
+  // Like R2's, the cursor is a position in key order, so deleting as we go
+  // skips nothing.
+  async list({ cursor = '' } = {}) {
+    const keys = [...this.objects.keys()].sort();
+    const rest = keys.filter((key) => key > cursor);
+    const page = rest.slice(0, this.pageSize);
+    return {
+      objects: page.map((key) => this.objects.get(key)),
+      truncated: rest.length > page.length,
+      cursor: page.at(-1),
+    };
+  }
+
+  async delete(keys) {
+    for (const key of [keys].flat()) this.objects.delete(key);
+  }
+}
@@ -0,0 +1,172 @@
+import { beforeEach, describe, it } from 'node:test';
+
+import { DiscordClient } from '../src/discord.js';
+import {
+  commandsPath,
+  describeCommandDiff,
+  diffCommands,
+  syncCommands,
+} from '../src/registration.js';
+
+const ping = { name: 'ping', type: 1, description: 'Ping' };
+const menu = { name: 'Export', type: 3, description: '' };
+
+// What Discord sends back for a command it has registered.
+function registered(command, extra = {}) {
+  return {
+    id: String(Math.random()).slice(2),
+    application_id: '42',
+    version: '1',
+    default_member_permissions: null,
+    nsfw: false,
+    ...command,
+    ...extra,
+  };
+}
+
+describe('Registration', () => {
+  it('should register globally or in a guild', (t) => {
+    t.assert.strictEqual(commandsPath('42'), '/applications/42/commands');
+    t.assert.strictEqual(
+      commandsPath('42', '5'),
+      '/applications/42/guilds/5/commands',
+    );
+  });
+
+  describe('diffCommands', () => {
+    it('should sort commands by what happens to them', (t) => {
+      const diff = diffCommands(
+        [
+          registered(ping),
+          registered({ ...menu, name: 'Old' }),
+          registered({ ...ping, name: 'draw', description: 'Old words' }),
+        ],
+        [ping, menu, { ...ping, name: 'draw', description: 'New words' }],
+      );
+      t.assert.deepEqual(
+        {
+          added: diff.added.map(({ name }) => name),
+          changed: diff.changed.map(({ name }) => name),
+          unchanged: diff.unchanged.map(({ name }) => name),
+          removed: diff.removed.map(({ name }) => name),
+        },
+        {
+          added: ['Export'],
+          changed: ['draw'],
+          unchanged: ['ping'],
+          removed: ['Old'],
+        },
+      );
+      t.assert.strictEqual(
+        describeCommandDiff(diff),
+        '+ Export\n~ draw\n- Old\n  ping',
+      );
+    });
+
+    it('should compare options', (t) => {
+      const option = { type: 3, name: 'message', description: 'Which' };
+      const withOption = { ...ping, options: [option] };
+      const diff = diffCommands(
+        [registered(withOption, { options: [{ ...option, extra: 1 }] })],
+        [{ ...withOption, options: [{ ...option, required: true }] }],
+      );
+      t.assert.strictEqual(diff.changed.length, 1);
+      t.assert.strictEqual(
+        diffCommands([registered(withOption)], [ping]).changed.length,
+        0,
+      );
+      t.assert.strictEqual(
+        diffCommands([registered(ping)], [withOption]).changed.length,
+        1,
+      );
+    });
+
+    it('should tell commands of different types apart', (t) => {
+      const diff = diffCommands(
+        [registered({ ...menu, name: 'ping' })],
+        [ping],
+      );
+      t.assert.strictEqual(diff.added.length, 1);
+      t.assert.strictEqual(diff.removed.length, 1);
+    });
+
+    it('should have nothing to say about no commands', (t) => {
+      t.assert.strictEqual(
+        describeCommandDiff(diffCommands([], [])),
+        '(no commands)',
+      );
+    });
+  });
+
+  describe('syncCommands', () => {
+    let commands;
+    let client;
+
+    // A tiny stand-in for the commands endpoints.
+    beforeEach((t) => {
+      commands = new Map();
+      t.mock.method(globalThis, 'fetch', async (url, init) => {
+        const path = new URL(url).pathname.replace('/api/v10', '');
+        if (init.method === 'PUT') {
+          const body = JSON.parse(init.body);
+          commands.set(
+            path,
+            body.map((command) => registered(command)),
+          );
+        }
+        return Response.json(commands.get(path) ?? []);
+      });
+      client = new DiscordClient({ DISCORD_TOKEN: 'x' });
+    });
+
+    it('should register the commands', async (t) => {
+      const path = commandsPath('42', '5');
+      const result = await syncCommands(client, path, [ping, menu]);
+      t.assert.strictEqual(result.applied, true);
+      t.assert.strictEqual(result.added.length, 2);
+      t.assert.deepEqual(
+        commands.get(path).map(({ name }) => name),
+        ['ping', 'Export'],
+      );
+
+      // Nothing to do the second time around.
+      const again = await syncCommands(client, path, [ping, menu]);
+      t.assert.strictEqual(again.applied, false);
+      t.assert.strictEqual(again.unchanged.length, 2);
+      t.assert.strictEqual(
+        fetch.mock.calls.filter(
+          ({ arguments: [, init] }) => init.method === 'PUT',
+        ).length,
+        1,
+      );
+    });
+
+    it('should only show what would change in a dry run', async (t) => {
+      const path = commandsPath('42');
+      const result = await syncCommands(client, path, [ping], {
+        dryRun: true,
+      });
+      t.assert.strictEqual(result.applied, false);
+      t.assert.deepEqual(result.added, [ping]);
+      t.assert.strictEqual(commands.get(path), undefined);
+    });
+
+    it('should remove stale commands', async (t) => {
+      const path = commandsPath('42');
+      await syncCommands(client, path, [ping, menu]);
+
+      const result = await syncCommands(client, path, [ping]);
+      t.assert.deepEqual(
+        result.removed.map(({ name }) => name),
+        ['Export'],
+      );
+      t.assert.deepEqual(
+        commands.get(path).map(({ name }) => name),
+        ['ping'],
+      );
+
+      await syncCommands(client, path, []);
+      t.assert.deepEqual(commands.get(path), []);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import { beforeEach, describe, it } from 'node:test';
+
+import {
+  addJob,
+  cancelJob,
+  describeJobs,
+  dueJobs,
+  guildJobs,
+  parseWhen,
+  removeJob,
+} from '../src/schedules.js';
+import { MemoryKV } from './memory.js';
+
+function makeJob(guildId, dueAt) {
+  return {
+    guildId,
+    channelId: '2',
+    target: { channelId: '1', messageId: '1000' },
+    dueAt,
+  };
+}
+
+describe('Schedules', () => {
+  describe('parseWhen', () => {
+    it('should read Discord and Unix timestamps', (t) => {
+      t.assert.strictEqual(parseWhen('<t:1700000000:f>'), 1700000000000);
+      t.assert.strictEqual(parseWhen('<t:1700000000>'), 1700000000000);
+      t.assert.strictEqual(parseWhen(' 1700000000 '), 1700000000000);
+    });
+
+    it('should read dates with an offset', (t) => {
+      t.assert.strictEqual(
+        parseWhen('2024-05-17T18:00+02:00'),
+        Date.UTC(2024, 4, 17, 16),
+      );
+      t.assert.strictEqual(
+        parseWhen('2024-05-17T18:00:00Z'),
+        Date.UTC(2024, 4, 17, 18),
+      );
+    });
+
+    it('should not guess', (t) => {
+      t.assert.strictEqual(parseWhen('2024-05-17T18:00'), undefined);
+      t.assert.strictEqual(parseWhen('tomorrow'), undefined);
+      t.assert.strictEqual(parseWhen('not a dateZ'), undefined);
+      t.assert.strictEqual(parseWhen(undefined), undefined);
+    });
+  });
+
+  describe('jobs', () => {
+    let kv;
+
+    beforeEach(() => {
+      // Small list pages, to exercise the cursor.
+      kv = new MemoryKV({}, { pageSize: 2 });
+    });
+
+    it('should list the jobs in a server, soonest first', async (t) => {
+      const later = await addJob(kv, makeJob('5', 3000));
+      const sooner = await addJob(kv, makeJob('5', 2000));
+      const soonest = await addJob(kv, makeJob('5', 1000));
+      await addJob(kv, makeJob('6', 1000));
+
+      t.assert.match(later.id, /^[0-9a-f]{8}$/);
+      t.assert.deepEqual(await guildJobs(kv, '5'), [soonest, sooner, later]);
+      t.assert.deepEqual(await guildJobs(kv, '7'), []);
+    });
+
+    it('should find the jobs that are due', async (t) => {
+      const due = await addJob(kv, makeJob('5', 1000));
+      const alsoDue = await addJob(kv, makeJob('6', 2000));
+      await addJob(kv, makeJob('5', 3000));
+
+      const jobs = await dueJobs(kv, 2000);
+      t.assert.deepEqual(
+        jobs.map(({ id }) => id).sort(),
+        [due.id, alsoDue.id].sort(),
+      );
+
+      await removeJob(kv, due);
+      t.assert.deepEqual(await dueJobs(kv, 2000), [alsoDue]);
+    });
+
+    it('should stop listing at the first jobs not yet due', async (t) => {
+      const due = await addJob(kv, makeJob('5', 1000));
+      for (const dueAt of [3000, 4000, 5000, 6000, 7000]) {
+        await addJob(kv, makeJob('5', dueAt));
+      }
+      const list = t.mock.method(kv, 'list');
+
+      t.assert.deepEqual(await dueJobs(kv, 2000), [due]);
+      t.assert.strictEqual(list.mock.callCount(), 1);
+      t.assert.deepEqual(list.mock.calls[0].arguments[0].prefix, 'due:');
+    });
+
+    it("should only cancel a server's own jobs", async (t) => {
+      const job = await addJob(kv, makeJob('5', 1000));
+
+      t.assert.strictEqual(await cancelJob(kv, '6', job.id), false);
+      t.assert.strictEqual(await cancelJob(kv, '5', job.id), true);
+      t.assert.strictEqual(await cancelJob(kv, '5', job.id), false);
+      t.assert.deepEqual(await guildJobs(kv, '5'), []);
+    });
+  });
+
+  it('should describe jobs', (t) => {
+    t.assert.strictEqual(describeJobs([]), 'no exports are scheduled');
+    t.assert.strictEqual(
+      describeJobs([{ ...makeJob('5', 1700000000000), id: 'abcd1234' }]),
+      '`abcd1234` <t:1700000000:f>: https://discord.com/channels/5/1/1000 to <#2>',
+    );
+  });
+});
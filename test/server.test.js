@@ -4,9 +4,42 @@ import {
   InteractionType,
   InteractionResponseFlags,
 } from 'discord-interactions';
-import { REACTION_CSV_COMMAND, INVITE_COMMAND } from '../src/commands.js';
+import {
+  REACTION_CSV_COMMAND,
+  REACTIONS_COMMAND,
+  CHANNEL_REACTIONS_COMMAND,
+  SNAPSHOT_COMMAND,
+  SNAPSHOT_DIFF_COMMAND,
+  SCHEDULE_COMMAND,
+  DRAW_COMMAND,
+  ACCESS_COMMAND,
+  CSV_SETTINGS_COMMAND,
+  INVITE_COMMAND,
+} from '../src/commands.js';
 import server from '../src/server.js';
+import { storeExport } from '../src/storage.js';
 import { encodedEmojiKey } from '../src/util.js';
+import { MemoryBucket, MemoryKV } from './memory.js';
+
+function storageEnv() {
+  return {
+    EXPORTS: new MemoryBucket(),
+    EXPORT_LINK_SECRET: 'shh',
+    PUBLIC_URL: 'http://discordo.example',
+  };
+}
+
+// A server member who can export without being allowed to.
+const moderator = {
+  user: { id: '900' },
+  roles: [],
+  permissions: String(1 << 13), // Manage Messages
+};
+
+// Server 5's roles, where everyone can read every channel.
+const readableRoles = [
+  { id: '5', permissions: String((1 << 10) | (1 << 16)) }, // View, History
+];
 
 function makePostRequest(bodyObj) {
   return new Request('http://discordo.example', {
@@ -60,6 +93,22 @@ function makeReactionCsvRequestBody(reactions) {
   };
 }
 
+function makeReactionsRequestBody(options, type) {
+  return {
+    type: type ?? InteractionType.APPLICATION_COMMAND,
+    guild_id: '5',
+    channel_id: '1',
+    member: moderator,
+    data: {
+      name: REACTIONS_COMMAND.name,
+      options: Object.entries(options).map(([name, value]) => ({
+        name,
+        value,
+      })),
+    },
+  };
+}
+
 describe('Server', () => {
   describe('GET /', () => {
     it('should return a greeting message with the Discord application ID', async (t) => {
@@ -76,14 +125,106 @@ describe('Server', () => {
     });
   });
 
+  describe('GET /exports/:id', () => {
+    it('should serve a stored export with a valid link', async (t) => {
+      const env = storageEnv();
+      const file = { name: 'a.csv', type: 'text/csv', data: 'x,y\n' };
+      const { url } = await storeExport(env, file);
+
+      const response = await server.fetch(new Request(url), env);
+      t.assert.strictEqual(response.status, 200);
+      t.assert.strictEqual(response.headers.get('Content-Type'), 'text/csv');
+      t.assert.strictEqual(
+        response.headers.get('Content-Disposition'),
+        'attachment; filename="a.csv"',
+      );
+      t.assert.strictEqual(await response.text(), 'x,y\n');
+    });
+
+    it('should turn away links that are expired or made up', async (t) => {
+      const env = storageEnv();
+      const file = { name: 'a.csv', type: 'text/csv', data: 'x,y\n' };
+      const { url } = await storeExport(env, file, 0);
+      const forged = url.replace(/token=\d+/, 'token=4102444800000');
+      const repeated = `${url}&token=x`;
+
+      for (const link of [
+        url,
+        forged,
+        repeated,
+        'http://discordo.example/exports/x',
+      ]) {
+        const response = await server.fetch(new Request(link), env);
+        t.assert.strictEqual(response.status, 404);
+      }
+    });
+
+    it('should delete expired exports on the hour', async (t) => {
+      const env = storageEnv();
+      const file = { name: 'a.csv', type: 'text/csv', data: 'x,y\n' };
+      await storeExport(env, file, 0);
+      const pending = [];
+      const ctx = { waitUntil: (promise) => pending.push(promise) };
+
+      // 4102444800000 is on the hour, long after the link expired.
+      server.scheduled({ scheduledTime: 4102444860000 }, env, ctx);
+      await Promise.all(pending);
+      t.assert.strictEqual(env.EXPORTS.objects.size, 1);
+
+      server.scheduled({ scheduledTime: 4102444800000 }, env, ctx);
+      await Promise.all(pending);
+      t.assert.strictEqual(env.EXPORTS.objects.size, 0);
+    });
+  });
+
   describe('POST /', () => {
     let ReactionUserListFetcherMock;
     let env;
+    let ctx;
+    let pending;
+    let edits;
+    let followUps;
+    let apiResponses;
+
+    async function fetchAndWait(request) {
+      const response = await server.fetch(request, env, ctx);
+      await Promise.all(pending);
+      return response;
+    }
 
     beforeEach((t) => {
       env = {
         DISCORD_APPLICATION_ID: '123456789',
       };
+      pending = [];
+      ctx = { waitUntil: (promise) => pending.push(promise) };
+      edits = [];
+      followUps = [];
+      apiResponses = {};
+      t.mock.property(
+        server,
+        'DiscordClient',
+        class DCMock {
+          async get(path) {
+            if (path in apiResponses) return apiResponses[path];
+            throw new Error(`HTTP 404 error: ${path}`);
+          }
+        },
+      );
+      t.mock.property(
+        server,
+        'InteractionWebhook',
+        class IWMock {
+          async editOriginal(message) {
+            edits.push(message);
+            return {};
+          }
+          async followUp(message) {
+            followUps.push(message);
+            return {};
+          }
+        },
+      );
       t.mock.method(globalThis, 'fetch', () => Promise.reject(false));
       t.mock.method(server, 'verifyKey', () => true);
       ReactionUserListFetcherMock = t.mock.property(
@@ -141,6 +282,31 @@ describe('Server', () => {
           body.type,
           InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
         );
+        t.assert.strictEqual(body.data.content, 'no reactions found');
+      });
+
+      it('should defer an ephemeral response', async (t) => {
+        const request = makePostRequest(makeReactionCsvRequestBody({ e: 1 }));
+
+        ReactionUserListFetcherMock.mock.mockImplementation(
+          class RULFMock {
+            async fetch() {
+              return [];
+            }
+          },
+        );
+
+        const response = await fetchAndWait(request);
+        const body = await response.json();
+        t.assert.strictEqual(
+          body.type,
+          InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+        );
+        t.assert.strictEqual(
+          body.data.flags,
+          InteractionResponseFlags.EPHEMERAL,
+        );
+        t.assert.strictEqual(edits.length, 1);
       });
 
       it('should tell the user something went wrong when it did', async (t) => {
@@ -148,27 +314,65 @@ describe('Server', () => {
 
         ReactionUserListFetcherMock.mock.mockImplementation(
           class RULFMock {
-            fetch() {
-              return Promise.reject('error');
+            constructor() {
+              throw new Error('boom');
             }
           },
         );
 
         const err = t.mock.method(globalThis.console, 'error', () => {});
-        const response = await server.fetch(request, env);
+        await fetchAndWait(request);
+        err.mock.restore();
+
+        t.assert.strictEqual(edits.length, 1);
+        t.assert.strictEqual(edits[0].content, 'something went wrong');
+        t.assert.strictEqual(edits[0].files, undefined);
+      });
+
+      it('should report emojis that could not be fetched', async (t) => {
+        const request = makePostRequest(
+          makeReactionCsvRequestBody({ a: 2, b: 1 }),
+        );
+
+        ReactionUserListFetcherMock.mock.mockImplementation(
+          class RULFMock {
+            async fetch({ name }) {
+              if (name === 'a') throw new Error('HTTP 403 error: nope');
+              return [{ id: '1000', username: 'myname' }];
+            }
+          },
+        );
+
+        const err = t.mock.method(globalThis.console, 'error', () => {});
+        await fetchAndWait(request);
         err.mock.restore();
 
-        const body = await response.json();
         t.assert.strictEqual(
-          body.type,
-          InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          edits[0].content,
+          "Skipped 1 emoji that couldn't be fetched:\n" +
+            '- a: HTTP 403 error: nope',
+        );
+        t.assert.strictEqual(
+          edits[0].files[0].data,
+          'emoji,discordUserId,discordUserName,reactionType\nb,1000,myname,normal\n',
         );
+      });
+
+      it('should not attach a file if every emoji failed', async (t) => {
+        const request = makePostRequest(makeReactionCsvRequestBody({ e: 10 }));
+
+        const err = t.mock.method(globalThis.console, 'error', () => {});
+        await fetchAndWait(request);
+        err.mock.restore();
 
-        const content = body?.data?.content;
-        t.assert.strictEqual(content, 'something went wrong');
+        t.assert.strictEqual(
+          edits[0].content,
+          "Skipped 1 emoji that couldn't be fetched:\n- e: error",
+        );
+        t.assert.deepEqual(edits[0].files, []);
       });
 
-      it('should sort and truncate reactions to 30', async (t) => {
+      it('should sort and include every emoji', async (t) => {
         const reactions = {};
         for (let i = 1; i < 35; i++) {
           reactions['e' + i] = i;
@@ -183,24 +387,25 @@ describe('Server', () => {
           },
         );
 
-        const response = await server.fetch(request, env);
-        const body = await response.json();
-        t.assert.strictEqual(body.type, InteractionResponseType.MODAL);
+        await fetchAndWait(request);
+        t.assert.strictEqual(edits.length, 1);
+        const [file] = edits[0].files;
+        t.assert.strictEqual(file.name, 'reactions-1000.csv');
+        t.assert.strictEqual(file.type, 'text/csv');
 
-        const content = body?.data?.components?.[0]?.component?.value;
+        const content = file.data;
         t.assert.strictEqual(typeof content, 'string');
         const contentLines = content.split('\n');
-        // 30 + header + empty last line
-        t.assert.strictEqual(contentLines.length, 32);
+        // 34 + header + empty last line
+        t.assert.strictEqual(contentLines.length, 36);
         t.assert.ok(contentLines[0].includes('emoji'));
-        t.assert.strictEqual(contentLines[1], 'e34,1000,myname');
-        t.assert.strictEqual(contentLines[15], 'e20,1000,myname');
+        t.assert.strictEqual(contentLines[1], 'e34,1000,myname,normal');
+        t.assert.strictEqual(contentLines[15], 'e20,1000,myname,normal');
         t.assert.strictEqual(
           contentLines[contentLines.length - 2],
-          'e5,1000,myname',
+          'e1,1000,myname,normal',
         );
         t.assert.strictEqual(contentLines[contentLines.length - 1], '');
-        //t.assert.ok(result.calledOnce);
       });
 
       it('should include all reacted users in csv', async (t) => {
@@ -236,46 +441,1724 @@ describe('Server', () => {
           },
         );
 
-        const response = await server.fetch(request, env);
-        const body = await response.json();
-        t.assert.strictEqual(body.type, InteractionResponseType.MODAL);
+        await fetchAndWait(request);
+        t.assert.strictEqual(edits[0].content, '');
+        t.assert.strictEqual(
+          edits[0].files[0].data,
+          'emoji,discordUserId,discordUserName,reactionType\n' +
+            'wink,1000,myname,normal\n' +
+            'wink,5000,named,normal\n' +
+            'wink,6000,baz,normal\n' +
+            'wink,7000,bim,normal\n' +
+            'lol:3000,2000,aname,normal\n' +
+            'lol:3000,3000,foibles,normal\n' +
+            'lol:3000,4000,grandma,normal\n' +
+            'a:foo%20bar:1001,1000,myname,normal\n' +
+            'a:foo%20bar:1001,2000,aname,normal\n',
+        );
+      });
+
+      it('should note emojis that hit the user limit', async (t) => {
+        const request = makePostRequest(
+          makeReactionCsvRequestBody({ a: 2, b: 1 }),
+        );
+
+        ReactionUserListFetcherMock.mock.mockImplementation(
+          class RULFMock {
+            maxUsers = 2;
+            async fetch({ name }) {
+              const users = [{ id: '1000', username: 'myname' }];
+              if (name === 'a') {
+                users.push({ id: '2000', username: 'aname' });
+                users.truncated = true;
+              }
+              return users;
+            }
+          },
+        );
+
+        await fetchAndWait(request);
+        t.assert.strictEqual(
+          edits[0].content,
+          'Only the first 2 users were included for: a',
+        );
+        t.assert.strictEqual(
+          edits[0].files[0].data,
+          'emoji,discordUserId,discordUserName,reactionType\n' +
+            'a,1000,myname,normal\n' +
+            'a,2000,aname,normal\n' +
+            'b,1000,myname,normal\n',
+        );
+      });
+
+      it('should export the votes on a poll', async (t) => {
+        const body = makeReactionCsvRequestBody({ yes: 1 });
+        const message = body.data.resolved.messages[body.data.target_id];
+        message.poll = {
+          answers: [
+            { answer_id: 1, poll_media: { text: 'Tuesday' } },
+            { answer_id: 2, poll_media: { text: 'Friday' } },
+          ],
+        };
+        ReactionUserListFetcherMock.mock.mockImplementation(
+          class RULFMock {
+            async fetch() {
+              return [{ id: '3', username: 'three' }];
+            }
+          },
+        );
+        t.mock.property(
+          server,
+          'PollVoterFetcher',
+          class PVFMock {
+            async fetch(answerId) {
+              return answerId === 1
+                ? [
+                    { id: '1', username: 'one' },
+                    { id: '2', username: 'two' },
+                  ]
+                : [];
+            }
+          },
+        );
+
+        await fetchAndWait(makePostRequest(body));
+        t.assert.strictEqual(
+          edits[0].files[0].data,
+          'emoji,discordUserId,discordUserName,reactionType\n' +
+            'Tuesday,1,one,vote\n' +
+            'Tuesday,2,two,vote\n' +
+            'yes,3,three,normal\n',
+        );
+      });
+
+      it('should not give up on a poll without reactions', async (t) => {
+        const body = makeReactionCsvRequestBody();
+        const message = body.data.resolved.messages[body.data.target_id];
+        message.poll = { answers: [] };
 
+        const response = await fetchAndWait(makePostRequest(body));
+        const { type } = await response.json();
         t.assert.strictEqual(
-          body?.data?.components?.[0]?.component?.value,
-          'emoji,discordUserId,discordUserName\n' +
-            'wink,1000,myname\n' +
-            'wink,5000,named\n' +
-            'wink,6000,baz\n' +
-            'wink,7000,bim\n' +
-            'lol:3000,2000,aname\n' +
-            'lol:3000,3000,foibles\n' +
-            'lol:3000,4000,grandma\n' +
-            'a:foo%20bar:1001,1000,myname\n' +
-            'a:foo%20bar:1001,2000,aname\n',
+          type,
+          InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
         );
+        t.assert.strictEqual(edits[0].content, 'no reactions found');
       });
     });
 
-    it('should handle an invite command interaction', async (t) => {
-      const request = makePostRequest({
-        type: InteractionType.APPLICATION_COMMAND,
-        data: {
-          name: INVITE_COMMAND.name,
-        },
+    describe('REACTIONS', () => {
+      const link = 'https://discord.com/channels/5/1/1000';
+
+      beforeEach(() => {
+        apiResponses['/channels/1/messages/1000'] = makeMessageWithReactions({
+          yes: 2,
+          'no:3000': 1,
+        });
+        ReactionUserListFetcherMock.mock.mockImplementation(
+          class RULFMock {
+            async fetch({ name }) {
+              return {
+                yes: [
+                  { id: '1', username: 'one' },
+                  { id: '2', username: 'robot', bot: true },
+                ],
+                no: [{ id: '1', username: 'one' }],
+              }[name];
+            }
+          },
+        );
       });
 
-      const response = await server.fetch(request, env);
-      const body = await response.json();
-      t.assert.strictEqual(
-        body.type,
-        InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-      );
-      t.assert.ok(
-        body.data.content.includes(
-          'https://discord.com/oauth2/authorize?client_id=123456789',
-        ),
-      );
-      t.assert.strictEqual(body.data.flags, InteractionResponseFlags.EPHEMERAL);
+      it('should reject something that is not a message link', async (t) => {
+        const request = makePostRequest(
+          makeReactionsRequestBody({ message: 'nope' }),
+        );
+
+        const response = await fetchAndWait(request);
+        const body = await response.json();
+        t.assert.strictEqual(
+          body.type,
+          InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        );
+        t.assert.strictEqual(
+          body.data.content,
+          "that doesn't look like a message link or ID from this channel",
+        );
+        t.assert.strictEqual(edits.length, 0);
+      });
+
+      it('should reject a message in another server', async (t) => {
+        apiResponses['/channels/7'] = { id: '7', guild_id: '6' };
+        for (const message of [
+          'https://discord.com/channels/6/7/1000',
+          // The link can say it's from this server when it isn't.
+          'https://discord.com/channels/5/7/1000',
+        ]) {
+          const response = await fetchAndWait(
+            makePostRequest(makeReactionsRequestBody({ message })),
+          );
+          const body = await response.json();
+          t.assert.strictEqual(
+            body.data.content,
+            "that message isn't in this server",
+          );
+        }
+        t.assert.strictEqual(edits.length, 0);
+      });
+
+      it('should export a message in another channel in the server', async (t) => {
+        apiResponses['/channels/7'] = { id: '7', guild_id: '5' };
+        apiResponses['/guilds/5/roles'] = readableRoles;
+        apiResponses['/channels/7/messages/1000'] =
+          apiResponses['/channels/1/messages/1000'];
+        const request = makePostRequest(
+          makeReactionsRequestBody({
+            message: 'https://discord.com/channels/5/7/1000',
+          }),
+        );
+
+        await fetchAndWait(request);
+        t.assert.strictEqual(edits[0].files.length, 1);
+      });
+
+      it('should reject a message in a channel the member cannot read', async (t) => {
+        apiResponses['/channels/7'] = {
+          id: '7',
+          guild_id: '5',
+          permission_overwrites: [
+            { id: '5', type: 0, allow: '0', deny: String(1 << 10) },
+            { id: '30', type: 0, allow: String(1 << 10), deny: '0' },
+          ],
+        };
+        apiResponses['/guilds/5/roles'] = readableRoles;
+        const body = makeReactionsRequestBody({
+          message: 'https://discord.com/channels/5/7/1000',
+        });
+        // Allowed to export through /access, but not to see the channel.
+        body.member = { user: { id: '901' }, roles: ['20'], permissions: '0' };
+        env.GUILD_SETTINGS = new MemoryKV({
+          'guild:5': { exportRoleIds: ['20'] },
+        });
+
+        const response = await fetchAndWait(makePostRequest(body));
+        t.assert.strictEqual(
+          (await response.json()).data.content,
+          "you can't read the messages in that channel",
+        );
+        t.assert.strictEqual(edits.length, 0);
+
+        // A role that can see it is enough.
+        body.member.roles.push('30');
+        await fetchAndWait(makePostRequest(body));
+        t.assert.strictEqual(edits.length, 1);
+      });
+
+      it('should export the linked message', async (t) => {
+        const request = makePostRequest(
+          makeReactionsRequestBody({ message: link }),
+        );
+
+        const response = await fetchAndWait(request);
+        const body = await response.json();
+        t.assert.strictEqual(
+          body.type,
+          InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+        );
+        t.assert.deepEqual(edits[0].files, [
+          {
+            name: 'reactions-1000.csv',
+            type: 'text/csv',
+            data:
+              'emoji,discordUserId,discordUserName,reactionType\n' +
+              'yes,1,one,normal\n' +
+              'yes,2,robot,normal\n' +
+              'no:3000,1,one,normal\n',
+          },
+        ]);
+      });
+
+      it('should export a message ID from this channel', async (t) => {
+        const request = makePostRequest(
+          makeReactionsRequestBody({ message: '1000' }),
+        );
+
+        await fetchAndWait(request);
+        t.assert.strictEqual(edits[0].files[0].name, 'reactions-1000.csv');
+      });
+
+      it('should apply the export options', async (t) => {
+        const request = makePostRequest(
+          makeReactionsRequestBody({
+            message: link,
+            format: 'json',
+            layout: 'users',
+            emoji: 'yes',
+            reaction_type: 'normal',
+            include_bots: false,
+          }),
+        );
+
+        await fetchAndWait(request);
+        const [file] = edits[0].files;
+        t.assert.strictEqual(file.name, 'reactions-1000.json');
+        t.assert.deepEqual(JSON.parse(file.data), [
+          {
+            discordUserId: '1',
+            discordUserName: 'one',
+            yes: 'x',
+            totalReactions: 1,
+          },
+        ]);
+      });
+
+      it('should add the requested user columns', async (t) => {
+        const GuildMemberFetcherMock = t.mock.property(
+          server,
+          'GuildMemberFetcher',
+          class GMFMock {
+            constructor(guildId) {
+              this.guildId = guildId;
+            }
+            async fetchMany(userIds) {
+              t.assert.strictEqual(this.guildId, '5');
+              t.assert.deepEqual(userIds, ['1', '2', '1']);
+              return new Map([['1', { nick: 'Uno' }]]);
+            }
+          },
+        );
+
+        const body = makeReactionsRequestBody({
+          message: link,
+          columns: 'nickname,bot',
+        });
+        await fetchAndWait(makePostRequest(body));
+        GuildMemberFetcherMock.mock.restore();
+
+        t.assert.strictEqual(
+          edits[0].files[0].data,
+          'emoji,discordUserId,discordUserName,discordNickname,discordIsBot,reactionType\n' +
+            'yes,1,one,Uno,false,normal\n' +
+            'yes,2,robot,,true,normal\n' +
+            'no:3000,1,one,Uno,false,normal\n',
+        );
+      });
+
+      it('should leave nicknames empty outside of a guild', async (t) => {
+        const body = makeReactionsRequestBody({
+          message: 'https://discord.com/channels/@me/1/1000',
+          columns: 'nickname',
+        });
+        delete body.guild_id;
+        delete body.member;
+
+        await fetchAndWait(makePostRequest(body));
+        t.assert.strictEqual(
+          edits[0].files[0].data,
+          'emoji,discordUserId,discordUserName,discordNickname,reactionType\n' +
+            'yes,1,one,,normal\n' +
+            'yes,2,robot,,normal\n' +
+            'no:3000,1,one,,normal\n',
+        );
+      });
+
+      it('should label emojis from the message', async (t) => {
+        apiResponses['/channels/1/messages/1000'].content =
+          'Coming?\n✅ yes\n<:no:3000> = not this time';
+        const request = makePostRequest(
+          makeReactionsRequestBody({ message: link, layout: 'users' }),
+        );
+
+        await fetchAndWait(request);
+        t.assert.strictEqual(
+          edits[0].files[0].data.split('\n')[0],
+          'discordUserId,discordUserName,yes,not this time,totalReactions',
+        );
+      });
+
+      it('should label emojis as asked', async (t) => {
+        const request = makePostRequest(
+          makeReactionsRequestBody({
+            message: link,
+            labels: '<:no:3000>=nope',
+          }),
+        );
+
+        await fetchAndWait(request);
+        t.assert.deepEqual(edits[0].files[0].data.split('\n').slice(0, 2), [
+          'emoji,option,discordUserId,discordUserName,reactionType',
+          'yes,,1,one,normal',
+        ]);
+        t.assert.match(edits[0].files[0].data, /no:3000,nope,1,one,normal/);
+      });
+
+      it('should reject labels it cannot make out', async (t) => {
+        const request = makePostRequest(
+          makeReactionsRequestBody({ message: link, labels: 'yes please' }),
+        );
+
+        const response = await fetchAndWait(request);
+        const body = await response.json();
+        t.assert.match(body.data.content, /couldn't find any labels/);
+        t.assert.strictEqual(edits.length, 0);
+      });
+
+      it('should link to the export when asked', async (t) => {
+        Object.assign(env, storageEnv());
+        const request = makePostRequest(
+          makeReactionsRequestBody({ message: link, link: true }),
+        );
+
+        await fetchAndWait(request);
+        t.assert.deepEqual(edits[0].files, []);
+        const [url] = edits[0].content.match(/http:\/\/discordo[^>]+/);
+        const response = await server.fetch(new Request(url), env);
+        t.assert.match(await response.text(), /^emoji,discordUserId/);
+        // The buttons still work on a linked export.
+        t.assert.strictEqual(edits[0].components.length, 2);
+      });
+
+      it('should attach a summary', async (t) => {
+        const request = makePostRequest(
+          makeReactionsRequestBody({ message: link, summary: true }),
+        );
+
+        await fetchAndWait(request);
+        t.assert.match(edits[0].content, /^\*\*Summary:\*\* 2 people reacted/m);
+        t.assert.deepEqual(edits[0].files[1], {
+          name: 'reactions-1000-summary.csv',
+          type: 'text/csv',
+          data:
+            'emoji,reactions,people,yes,no:3000\n' +
+            'yes,2,2,2,1\n' +
+            'no:3000,1,1,1,1\n',
+        });
+      });
+
+      it('should add the emoji columns', async (t) => {
+        const request = makePostRequest(
+          makeReactionsRequestBody({ message: link, emoji_columns: true }),
+        );
+
+        await fetchAndWait(request);
+        t.assert.deepEqual(edits[0].files[0].data.split('\n').slice(0, 2), [
+          'emoji,emojiShortcode,emojiAsciiName,emojiAnimated,emojiUrl,discordUserId,discordUserName,reactionType',
+          'yes,,u79_u65_u73,false,,1,one,normal',
+        ]);
+      });
+
+      it('should write CSV with the delimiter and quoting asked for', async (t) => {
+        const request = makePostRequest(
+          makeReactionsRequestBody({
+            message: link,
+            delimiter: 'semicolon',
+            quote_all: true,
+          }),
+        );
+
+        await fetchAndWait(request);
+        t.assert.deepEqual(edits[0].files[0].data.split('\n').slice(0, 2), [
+          '"emoji";"discordUserId";"discordUserName";"reactionType"',
+          '"yes";"1";"one";"normal"',
+        ]);
+      });
+
+      it('should reject unknown columns', async (t) => {
+        const request = makePostRequest(
+          makeReactionsRequestBody({ message: link, columns: 'bot, email' }),
+        );
+
+        const response = await fetchAndWait(request);
+        const body = await response.json();
+        t.assert.strictEqual(
+          body.data.content,
+          'unknown columns: email (try display_name, nickname, bot, avatar, or all)',
+        );
+        t.assert.strictEqual(edits.length, 0);
+      });
+
+      it('should apply and describe the filters', async (t) => {
+        apiResponses['/channels/1/messages/1000'].author = { id: '2' };
+        t.mock.property(
+          server,
+          'GuildMemberFetcher',
+          class GMFMock {
+            async fetchMany() {
+              return new Map([
+                ['1', { roles: ['20'] }],
+                ['2', { roles: ['20'] }],
+              ]);
+            }
+          },
+        );
+
+        const body = makeReactionsRequestBody({
+          message: link,
+          exclude_author: true,
+          role: '20',
+          dedupe: true,
+        });
+        await fetchAndWait(makePostRequest(body));
+
+        t.assert.strictEqual(
+          edits[0].content,
+          'Filters: excluded the message author, only members with <@&20>, ' +
+            'each user only listed for their first emoji',
+        );
+        t.assert.strictEqual(
+          edits[0].files[0].data,
+          'emoji,discordUserId,discordUserName,reactionType\n' +
+            'yes,1,one,normal\n',
+        );
+      });
+
+      it('should list who has not reacted', async (t) => {
+        apiResponses['/channels/1/messages/1000'].author = { id: '3' };
+        const allMembers = [
+          { user: { id: '1', username: 'one' }, roles: ['20'] },
+          { user: { id: '2', username: 'robot', bot: true }, roles: ['20'] },
+          { user: { id: '3', username: 'author' }, roles: ['20'] },
+          { user: { id: '4', username: 'four' }, roles: ['20'] },
+          { user: { id: '5', username: 'five' }, roles: [] },
+        ];
+        allMembers.truncated = true;
+        t.mock.property(
+          server,
+          'GuildMemberFetcher',
+          class GMFMock {
+            maxMembers = 5;
+            async fetchAll() {
+              return allMembers;
+            }
+          },
+        );
+
+        const body = makeReactionsRequestBody({
+          message: link,
+          layout: 'members',
+          role: '20',
+          include_bots: false,
+          exclude_author: true,
+        });
+        await fetchAndWait(makePostRequest(body));
+
+        t.assert.strictEqual(
+          edits[0].content,
+          'Filters: excluded bots, excluded the message author, only members with <@&20>\n' +
+            'Only the first 5 server members were checked\n' +
+            "1 of 2 members with <@&20> haven't reacted: <@4>",
+        );
+        t.assert.strictEqual(
+          edits[0].files[0].data,
+          'discordUserId,discordUserName,yes,no:3000,reacted\n' +
+            '1,one,x,x,true\n' +
+            '4,four,,,false\n',
+        );
+      });
+
+      it('should not clip the download link off a long export', async (t) => {
+        Object.assign(env, storageEnv());
+        const allMembers = Array.from({ length: 200 }, (_, i) => ({
+          user: {
+            id: String(100000000000000000n + BigInt(i)),
+            username: `member${i}`,
+          },
+          roles: [],
+        }));
+        t.mock.property(
+          server,
+          'GuildMemberFetcher',
+          class GMFMock {
+            async fetchAll() {
+              return allMembers;
+            }
+          },
+        );
+
+        const body = makeReactionsRequestBody({
+          message: link,
+          layout: 'members',
+          link: true,
+        });
+        await fetchAndWait(makePostRequest(body));
+
+        const { content } = edits[0];
+        t.assert.strictEqual(content.length, 2000);
+        t.assert.match(content, /^Download \[reactions-1000\.csv\]/);
+        t.assert.match(content, /200 of 200 members haven't reacted/);
+      });
+
+      it('should only list members in a server', async (t) => {
+        const body = makeReactionsRequestBody({
+          message: 'https://discord.com/channels/@me/1/1000',
+          layout: 'members',
+        });
+        delete body.guild_id;
+        delete body.member;
+
+        const response = await fetchAndWait(makePostRequest(body));
+        t.assert.strictEqual(
+          (await response.json()).data.content,
+          'the members layout only works in a server',
+        );
+      });
+
+      it('should say when the emoji is not on the message', async (t) => {
+        const request = makePostRequest(
+          makeReactionsRequestBody({ message: link, emoji: 'maybe' }),
+        );
+
+        await fetchAndWait(request);
+        t.assert.deepEqual(edits, [{ content: 'no reactions found' }]);
+      });
+
+      it('should say when the message cannot be loaded', async (t) => {
+        const request = makePostRequest(
+          makeReactionsRequestBody({
+            message: 'https://discord.com/channels/5/1/2000',
+          }),
+        );
+
+        const err = t.mock.method(globalThis.console, 'error', () => {});
+        await fetchAndWait(request);
+        err.mock.restore();
+
+        t.assert.deepEqual(edits, [
+          {
+            content:
+              "couldn't load that message: HTTP 404 error: /channels/1/messages/2000",
+          },
+        ]);
+      });
+
+      describe('components', () => {
+        // What clicking `label` (or picking from the select menu) on
+        // `message` sends us.
+        function makeComponentRequest(message, label, values) {
+          const component = message.components
+            .flatMap((row) => row.components)
+            .find((c) => (values ? c.options : c.label === label));
+          return makePostRequest({
+            type: InteractionType.MESSAGE_COMPONENT,
+            channel_id: '1',
+            message,
+            data: { custom_id: component.custom_id, values },
+          });
+        }
+
+        async function exportLink(options = {}) {
+          await fetchAndWait(
+            makePostRequest(
+              makeReactionsRequestBody({ message: link, ...options }),
+            ),
+          );
+          return edits.shift();
+        }
+
+        it('should come with buttons and an emoji menu', async (t) => {
+          const [buttons, menu] = (await exportLink()).components;
+          t.assert.deepEqual(
+            buttons.components.map(({ label }) => label),
+            [
+              'Download as JSON',
+              'Include nicknames',
+              'Pivot by user',
+              'Columns…',
+              'Post publicly',
+            ],
+          );
+          t.assert.deepEqual(
+            menu.components[0].options.map(({ value }) => value),
+            ['yes', 'no:3000'],
+          );
+        });
+
+        it('should export again with a button', async (t) => {
+          const message = await exportLink();
+          const response = await fetchAndWait(
+            makeComponentRequest(message, 'Download as JSON'),
+          );
+          const body = await response.json();
+          t.assert.strictEqual(
+            body.type,
+            InteractionResponseType.DEFERRED_UPDATE_MESSAGE,
+          );
+          t.assert.strictEqual(edits[0].files[0].name, 'reactions-1000.json');
+          t.assert.strictEqual(
+            edits[0].components[0].components[0].label,
+            'Download as CSV',
+          );
+        });
+
+        it('should keep typed labels', async (t) => {
+          const message = await exportLink({ labels: '<:no:3000>=not: me.' });
+          await fetchAndWait(makeComponentRequest(message, 'Pivot by user'));
+          t.assert.strictEqual(
+            edits[0].files[0].data.split('\n')[0],
+            'discordUserId,discordUserName,yes,not: me.,totalReactions',
+          );
+        });
+
+        it('should leave out buttons with labels too long for them', async (t) => {
+          const message = await exportLink({
+            labels: `<:no:3000>=${'not attending '.repeat(5)}`,
+          });
+          t.assert.deepEqual(message.components, []);
+          t.assert.match(message.content, /labels are too long/);
+        });
+
+        it('should keep to the emojis picked', async (t) => {
+          let message = await exportLink();
+          await fetchAndWait(
+            makeComponentRequest(message, undefined, ['no:3000']),
+          );
+          message = edits.shift();
+          t.assert.strictEqual(
+            message.files[0].data,
+            'emoji,discordUserId,discordUserName,reactionType\n' +
+              'no:3000,1,one,normal\n',
+          );
+
+          // Other buttons remember the pick.
+          await fetchAndWait(makeComponentRequest(message, 'Pivot by user'));
+          t.assert.strictEqual(
+            edits[0].files[0].data,
+            'discordUserId,discordUserName,no:3000,totalReactions\n' +
+              '1,one,x,1\n',
+          );
+          const [, menu] = edits[0].components;
+          t.assert.deepEqual(
+            menu.components[0].options.map((option) => option.default),
+            [undefined, true],
+          );
+        });
+
+        it('should ask for columns in a modal', async (t) => {
+          const message = await exportLink();
+          const response = await fetchAndWait(
+            makeComponentRequest(message, 'Columns…'),
+          );
+          const { type, data } = await response.json();
+          t.assert.strictEqual(type, InteractionResponseType.MODAL);
+
+          function submit(value) {
+            return makePostRequest({
+              type: InteractionType.MODAL_SUBMIT,
+              channel_id: '1',
+              message,
+              data: {
+                custom_id: data.custom_id,
+                components: [
+                  { type: 1, components: [{ custom_id: 'columns', value }] },
+                ],
+              },
+            });
+          }
+
+          const rejected = await fetchAndWait(submit('bot, email'));
+          t.assert.match((await rejected.json()).data.content, /email/);
+          t.assert.strictEqual(edits.length, 0);
+
+          await fetchAndWait(submit('bot'));
+          t.assert.strictEqual(
+            edits[0].files[0].data.split('\n')[0],
+            'emoji,discordUserId,discordUserName,discordIsBot,reactionType',
+          );
+        });
+
+        it('should post publicly without the buttons', async (t) => {
+          const message = await exportLink();
+          await fetchAndWait(makeComponentRequest(message, 'Post publicly'));
+          t.assert.strictEqual(edits.length, 0);
+          t.assert.strictEqual(followUps.length, 1);
+          t.assert.strictEqual(
+            followUps[0].files[0].name,
+            'reactions-1000.csv',
+          );
+          t.assert.strictEqual(followUps[0].components, undefined);
+        });
+
+        it('should reject components it did not make', async (t) => {
+          const response = await server.fetch(
+            makePostRequest({
+              type: InteractionType.MESSAGE_COMPONENT,
+              data: { custom_id: 'something:else' },
+            }),
+            env,
+          );
+          t.assert.strictEqual(response.status, 400);
+        });
+      });
+
+      describe('autocomplete', () => {
+        function makeAutocompleteRequest(options) {
+          return makePostRequest(
+            makeReactionsRequestBody(
+              options,
+              InteractionType.APPLICATION_COMMAND_AUTOCOMPLETE,
+            ),
+          );
+        }
+
+        it('should suggest the emojis on the message', async (t) => {
+          const response = await server.fetch(
+            makeAutocompleteRequest({ message: link, emoji: '' }),
+            env,
+          );
+          const body = await response.json();
+          t.assert.strictEqual(
+            body.type,
+            InteractionResponseType.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
+          );
+          t.assert.deepEqual(body.data.choices, [
+            { name: 'yes (2)', value: 'yes' },
+            { name: 'no (1)', value: 'no:3000' },
+          ]);
+        });
+
+        it('should narrow suggestions to what was typed', async (t) => {
+          const response = await server.fetch(
+            makeAutocompleteRequest({ message: link, emoji: 'N' }),
+            env,
+          );
+          const body = await response.json();
+          t.assert.deepEqual(body.data.choices, [
+            { name: 'no (1)', value: 'no:3000' },
+          ]);
+        });
+
+        it('should suggest nothing for a message in another server', async (t) => {
+          apiResponses['/channels/7/messages/1000'] =
+            apiResponses['/channels/1/messages/1000'];
+          apiResponses['/channels/7'] = { id: '7', guild_id: '6' };
+          for (const message of [
+            'https://discord.com/channels/6/7/1000',
+            'https://discord.com/channels/5/7/1000',
+          ]) {
+            const response = await server.fetch(
+              makeAutocompleteRequest({ message, emoji: '' }),
+              env,
+            );
+            t.assert.deepEqual((await response.json()).data.choices, []);
+          }
+        });
+
+        it('should suggest nothing without a message', async (t) => {
+          let response = await server.fetch(
+            makeAutocompleteRequest({ emoji: 'n' }),
+            env,
+          );
+          t.assert.deepEqual((await response.json()).data.choices, []);
+
+          const err = t.mock.method(globalThis.console, 'error', () => {});
+          response = await server.fetch(
+            makeAutocompleteRequest({ message: '2000' }),
+            env,
+          );
+          err.mock.restore();
+          t.assert.deepEqual((await response.json()).data.choices, []);
+        });
+
+        it('should reject autocomplete for an unknown command', async (t) => {
+          const response = await server.fetch(
+            makePostRequest({
+              type: InteractionType.APPLICATION_COMMAND_AUTOCOMPLETE,
+              data: { name: 'unknown' },
+            }),
+            env,
+          );
+          t.assert.strictEqual(response.status, 400);
+        });
+      });
+    });
+
+    it('should handle an invite command interaction', async (t) => {
+      const request = makePostRequest({
+        type: InteractionType.APPLICATION_COMMAND,
+        data: {
+          name: INVITE_COMMAND.name,
+        },
+      });
+
+      const response = await server.fetch(request, env);
+      const body = await response.json();
+      t.assert.strictEqual(
+        body.type,
+        InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      );
+      t.assert.ok(
+        body.data.content.includes(
+          'https://discord.com/oauth2/authorize?client_id=123456789',
+        ),
+      );
+      t.assert.strictEqual(body.data.flags, InteractionResponseFlags.EPHEMERAL);
+    });
+
+    describe('SNAPSHOT', () => {
+      let users;
+
+      function makeSnapshotRequestBody(command, options) {
+        return {
+          ...makeReactionsRequestBody(options),
+          data: {
+            name: command.name,
+            options: Object.entries(options).map(([name, value]) => ({
+              name,
+              value,
+            })),
+          },
+        };
+      }
+
+      beforeEach(() => {
+        env.SNAPSHOTS = new MemoryKV();
+        apiResponses['/channels/1/messages/1000'] = makeMessageWithReactions({
+          yes: 2,
+        });
+        users = [
+          { id: '1', username: 'one' },
+          { id: '2', username: 'two' },
+        ];
+        ReactionUserListFetcherMock.mock.mockImplementation(
+          class RULFMock {
+            async fetch() {
+              return users;
+            }
+          },
+        );
+      });
+
+      it('should need somewhere to keep snapshots', async (t) => {
+        delete env.SNAPSHOTS;
+        const request = makePostRequest(
+          makeSnapshotRequestBody(SNAPSHOT_COMMAND, {
+            message: '1000',
+            name: 'friday',
+          }),
+        );
+
+        const response = await fetchAndWait(request);
+        const body = await response.json();
+        t.assert.strictEqual(
+          body.data.content,
+          "snapshots aren't set up here (there's no SNAPSHOTS KV namespace)",
+        );
+      });
+
+      it('should export what changed since a snapshot', async (t) => {
+        await fetchAndWait(
+          makePostRequest(
+            makeSnapshotRequestBody(SNAPSHOT_COMMAND, {
+              message: '1000',
+              name: 'Friday',
+            }),
+          ),
+        );
+        t.assert.strictEqual(edits[0].content, 'Saved 2 reactions as "Friday"');
+
+        users = [
+          { id: '2', username: 'two' },
+          { id: '3', username: 'three' },
+        ];
+        await fetchAndWait(
+          makePostRequest(
+            makeSnapshotRequestBody(SNAPSHOT_DIFF_COMMAND, {
+              message: '1000',
+              name: 'friday',
+            }),
+          ),
+        );
+        t.assert.match(
+          edits[1].content,
+          /^1 added and 1 removed since "Friday" was saved <t:\d+:R>$/,
+        );
+        t.assert.deepEqual(edits[1].files, [
+          {
+            name: 'reactions-diff-1000.csv',
+            type: 'text/csv',
+            data:
+              'change,emoji,discordUserId,discordUserName,reactionType\n' +
+              'added,yes,3,three,normal\n' +
+              'removed,yes,1,one,normal\n',
+          },
+        ]);
+      });
+
+      it('should leave emojis that fail to load out of a diff', async (t) => {
+        apiResponses['/channels/1/messages/1000'] = makeMessageWithReactions({
+          yes: 2,
+          no: 1,
+        });
+        await fetchAndWait(
+          makePostRequest(
+            makeSnapshotRequestBody(SNAPSHOT_COMMAND, {
+              message: '1000',
+              name: 'Friday',
+            }),
+          ),
+        );
+        t.assert.strictEqual(edits[0].content, 'Saved 4 reactions as "Friday"');
+
+        users = [{ id: '1', username: 'one' }];
+        server.ReactionUserListFetcher.prototype.fetch = async ({ name }) => {
+          if (name === 'no') throw new Error('HTTP 500 error: Server Error');
+          return users;
+        };
+        const err = t.mock.method(globalThis.console, 'error', () => {});
+        await fetchAndWait(
+          makePostRequest(
+            makeSnapshotRequestBody(SNAPSHOT_DIFF_COMMAND, {
+              message: '1000',
+              name: 'friday',
+            }),
+          ),
+        );
+        err.mock.restore();
+        t.assert.match(
+          edits[1].content,
+          /^0 added and 1 removed since "Friday" was saved <t:\d+:R>\nLeft out no, since not everyone who reacted with them could be fetched\nSkipped 1 emoji/,
+        );
+        t.assert.strictEqual(
+          edits[1].files[0].data,
+          'change,emoji,discordUserId,discordUserName,reactionType\n' +
+            'removed,yes,2,two,normal\n',
+        );
+      });
+
+      it('should say when there is no such snapshot', async (t) => {
+        await fetchAndWait(
+          makePostRequest(
+            makeSnapshotRequestBody(SNAPSHOT_DIFF_COMMAND, {
+              message: '1000',
+              name: 'friday',
+            }),
+          ),
+        );
+        t.assert.strictEqual(
+          edits[0].content,
+          'there\'s no snapshot named "friday" of that message',
+        );
+      });
+    });
+
+    describe('ACCESS', () => {
+      const member = { user: { id: '901' }, roles: ['20'], permissions: '0' };
+      const admin = { ...member, permissions: String(1 << 5) }; // Manage Server
+
+      function makeAccessRequestBody(subcommand, options = {}, who = admin) {
+        return {
+          type: InteractionType.APPLICATION_COMMAND,
+          guild_id: '5',
+          channel_id: '1',
+          member: who,
+          data: {
+            name: ACCESS_COMMAND.name,
+            options: [
+              {
+                type: 1,
+                name: subcommand,
+                options: Object.entries(options).map(([name, value]) => ({
+                  name,
+                  value,
+                })),
+              },
+            ],
+          },
+        };
+      }
+
+      async function access(subcommand, options, who) {
+        const request = makePostRequest(
+          makeAccessRequestBody(subcommand, options, who),
+        );
+        const response = await fetchAndWait(request);
+        return (await response.json()).data.content;
+      }
+
+      async function exportAs(who) {
+        const request = makePostRequest({
+          ...makeReactionsRequestBody({ message: '1000' }),
+          guild_id: '5',
+          member: who,
+        });
+        const response = await fetchAndWait(request);
+        return await response.json();
+      }
+
+      beforeEach(() => {
+        env.GUILD_SETTINGS = new MemoryKV();
+      });
+
+      it('should keep exports to moderators by default', async (t) => {
+        const body = await exportAs(member);
+        t.assert.strictEqual(
+          body.type,
+          InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        );
+        t.assert.strictEqual(
+          body.data.content,
+          "you don't have permission to export reactions here",
+        );
+        t.assert.strictEqual(edits.length, 0);
+
+        t.assert.strictEqual(
+          (await exportAs(moderator)).type,
+          InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+        );
+      });
+
+      it('should let admins allow more roles', async (t) => {
+        t.assert.strictEqual(
+          await access('allow', { role: '20' }),
+          'Exports are open to members with Manage Messages, <@&20>',
+        );
+        t.assert.strictEqual(
+          (await exportAs(member)).type,
+          InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+        );
+
+        t.assert.strictEqual(
+          await access('disallow', { role: '20' }),
+          'Exports are open to members with Manage Messages',
+        );
+        t.assert.strictEqual(
+          await access('show'),
+          'Exports are open to members with Manage Messages',
+        );
+        t.assert.strictEqual(
+          (await exportAs(member)).type,
+          InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        );
+      });
+
+      it("should only export a DM's own messages", async (t) => {
+        const dm = (options) => {
+          const body = makeReactionsRequestBody(options);
+          delete body.guild_id;
+          delete body.member;
+          body.user = { id: '901' };
+          return makePostRequest(body);
+        };
+        const fetched = [];
+        t.mock.method(server.DiscordClient.prototype, 'get', async (path) => {
+          fetched.push(path);
+          throw new Error(`HTTP 404 error: ${path}`);
+        });
+
+        for (const message of [
+          'https://discord.com/channels/999/123/456',
+          'https://discord.com/channels/@me/123/456',
+        ]) {
+          const body = await (await fetchAndWait(dm({ message }))).json();
+          t.assert.strictEqual(
+            body.data.content,
+            "that message isn't in this DM",
+          );
+        }
+        t.assert.deepEqual(fetched, []);
+        t.assert.strictEqual(edits.length, 0);
+      });
+
+      it('should only let admins change access', async (t) => {
+        t.assert.strictEqual(
+          await access('allow', { role: '20' }, member),
+          'you need Manage Server to change these settings',
+        );
+      });
+    });
+
+    describe('CSV_SETTINGS', () => {
+      const admin = { ...moderator, permissions: String(1 << 5) }; // Manage Server
+
+      function makeSettingsRequestBody(subcommand, options = {}) {
+        return {
+          type: InteractionType.APPLICATION_COMMAND,
+          guild_id: '5',
+          channel_id: '1',
+          member: admin,
+          data: {
+            name: CSV_SETTINGS_COMMAND.name,
+            options: [
+              {
+                type: 1,
+                name: subcommand,
+                options: Object.entries(options).map(([name, value]) => ({
+                  name,
+                  value,
+                })),
+              },
+            ],
+          },
+        };
+      }
+
+      async function settings(subcommand, options) {
+        const request = makePostRequest(
+          makeSettingsRequestBody(subcommand, options),
+        );
+        const response = await fetchAndWait(request);
+        return (await response.json()).data.content;
+      }
+
+      beforeEach(() => {
+        env.GUILD_SETTINGS = new MemoryKV();
+        apiResponses['/channels/1/messages/1000'] = makeMessageWithReactions({
+          yes: 2,
+        });
+        ReactionUserListFetcherMock.mock.mockImplementation(
+          class RULFMock {
+            async fetch() {
+              return [
+                { id: '1', username: 'one' },
+                { id: '2', username: 'robot', bot: true },
+              ];
+            }
+          },
+        );
+      });
+
+      it('should set, show and reset defaults', async (t) => {
+        t.assert.strictEqual(
+          await settings('show'),
+          'No defaults are set for this server',
+        );
+        t.assert.strictEqual(
+          await settings('set', { format: 'tsv', include_bots: false }),
+          'Defaults for this server:\nformat: tsv\ninclude_bots: false',
+        );
+        t.assert.strictEqual(
+          await settings('set', { columns: 'bot' }),
+          'Defaults for this server:\nformat: tsv\ncolumns: bot\ninclude_bots: false',
+        );
+        t.assert.strictEqual(
+          await settings('reset'),
+          'No defaults are set for this server',
+        );
+      });
+
+      it('should reject unknown columns', async (t) => {
+        t.assert.match(
+          await settings('set', { columns: 'shoe_size' }),
+          /^unknown columns: shoe_size/,
+        );
+      });
+
+      it('should apply the defaults to exports', async (t) => {
+        await settings('set', { format: 'tsv', include_bots: false });
+
+        const exportAs = async (options) => {
+          const request = makePostRequest({
+            ...makeReactionsRequestBody({ message: '1000', ...options }),
+            guild_id: '5',
+            member: moderator,
+          });
+          await fetchAndWait(request);
+          return edits.at(-1).files[0];
+        };
+
+        t.assert.deepEqual(await exportAs({}), {
+          name: 'reactions-1000.tsv',
+          type: 'text/tab-separated-values',
+          data:
+            'emoji\tdiscordUserId\tdiscordUserName\treactionType\n' +
+            'yes\t1\tone\tnormal\n',
+        });
+        // Options given with the command win.
+        const file = await exportAs({ format: 'csv', include_bots: true });
+        t.assert.strictEqual(file.name, 'reactions-1000.csv');
+        t.assert.match(file.data, /robot/);
+      });
+    });
+
+    describe('SCHEDULE', () => {
+      let entries;
+
+      function makeScheduleRequestBody(subcommand, options = {}) {
+        return {
+          type: InteractionType.APPLICATION_COMMAND,
+          guild_id: '5',
+          member: moderator,
+          channel_id: '1',
+          data: {
+            name: SCHEDULE_COMMAND.name,
+            options: [
+              {
+                type: 1,
+                name: subcommand,
+                options: Object.entries(options).map(([name, value]) => ({
+                  name,
+                  value,
+                })),
+              },
+            ],
+          },
+        };
+      }
+
+      async function schedule(subcommand, options) {
+        const request = makePostRequest(
+          makeScheduleRequestBody(subcommand, options),
+        );
+        const response = await fetchAndWait(request);
+        return (await response.json()).data.content;
+      }
+
+      beforeEach(() => {
+        env.SCHEDULED_EXPORTS = new MemoryKV();
+        ({ entries } = env.SCHEDULED_EXPORTS);
+      });
+
+      it('should add, list and cancel exports', async (t) => {
+        const added = await schedule('add', {
+          message: '1000',
+          when: '<t:4102444800>',
+          channel: '2',
+        });
+        const [, id] = added.match(/^Scheduled `(\w+)` /);
+        t.assert.strictEqual(
+          added,
+          `Scheduled \`${id}\` <t:4102444800:f>: https://discord.com/channels/5/1/1000 to <#2>`,
+        );
+        t.assert.strictEqual(
+          await schedule('list'),
+          added.replace('Scheduled ', ''),
+        );
+
+        t.assert.strictEqual(
+          await schedule('cancel', { id }),
+          `canceled \`${id}\``,
+        );
+        t.assert.strictEqual(
+          await schedule('list'),
+          'no exports are scheduled',
+        );
+        t.assert.strictEqual(
+          await schedule('cancel', { id }),
+          `there's no scheduled export \`${id}\``,
+        );
+      });
+
+      it('should reject times it cannot use', async (t) => {
+        t.assert.match(
+          await schedule('add', { message: '1000', when: 'soon' }),
+          /^that doesn't look like a time/,
+        );
+        t.assert.strictEqual(
+          await schedule('add', { message: '1000', when: '<t:1000>' }),
+          'that time has already passed',
+        );
+      });
+
+      it('should post due exports to their channel', async (t) => {
+        apiResponses['/channels/1/messages/1000'] = makeMessageWithReactions({
+          yes: 1,
+        });
+        ReactionUserListFetcherMock.mock.mockImplementation(
+          class RULFMock {
+            async fetch() {
+              return [{ id: '1', username: 'one' }];
+            }
+          },
+        );
+        const sent = [];
+        t.mock.property(
+          server,
+          'ChannelMessageSender',
+          class CMSMock {
+            constructor(channelId) {
+              this.channelId = channelId;
+            }
+            async send(message) {
+              sent.push({ channelId: this.channelId, ...message });
+            }
+          },
+        );
+
+        await schedule('add', {
+          message: '1000',
+          when: '<t:4102444800>',
+          layout: 'users',
+        });
+        await schedule('add', { message: '1000', when: '<t:4102448400>' });
+        env.GUILD_SETTINGS = new MemoryKV({
+          'guild:5': { defaults: { format: 'tsv', layout: 'members' } },
+        });
+
+        const controller = { scheduledTime: 4102444800000 };
+        server.scheduled(controller, env, ctx);
+        await Promise.all(pending);
+
+        t.assert.deepEqual(sent, [
+          {
+            channelId: '1',
+            content:
+              'Scheduled export of https://discord.com/channels/5/1/1000',
+            files: [
+              {
+                name: 'reactions-1000.tsv',
+                type: 'text/tab-separated-values',
+                data: 'discordUserId\tdiscordUserName\tyes\ttotalReactions\n1\tone\tx\t1\n',
+              },
+            ],
+          },
+        ]);
+        // Both of the other job's keys are left.
+        t.assert.strictEqual(entries.size, 2);
+      });
+
+      it('should tell whoever scheduled an export it failed', async (t) => {
+        apiResponses['/channels/1/messages/1000'] = makeMessageWithReactions({
+          yes: 1,
+        });
+        ReactionUserListFetcherMock.mock.mockImplementation(
+          class RULFMock {
+            async fetch() {
+              return [{ id: '1', username: 'one' }];
+            }
+          },
+        );
+        const dms = [];
+        server.DiscordClient.prototype.post = async (path, { body }) => {
+          dms.push({ path, body });
+          return { id: '77' };
+        };
+        const sent = [];
+        t.mock.property(
+          server,
+          'ChannelMessageSender',
+          class CMSMock {
+            constructor(channelId) {
+              this.channelId = channelId;
+            }
+            async send(message) {
+              if (this.channelId === '2') {
+                throw new Error('HTTP 403 error: Missing Access');
+              }
+              sent.push({ channelId: this.channelId, ...message });
+            }
+          },
+        );
+        const err = t.mock.method(globalThis.console, 'error', () => {});
+
+        await schedule('add', {
+          message: '1000',
+          when: '<t:4102444800>',
+          channel: '2',
+        });
+        server.scheduled({ scheduledTime: 4102444800000 }, env, ctx);
+        await Promise.all(pending);
+        err.mock.restore();
+
+        t.assert.deepEqual(dms, [
+          { path: '/users/@me/channels', body: { recipient_id: '900' } },
+        ]);
+        t.assert.deepEqual(sent, [
+          {
+            channelId: '77',
+            content:
+              "The scheduled export of https://discord.com/channels/5/1/1000 couldn't be posted to <#2>: HTTP 403 error: Missing Access",
+          },
+        ]);
+        t.assert.strictEqual(entries.size, 0);
+      });
+
+      it('should only work in a server', async (t) => {
+        const request = makePostRequest({
+          ...makeScheduleRequestBody('list'),
+          guild_id: undefined,
+        });
+        const response = await fetchAndWait(request);
+        const body = await response.json();
+        t.assert.strictEqual(
+          body.data.content,
+          'scheduled exports only work in a server',
+        );
+      });
+    });
+
+    describe('DRAW', () => {
+      function makeDrawRequestBody(options) {
+        return {
+          ...makeReactionsRequestBody(options),
+          guild_id: '5',
+          member: moderator,
+          data: {
+            name: DRAW_COMMAND.name,
+            options: Object.entries(options).map(([name, value]) => ({
+              name,
+              value,
+            })),
+          },
+        };
+      }
+
+      beforeEach(() => {
+        apiResponses['/channels/1/messages/1000'] = {
+          ...makeMessageWithReactions({ '🎉': 4, '🎊': 1, no: 1 }),
+          author: { id: '1' },
+        };
+        ReactionUserListFetcherMock.mock.mockImplementation(
+          class RULFMock {
+            async fetch({ name }) {
+              return {
+                '🎉': [
+                  { id: '1', username: 'host' },
+                  { id: '2', username: 'two' },
+                  { id: '3', username: 'robot', bot: true },
+                  { id: '4', username: 'four' },
+                ],
+                '🎊': [{ id: '5', username: 'five' }],
+                no: [{ id: '6', username: 'six' }],
+              }[name];
+            }
+          },
+        );
+      });
+
+      it('should draw from everyone who entered', async (t) => {
+        const requestBody = makeDrawRequestBody({
+          message: '1000',
+          emoji: '🎉 🎊',
+          winners: 2,
+          seed: 'giveaway',
+        });
+        const request = makePostRequest(requestBody);
+
+        const response = await fetchAndWait(request);
+        const body = await response.json();
+        t.assert.deepEqual(body, {
+          type: InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+        });
+
+        const [edit] = edits;
+        const [file] = edit.files;
+        t.assert.strictEqual(file.name, 'draw-1000.csv');
+        // Not the author, and not the bot.
+        t.assert.strictEqual(
+          file.data,
+          'entry,discordUserId,discordUserName,winner\n' +
+            '1,2,two,2\n' +
+            '2,4,four,\n' +
+            '3,5,five,1\n',
+        );
+        const winners = edit.allowed_mentions.users;
+        t.assert.deepEqual(winners, ['5', '2']);
+        t.assert.match(
+          edit.content,
+          /drawn from 3 people who reacted with 🎉 🎊:\n1\. <@5>\n2\. <@2>\n/,
+        );
+        t.assert.match(
+          edit.content,
+          /repeat of an earlier draw with seed `giveaway`, which was typed in/,
+        );
+
+        // The same seed draws the same winners.
+        await fetchAndWait(makePostRequest(requestBody));
+        t.assert.deepEqual(edits[1].allowed_mentions.users, winners);
+      });
+
+      it('should not draw when entrants are missing', async (t) => {
+        ReactionUserListFetcherMock.mock.mockImplementation(
+          class RULFMock {
+            async fetch() {
+              throw new Error('HTTP 500 error: oops');
+            }
+          },
+        );
+        const err = t.mock.method(globalThis.console, 'error', () => {});
+        await fetchAndWait(
+          makePostRequest(
+            makeDrawRequestBody({ message: '1000', emoji: '🎉' }),
+          ),
+        );
+        err.mock.restore();
+
+        t.assert.match(
+          edits[0].content,
+          /^couldn't fetch everyone who entered/,
+        );
+        t.assert.strictEqual(edits[0].files, undefined);
+      });
+    });
+
+    describe('CHANNEL_REACTIONS', () => {
+      let fetchedMessages;
+
+      function makeChannelReactionsRequestBody(options, extra = {}) {
+        return {
+          type: InteractionType.APPLICATION_COMMAND,
+          guild_id: '5',
+          member: moderator,
+          channel_id: '1',
+          ...extra,
+          data: {
+            name: CHANNEL_REACTIONS_COMMAND.name,
+            options: Object.entries(options).map(([name, value]) => ({
+              name,
+              value,
+            })),
+            ...extra.data,
+          },
+        };
+      }
+
+      beforeEach((t) => {
+        fetchedMessages = [];
+        apiResponses['/channels/9'] = { id: '9', guild_id: '5', type: 0 };
+        apiResponses['/guilds/5/roles'] = readableRoles;
+        t.mock.property(
+          server,
+          'ChannelMessageFetcher',
+          class CMFMock {
+            constructor(channelId) {
+              this.channelId = channelId;
+            }
+            async fetch(maxMessages) {
+              fetchedMessages.push({ channelId: this.channelId, maxMessages });
+              return [
+                {
+                  ...makeMessageWithReactions({ yes: 2 }),
+                  id: '1000',
+                  author: { id: '1' },
+                  content: 'first',
+                },
+                {
+                  ...makeMessageWithReactions({ yes: 1 }),
+                  id: '1001',
+                  author: { id: '2' },
+                  content: 'second',
+                },
+              ];
+            }
+          },
+        );
+        ReactionUserListFetcherMock.mock.mockImplementation(
+          class RULFMock {
+            constructor(message) {
+              this.message = message;
+            }
+            async fetch() {
+              return this.message.id === '1000'
+                ? [
+                    { id: '1', username: 'one' },
+                    { id: '2', username: 'two' },
+                  ]
+                : [{ id: '1', username: 'one' }];
+            }
+          },
+        );
+      });
+
+      it('should export every message in the channel', async (t) => {
+        const request = makePostRequest(makeChannelReactionsRequestBody({}));
+
+        const response = await fetchAndWait(request);
+        const body = await response.json();
+        t.assert.strictEqual(
+          body.type,
+          InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE,
+        );
+        t.assert.deepEqual(fetchedMessages, [
+          { channelId: '1', maxMessages: 50 },
+        ]);
+        t.assert.deepEqual(edits[0].files, [
+          {
+            name: 'reactions-channel-1.csv',
+            type: 'text/csv',
+            data:
+              'messageId,messageLink,messageSnippet,emoji,discordUserId,discordUserName,reactionType\n' +
+              '1000,https://discord.com/channels/5/1/1000,first,yes,1,one,normal\n' +
+              '1000,https://discord.com/channels/5/1/1000,first,yes,2,two,normal\n' +
+              '1001,https://discord.com/channels/5/1/1001,second,yes,1,one,normal\n',
+          },
+        ]);
+      });
+
+      it("should leave out each message's author", async (t) => {
+        const request = makePostRequest(
+          makeChannelReactionsRequestBody({ exclude_author: true }),
+        );
+
+        await fetchAndWait(request);
+        t.assert.deepEqual(edits[0].files[0].data.split('\n').slice(1), [
+          '1000,https://discord.com/channels/5/1/1000,first,yes,2,two,normal',
+          '1001,https://discord.com/channels/5/1/1001,second,yes,1,one,normal',
+          '',
+        ]);
+      });
+
+      it('should look at the channel and count asked for', async (t) => {
+        const request = makePostRequest(
+          makeChannelReactionsRequestBody({ channel: '9', count: 10 }),
+        );
+
+        await fetchAndWait(request);
+        t.assert.deepEqual(fetchedMessages, [
+          { channelId: '9', maxMessages: 10 },
+        ]);
+        t.assert.strictEqual(edits[0].files[0].name, 'reactions-channel-9.csv');
+      });
+
+      it('should look at the whole of a thread', async (t) => {
+        apiResponses['/channels/9'] = {
+          id: '9',
+          guild_id: '5',
+          type: 11,
+          parent_id: '8',
+        };
+        apiResponses['/channels/8'] = { id: '8', guild_id: '5', type: 0 };
+        const request = makePostRequest(
+          makeChannelReactionsRequestBody(
+            { channel: '9' },
+            { data: { resolved: { channels: { 9: { id: '9', type: 11 } } } } },
+          ),
+        );
+
+        await fetchAndWait(request);
+        t.assert.deepEqual(fetchedMessages, [
+          { channelId: '9', maxMessages: 500 },
+        ]);
+      });
+
+      it('should only look at the DM itself in a DM', async (t) => {
+        const body = makeChannelReactionsRequestBody({ channel: '9' });
+        delete body.guild_id;
+        delete body.member;
+
+        const response = await fetchAndWait(makePostRequest(body));
+        t.assert.strictEqual(
+          (await response.json()).data.content,
+          "that channel isn't in this DM",
+        );
+        t.assert.deepEqual(fetchedMessages, []);
+      });
+
+      it('should only use server members in a server', async (t) => {
+        for (const [options, content] of [
+          [{ layout: 'members' }, 'the members layout only works in a server'],
+          [{ role: '20' }, 'the role filter only works in a server'],
+        ]) {
+          const body = makeChannelReactionsRequestBody(options);
+          delete body.guild_id;
+          delete body.member;
+
+          const response = await fetchAndWait(makePostRequest(body));
+          t.assert.strictEqual((await response.json()).data.content, content);
+        }
+        t.assert.deepEqual(fetchedMessages, []);
+      });
+
+      it('should say when the channel cannot be read', async (t) => {
+        server.ChannelMessageFetcher.prototype.fetch = async () => {
+          throw new Error('HTTP 403 error: Missing Access');
+        };
+        const err = t.mock.method(globalThis.console, 'error', () => {});
+        const request = makePostRequest(makeChannelReactionsRequestBody({}));
+
+        await fetchAndWait(request);
+        err.mock.restore();
+        t.assert.match(edits[0].content, /Missing Access/);
+      });
     });
 
     it('should handle an unknown command interaction', async (t) => {
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+
+import {
+  applyDefaults,
+  describeDefaults,
+  loadGuildSettings,
+  updateGuildSettings,
+} from '../src/settings.js';
+import { MemoryKV } from './memory.js';
+
+describe('Settings', () => {
+  it('should keep settings per server', async (t) => {
+    const kv = new MemoryKV();
+
+    t.assert.deepEqual(await loadGuildSettings(kv, '5'), {});
+    const updated = await updateGuildSettings(kv, '5', (old) => ({
+      ...old,
+      defaults: { format: 'tsv' },
+    }));
+    t.assert.deepEqual(updated, { defaults: { format: 'tsv' } });
+    t.assert.deepEqual(await loadGuildSettings(kv, '5'), updated);
+    t.assert.deepEqual(await loadGuildSettings(kv, '6'), {});
+  });
+
+  it('should have no settings without a server or a namespace', async (t) => {
+    t.assert.deepEqual(await loadGuildSettings(undefined, '5'), {});
+    t.assert.deepEqual(await loadGuildSettings({}, undefined), {});
+  });
+
+  it('should only fill in options that were not given', (t) => {
+    const defaults = {
+      format: 'tsv',
+      layout: 'users',
+      userColumns: ['nickname'],
+      includeBots: false,
+    };
+    t.assert.deepEqual(
+      applyDefaults(
+        { format: 'json', userColumns: [], includeBots: true, roleId: '1' },
+        defaults,
+      ),
+      {
+        format: 'json',
+        layout: 'users',
+        userColumns: ['nickname'],
+        includeBots: true,
+        roleId: '1',
+      },
+    );
+    t.assert.deepEqual(applyDefaults({ format: 'json' }), { format: 'json' });
+  });
+
+  it('should describe the defaults', (t) => {
+    t.assert.strictEqual(
+      describeDefaults(undefined),
+      'No defaults are set for this server',
+    );
+    t.assert.strictEqual(
+      describeDefaults({
+        format: 'tsv',
+        userColumns: ['nickname', 'avatar'],
+        includeBots: false,
+      }),
+      'Defaults for this server:\n' +
+        'format: tsv\n' +
+        'columns: nickname, avatar\n' +
+        'include_bots: false',
+    );
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+
+import {
+  describeDiff,
+  diffRows,
+  loadSnapshot,
+  saveSnapshot,
+  snapshotKey,
+} from '../src/snapshots.js';
+import { MemoryKV } from './memory.js';
+
+function row(emoji, discordUserId, reactionType = 'normal') {
+  return {
+    emoji,
+    discordUserId,
+    discordUserName: `user${discordUserId}`,
+    reactionType,
+  };
+}
+
+describe('Snapshots', () => {
+  it('should ignore case and spacing in names', (t) => {
+    t.assert.strictEqual(snapshotKey('1', ' Friday '), 'snapshot:1:friday');
+  });
+
+  it('should save and load a snapshot', async (t) => {
+    const kv = new MemoryKV();
+    const message = { id: '1000', channel_id: '1' };
+    t.mock.method(Date, 'now', () => 1700000000000);
+
+    const saved = await saveSnapshot(kv, message, 'Friday', {
+      results: [
+        { emojiKey: 'a', users: [{ id: '1', username: 'user1' }] },
+        {
+          emojiKey: 'b',
+          reactionType: 'normal',
+          users: Object.assign([{ id: '1', username: 'user1' }], {
+            truncated: true,
+          }),
+        },
+      ],
+      skipped: [{ emojiKey: 'c', reactionType: 'super' }],
+      truncated: [{ emojiKey: 'b', reactionType: 'normal' }],
+    });
+    t.assert.deepEqual(saved, {
+      name: 'Friday',
+      messageId: '1000',
+      channelId: '1',
+      savedAt: 1700000000000,
+      rows: [row('a', '1')],
+      incomplete: [
+        { emoji: 'c', reactionType: 'super' },
+        { emoji: 'b', reactionType: 'normal' },
+      ],
+    });
+    t.assert.deepEqual(await loadSnapshot(kv, '1000', 'friday'), saved);
+    t.assert.strictEqual(await loadSnapshot(kv, '1000', 'monday'), null);
+    t.assert.strictEqual(await loadSnapshot(kv, '1001', 'friday'), null);
+  });
+
+  it('should find added and removed reactions', (t) => {
+    const before = [row('a', '1'), row('a', '2'), row('b', '1')];
+    const after = [row('a', '1'), row('b', '1', 'super'), row('a', '3')];
+    t.assert.deepEqual(diffRows(before, after), [
+      { change: 'added', ...row('b', '1', 'super') },
+      { change: 'added', ...row('a', '3') },
+      { change: 'removed', ...row('a', '2') },
+      { change: 'removed', ...row('b', '1') },
+    ]);
+    t.assert.deepEqual(diffRows(before, before), []);
+  });
+
+  it('should leave incomplete reactions out of a diff', (t) => {
+    const before = [row('a', '1'), row('b', '1'), row('b', '2', 'super')];
+    const after = [row('a', '2'), row('b', '2', 'super')];
+    t.assert.deepEqual(
+      diffRows(before, after, [{ emoji: 'b', reactionType: 'normal' }]),
+      [
+        { change: 'added', ...row('a', '2') },
+        { change: 'removed', ...row('a', '1') },
+      ],
+    );
+  });
+
+  it('should sum up a diff', (t) => {
+    const rows = diffRows([row('a', '1')], [row('a', '2'), row('a', '3')]);
+    t.assert.strictEqual(
+      describeDiff(rows, { name: 'Friday', savedAt: 1700000000999 }),
+      '2 added and 1 removed since "Friday" was saved <t:1700000000:R>',
+    );
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+
+import {
+  deleteExpiredExports,
+  LINK_LIFETIME_MS,
+  loadExport,
+  signToken,
+  storeExport,
+  storeLargeFiles,
+  verifyToken,
+} from '../src/storage.js';
+import { MemoryBucket } from './memory.js';
+
+const file = { name: 'a.csv', type: 'text/csv', data: 'x,y\n' };
+
+function makeEnv() {
+  return {
+    // One object per page, to check the cursor is followed.
+    EXPORTS: new MemoryBucket({ pageSize: 1 }),
+    EXPORT_LINK_SECRET: 'shh',
+    PUBLIC_URL: 'https://bot.example',
+  };
+}
+
+describe('Storage', () => {
+  it('should only accept unexpired tokens for the same export', async (t) => {
+    const token = await signToken('shh', 'abc', 2000);
+    t.assert.strictEqual(await verifyToken('shh', 'abc', token, 1999), true);
+    t.assert.strictEqual(await verifyToken('shh', 'abc', token, 2000), false);
+    t.assert.strictEqual(await verifyToken('shh', 'abd', token, 1999), false);
+    t.assert.strictEqual(await verifyToken('nope', 'abc', token, 1999), false);
+    // Pushing the expiry back breaks the signature.
+    const extended = token.replace(/^2000/, '9000');
+    t.assert.strictEqual(
+      await verifyToken('shh', 'abc', extended, 1999),
+      false,
+    );
+    t.assert.strictEqual(await verifyToken('shh', 'abc', '2000.!', 1), false);
+    t.assert.strictEqual(await verifyToken('shh', 'abc', undefined, 1), false);
+    t.assert.strictEqual(
+      await verifyToken('shh', 'abc', [token, token], 1999),
+      false,
+    );
+  });
+
+  it('should store an export behind a signed link', async (t) => {
+    const env = makeEnv();
+    const { url, expiresAt } = await storeExport(env, file, 1000);
+    t.assert.strictEqual(expiresAt, 1000 + LINK_LIFETIME_MS);
+
+    const { pathname, searchParams } = new URL(url);
+    t.assert.match(url, /^https:\/\/bot\.example\/exports\//);
+    const id = pathname.split('/').pop();
+    const token = searchParams.get('token');
+    const object = await loadExport(env, id, token, 2000);
+    t.assert.strictEqual(object.body, 'x,y\n');
+    t.assert.deepEqual(object.httpMetadata, {
+      contentType: 'text/csv',
+      contentDisposition: 'attachment; filename="a.csv"',
+    });
+    t.assert.strictEqual(await loadExport(env, id, token, expiresAt), null);
+    t.assert.strictEqual(await loadExport({}, id, token, 2000), null);
+  });
+
+  it('should only store files that are too big, unless asked', async (t) => {
+    const env = { ...makeEnv(), MAX_ATTACHMENT_BYTES: '5' };
+    const big = { ...file, name: 'b.csv', data: 'x,y,z\n' };
+
+    const stored = await storeLargeFiles(env, [file, big]);
+    t.assert.deepEqual(stored.files, [file]);
+    t.assert.match(stored.note, /^Download \[b\.csv\]\(<https:.*>\)/);
+    t.assert.strictEqual(env.EXPORTS.objects.size, 1);
+
+    const linked = await storeLargeFiles(env, [file], { link: true });
+    t.assert.deepEqual(linked.files, []);
+    t.assert.strictEqual(env.EXPORTS.objects.size, 2);
+  });
+
+  it('should attach files when there is nowhere to store them', async (t) => {
+    t.assert.deepEqual(await storeLargeFiles({}, [file]), {
+      files: [file],
+      note: '',
+    });
+    t.assert.deepEqual(await storeLargeFiles({}, [file], { link: true }), {
+      files: [file],
+      note: "download links aren't set up here, so the file is attached",
+    });
+  });
+
+  it('should delete expired exports', async (t) => {
+    const env = makeEnv();
+    await storeExport(env, file, 0);
+    await storeExport(env, file, 0);
+    await storeExport(env, file, 5000);
+    await env.EXPORTS.put('other', 'not an export');
+
+    const deleted = await deleteExpiredExports(env.EXPORTS, LINK_LIFETIME_MS);
+    t.assert.strictEqual(deleted, 2);
+    t.assert.strictEqual(env.EXPORTS.objects.size, 2);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+
+import { describeSummary, summarize, summaryRows } from '../src/summary.js';
+
+function users(...ids) {
+  return ids.map((id) => ({ id }));
+}
+
+const results = [
+  { emojiKey: 'a', users: users('1', '2', '3') },
+  { emojiKey: 'b', users: users('2', '3') },
+  { emojiKey: 'b', reactionType: 'super', users: users('2') },
+  { emojiKey: 'c', users: users('3', '4') },
+];
+
+describe('Summary', () => {
+  it('should count reactions and people', (t) => {
+    const summary = summarize(results);
+    t.assert.strictEqual(summary.people, 4);
+    t.assert.strictEqual(summary.multiEmojiPeople, 2);
+    t.assert.deepEqual(
+      summary.emojis.map(({ emojiKey, reactions, userIds }) => [
+        emojiKey,
+        reactions,
+        userIds.size,
+      ]),
+      [
+        ['a', 3, 3],
+        ['b', 3, 2],
+        ['c', 2, 2],
+      ],
+    );
+  });
+
+  it('should tabulate the overlap between emojis', (t) => {
+    t.assert.deepEqual(summaryRows(summarize(results)), {
+      columns: ['emoji', 'reactions', 'people', 'a', 'b', 'c'],
+      rows: [
+        { emoji: 'a', reactions: 3, people: 3, a: 3, b: 2, c: 1 },
+        { emoji: 'b', reactions: 3, people: 2, a: 2, b: 2, c: 1 },
+        { emoji: 'c', reactions: 2, people: 2, a: 1, b: 1, c: 2 },
+      ],
+    });
+  });
+
+  it('should count the same emoji on different messages apart', (t) => {
+    const summary = summarize(
+      [
+        { message: { id: '1000' }, emojiKey: 'a', users: users('1', '2') },
+        { message: { id: '1001' }, emojiKey: 'a', users: users('2') },
+      ],
+      { messageColumns: true },
+    );
+    t.assert.deepEqual(
+      summary.emojis.map(({ emojiKey, reactions }) => [emojiKey, reactions]),
+      [
+        ['1000 a', 2],
+        ['1001 a', 1],
+      ],
+    );
+    t.assert.strictEqual(summary.multiEmojiPeople, 1);
+  });
+
+  it('should not let poll answers take over the totals columns', (t) => {
+    const { columns, rows } = summaryRows(
+      summarize([
+        { emojiKey: 'people', reactionType: 'vote', users: users('1') },
+      ]),
+    );
+    t.assert.deepEqual(columns, [
+      'emoji',
+      'reactions',
+      'people',
+      '"people" (poll)',
+    ]);
+    t.assert.deepEqual(rows, [
+      { emoji: 'people', reactions: 1, people: 1, '"people" (poll)': 1 },
+    ]);
+  });
+
+  it('should describe the totals', (t) => {
+    t.assert.strictEqual(
+      describeSummary(summarize(results)),
+      '**Summary:** 4 people reacted, 2 with more than one emoji\n' +
+        'a 3 (3 people), b 3 (2 people), c 2 (2 people)\n' +
+        'Most picked together: a + b (2 people)',
+    );
+    t.assert.strictEqual(
+      describeSummary(summarize([{ emojiKey: 'a', users: users('1') }])),
+      '**Summary:** 1 person reacted, 0 with more than one emoji\n' +
+        'a 1 (1 person)',
+    );
+  });
+});
@@ -1,11 +1,23 @@
 import { beforeEach, describe, it } from 'node:test';
 
 import {
+  avatarUrl,
+  ChannelMessageFetcher,
+  ChannelMessageSender,
+  GuildMemberFetcher,
+  clipContent,
+  commandOptions,
+  parseMessageLink,
+  PollVoterFetcher,
+  mapConcurrent,
+  MAX_CONTENT_LENGTH,
   encodedEmojiKey,
   readableEmojiKey,
   ReactionUserListFetcher,
+  InteractionWebhook,
   csvQuote,
   CsvBuilder,
+  neutralizeFormula,
 } from '../src/util.js';
 
 function jsonResponse(obj) {
@@ -43,6 +55,102 @@ describe('Util', () => {
     });
   });
 
+  describe('commandOptions', () => {
+    it('should map option names to values', (t) => {
+      t.assert.deepEqual(
+        commandOptions([
+          { name: 'a', type: 3, value: 'x' },
+          { name: 'b', type: 5, value: false },
+        ]),
+        { a: 'x', b: false },
+      );
+      t.assert.deepEqual(commandOptions(), {});
+    });
+  });
+
+  describe('parseMessageLink', () => {
+    it('should parse message links', (t) => {
+      const expected = { guildId: '1', channelId: '22', messageId: '333' };
+      for (const link of [
+        'https://discord.com/channels/1/22/333',
+        ' https://ptb.discord.com/channels/1/22/333 ',
+        '<https://discordapp.com/channels/1/22/333>',
+      ]) {
+        t.assert.deepEqual(parseMessageLink(link, '9'), expected, link);
+      }
+      t.assert.deepEqual(
+        parseMessageLink('https://discord.com/channels/@me/22/333', '9'),
+        { guildId: '@me', channelId: '22', messageId: '333' },
+      );
+    });
+
+    it('should take a bare ID to be in the given channel', (t) => {
+      t.assert.deepEqual(parseMessageLink('333', '9'), {
+        channelId: '9',
+        messageId: '333',
+      });
+      t.assert.strictEqual(parseMessageLink('333'), undefined);
+    });
+
+    it('should reject anything else', (t) => {
+      for (const value of [
+        undefined,
+        '',
+        'hello',
+        'https://example.com/channels/1/22/333',
+        'https://discord.com/channels/1/22',
+      ]) {
+        t.assert.strictEqual(parseMessageLink(value, '9'), undefined, value);
+      }
+    });
+  });
+
+  describe('mapConcurrent', () => {
+    it('should map in order with limited concurrency', async (t) => {
+      let running = 0;
+      let maxRunning = 0;
+      const result = await mapConcurrent([5, 1, 3, 2, 4], 2, async (x, i) => {
+        maxRunning = Math.max(maxRunning, ++running);
+        await new Promise((resolve) => setTimeout(resolve, x));
+        running--;
+        return [x, i];
+      });
+      t.assert.deepEqual(result, [
+        [5, 0],
+        [1, 1],
+        [3, 2],
+        [2, 3],
+        [4, 4],
+      ]);
+      t.assert.strictEqual(maxRunning, 2);
+    });
+
+    it('should handle an empty list', async (t) => {
+      t.assert.deepEqual(await mapConcurrent([], 3, () => 1), []);
+    });
+
+    it('should reject if any call does', async (t) => {
+      await t.assert.rejects(
+        mapConcurrent([1, 2], 2, async (x) => {
+          if (x === 2) throw new Error('two');
+        }),
+        /two/,
+      );
+    });
+  });
+
+  describe('clipContent', () => {
+    it('should leave short content alone', (t) => {
+      t.assert.strictEqual(clipContent('hello'), 'hello');
+    });
+
+    it('should shorten long content', (t) => {
+      const clipped = clipContent('x'.repeat(MAX_CONTENT_LENGTH + 1));
+      t.assert.strictEqual(clipped.length, MAX_CONTENT_LENGTH);
+      t.assert.ok(clipped.endsWith('x…'));
+    });
+  });
+
   describe('ReactionUserListFetcher', () => {
     let env;
 
@@ -68,6 +176,105 @@ describe('Util', () => {
       t.assert.deepEqual(userList, expectedUserList);
     });
 
+    it('should follow the after cursor across pages', async (t) => {
+      const message = {
+        id: 11,
+        channel_id: 75,
+      };
+      const fetcher = new ReactionUserListFetcher(message, env);
+
+      const allUsers = Array.from({ length: 250 }, (_, i) => ({
+        id: String(1000 + i),
+        username: `user${i}`,
+      }));
+      fetch.mock.mockImplementation(async (url) => {
+        const { searchParams } = new URL(url);
+        const limit = Number(searchParams.get('limit'));
+        const after = searchParams.get('after');
+        const start = after ? allUsers.findIndex((u) => u.id === after) + 1 : 0;
+        return jsonResponse(allUsers.slice(start, start + limit));
+      });
+
+      const userList = await fetcher.fetch({ name: 'q' });
+      t.assert.deepEqual(userList, allUsers);
+      t.assert.strictEqual(userList.truncated, undefined);
+      t.assert.strictEqual(fetch.mock.callCount(), 3);
+      t.assert.ok(
+        fetch.mock.calls[0].arguments[0].endsWith('/reactions/q?limit=100'),
+      );
+      t.assert.ok(
+        fetch.mock.calls[2].arguments[0].endsWith(
+          '/reactions/q?limit=100&after=1199',
+        ),
+      );
+    });
+
+    it('should ask for the requested reaction type', async (t) => {
+      const message = {
+        id: 11,
+        channel_id: 75,
+      };
+      const fetcher = new ReactionUserListFetcher(message, env);
+      fetch.mock.mockImplementation(async () => jsonResponse([]));
+
+      await fetcher.fetch({ name: 'q' }, 'super');
+      await fetcher.fetch({ name: 'q' }, 'normal');
+      t.assert.ok(
+        fetch.mock.calls[0].arguments[0].endsWith(
+          '/reactions/q?limit=100&type=1',
+        ),
+      );
+      t.assert.ok(
+        fetch.mock.calls[1].arguments[0].endsWith('/reactions/q?limit=100'),
+      );
+    });
+
+    it('should stop at the configured limit and mark the list truncated', async (t) => {
+      const message = {
+        id: 11,
+        channel_id: 75,
+      };
+      env.MAX_USERS_PER_EMOJI = '150';
+      const fetcher = new ReactionUserListFetcher(message, env);
+      t.assert.strictEqual(fetcher.maxUsers, 150);
+
+      let nextId = 1000;
+      fetch.mock.mockImplementation(async (url) => {
+        const limit = Number(new URL(url).searchParams.get('limit'));
+        return jsonResponse(
+          Array.from({ length: limit }, () => ({ id: String(nextId++) })),
+        );
+      });
+
+      const userList = await fetcher.fetch({ name: 'q' });
+      t.assert.strictEqual(userList.length, 150);
+      t.assert.strictEqual(userList.truncated, true);
+      t.assert.ok(
+        fetch.mock.calls[1].arguments[0].endsWith('limit=50&after=1099'),
+      );
+      t.assert.ok(
+        fetch.mock.calls[2].arguments[0].endsWith('limit=1&after=1149'),
+      );
+    });
+
+    it('should not mark an exactly full list truncated', async (t) => {
+      const message = {
+        id: 11,
+        channel_id: 75,
+      };
+      env.MAX_USERS_PER_EMOJI = '100';
+      const fetcher = new ReactionUserListFetcher(message, env);
+
+      const users = Array.from({ length: 100 }, (_, i) => ({ id: String(i) }));
+      fetch.mock.mockImplementation(async (url) =>
+        jsonResponse(new URL(url).searchParams.has('after') ? [] : users),
+      );
+
+      const userList = await fetcher.fetch({ name: 'q' });
+      t.assert.strictEqual(userList.length, 100);
+      t.assert.strictEqual(userList.truncated, undefined);
+    });
+
     it('should handle fetch errors', async (t) => {
       const message = {
         message_id: 11,
@@ -79,16 +286,338 @@ describe('Util', () => {
 
       await t.assert.rejects(fetcher.fetch({ name: 'q' }), /falsy/);
 
-      fetch.mock.mockImplementation(async () => ({
-        ok: false,
-        status: 404,
-        text: () => Promise.resolve('sekrit'),
-      }));
+      fetch.mock.mockImplementation(
+        async () => new Response('sekrit', { status: 404 }),
+      );
 
       await t.assert.rejects(fetcher.fetch({ name: 'q' }), /404.*sekrit/);
     });
   });
 
+  describe('PollVoterFetcher', () => {
+    const allVoters = Array.from({ length: 150 }, (_, i) => ({
+      id: String(1000 + i),
+    }));
+
+    beforeEach((t) => {
+      t.mock.method(globalThis, 'fetch', async (url) => {
+        const { searchParams } = new URL(url);
+        const limit = Number(searchParams.get('limit'));
+        const after = searchParams.get('after');
+        const start = after
+          ? allVoters.findIndex(({ id }) => id === after) + 1
+          : 0;
+        return jsonResponse({ users: allVoters.slice(start, start + limit) });
+      });
+    });
+
+    it('should page through the voters for an answer', async (t) => {
+      const message = { id: '11', channel_id: '75' };
+      const fetcher = new PollVoterFetcher(message, { DISCORD_TOKEN: 'x' });
+
+      const voters = await fetcher.fetch(2);
+      t.assert.deepEqual(voters, allVoters);
+      t.assert.strictEqual(voters.truncated, undefined);
+      t.assert.strictEqual(
+        fetch.mock.calls[0].arguments[0],
+        'https://discord.com/api/v10/channels/75/polls/11/answers/2?limit=100',
+      );
+      t.assert.strictEqual(
+        fetch.mock.calls[1].arguments[0],
+        'https://discord.com/api/v10/channels/75/polls/11/answers/2?limit=100&after=1099',
+      );
+    });
+
+    it('should stop at the most users per emoji', async (t) => {
+      const message = { id: '11', channel_id: '75' };
+      const fetcher = new PollVoterFetcher(message, {
+        DISCORD_TOKEN: 'x',
+        MAX_USERS_PER_EMOJI: '120',
+      });
+
+      const voters = await fetcher.fetch(2);
+      t.assert.strictEqual(voters.length, 120);
+      t.assert.strictEqual(voters.truncated, true);
+    });
+  });
+
+  describe('avatarUrl', () => {
+    it('should link to a custom avatar', (t) => {
+      t.assert.strictEqual(
+        avatarUrl({
+          id: '80351110224678912',
+          avatar: '8342729096ea3675442027381ff50dfe',
+        }),
+        'https://cdn.discordapp.com/avatars/80351110224678912/8342729096ea3675442027381ff50dfe.png',
+      );
+      t.assert.strictEqual(
+        avatarUrl({ id: '1', avatar: 'a_1269e74af4df7417b13759eae50c83dc' }),
+        'https://cdn.discordapp.com/avatars/1/a_1269e74af4df7417b13759eae50c83dc.gif',
+      );
+    });
+
+    it('should link to the default avatar', (t) => {
+      t.assert.strictEqual(
+        avatarUrl({
+          id: '80351110224678912',
+          avatar: null,
+          discriminator: '0',
+        }),
+        'https://cdn.discordapp.com/embed/avatars/5.png',
+      );
+      t.assert.strictEqual(
+        avatarUrl({ id: '80351110224678912', discriminator: '1337' }),
+        'https://cdn.discordapp.com/embed/avatars/2.png',
+      );
+    });
+  });
+
+  describe('ChannelMessageFetcher', () => {
+    // Newest first, like Discord returns them.
+    const allMessages = Array.from({ length: 250 }, (_, i) => ({
+      id: String(20000 - i),
+    }));
+
+    beforeEach((t) => {
+      t.mock.method(globalThis, 'fetch', async (url) => {
+        const { searchParams } = new URL(url);
+        const limit = Number(searchParams.get('limit'));
+        const before = searchParams.get('before');
+        const start = before
+          ? allMessages.findIndex(({ id }) => id === before) + 1
+          : 0;
+        return jsonResponse(allMessages.slice(start, start + limit));
+      });
+    });
+
+    it('should page back through the channel', async (t) => {
+      const fetcher = new ChannelMessageFetcher('7', { DISCORD_TOKEN: 'x' });
+      const messages = await fetcher.fetch(1000);
+      t.assert.deepEqual(messages, [...allMessages].reverse());
+      t.assert.strictEqual(messages.truncated, undefined);
+      t.assert.strictEqual(
+        fetch.mock.calls[0].arguments[0],
+        'https://discord.com/api/v10/channels/7/messages?limit=100',
+      );
+      t.assert.strictEqual(
+        fetch.mock.calls[1].arguments[0],
+        'https://discord.com/api/v10/channels/7/messages?limit=100&before=19901',
+      );
+    });
+
+    it('should stop at the latest messages asked for', async (t) => {
+      const fetcher = new ChannelMessageFetcher('7', { DISCORD_TOKEN: 'x' });
+      const messages = await fetcher.fetch(150);
+      t.assert.strictEqual(messages.length, 150);
+      t.assert.strictEqual(messages[0].id, '19851');
+      t.assert.strictEqual(messages[149].id, '20000');
+      t.assert.strictEqual(messages.truncated, true);
+      t.assert.strictEqual(
+        fetch.mock.calls[1].arguments[0],
+        'https://discord.com/api/v10/channels/7/messages?limit=50&before=19901',
+      );
+    });
+  });
+
+  describe('GuildMemberFetcher', () => {
+    beforeEach((t) => {
+      t.mock.method(globalThis, 'fetch', async (url) => {
+        const userId = url.split('/').pop();
+        if (userId === '404') {
+          return new Response('Unknown Member', { status: 404 });
+        }
+        if (userId === '403') {
+          return new Response('Missing Access', { status: 403 });
+        }
+        return jsonResponse({ nick: `nick${userId}`, user: { id: userId } });
+      });
+    });
+
+    it('should look up each member once', async (t) => {
+      const fetcher = new GuildMemberFetcher('5', { DISCORD_TOKEN: 'x' });
+
+      const members = await fetcher.fetchMany(['1', '2', '1', '404']);
+      t.assert.deepEqual(
+        [...members.entries()],
+        [
+          ['1', { nick: 'nick1', user: { id: '1' } }],
+          ['2', { nick: 'nick2', user: { id: '2' } }],
+        ],
+      );
+      t.assert.strictEqual(fetch.mock.callCount(), 3);
+      t.assert.strictEqual(
+        fetch.mock.calls[0].arguments[0],
+        'https://discord.com/api/v10/guilds/5/members/1',
+      );
+    });
+
+    it('should pass along other errors', async (t) => {
+      const fetcher = new GuildMemberFetcher('5', { DISCORD_TOKEN: 'x' });
+      await t.assert.rejects(fetcher.fetchMany(['1', '403']), /403/);
+    });
+
+    it('should list the members instead for many users', async (t) => {
+      const ids = Array.from({ length: 30 }, (_, i) => String(10 + i));
+      const listed = ids.slice(1).map((id) => ({ user: { id } }));
+      fetch.mock.mockImplementation(async (url) => {
+        if (url.includes('?')) {
+          const after = new URL(url).searchParams.get('after');
+          return jsonResponse(after ? [{ user: { id: '99' } }] : listed);
+        }
+        return jsonResponse({ nick: 'first', user: { id: '10' } });
+      });
+
+      const fetcher = new GuildMemberFetcher('5', {
+        DISCORD_TOKEN: 'x',
+        MAX_GUILD_MEMBERS: '29',
+      });
+      const members = await fetcher.fetchMany(ids);
+      t.assert.deepEqual([...members.keys()], [...ids.slice(1), '10']);
+      t.assert.deepEqual(
+        fetch.mock.calls.map(({ arguments: [url] }) => url),
+        [
+          'https://discord.com/api/v10/guilds/5/members?limit=29',
+          'https://discord.com/api/v10/guilds/5/members?limit=1&after=39',
+          'https://discord.com/api/v10/guilds/5/members/10',
+        ],
+      );
+    });
+
+    it('should look up each user without the members intent', async (t) => {
+      const ids = Array.from({ length: 30 }, (_, i) => String(10 + i));
+      fetch.mock.mockImplementation(async (url) =>
+        url.includes('?')
+          ? new Response('Missing Access', { status: 403 })
+          : jsonResponse({ user: { id: url.split('/').pop() } }),
+      );
+
+      const fetcher = new GuildMemberFetcher('5', { DISCORD_TOKEN: 'x' });
+      const members = await fetcher.fetchMany(ids);
+      t.assert.strictEqual(members.size, 30);
+      t.assert.strictEqual(fetch.mock.callCount(), 31);
+    });
+
+    it('should list every member a page at a time', async (t) => {
+      const allMembers = Array.from({ length: 2500 }, (_, i) => ({
+        user: { id: String(10000 + i) },
+      }));
+      fetch.mock.mockImplementation(async (url) => {
+        const { searchParams } = new URL(url);
+        const limit = Number(searchParams.get('limit'));
+        const after = searchParams.get('after');
+        const start = after
+          ? allMembers.findIndex(({ user }) => user.id === after) + 1
+          : 0;
+        return jsonResponse(allMembers.slice(start, start + limit));
+      });
+
+      const fetcher = new GuildMemberFetcher('5', { DISCORD_TOKEN: 'x' });
+      const members = await fetcher.fetchAll();
+      t.assert.deepEqual(members, allMembers);
+      t.assert.strictEqual(members.truncated, undefined);
+      t.assert.strictEqual(
+        fetch.mock.calls[0].arguments[0],
+        'https://discord.com/api/v10/guilds/5/members?limit=1000',
+      );
+      t.assert.strictEqual(
+        fetch.mock.calls[2].arguments[0],
+        'https://discord.com/api/v10/guilds/5/members?limit=1000&after=11999',
+      );
+
+      const limited = new GuildMemberFetcher('5', {
+        DISCORD_TOKEN: 'x',
+        MAX_GUILD_MEMBERS: '1500',
+      });
+      const someMembers = await limited.fetchAll();
+      t.assert.strictEqual(someMembers.length, 1500);
+      t.assert.strictEqual(someMembers.truncated, true);
+    });
+  });
+
+  describe('InteractionWebhook', () => {
+    let env;
+
+    beforeEach((t) => {
+      env = { DISCORD_APPLICATION_ID: '42' };
+      t.mock.method(globalThis, 'fetch', async () => jsonResponse({ id: 1 }));
+    });
+
+    it('should edit the original response with attachments', async (t) => {
+      const webhook = new InteractionWebhook({ token: 'tok' }, env);
+
+      const result = await webhook.editOriginal({
+        content: 'hi',
+        files: [{ name: 'a.csv', type: 'text/csv', data: 'x,y\n' }],
+      });
+      t.assert.deepEqual(result, { id: 1 });
+
+      const [url, init] = fetch.mock.calls[0].arguments;
+      t.assert.strictEqual(
+        url,
+        'https://discord.com/api/v10/webhooks/42/tok/messages/@original',
+      );
+      t.assert.strictEqual(init.method, 'PATCH');
+      t.assert.deepEqual(JSON.parse(init.body.get('payload_json')), {
+        content: 'hi',
+        allowed_mentions: { parse: [] },
+        attachments: [{ id: 0, filename: 'a.csv' }],
+      });
+      const file = init.body.get('files[0]');
+      t.assert.strictEqual(file.name, 'a.csv');
+      t.assert.strictEqual(file.type, 'text/csv');
+      t.assert.strictEqual(await file.text(), 'x,y\n');
+    });
+
+    it('should follow up with another message', async (t) => {
+      const webhook = new InteractionWebhook({ token: 'tok' }, env);
+
+      await webhook.followUp({ content: 'hi' });
+
+      const [url, init] = fetch.mock.calls[0].arguments;
+      t.assert.strictEqual(url, 'https://discord.com/api/v10/webhooks/42/tok');
+      t.assert.strictEqual(init.method, 'POST');
+    });
+
+    it('should handle fetch errors', async (t) => {
+      const webhook = new InteractionWebhook({ token: 'tok' }, env);
+
+      fetch.mock.mockImplementation(
+        async () => new Response('Unknown Webhook', { status: 404 }),
+      );
+
+      await t.assert.rejects(
+        webhook.editOriginal({ content: 'hi' }),
+        /404.*Unknown Webhook/,
+      );
+    });
+  });
+
+  describe('ChannelMessageSender', () => {
+    it('should post to the channel as the bot', async (t) => {
+      t.mock.method(globalThis, 'fetch', async () => jsonResponse({ id: 1 }));
+      const sender = new ChannelMessageSender('7', { DISCORD_TOKEN: 'x' });
+
+      await sender.send({
+        content: 'hi',
+        files: [{ name: 'a.csv', type: 'text/csv', data: 'x,y\n' }],
+      });
+
+      const [url, init] = fetch.mock.calls[0].arguments;
+      t.assert.strictEqual(
+        url,
+        'https://discord.com/api/v10/channels/7/messages',
+      );
+      t.assert.strictEqual(init.method, 'POST');
+      t.assert.strictEqual(init.headers.Authorization, 'Bot x');
+      t.assert.deepEqual(JSON.parse(init.body.get('payload_json')), {
+        content: 'hi',
+        allowed_mentions: { parse: [] },
+        attachments: [{ id: 0, filename: 'a.csv' }],
+      });
+      t.assert.strictEqual(await init.body.get('files[0]').text(), 'x,y\n');
+    });
+  });
+
   describe('CSV', () => {
     describe('Quoting', () => {
       it('should correctly quote line feed', (t) => {
@@ -115,6 +644,18 @@ describe('Util', () => {
       it('should not quote unicode characters', (t) => {
         t.assert.strictEqual(csvQuote('\u{1F60A}'), '\u{1F60A}');
       });
+      it('should quote carriage returns and leading or trailing spaces', (t) => {
+        t.assert.strictEqual(csvQuote('a\rb'), '"a\rb"');
+        t.assert.strictEqual(csvQuote(' a'), '" a"');
+        t.assert.strictEqual(csvQuote('a '), '"a "');
+      });
+      it('should quote the delimiter it is given', (t) => {
+        t.assert.strictEqual(csvQuote('a;b', { delimiter: ';' }), '"a;b"');
+        t.assert.strictEqual(csvQuote('a,b', { delimiter: ';' }), 'a,b');
+      });
+      it('should quote everything when asked', (t) => {
+        t.assert.strictEqual(csvQuote(5, { quoteAll: true }), '"5"');
+      });
       it('should toString its argument', (t) => {
         t.assert.strictEqual(csvQuote(5), '5');
         t.assert.strictEqual(csvQuote({}), '[object Object]');
@@ -132,6 +673,32 @@ describe('Util', () => {
         );
       });
 
+      it('should write the dialect asked for', (t) => {
+        const builder = new CsvBuilder(['a', 'b'], {
+          delimiter: ';',
+          lineEnding: '\r\n',
+          bom: true,
+          quoteAll: true,
+        });
+        builder.addLine(['x;y', 1]);
+        t.assert.strictEqual(builder.build(), '\uFEFF"a";"b"\r\n"x;y";"1"\r\n');
+      });
+
+      it('should neutralize formulas unless told not to', (t) => {
+        const line = ['=HYPERLINK("x")', '+1', '-1', '@a', 'a=b', -1];
+        const safe = new CsvBuilder(line);
+        t.assert.strictEqual(
+          safe.build(),
+          `"'=HYPERLINK(""x"")",'+1,'-1,'@a,a=b,-1\n`,
+        );
+        const unsafe = new CsvBuilder(line, { safe: false });
+        t.assert.strictEqual(
+          unsafe.build(),
+          '"=HYPERLINK(""x"")",+1,-1,@a,a=b,-1\n',
+        );
+        t.assert.strictEqual(neutralizeFormula('\tx'), "'\tx");
+      });
+
       it('should work without a header', (t) => {
         const builder = new CsvBuilder();
         builder.addLine(['bye, bye', 1000]);